@@ -28,7 +28,6 @@ const FIELDS = [
   { label: 'Impressions', value: 'impressions', type: 'number' },
   { label: 'Clicks', value: 'clicks', type: 'number' },
   { label: 'Budget Remaining', value: 'budget_remaining', type: 'number' },
-  { label: 'Campaign Status', value: 'status', type: 'select' },
 ];
 
 const OPERATORS = [
@@ -0,0 +1,466 @@
+/**
+ * Anomaly Detection Config Controller
+ * Manages per-account, per-metric anomaly_detection_config rows
+ */
+
+const { query } = require('../config/database');
+const Workspace = require('../models/Workspace');
+const anomalyDetector = require('../services/anomalyDetector');
+const { SUPPORTED_METRICS } = require('../services/metricsStore');
+
+const { DEFAULT_CONFIG, SENSITIVITY_LEVELS } = anomalyDetector;
+
+const LIMITS = {
+  threshold_percent: { min: 1, max: 500 },
+  baseline_period_days: { min: 3, max: 90 },
+  min_data_points: { min: 2, max: 90 },
+  dry_run_days: { min: 1, max: 90 },
+};
+
+/**
+ * Validate a detection config payload
+ * Accepts snake_case or camelCase keys. Missing fields fall back to `base`.
+ *
+ * @param {Object} input - Request body
+ * @param {Object} base - Existing/default config to merge onto
+ * @returns {{ errors: string[], config: Object }}
+ */
+const validateDetectionConfig = (input = {}, base = DEFAULT_CONFIG) => {
+  const errors = [];
+  const pick = (snake, camel) => (input[snake] !== undefined ? input[snake] : input[camel]);
+
+  const enabled = pick('enabled', 'enabled');
+  const sensitivity = pick('sensitivity', 'sensitivity');
+  const thresholdPercent = pick('threshold_percent', 'thresholdPercent');
+  const baselinePeriodDays = pick('baseline_period_days', 'baselinePeriodDays');
+  const minDataPoints = pick('min_data_points', 'minDataPoints');
+
+  const config = anomalyDetector.normalizeConfig(base);
+
+  if (enabled !== undefined) {
+    if (typeof enabled !== 'boolean') {
+      errors.push('enabled must be a boolean');
+    } else {
+      config.enabled = enabled;
+    }
+  }
+
+  if (sensitivity !== undefined) {
+    if (!SENSITIVITY_LEVELS[sensitivity]) {
+      errors.push(`sensitivity must be one of: ${Object.keys(SENSITIVITY_LEVELS).join(', ')}`);
+    } else {
+      config.sensitivity = sensitivity;
+    }
+  }
+
+  const numericFields = [
+    ['threshold_percent', thresholdPercent, parseFloat],
+    ['baseline_period_days', baselinePeriodDays, v => (Number.isInteger(Number(v)) ? Number(v) : NaN)],
+    ['min_data_points', minDataPoints, v => (Number.isInteger(Number(v)) ? Number(v) : NaN)],
+  ];
+
+  for (const [field, raw, parse] of numericFields) {
+    if (raw === undefined) continue;
+    const value = parse(raw);
+    const { min, max } = LIMITS[field];
+    if (Number.isNaN(value) || value < min || value > max) {
+      errors.push(`${field} must be a number between ${min} and ${max}`);
+    } else {
+      config[field] = value;
+    }
+  }
+
+  if (errors.length === 0 && config.min_data_points > config.baseline_period_days) {
+    errors.push('min_data_points cannot exceed baseline_period_days');
+  }
+
+  return { errors, config };
+};
+
+/**
+ * Load an ad account and verify the user belongs to its workspace
+ * Sends the error response itself and returns null when access fails.
+ */
+const loadAccountWithAccess = async (req, res) => {
+  const { adAccountId } = req.params;
+
+  const accountResult = await query(
+    `SELECT id, workspace_id, platform, account_id, account_name
+     FROM ad_accounts WHERE id = $1`,
+    [adAccountId]
+  );
+
+  if (accountResult.rows.length === 0) {
+    res.status(404).json({
+      success: false,
+      message: 'Ad account not found',
+    });
+    return null;
+  }
+
+  const account = accountResult.rows[0];
+
+  const workspaceAccess = await query(
+    `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
+    [account.workspace_id, req.user.id]
+  );
+
+  if (workspaceAccess.rows.length === 0) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied',
+    });
+    return null;
+  }
+
+  return account;
+};
+
+/**
+ * Build the effective config list for an account (defaults + stored overrides)
+ */
+const getEffectiveConfigs = adAccountId => anomalyDetector.getAccountConfigs(adAccountId);
+
+/**
+ * Upsert one config row
+ */
+const upsertConfig = async (adAccountId, metric, config) => {
+  const result = await query(
+    `INSERT INTO anomaly_detection_config (
+      ad_account_id, metric, enabled, sensitivity, threshold_percent,
+      baseline_period_days, min_data_points
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+    ON CONFLICT (ad_account_id, metric) DO UPDATE SET
+      enabled = EXCLUDED.enabled,
+      sensitivity = EXCLUDED.sensitivity,
+      threshold_percent = EXCLUDED.threshold_percent,
+      baseline_period_days = EXCLUDED.baseline_period_days,
+      min_data_points = EXCLUDED.min_data_points
+    RETURNING *`,
+    [
+      adAccountId,
+      metric,
+      config.enabled,
+      config.sensitivity,
+      config.threshold_percent,
+      config.baseline_period_days,
+      config.min_data_points,
+    ]
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * Get detection config for an ad account
+ */
+const getDetectionConfig = async (req, res) => {
+  try {
+    const account = await loadAccountWithAccess(req, res);
+    if (!account) return;
+
+    const configs = await getEffectiveConfigs(account.id);
+
+    res.json({
+      success: true,
+      data: {
+        accountId: account.id,
+        accountName: account.account_name,
+        platform: account.platform,
+        usingDefaults: configs.every(c => c.isDefault),
+        configs,
+        defaults: DEFAULT_CONFIG,
+        supportedMetrics: SUPPORTED_METRICS,
+      },
+    });
+  } catch (error) {
+    console.error('Get detection config error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch anomaly detection config',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Create or update detection config for one metric
+ */
+const upsertDetectionConfig = async (req, res) => {
+  try {
+    const { metric } = req.params;
+
+    if (!SUPPORTED_METRICS.includes(metric)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported metric. Supported metrics: ${SUPPORTED_METRICS.join(', ')}`,
+      });
+    }
+
+    const account = await loadAccountWithAccess(req, res);
+    if (!account) return;
+
+    const existing = await query(
+      `SELECT * FROM anomaly_detection_config WHERE ad_account_id = $1 AND metric = $2`,
+      [account.id, metric]
+    );
+
+    const { errors, config } = validateDetectionConfig(req.body, existing.rows[0] || DEFAULT_CONFIG);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid anomaly detection config',
+        errors,
+      });
+    }
+
+    const saved = await upsertConfig(account.id, metric, config);
+
+    res.json({
+      success: true,
+      message: 'Anomaly detection config saved',
+      data: saved,
+    });
+  } catch (error) {
+    console.error('Upsert detection config error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save anomaly detection config',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Reset detection config to defaults (one metric, or the whole account)
+ * Default metrics go back to DEFAULT_CONFIG; other metrics stop being checked.
+ */
+const resetDetectionConfig = async (req, res) => {
+  try {
+    const { metric } = req.params;
+
+    const account = await loadAccountWithAccess(req, res);
+    if (!account) return;
+
+    const result = metric
+      ? await query(
+        `DELETE FROM anomaly_detection_config WHERE ad_account_id = $1 AND metric = $2 RETURNING id`,
+        [account.id, metric]
+      )
+      : await query(
+        `DELETE FROM anomaly_detection_config WHERE ad_account_id = $1 RETURNING id`,
+        [account.id]
+      );
+
+    res.json({
+      success: true,
+      message: `${result.rows.length} config(s) reset to defaults`,
+      count: result.rows.length,
+      data: await getEffectiveConfigs(account.id),
+    });
+  } catch (error) {
+    console.error('Reset detection config error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset anomaly detection config',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Apply the same detection config to every ad account in a workspace
+ * Body: { metrics: string[], config: {...}, platforms?: string[], adAccountIds?: string[] }
+ */
+const bulkApplyDetectionConfig = async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+    const { metrics, config: input, platforms, adAccountIds } = req.body;
+
+    const hasAccess = await Workspace.hasAdminAccess(workspaceId, req.user.id);
+
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only workspace owners and admins can bulk-apply detection config',
+      });
+    }
+
+    if (!Array.isArray(metrics) || metrics.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'metrics must be a non-empty array',
+      });
+    }
+
+    const unsupported = metrics.filter(m => !SUPPORTED_METRICS.includes(m));
+    if (unsupported.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported metrics: ${unsupported.join(', ')}`,
+      });
+    }
+
+    const { errors, config } = validateDetectionConfig(input || {});
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid anomaly detection config',
+        errors,
+      });
+    }
+
+    let accountSql = `
+      SELECT id FROM ad_accounts
+      WHERE workspace_id = $1 AND platform <> 'search_console'
+    `;
+    const accountParams = [workspaceId];
+
+    if (Array.isArray(platforms) && platforms.length > 0) {
+      accountParams.push(platforms);
+      accountSql += ` AND platform = ANY($${accountParams.length})`;
+    }
+
+    if (Array.isArray(adAccountIds) && adAccountIds.length > 0) {
+      accountParams.push(adAccountIds);
+      accountSql += ` AND id = ANY($${accountParams.length})`;
+    }
+
+    const accounts = await query(accountSql, accountParams);
+
+    let updated = 0;
+    for (const account of accounts.rows) {
+      for (const metric of metrics) {
+        await upsertConfig(account.id, metric, config);
+        updated++;
+      }
+    }
+
+    res.json({
+      success: true,
+      message: `Applied config to ${accounts.rows.length} account(s)`,
+      data: {
+        accountsUpdated: accounts.rows.length,
+        configsWritten: updated,
+        config,
+        metrics,
+      },
+    });
+  } catch (error) {
+    console.error('Bulk apply detection config error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to bulk-apply anomaly detection config',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Replay the last N days against a proposed config and report what would have fired
+ * Body: { days?: number, metrics?: string[], config: {...} }
+ */
+const dryRunDetectionConfig = async (req, res) => {
+  try {
+    const { days = 30, metrics, config: input } = req.body;
+
+    const replayDays = parseInt(days);
+    if (Number.isNaN(replayDays) || replayDays < LIMITS.dry_run_days.min || replayDays > LIMITS.dry_run_days.max) {
+      return res.status(400).json({
+        success: false,
+        message: `days must be between ${LIMITS.dry_run_days.min} and ${LIMITS.dry_run_days.max}`,
+      });
+    }
+
+    const account = await loadAccountWithAccess(req, res);
+    if (!account) return;
+
+    const currentConfigs = await getEffectiveConfigs(account.id);
+    const targetMetrics = Array.isArray(metrics) && metrics.length > 0
+      ? metrics
+      : currentConfigs.map(c => c.metric);
+
+    const unsupported = targetMetrics.filter(m => !SUPPORTED_METRICS.includes(m));
+    if (unsupported.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported metrics: ${unsupported.join(', ')}`,
+      });
+    }
+
+    const proposedConfigs = [];
+    for (const metric of targetMetrics) {
+      const base = currentConfigs.find(c => c.metric === metric) || DEFAULT_CONFIG;
+      const { errors, config } = validateDetectionConfig(input || {}, base);
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid anomaly detection config',
+          errors,
+        });
+      }
+
+      proposedConfigs.push({ metric, ...config });
+    }
+
+    const baselineConfigs = targetMetrics.map(metric => ({
+      metric,
+      ...anomalyDetector.normalizeConfig(currentConfigs.find(c => c.metric === metric) || DEFAULT_CONFIG),
+    }));
+
+    const proposed = await anomalyDetector.replay(account, proposedConfigs, replayDays);
+    const current = await anomalyDetector.replay(account, baselineConfigs, replayDays);
+
+    const summarize = (candidates) => ({
+      total: candidates.length,
+      bySeverity: candidates.reduce((acc, c) => ({ ...acc, [c.severity]: (acc[c.severity] || 0) + 1 }), {}),
+      byMetric: candidates.reduce((acc, c) => ({ ...acc, [c.metric]: (acc[c.metric] || 0) + 1 }), {}),
+      byType: candidates.reduce((acc, c) => ({ ...acc, [c.anomalyType]: (acc[c.anomalyType] || 0) + 1 }), {}),
+    });
+
+    res.json({
+      success: true,
+      data: {
+        accountId: account.id,
+        period: { since: proposed.since, until: proposed.until, days: replayDays },
+        dataPoints: proposed.dataPoints || 0,
+        proposed: {
+          configs: proposedConfigs,
+          ...summarize(proposed.candidates),
+          anomalies: proposed.candidates.map(c => ({
+            date: c.detectionDate,
+            metric: c.metric,
+            anomalyType: c.anomalyType,
+            severity: c.severity,
+            currentValue: c.currentValue,
+            baselineValue: c.baselineValue,
+            deviationPercent: c.deviationPercent,
+            description: c.description,
+          })),
+        },
+        current: {
+          configs: baselineConfigs,
+          ...summarize(current.candidates),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Dry run detection config error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run anomaly detection dry run',
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getDetectionConfig,
+  upsertDetectionConfig,
+  resetDetectionConfig,
+  bulkApplyDetectionConfig,
+  dryRunDetectionConfig,
+};
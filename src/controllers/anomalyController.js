@@ -1,4 +1,5 @@
 const { query } = require('../config/database');
+const notificationPreferences = require('../services/notificationPreferences');
 
 // Get anomalies for a workspace
 const getAnomalies = async (req, res) => {
@@ -336,6 +337,112 @@ const deleteNotification = async (req, res) => {
   }
 };
 
+// Get the current user's notification preferences for a workspace
+const getNotificationPreferences = async (req, res) => {
+  try {
+    const { workspaceId } = req.query;
+    const userId = req.user.id;
+
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        message: 'workspaceId is required',
+      });
+    }
+
+    // Verify user has access to workspace
+    const workspaceAccess = await query(
+      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
+      [workspaceId, userId]
+    );
+
+    if (workspaceAccess.rows.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
+    }
+
+    const preferences = await notificationPreferences.getUserPreferences(userId, workspaceId);
+
+    res.json({
+      success: true,
+      data: preferences,
+      meta: {
+        notificationTypes: notificationPreferences.NOTIFICATION_TYPES,
+        severities: Object.keys(notificationPreferences.SEVERITY_ORDER),
+      },
+    });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notification preferences',
+      error: error.message,
+    });
+  }
+};
+
+// Update the current user's notification preferences for a workspace
+// Body: { workspaceId, preferences: [{ notification_type, email_enabled, in_app_enabled, min_severity, quiet_hours }] }
+// A single preference object may be sent instead of the preferences array.
+// Omitted fields are left as they are; null makes a type inherit the 'all' preference.
+const updateNotificationPreferences = async (req, res) => {
+  try {
+    const { workspaceId } = req.body;
+    const userId = req.user.id;
+    const updates = Array.isArray(req.body.preferences) ? req.body.preferences : [req.body];
+
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        message: 'workspaceId is required',
+      });
+    }
+
+    // Verify user has access to workspace
+    const workspaceAccess = await query(
+      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
+      [workspaceId, userId]
+    );
+
+    if (workspaceAccess.rows.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
+    }
+
+    for (const update of updates) {
+      const validationError = notificationPreferences.validatePreference(update);
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: validationError,
+        });
+      }
+    }
+
+    for (const update of updates) {
+      await notificationPreferences.savePreference(userId, workspaceId, update);
+    }
+
+    const preferences = await notificationPreferences.getUserPreferences(userId, workspaceId);
+
+    res.json({
+      success: true,
+      data: preferences,
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update notification preferences',
+      error: error.message,
+    });
+  }
+};
+
 // Get anomaly detection stats for workspace
 const getAnomalyStats = async (req, res) => {
   try {
@@ -414,5 +521,7 @@ module.exports = {
   markNotificationRead,
   markAllNotificationsRead,
   deleteNotification,
+  getNotificationPreferences,
+  updateNotificationPreferences,
   getAnomalyStats,
 };
@@ -1,6 +1,26 @@
-const { query } = require('../config/database');
-const { getPlatformService } = require('../services/platforms');
-const config = require('../config/config');
+const { query, transaction } = require('../config/database');
+const currency = require('../services/currency');
+const budgetPacing = require('../services/budgetPacing');
+const budgetMonitor = require('../services/budgetMonitor');
+const budgetReallocation = require('../services/budgetReallocation');
+const metricsStore = require('../services/metricsStore');
+const { ValidationError } = require('../utils/errors');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const hasWorkspaceAccess = async (workspaceId, userId) => {
+  const workspaceAccess = await query(
+    `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
+    [workspaceId, userId]
+  );
+  return workspaceAccess.rows.length > 0;
+};
+
+const validationResponse = (res, error) => res.status(400).json({
+  success: false,
+  message: error.message,
+  errors: error.errors,
+});
 
 // Helper function to calculate date ranges
 const getDateRange = (dateRangeType) => {
@@ -45,67 +65,6 @@ const getDateRange = (dateRangeType) => {
   return { since, until };
 };
 
-// Helper to fetch Meta Ads metrics
-async function fetchMetaAdsMetrics(accountId, accessToken, metric, since, until) {
-  const axios = require('axios');
-
-  const metricFields = {
-    spend: 'spend',
-    impressions: 'impressions',
-    clicks: 'clicks',
-    conversions: 'conversions',
-    ctr: 'ctr',
-    cpc: 'cpc',
-    cpm: 'cpm',
-  };
-
-  const field = metricFields[metric] || 'spend';
-
-  try {
-    const response = await axios.get(
-      `https://graph.facebook.com/v18.0/act_${accountId}/insights`,
-      {
-        params: {
-          access_token: accessToken,
-          fields: field,
-          time_range: JSON.stringify({ since, until }),
-          time_increment: 1,
-          level: 'account',
-        },
-      }
-    );
-
-    const data = response.data.data || [];
-    let totalValue = 0;
-    const timeSeries = [];
-
-    for (const item of data) {
-      const value = parseFloat(item[field] || 0);
-      totalValue += value;
-      if (item.date_start) {
-        timeSeries.push({
-          date: item.date_start,
-          value,
-        });
-      }
-    }
-
-    return {
-      value: totalValue,
-      label: metric,
-      timeSeries,
-      dateRange: { since, until },
-    };
-  } catch (error) {
-    console.error('Meta Ads metrics fetch error:', error.response?.data || error.message);
-    return {
-      value: 0,
-      label: metric,
-      error: error.message,
-    };
-  }
-}
-
 // Get budget configuration for an ad account
 const getBudgetConfig = async (req, res) => {
   try {
@@ -233,18 +192,18 @@ const updateBudgetConfig = async (req, res) => {
   }
 };
 
-// Get budget pacing data (current spend, projected spend, alerts)
+// Get budget pacing data (current spend, projected spend, alerts) for the
+// monthly budget of an ad account, from synced spend on any platform
 const getBudgetPacing = async (req, res) => {
   try {
     const { adAccountId } = req.params;
 
-    // Get account with budget info and OAuth token
+    // Get account with budget info and what spend lookups need
     const accountResult = await query(
-      `SELECT aa.id, aa.account_id, aa.account_name, aa.platform, aa.workspace_id, aa.currency,
-              aa.monthly_budget, aa.budget_start_date, aa.budget_alert_thresholds, aa.budget_alert_enabled,
-              ot.access_token
+      `SELECT aa.id, aa.account_id, aa.account_name, aa.platform, aa.workspace_id, aa.currency, aa.timezone,
+              aa.status, aa.monthly_budget, aa.budget_start_date, aa.budget_alert_thresholds, aa.budget_alert_enabled,
+              aa.oauth_token_id, aa.platform_credential_id, aa.needs_reauth
        FROM ad_accounts aa
-       LEFT JOIN oauth_tokens ot ON ot.workspace_id = aa.workspace_id AND ot.platform = aa.platform
        WHERE aa.id = $1`,
       [adAccountId]
     );
@@ -259,91 +218,47 @@ const getBudgetPacing = async (req, res) => {
     const account = accountResult.rows[0];
 
     // Verify user has access
-    const workspaceAccess = await query(
-      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
-      [account.workspace_id, req.user.id]
-    );
-
-    if (workspaceAccess.rows.length === 0) {
+    if (!(await hasWorkspaceAccess(account.workspace_id, req.user.id))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied',
       });
     }
 
-    // Calculate current month date range
-    const today = new Date();
-    const firstDayOfMonth = new Date(today.getFullYear(), today.getMonth(), 1);
-    const since = firstDayOfMonth.toISOString().split('T')[0];
-    const until = today.toISOString().split('T')[0];
-
-    // Fetch current spend for the month
-    let currentSpend = 0;
-    let dailySpendData = [];
-
-    if (account.access_token) {
-      try {
-        if (account.platform === 'meta') {
-          const metricsData = await fetchMetaAdsMetrics(
-            account.account_id,
-            account.access_token,
-            'spend',
-            since,
-            until
-          );
-          currentSpend = metricsData.value || 0;
-          dailySpendData = metricsData.timeSeries || [];
-        } else if (account.platform === 'google') {
-          const GoogleAdsService = getPlatformService('google');
-          const metricsData = await GoogleAdsService.fetchMetrics(
-            account.account_id,
-            account.access_token,
-            'spend',
-            since,
-            until,
-            config
-          );
-          currentSpend = metricsData.value || 0;
-          dailySpendData = metricsData.timeSeries || [];
-        }
-      } catch (error) {
-        console.error('Error fetching spend data:', error);
-      }
-    }
-
-    // Calculate budget pacing metrics
+    // Pace the current month (from budget_start_date when it falls inside it)
     const monthlyBudget = parseFloat(account.monthly_budget) || 0;
-    const spendPercentage = monthlyBudget > 0 ? (currentSpend / monthlyBudget) * 100 : 0;
-
-    // Calculate days in month and days passed
-    const lastDayOfMonth = new Date(today.getFullYear(), today.getMonth() + 1, 0);
-    const daysInMonth = lastDayOfMonth.getDate();
-    const daysPassed = today.getDate();
-    const daysRemaining = daysInMonth - daysPassed;
-    const monthProgress = (daysPassed / daysInMonth) * 100;
+    const { budget, members } = budgetPacing.accountMonthlyBudget(account);
+    const pacing = await budgetPacing.calculatePacing(budget, members);
+    const { period, spend, projection } = pacing;
 
-    // Calculate projected spend (simple linear projection)
-    const avgDailySpend = daysPassed > 0 ? currentSpend / daysPassed : 0;
-    const projectedMonthlySpend = avgDailySpend * daysInMonth;
+    const currentSpend = spend.total;
+    const spendPercentage = monthlyBudget > 0 ? (currentSpend / monthlyBudget) * 100 : 0;
+    const daysPassed = period.elapsedDays + 1;
+    const monthProgress = (daysPassed / period.totalDays) * 100;
 
     // Determine alert status
     const thresholds = account.budget_alert_thresholds || [80, 90, 100];
     let alertStatus = 'on_track';
     let alertLevel = null;
 
-    for (const threshold of thresholds.sort((a, b) => b - a)) {
+    for (const threshold of [...thresholds].sort((a, b) => b - a)) {
       if (spendPercentage >= threshold) {
-        alertStatus = threshold >= 100 ? 'exceeded' : threshold >= 90 ? 'critical' : 'warning';
+        alertStatus = budgetMonitor.alertStatus(threshold);
         alertLevel = threshold;
         break;
       }
     }
 
     // Check if spending is ahead of schedule
-    if (spendPercentage > monthProgress && alertStatus === 'on_track') {
+    if (alertStatus === 'on_track' && pacing.pacing.status === 'over_pacing') {
       alertStatus = 'ahead_of_pace';
     }
 
+    // Budget and spend are both in the account currency; convert the amounts for
+    // workspace-level totals
+    const converter = await currency.createConverter(account.workspace_id, [account.currency], period.today, period.today);
+    const convert = amount => converter.convert(amount, account.currency, period.today);
+
     // Check recent alerts
     const recentAlertsResult = await query(
       `SELECT * FROM budget_alerts
@@ -351,7 +266,7 @@ const getBudgetPacing = async (req, res) => {
        AND alert_date >= $2
        ORDER BY alert_date DESC, created_at DESC
        LIMIT 5`,
-      [adAccountId, since]
+      [adAccountId, period.startDate]
     );
 
     res.json({
@@ -368,18 +283,31 @@ const getBudgetPacing = async (req, res) => {
         spending: {
           current: currentSpend,
           percentage: spendPercentage,
-          projected: projectedMonthlySpend,
-          avgDaily: avgDailySpend,
-          dailyData: dailySpendData,
+          projected: projection.projectedSpend,
+          avgDaily: spend.averageDaily,
+          dailyData: spend.daily.map(day => ({ date: day.date, value: day.spend })),
+        },
+        converted: {
+          currency: converter.currency,
+          monthlyBudget: convert(monthlyBudget),
+          current: convert(currentSpend),
+          projected: convert(projection.projectedSpend),
+          avgDaily: convert(spend.averageDaily),
+          fx: converter.describe(),
         },
         period: {
-          since,
-          until,
-          daysInMonth,
+          since: period.startDate,
+          until: period.today,
+          daysInMonth: period.totalDays,
           daysPassed,
-          daysRemaining,
+          daysRemaining: period.totalDays - daysPassed,
           monthProgress,
         },
+        pacing: {
+          ...pacing.pacing,
+          projection,
+          recommended: pacing.recommended,
+        },
         alert: {
           status: alertStatus,
           level: alertLevel,
@@ -399,6 +327,87 @@ const getBudgetPacing = async (req, res) => {
   }
 };
 
+// Get the daily spend snapshots of an ad account (written by the budget monitor job)
+// Query: startDate, endDate (default: the last 90 days)
+const getBudgetHistory = async (req, res) => {
+  try {
+    const { adAccountId } = req.params;
+    const { startDate, endDate } = req.query;
+
+    const accountResult = await query(
+      `SELECT aa.id, aa.account_name, aa.platform, aa.workspace_id, aa.currency, aa.monthly_budget
+       FROM ad_accounts aa
+       WHERE aa.id = $1`,
+      [adAccountId]
+    );
+
+    if (accountResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ad account not found',
+      });
+    }
+
+    const account = accountResult.rows[0];
+
+    if (!(await hasWorkspaceAccess(account.workspace_id, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
+    }
+
+    const until = endDate || metricsStore.toDateString(new Date());
+    const since = startDate || metricsStore.addDays(until, -89);
+
+    if (!DATE_PATTERN.test(since) || !DATE_PATTERN.test(until) || since > until) {
+      return res.status(400).json({
+        success: false,
+        message: 'startDate and endDate must be YYYY-MM-DD with startDate on or before endDate',
+      });
+    }
+
+    const snapshotsResult = await query(
+      `SELECT snapshot_date, daily_spend, cumulative_spend, projected_monthly_spend,
+              budget_amount, period_start, pacing_status, currency
+       FROM daily_spend_snapshots
+       WHERE ad_account_id = $1 AND snapshot_date BETWEEN $2 AND $3
+       ORDER BY snapshot_date ASC`,
+      [adAccountId, since, until]
+    );
+
+    const toNumber = value => (value === null ? null : parseFloat(value));
+
+    res.json({
+      success: true,
+      data: {
+        accountId: account.id,
+        accountName: account.account_name,
+        platform: account.platform,
+        currency: account.currency,
+        monthlyBudget: toNumber(account.monthly_budget),
+        series: snapshotsResult.rows.map(row => ({
+          date: metricsStore.toDateString(new Date(row.snapshot_date)),
+          dailySpend: toNumber(row.daily_spend),
+          cumulativeSpend: toNumber(row.cumulative_spend),
+          projectedMonthlySpend: toNumber(row.projected_monthly_spend),
+          budgetAmount: toNumber(row.budget_amount),
+          periodStart: row.period_start ? metricsStore.toDateString(new Date(row.period_start)) : null,
+          pacingStatus: row.pacing_status,
+        })),
+      },
+      dateRange: { startDate: since, endDate: until },
+    });
+  } catch (error) {
+    console.error('Get budget history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch budget history',
+      error: error.message,
+    });
+  }
+};
+
 // Get budget alerts history
 const getBudgetAlerts = async (req, res) => {
   try {
@@ -504,10 +513,396 @@ const acknowledgeBudgetAlert = async (req, res) => {
   }
 };
 
+/**
+ * Members of a budget as returned by the API
+ */
+const formatMembers = members => members.map(member => ({
+  ad_account_id: member.ad_account_id,
+  account_name: member.account_name,
+  platform: member.platform,
+  currency: member.currency,
+  campaign_id: member.campaign_id,
+  campaign_name: member.campaign_name,
+}));
+
+/**
+ * Store the members of a budget, replacing the current ones
+ */
+const saveMembers = async (client, budgetId, members) => {
+  await client.query('DELETE FROM budget_members WHERE budget_id = $1', [budgetId]);
+  for (const member of members) {
+    await client.query(
+      `INSERT INTO budget_members (budget_id, ad_account_id, campaign_id) VALUES ($1, $2, $3)`,
+      [budgetId, member.adAccountId, member.campaignId]
+    );
+  }
+};
+
+/**
+ * Load a budget with its members, or null
+ */
+const loadBudget = async (budgetId) => {
+  const budgetResult = await query(`SELECT * FROM budgets WHERE id = $1`, [budgetId]);
+  if (budgetResult.rows.length === 0) return null;
+
+  const budget = budgetResult.rows[0];
+  const members = await budgetPacing.getBudgetMembers([budget.id]);
+  return { budget, members: members.get(budget.id) };
+};
+
+/**
+ * Get the budgets of a workspace with a pacing summary each
+ * GET /api/budget/workspaces/:workspaceId/budgets
+ */
+const getBudgets = async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+
+    if (!(await hasWorkspaceAccess(workspaceId, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
+    }
+
+    const result = await query(
+      `SELECT b.*, u.username as created_by_name
+       FROM budgets b
+       LEFT JOIN users u ON u.id = b.created_by
+       WHERE b.workspace_id = $1
+       ORDER BY b.name`,
+      [workspaceId]
+    );
+
+    const members = await budgetPacing.getBudgetMembers(result.rows.map(row => row.id));
+    const budgets = [];
+
+    for (const budget of result.rows) {
+      const budgetMembers = members.get(budget.id);
+      let pacing = null;
+
+      try {
+        const full = await budgetPacing.calculatePacing(budget, budgetMembers);
+        pacing = {
+          status: full.pacing.status,
+          startDate: full.period.startDate,
+          endDate: full.period.endDate,
+          spent: full.spend.total,
+          percentage: full.spend.percentage,
+          projectedSpend: full.projection.projectedSpend,
+          pacingRatio: full.pacing.pacingRatio,
+          recommendedDaily: full.recommended?.dailyAverage ?? null,
+        };
+      } catch (error) {
+        console.error(`Budget pacing failed for budget ${budget.id}:`, error.message);
+      }
+
+      budgets.push({
+        ...budget,
+        scope: budgetPacing.getBudgetScope(budgetMembers),
+        members: formatMembers(budgetMembers),
+        pacing,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: budgets,
+    });
+  } catch (error) {
+    console.error('Get budgets error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch budgets',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get a budget with its members and full pacing: spend per day and member,
+ * day-of-week weighted projection and the recommended daily spend
+ * GET /api/budget/budgets/:budgetId
+ */
+const getBudget = async (req, res) => {
+  try {
+    const { budgetId } = req.params;
+
+    const loaded = await loadBudget(budgetId);
+
+    if (!loaded) {
+      return res.status(404).json({
+        success: false,
+        message: 'Budget not found',
+      });
+    }
+
+    const { budget, members } = loaded;
+
+    if (!(await hasWorkspaceAccess(budget.workspace_id, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
+    }
+
+    const pacing = await budgetPacing.calculatePacing(budget, members);
+
+    const alertsResult = await query(
+      `SELECT * FROM budget_alerts
+       WHERE budget_id = $1
+       ORDER BY alert_date DESC, created_at DESC
+       LIMIT 5`,
+      [budgetId]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        ...budget,
+        scope: budgetPacing.getBudgetScope(members),
+        members: formatMembers(members),
+        pacing,
+        alerts: alertsResult.rows,
+      },
+    });
+  } catch (error) {
+    console.error('Get budget error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch budget',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Create a budget
+ * POST /api/budget/workspaces/:workspaceId/budgets
+ * Body: { name, periodType, amount, startDate, endDate, alertThresholds, alertEnabled,
+ *         members: [{ adAccountId, campaignId }] }
+ */
+const createBudget = async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+
+    if (!(await hasWorkspaceAccess(workspaceId, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
+    }
+
+    const definition = await budgetPacing.validateBudget(workspaceId, req.body);
+
+    const budgetId = await transaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO budgets (
+          workspace_id, name, period_type, amount, currency, start_date, end_date,
+          alert_thresholds, alert_enabled, created_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING id`,
+        [
+          workspaceId,
+          definition.name,
+          definition.periodType,
+          definition.amount,
+          definition.currency,
+          definition.startDate,
+          definition.endDate,
+          JSON.stringify(definition.alertThresholds),
+          definition.alertEnabled,
+          req.user.id,
+        ]
+      );
+
+      await saveMembers(client, result.rows[0].id, definition.members);
+      return result.rows[0].id;
+    });
+
+    const { budget, members } = await loadBudget(budgetId);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...budget,
+        scope: budgetPacing.getBudgetScope(members),
+        members: formatMembers(members),
+      },
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) return validationResponse(res, error);
+
+    console.error('Create budget error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create budget',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update a budget; members are replaced when sent
+ * PUT /api/budget/budgets/:budgetId
+ */
+const updateBudget = async (req, res) => {
+  try {
+    const { budgetId } = req.params;
+
+    const loaded = await loadBudget(budgetId);
+
+    if (!loaded) {
+      return res.status(404).json({
+        success: false,
+        message: 'Budget not found',
+      });
+    }
+
+    const { budget: existing } = loaded;
+
+    if (!(await hasWorkspaceAccess(existing.workspace_id, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
+    }
+
+    const definition = await budgetPacing.validateBudget(existing.workspace_id, req.body, existing);
+
+    await transaction(async (client) => {
+      await client.query(
+        `UPDATE budgets
+         SET name = $1, period_type = $2, amount = $3, currency = $4, start_date = $5, end_date = $6,
+             alert_thresholds = $7, alert_enabled = $8
+         WHERE id = $9`,
+        [
+          definition.name,
+          definition.periodType,
+          definition.amount,
+          definition.currency,
+          definition.startDate,
+          definition.endDate,
+          JSON.stringify(definition.alertThresholds),
+          definition.alertEnabled,
+          budgetId,
+        ]
+      );
+
+      if (req.body.members !== undefined) {
+        await saveMembers(client, budgetId, definition.members);
+      }
+    });
+
+    const { budget, members } = await loadBudget(budgetId);
+
+    res.json({
+      success: true,
+      data: {
+        ...budget,
+        scope: budgetPacing.getBudgetScope(members),
+        members: formatMembers(members),
+      },
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) return validationResponse(res, error);
+
+    console.error('Update budget error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update budget',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete a budget
+ * DELETE /api/budget/budgets/:budgetId
+ */
+const deleteBudget = async (req, res) => {
+  try {
+    const { budgetId } = req.params;
+
+    const budgetResult = await query(`SELECT workspace_id FROM budgets WHERE id = $1`, [budgetId]);
+
+    if (budgetResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Budget not found',
+      });
+    }
+
+    if (!(await hasWorkspaceAccess(budgetResult.rows[0].workspace_id, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
+    }
+
+    await query('DELETE FROM budgets WHERE id = $1', [budgetId]);
+
+    res.json({
+      success: true,
+      message: 'Budget deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete budget error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete budget',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Recommend how to split a total budget across the platforms and ad accounts
+ * of a workspace, from diminishing-returns curves fitted to their history
+ * POST /api/budget/workspaces/:workspaceId/reallocation
+ * Body: { totalBudget, days, objective, targetCpa, targetRoas, lookbackDays,
+ *         platforms: { meta: { min, max }, ... }, adAccountIds }
+ */
+const getReallocation = async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+
+    if (!(await hasWorkspaceAccess(workspaceId, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
+    }
+
+    const recommendation = await budgetReallocation.recommendSplit(workspaceId, req.body);
+
+    res.json({
+      success: true,
+      data: recommendation,
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) return validationResponse(res, error);
+
+    console.error('Budget reallocation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to recommend a budget split',
+      error: error.message,
+    });
+  }
+};
+
 module.exports = {
   getBudgetConfig,
   updateBudgetConfig,
   getBudgetPacing,
+  getBudgetHistory,
   getBudgetAlerts,
   acknowledgeBudgetAlert,
+  getBudgets,
+  getBudget,
+  createBudget,
+  updateBudget,
+  deleteBudget,
+  getReallocation,
 };
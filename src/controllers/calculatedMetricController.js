@@ -0,0 +1,354 @@
+/**
+ * Calculated Metric Controller
+ * Handles workspace-level formula metrics (referenced as calc:<key>)
+ */
+
+const { query } = require('../config/database');
+const calculatedMetrics = require('../services/calculatedMetrics');
+const { ValidationError } = require('../utils/errors');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const hasWorkspaceAccess = async (workspaceId, userId) => {
+  const workspaceAccess = await query(
+    `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
+    [workspaceId, userId]
+  );
+  return workspaceAccess.rows.length > 0;
+};
+
+const validationResponse = (res, error) => res.status(400).json({
+  success: false,
+  message: error.message,
+  errors: error.errors,
+});
+
+/**
+ * Get all calculated metrics for a workspace
+ */
+const getCalculatedMetrics = async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+
+    if (!(await hasWorkspaceAccess(workspaceId, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
+    }
+
+    const result = await query(
+      `SELECT cm.*, u.username as created_by_name
+       FROM calculated_metrics cm
+       LEFT JOIN users u ON u.id = cm.created_by
+       WHERE cm.workspace_id = $1
+       ORDER BY cm.name`,
+      [workspaceId]
+    );
+
+    res.json({
+      success: true,
+      data: result.rows.map(row => ({ ...row, metric: `${calculatedMetrics.CALCULATED_PREFIX}${row.key}` })),
+    });
+  } catch (error) {
+    console.error('Get calculated metrics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch calculated metrics',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get a single calculated metric
+ */
+const getCalculatedMetric = async (req, res) => {
+  try {
+    const { metricId } = req.params;
+
+    const result = await query(
+      `SELECT * FROM calculated_metrics WHERE id = $1`,
+      [metricId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calculated metric not found',
+      });
+    }
+
+    const metric = result.rows[0];
+
+    if (!(await hasWorkspaceAccess(metric.workspace_id, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
+    }
+
+    const usages = await calculatedMetrics.findUsages(metric.workspace_id, metric.key);
+
+    res.json({
+      success: true,
+      data: {
+        ...metric,
+        metric: `${calculatedMetrics.CALCULATED_PREFIX}${metric.key}`,
+        usages,
+      },
+    });
+  } catch (error) {
+    console.error('Get calculated metric error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch calculated metric',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Create a calculated metric
+ */
+const createCalculatedMetric = async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+
+    if (!(await hasWorkspaceAccess(workspaceId, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
+    }
+
+    const definition = await calculatedMetrics.validateDefinition(workspaceId, req.body);
+
+    const existing = await calculatedMetrics.getDefinitions(workspaceId, [definition.key]);
+    if (existing.size > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `A calculated metric with key "${definition.key}" already exists`,
+      });
+    }
+
+    const result = await query(
+      `INSERT INTO calculated_metrics (
+        workspace_id, key, name, description, formula, inputs, format, decimals, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *`,
+      [
+        workspaceId,
+        definition.key,
+        definition.name,
+        definition.description,
+        definition.formula,
+        JSON.stringify(definition.inputs),
+        definition.format,
+        definition.decimals,
+        req.user.id,
+      ]
+    );
+
+    res.status(201).json({
+      success: true,
+      data: { ...result.rows[0], metric: `${calculatedMetrics.CALCULATED_PREFIX}${definition.key}` },
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) return validationResponse(res, error);
+
+    console.error('Create calculated metric error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create calculated metric',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update a calculated metric (its key cannot change, so references stay valid)
+ */
+const updateCalculatedMetric = async (req, res) => {
+  try {
+    const { metricId } = req.params;
+
+    const metricResult = await query(
+      `SELECT * FROM calculated_metrics WHERE id = $1`,
+      [metricId]
+    );
+
+    if (metricResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calculated metric not found',
+      });
+    }
+
+    const metric = metricResult.rows[0];
+
+    if (!(await hasWorkspaceAccess(metric.workspace_id, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
+    }
+
+    if (req.body.key !== undefined && req.body.key !== metric.key) {
+      return res.status(400).json({
+        success: false,
+        message: 'The key of a calculated metric cannot be changed',
+      });
+    }
+
+    const definition = await calculatedMetrics.validateDefinition(metric.workspace_id, req.body, metric);
+
+    const result = await query(
+      `UPDATE calculated_metrics
+       SET name = $1, description = $2, formula = $3, inputs = $4, format = $5, decimals = $6
+       WHERE id = $7
+       RETURNING *`,
+      [
+        definition.name,
+        definition.description,
+        definition.formula,
+        JSON.stringify(definition.inputs),
+        definition.format,
+        definition.decimals,
+        metricId,
+      ]
+    );
+
+    res.json({
+      success: true,
+      data: { ...result.rows[0], metric: `${calculatedMetrics.CALCULATED_PREFIX}${metric.key}` },
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) return validationResponse(res, error);
+
+    console.error('Update calculated metric error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update calculated metric',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete a calculated metric that nothing uses any more
+ */
+const deleteCalculatedMetric = async (req, res) => {
+  try {
+    const { metricId } = req.params;
+
+    const metricResult = await query(
+      `SELECT * FROM calculated_metrics WHERE id = $1`,
+      [metricId]
+    );
+
+    if (metricResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calculated metric not found',
+      });
+    }
+
+    const metric = metricResult.rows[0];
+
+    if (!(await hasWorkspaceAccess(metric.workspace_id, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
+    }
+
+    const usages = await calculatedMetrics.findUsages(metric.workspace_id, metric.key);
+    if (usages.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Calculated metric is still in use',
+        usages,
+      });
+    }
+
+    await query('DELETE FROM calculated_metrics WHERE id = $1', [metricId]);
+
+    res.json({
+      success: true,
+      message: 'Calculated metric deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete calculated metric error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete calculated metric',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Evaluate a formula without saving it
+ * Body: { formula, inputs, startDate, endDate, platform, adAccountIds }
+ */
+const previewCalculatedMetric = async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+    const { startDate, endDate, platform, adAccountIds } = req.body;
+
+    if (!(await hasWorkspaceAccess(workspaceId, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
+    }
+
+    if (!DATE_PATTERN.test(startDate || '') || !DATE_PATTERN.test(endDate || '') || startDate > endDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'startDate and endDate (YYYY-MM-DD, startDate <= endDate) are required',
+      });
+    }
+
+    const definition = await calculatedMetrics.validateDefinition(workspaceId, {
+      key: 'preview',
+      name: 'Preview',
+      ...req.body,
+    });
+
+    const { totals, series } = await calculatedMetrics.computeMetrics(workspaceId, ['preview'], startDate, endDate, {
+      filters: { platform, adAccountIds },
+      compiled: new Map([['preview', calculatedMetrics.compileDefinition(definition)]]),
+    });
+
+    res.json({
+      success: true,
+      data: {
+        value: totals.preview,
+        format: definition.format,
+        decimals: definition.decimals,
+        dateRange: { since: startDate, until: endDate },
+        timeSeries: series.map(day => ({ date: day.date, value: day.preview })),
+      },
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) return validationResponse(res, error);
+
+    console.error('Preview calculated metric error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to evaluate calculated metric',
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getCalculatedMetrics,
+  getCalculatedMetric,
+  createCalculatedMetric,
+  updateCalculatedMetric,
+  deleteCalculatedMetric,
+  previewCalculatedMetric,
+};
@@ -0,0 +1,145 @@
+/**
+ * Conversion Settings Controller
+ * Handles which conversion actions and attribution windows an ad account counts
+ */
+
+const { query } = require('../config/database');
+const Workspace = require('../models/Workspace');
+const conversions = require('../services/platforms/conversions');
+const platformSync = require('../services/platformSync');
+const { ValidationError } = require('../utils/errors');
+
+const findAccount = async (accountId, userId) => {
+  const result = await query(
+    `SELECT aa.*
+     FROM ad_accounts aa
+     JOIN workspace_members wm ON wm.workspace_id = aa.workspace_id
+     WHERE aa.id = $1 AND wm.user_id = $2`,
+    [accountId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+const formatSettings = (account) => {
+  const definition = conversions.fromAccount(account);
+  return {
+    accountId: account.id,
+    platform: account.platform,
+    conversionActions: definition.actions,
+    clickAttributionDays: definition.clickDays,
+    viewAttributionDays: definition.viewDays,
+    updatedAt: account.conversion_settings_updated_at,
+    definition: conversions.describeConversions(account.platform, definition),
+    options: conversions.getConversionOptions(account.platform),
+  };
+};
+
+/**
+ * Get the conversion settings of an ad account, with what its platform supports
+ * GET /api/oauth/accounts/:accountId/conversion-settings
+ */
+const getConversionSettings = async (req, res) => {
+  try {
+    const account = await findAccount(req.params.accountId, req.user.id);
+
+    if (!account) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to this account',
+      });
+    }
+
+    if (!conversions.getConversionOptions(account.platform)) {
+      return res.status(400).json({
+        success: false,
+        message: `${account.platform} accounts have no conversion settings`,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatSettings(account),
+    });
+  } catch (error) {
+    console.error('Get conversion settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch conversion settings',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update the conversion settings of an ad account (owners and admins)
+ * Synced metrics are pulled again with the new definition by a full sync.
+ * PUT /api/oauth/accounts/:accountId/conversion-settings
+ * Body: { conversionActions, clickAttributionDays, viewAttributionDays } (null = platform default)
+ */
+const updateConversionSettings = async (req, res) => {
+  try {
+    const account = await findAccount(req.params.accountId, req.user.id);
+
+    if (!account) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to this account',
+      });
+    }
+
+    if (!(await Workspace.hasAdminAccess(account.workspace_id, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only workspace owners and admins can change conversion settings',
+      });
+    }
+
+    const settings = conversions.validateConversionSettings(account.platform, req.body);
+
+    const result = await query(
+      `UPDATE ad_accounts
+       SET conversion_actions = $1,
+           click_attribution_days = $2,
+           view_attribution_days = $3,
+           conversion_settings_updated_at = NOW()
+       WHERE id = $4
+       RETURNING *`,
+      [settings.conversionActions, settings.clickAttributionDays, settings.viewAttributionDays, account.id]
+    );
+
+    const updated = result.rows[0];
+    const resync = platformSync.SYNCABLE_PLATFORMS.includes(updated.platform)
+      && updated.status === 'active' && !updated.needs_reauth;
+
+    res.json({
+      success: true,
+      data: { ...formatSettings(updated), resync },
+    });
+
+    // Runs after the response; stored conversions are restated over the full sync window
+    if (resync) {
+      platformSync.syncAccount(updated, { jobType: 'full' })
+        .catch(error => console.error('Conversion settings resync error:', error));
+    }
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.errors,
+      });
+    }
+
+    console.error('Update conversion settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update conversion settings',
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getConversionSettings,
+  updateConversionSettings,
+};
@@ -0,0 +1,308 @@
+/**
+ * Currency Controller
+ * Handles the workspace reporting currency and its imported FX rates
+ */
+
+const multer = require('multer');
+const { query } = require('../config/database');
+const Workspace = require('../models/Workspace');
+const CustomDataParser = require('../services/customDataParser');
+const currency = require('../services/currency');
+const { ValidationError } = require('../utils/errors');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_RATES_PAGE = 1000;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (['text/csv', 'application/csv', 'text/plain'].includes(file.mimetype) || /\.csv$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only CSV files are allowed.'));
+    }
+  },
+});
+
+// Accept either a multipart "file" field or a JSON { csv } body
+const uploadRatesFile = (req, res, next) => {
+  if (!req.is('multipart/form-data')) return next();
+
+  upload.single('file')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message: err.code === 'LIMIT_FILE_SIZE' ? 'File too large. Maximum file size is 5MB.' : err.message,
+      });
+    }
+    next();
+  });
+};
+
+const hasWorkspaceAccess = async (workspaceId, userId) => {
+  const workspaceAccess = await query(
+    `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
+    [workspaceId, userId]
+  );
+  return workspaceAccess.rows.length > 0;
+};
+
+/**
+ * Get the reporting currency, the currencies of connected accounts and the
+ * FX rate coverage for each of them
+ * GET /api/workspaces/:id/currency
+ */
+const getCurrencySettings = async (req, res) => {
+  try {
+    const { id: workspaceId } = req.params;
+
+    if (!(await hasWorkspaceAccess(workspaceId, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
+    }
+
+    const reportingCurrency = await currency.getReportingCurrency(workspaceId);
+
+    const [accountsResult, coverageResult] = await Promise.all([
+      query(
+        `SELECT id, platform, account_id, account_name, currency
+         FROM ad_accounts
+         WHERE workspace_id = $1 AND status = 'active'
+         ORDER BY platform, account_name`,
+        [workspaceId]
+      ),
+      query(
+        `SELECT base_currency, quote_currency,
+                MIN(rate_date)::text AS first_date, MAX(rate_date)::text AS last_date, COUNT(*)::int AS days
+         FROM fx_rates
+         WHERE workspace_id = $1
+         GROUP BY base_currency, quote_currency
+         ORDER BY base_currency, quote_currency`,
+        [workspaceId]
+      ),
+    ]);
+
+    const pairs = coverageResult.rows.map(row => ({
+      base: row.base_currency,
+      quote: row.quote_currency,
+      firstDate: row.first_date,
+      lastDate: row.last_date,
+      days: row.days,
+    }));
+
+    // Direct or inverse pairs only; pivot conversions are resolved per day at query time
+    const hasRates = (code) => pairs.some(pair =>
+      (pair.base === code && pair.quote === reportingCurrency) ||
+      (pair.base === reportingCurrency && pair.quote === code));
+
+    res.json({
+      success: true,
+      data: {
+        reportingCurrency,
+        accounts: accountsResult.rows.map(account => {
+          const code = currency.normalizeCurrency(account.currency);
+          return {
+            ...account,
+            currency: code,
+            needsConversion: Boolean(code) && code !== reportingCurrency,
+            hasDirectRates: !code || code === reportingCurrency || hasRates(code),
+          };
+        }),
+        rates: pairs,
+      },
+    });
+  } catch (error) {
+    console.error('Get currency settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch currency settings',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Change the reporting currency (owners and admins)
+ * PUT /api/workspaces/:id/currency
+ * Body: { reportingCurrency }
+ */
+const updateReportingCurrency = async (req, res) => {
+  try {
+    const { id: workspaceId } = req.params;
+
+    if (!(await Workspace.hasAdminAccess(workspaceId, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only workspace owners and admins can change the reporting currency',
+      });
+    }
+
+    const reportingCurrency = currency.normalizeCurrency(req.body.reportingCurrency);
+    if (!reportingCurrency) {
+      return res.status(400).json({
+        success: false,
+        message: 'reportingCurrency must be a three-letter ISO 4217 code',
+      });
+    }
+
+    await query(
+      `UPDATE workspaces SET reporting_currency = $1 WHERE id = $2`,
+      [reportingCurrency, workspaceId]
+    );
+
+    res.json({
+      success: true,
+      data: { reportingCurrency },
+    });
+  } catch (error) {
+    console.error('Update reporting currency error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update reporting currency',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * List imported FX rates
+ * GET /api/workspaces/:id/fx-rates?base=EUR&quote=USD&startDate=&endDate=&limit=
+ */
+const getFxRates = async (req, res) => {
+  try {
+    const { id: workspaceId } = req.params;
+    const { base, quote, startDate, endDate } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 200, MAX_RATES_PAGE);
+
+    if (!(await hasWorkspaceAccess(workspaceId, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
+    }
+
+    if ((startDate && !DATE_PATTERN.test(startDate)) || (endDate && !DATE_PATTERN.test(endDate))) {
+      return res.status(400).json({
+        success: false,
+        message: 'startDate and endDate must be YYYY-MM-DD',
+      });
+    }
+
+    const conditions = ['workspace_id = $1'];
+    const params = [workspaceId];
+
+    if (base) {
+      params.push(currency.normalizeCurrency(base));
+      conditions.push(`base_currency = $${params.length}`);
+    }
+    if (quote) {
+      params.push(currency.normalizeCurrency(quote));
+      conditions.push(`quote_currency = $${params.length}`);
+    }
+    if (startDate) {
+      params.push(startDate);
+      conditions.push(`rate_date >= $${params.length}`);
+    }
+    if (endDate) {
+      params.push(endDate);
+      conditions.push(`rate_date <= $${params.length}`);
+    }
+
+    params.push(limit);
+    const result = await query(
+      `SELECT rate_date::text AS date, base_currency AS base, quote_currency AS quote,
+              rate::float AS rate, source, updated_at
+       FROM fx_rates
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY rate_date DESC, base_currency, quote_currency
+       LIMIT $${params.length}`,
+      params
+    );
+
+    res.json({
+      success: true,
+      data: result.rows,
+    });
+  } catch (error) {
+    console.error('Get FX rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch FX rates',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Import daily FX rates from CSV (owners and admins)
+ * POST /api/workspaces/:id/fx-rates/import
+ * Multipart "file" field, or JSON body { csv }
+ * Columns: date, base, quote, rate (1 base = rate quote)
+ */
+const importFxRates = async (req, res) => {
+  try {
+    const { id: workspaceId } = req.params;
+
+    if (!(await Workspace.hasAdminAccess(workspaceId, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only workspace owners and admins can import FX rates',
+      });
+    }
+
+    const buffer = req.file ? req.file.buffer
+      : (typeof req.body.csv === 'string' && req.body.csv.trim() ? Buffer.from(req.body.csv) : null);
+
+    if (!buffer) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a CSV file or send its contents as "csv"',
+      });
+    }
+
+    let parsed;
+    try {
+      parsed = await CustomDataParser.parseCSV(buffer, req.file?.originalname || 'fx-rates.csv');
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: parseError.message,
+      });
+    }
+
+    const summary = await currency.importRates(workspaceId, parsed.rows);
+
+    res.json({
+      success: true,
+      data: summary,
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.errors,
+      });
+    }
+
+    console.error('Import FX rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import FX rates',
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  uploadRatesFile,
+  getCurrencySettings,
+  updateReportingCurrency,
+  getFxRates,
+  importFxRates,
+};
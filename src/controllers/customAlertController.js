@@ -4,6 +4,60 @@
  */
 
 const { query } = require('../config/database');
+const alertRuleEvaluator = require('../services/alertRuleEvaluator');
+const calculatedMetrics = require('../services/calculatedMetrics');
+const { getChannelAdapter, getSupportedChannels } = require('../services/channels');
+
+const VALID_FREQUENCIES = ['immediate', 'hourly', 'daily'];
+
+/**
+ * Validate conditions, frequency and cooldown from a request body
+ * Calculated metrics in the conditions must exist in the workspace.
+ *
+ * @returns {Promise<string|null>} Error message, or null when valid
+ */
+const validateRuleInput = async ({ conditions, alert_channels, frequency, cooldown_minutes }, workspaceId) => {
+  if (conditions !== undefined) {
+    let tree;
+    try {
+      tree = alertRuleEvaluator.parseConditions(conditions);
+    } catch (error) {
+      return `Invalid conditions: ${error.message}`;
+    }
+
+    const unknown = await calculatedMetrics.findUnknownMetrics(workspaceId, alertRuleEvaluator.collectMetrics(tree));
+    if (unknown.length > 0) {
+      return `Invalid conditions: unknown calculated metric(s) ${unknown.join(', ')}`;
+    }
+  }
+
+  if (alert_channels !== undefined) {
+    if (!Array.isArray(alert_channels)) {
+      return 'alert_channels must be an array';
+    }
+    for (const channel of alert_channels) {
+      if (channel.type === 'in-app') continue;
+      if (!getSupportedChannels().includes(channel.type)) {
+        return `Unsupported alert channel "${channel.type}"`;
+      }
+      const configError = getChannelAdapter(channel.type).validateConfig(channel.config || {});
+      if (configError) return configError;
+    }
+  }
+
+  if (frequency !== undefined && !VALID_FREQUENCIES.includes(frequency)) {
+    return `Invalid frequency. Must be one of: ${VALID_FREQUENCIES.join(', ')}`;
+  }
+
+  if (cooldown_minutes !== undefined && cooldown_minutes !== null) {
+    const cooldown = parseInt(cooldown_minutes);
+    if (Number.isNaN(cooldown) || cooldown < 0 || cooldown > 10080) {
+      return 'cooldown_minutes must be between 0 and 10080';
+    }
+  }
+
+  return null;
+};
 
 /**
  * Get all custom alert rules for a workspace
@@ -111,6 +165,7 @@ const createCustomAlert = async (req, res) => {
       conditions,
       alert_channels,
       frequency,
+      cooldown_minutes,
     } = req.body;
 
     // Verify workspace access
@@ -134,11 +189,19 @@ const createCustomAlert = async (req, res) => {
       });
     }
 
+    const validationError = await validateRuleInput(req.body, workspaceId);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+      });
+    }
+
     const result = await query(
       `INSERT INTO custom_alert_rules (
         workspace_id, name, description, conditions, alert_channels,
-        frequency, created_by
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+        frequency, cooldown_minutes, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
       RETURNING *`,
       [
         workspaceId,
@@ -147,6 +210,7 @@ const createCustomAlert = async (req, res) => {
         JSON.stringify(conditions),
         JSON.stringify(alert_channels || [{ type: 'in-app', config: {} }]),
         frequency || 'immediate',
+        cooldown_minutes ?? null,
         req.user.id,
       ]
     );
@@ -208,9 +272,18 @@ const updateCustomAlert = async (req, res) => {
       'conditions',
       'alert_channels',
       'frequency',
+      'cooldown_minutes',
       'is_active',
     ];
 
+    const validationError = await validateRuleInput(updates, alert.workspace_id);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+      });
+    }
+
     const updateFields = [];
     const values = [];
     let paramIndex = 1;
@@ -310,10 +383,77 @@ const deleteCustomAlert = async (req, res) => {
   }
 };
 
+/**
+ * Test a custom alert rule against current metrics without sending anything
+ * Optional body.conditions evaluates a draft condition tree instead of the saved one.
+ */
+const testCustomAlert = async (req, res) => {
+  try {
+    const { alertId } = req.params;
+
+    const alertResult = await query(
+      `SELECT * FROM custom_alert_rules WHERE id = $1`,
+      [alertId]
+    );
+
+    if (alertResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Custom alert not found',
+      });
+    }
+
+    const alert = alertResult.rows[0];
+
+    // Verify workspace access
+    const workspaceAccess = await query(
+      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
+      [alert.workspace_id, req.user.id]
+    );
+
+    if (workspaceAccess.rows.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
+    }
+
+    const rule = req.body?.conditions ? { ...alert, conditions: req.body.conditions } : alert;
+
+    const validationError = await validateRuleInput({ conditions: rule.conditions }, alert.workspace_id);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+      });
+    }
+
+    const evaluation = await alertRuleEvaluator.evaluateRule(rule);
+
+    res.json({
+      success: true,
+      data: {
+        ...evaluation,
+        wouldTrigger: evaluation.result && !alertRuleEvaluator.isInCooldown(alert),
+        inCooldown: alertRuleEvaluator.isInCooldown(alert),
+        lastTriggeredAt: alert.last_triggered_at,
+      },
+    });
+  } catch (error) {
+    console.error('Test custom alert error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to test custom alert',
+      error: error.message,
+    });
+  }
+};
+
 module.exports = {
   getCustomAlerts,
   getCustomAlert,
   createCustomAlert,
   updateCustomAlert,
   deleteCustomAlert,
+  testCustomAlert,
 };
@@ -1,6 +1,10 @@
 const Dashboard = require('../models/Dashboard');
 const Workspace = require('../models/Workspace');
 const widgetDataService = require('../services/widgetDataService');
+const { normalizeComparison } = require('../services/comparisonPeriod');
+const { WIDGET_TYPES, WIDGET_DIMENSIONS, validateWidgetConfig, buildWidgetConfig } = require('../services/widgetRegistry');
+const calculatedMetrics = require('../services/calculatedMetrics');
+const { ValidationError } = require('../utils/errors');
 const { startAIAnalysisJob, getJobStatus } = require('../services/backgroundJobs');
 const crypto = require('crypto');
 
@@ -75,6 +79,50 @@ const getDashboard = async (req, res) => {
   }
 };
 
+// Get data for every widget of a dashboard (one platform request per ad account)
+const getDashboardData = async (req, res) => {
+  try {
+    const { dashboardId } = req.params;
+    const { dateRange, startDate, endDate } = req.query;
+
+    const dashboard = await Dashboard.getWithWidgets(dashboardId);
+
+    if (!dashboard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dashboard not found',
+      });
+    }
+
+    // Verify user has access to workspace
+    const workspaces = await Workspace.findByUserId(req.user.id);
+    const hasAccess = workspaces.some(w => w.id === dashboard.workspace_id);
+
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to this dashboard',
+      });
+    }
+
+    // Without a range in the query each widget uses its own
+    const range = startDate && endDate ? { startDate, endDate } : (dateRange || null);
+    const data = await widgetDataService.fetchWidgetsData(dashboard.widgets, range);
+
+    res.json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    console.error('Get dashboard data error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch dashboard data',
+      error: error.message,
+    });
+  }
+};
+
 // Create new dashboard
 const createDashboard = async (req, res) => {
   try {
@@ -207,11 +255,32 @@ const deleteDashboard = async (req, res) => {
   }
 };
 
+// Validation message for a widget's comparison setting
+// (dataSource.comparison: previous_period, same_period_last_year or { mode: 'custom', startDate, endDate })
+function validateComparison(dataSource) {
+  if (!dataSource || !dataSource.comparison) return null;
+  try {
+    normalizeComparison(dataSource.comparison);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+// Calculated metrics (calc:<key>) a widget config names must exist in the dashboard's workspace
+async function assertCalculatedMetrics(workspaceId, config) {
+  if (!config) return;
+  const unknown = await calculatedMetrics.findUnknownMetrics(workspaceId, config.metrics);
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown calculated metrics: ${unknown.join(', ')}`);
+  }
+}
+
 // Add widget to dashboard
 const addWidget = async (req, res) => {
   try {
     const { dashboardId } = req.params;
-    const { widgetType, title, description, position, dataSource, chartConfig, filters } = req.body;
+    const { widgetType, title, description, position, dataSource, dataConfig, chartConfig, filters } = req.body;
 
     if (!widgetType || !title) {
       return res.status(400).json({
@@ -220,6 +289,16 @@ const addWidget = async (req, res) => {
       });
     }
 
+    const comparisonError = validateComparison(dataSource);
+    if (comparisonError) {
+      return res.status(400).json({
+        success: false,
+        message: comparisonError,
+      });
+    }
+
+    const config = buildWidgetConfig(widgetType, dataConfig, dataSource);
+
     const dashboard = await Dashboard.findById(dashboardId);
 
     if (!dashboard) {
@@ -240,12 +319,15 @@ const addWidget = async (req, res) => {
       });
     }
 
+    await assertCalculatedMetrics(dashboard.workspace_id, config);
+
     const widget = await Dashboard.addWidget(dashboardId, {
       widgetType,
       title,
       description,
       position,
       dataSource,
+      dataConfig: config,
       chartConfig,
       filters,
     });
@@ -256,6 +338,14 @@ const addWidget = async (req, res) => {
       data: widget,
     });
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.errors,
+      });
+    }
+
     console.error('Add widget error:', error);
     res.status(500).json({
       success: false,
@@ -269,7 +359,40 @@ const addWidget = async (req, res) => {
 const updateWidget = async (req, res) => {
   try {
     const { widgetId } = req.params;
-    const { widgetType, title, description, position, dataSource, chartConfig, filters } = req.body;
+    const { widgetType, title, description, position, dataSource, dataConfig, chartConfig, filters } = req.body;
+
+    const comparisonError = validateComparison(dataSource);
+    if (comparisonError) {
+      return res.status(400).json({
+        success: false,
+        message: comparisonError,
+      });
+    }
+
+    const existing = await Dashboard.getWidget(widgetId);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Widget not found',
+      });
+    }
+
+    // A stored config is only replaced through dataConfig, but must still fit a new widget type
+    const type = widgetType || existing.widget_type;
+    let config = null;
+    if (dataConfig) {
+      config = validateWidgetConfig(type, dataConfig);
+    } else if (existing.data_config && widgetType) {
+      config = validateWidgetConfig(type, existing.data_config);
+    } else if (!existing.data_config) {
+      config = buildWidgetConfig(type, null, dataSource);
+    }
+
+    if (config) {
+      const dashboard = await Dashboard.findById(existing.dashboard_id);
+      await assertCalculatedMetrics(dashboard.workspace_id, config);
+    }
 
     const widget = await Dashboard.updateWidget(widgetId, {
       widgetType,
@@ -277,6 +400,7 @@ const updateWidget = async (req, res) => {
       description,
       position,
       dataSource,
+      dataConfig: config,
       chartConfig,
       filters,
     });
@@ -294,6 +418,14 @@ const updateWidget = async (req, res) => {
       data: widget,
     });
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.errors,
+      });
+    }
+
     console.error('Update widget error:', error);
     res.status(500).json({
       success: false,
@@ -797,6 +929,17 @@ const getAIOptions = async (req, res) => {
   });
 };
 
+// Get widget types and the data configs they accept
+const getWidgetTypes = async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      widgetTypes: WIDGET_TYPES,
+      dimensions: WIDGET_DIMENSIONS,
+    },
+  });
+};
+
 // Analyze widget with AI
 const analyzeWidgetWithAI = async (req, res) => {
   try {
@@ -911,11 +1054,13 @@ const getAIJobStatus = async (req, res) => {
 module.exports = {
   getWorkspaceDashboards,
   getDashboard,
+  getDashboardData,
   createDashboard,
   updateDashboard,
   deleteDashboard,
   addWidget,
   updateWidget,
+  getWidgetTypes,
   deleteWidget,
   createShareLink,
   getShareLinks,
@@ -4,14 +4,32 @@
  */
 
 const { query } = require('../config/database');
+const calculatedMetrics = require('../services/calculatedMetrics');
+const goalTracker = require('../services/goalTracker');
+
+/**
+ * End-of-window forecast of an active goal (goalTracker.forecastGoal), or null
+ * for closed goals and goals without data to project from
+ */
+async function forecastOf(goal) {
+  if (goal.status !== 'active') return null;
+
+  try {
+    return await goalTracker.forecastGoal(goal);
+  } catch (error) {
+    console.error(`Goal forecast failed for goal ${goal.id}:`, error.message);
+    return null;
+  }
+}
 
 /**
  * Get all goals for a workspace
+ * Active goals include a forecast unless forecast=false is passed.
  */
 const getGoals = async (req, res) => {
   try {
     const { workspaceId } = req.params;
-    const { status, campaign_id } = req.query;
+    const { status, campaign_id, forecast } = req.query;
 
     // Verify workspace access
     const workspaceAccess = await query(
@@ -55,6 +73,12 @@ const getGoals = async (req, res) => {
 
     const result = await query(queryText, queryParams);
 
+    if (forecast !== 'false') {
+      for (const goal of result.rows) {
+        goal.forecast = await forecastOf(goal);
+      }
+    }
+
     res.json({
       success: true,
       data: result.rows,
@@ -70,7 +94,7 @@ const getGoals = async (req, res) => {
 };
 
 /**
- * Get a single goal with progress history
+ * Get a single goal with progress history and forecast
  */
 const getGoal = async (req, res) => {
   try {
@@ -124,6 +148,7 @@ const getGoal = async (req, res) => {
       data: {
         ...goal,
         progress_history: historyResult.rows,
+        forecast: await forecastOf(goal),
       },
     });
   } catch (error) {
@@ -174,6 +199,15 @@ const createGoal = async (req, res) => {
       });
     }
 
+    // Goals can track a calculated metric (goal_type calc:<key>)
+    const unknown = await calculatedMetrics.findUnknownMetrics(workspaceId, [goal_type]);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown calculated metric "${goal_type}"`,
+      });
+    }
+
     const result = await query(
       `INSERT INTO campaign_goals (
         workspace_id, campaign_id, goal_name, goal_type, target_value,
@@ -274,6 +308,11 @@ const updateGoal = async (req, res) => {
       });
     }
 
+    // A new target or threshold re-arms the alert_threshold notification
+    if (updates.target_value !== undefined || updates.alert_threshold !== undefined) {
+      updateFields.push('alert_notified_at = NULL');
+    }
+
     // Record progress history if current_value is being updated
     if (updates.current_value !== undefined) {
       const progressPercentage =
@@ -5,6 +5,7 @@
 
 const axios = require('axios');
 const { query } = require('../config/database');
+const platformSync = require('../services/platformSync');
 
 const LINKEDIN_AUTH_URL = 'https://www.linkedin.com/oauth/v2/authorization';
 const LINKEDIN_TOKEN_URL = 'https://www.linkedin.com/oauth/v2/accessToken';
@@ -115,6 +116,10 @@ const handleLinkedInCallback = async (req, res) => {
     res.redirect(
       `${process.env.FRONTEND_URL}/workspaces/${workspaceId}?linkedin=connected`
     );
+
+    // Initial full sync of the connected accounts, in the background
+    platformSync.syncCredentialPlatform(workspaceId, 'linkedin', { jobType: 'full' })
+      .catch(error => console.error('LinkedIn initial sync error:', error));
   } catch (error) {
     console.error('LinkedIn OAuth callback error:', error);
     res.status(500).json({
@@ -226,7 +231,14 @@ const disconnectLinkedIn = async (req, res) => {
 const syncLinkedInData = async (req, res) => {
   try {
     const { workspaceId } = req.params;
-    const { startDate, endDate } = req.body;
+    const { startDate, endDate, jobType = 'incremental' } = req.body;
+
+    if (!platformSync.JOB_TYPES.includes(jobType)) {
+      return res.status(400).json({
+        success: false,
+        message: `jobType must be one of: ${platformSync.JOB_TYPES.join(', ')}`,
+      });
+    }
 
     // Verify workspace access
     const workspaceAccess = await query(
@@ -255,8 +267,6 @@ const syncLinkedInData = async (req, res) => {
       });
     }
 
-    const { access_token } = credResult.rows[0].credentials;
-
     // Create sync history record
     const syncHistoryResult = await query(
       `INSERT INTO platform_sync_history (
@@ -268,15 +278,19 @@ const syncLinkedInData = async (req, res) => {
 
     const syncId = syncHistoryResult.rows[0].id;
 
-    // Trigger background sync (this would typically be handled by a job queue)
     res.json({
       success: true,
       message: 'LinkedIn data sync initiated',
       syncId,
     });
 
-    // Background sync process would go here
-    // This would fetch campaign data from LinkedIn API and store in linkedin_campaigns table
+    // Runs after the response; progress is tracked in platform_sync_history and sync_jobs
+    platformSync.syncCredentialPlatform(workspaceId, 'linkedin', {
+      jobType,
+      startDate,
+      endDate,
+      syncHistoryId: syncId,
+    }).catch(error => console.error('LinkedIn background sync error:', error));
   } catch (error) {
     console.error('Sync LinkedIn data error:', error);
     res.status(500).json({
@@ -0,0 +1,478 @@
+/**
+ * Notification Channel Controller
+ * Manages per-workspace delivery channels (Slack, Teams, webhook, email) and failed deliveries
+ */
+
+const { query } = require('../config/database');
+const Workspace = require('../models/Workspace');
+const notificationDispatcher = require('../services/notificationDispatcher');
+const { getChannelAdapter, getSupportedChannels, WebhookChannel } = require('../services/channels');
+
+const EVENT_TYPES = ['anomaly', 'budget_alert', 'custom_alert', 'alert', 'goal', 'system'];
+const SEVERITIES = Object.keys(notificationDispatcher.SEVERITY_ORDER);
+
+/**
+ * Hide signing secrets when returning channels
+ */
+const serializeChannel = (channel, { revealSecret = false } = {}) => {
+  const config = { ...(channel.config || {}) };
+  if (config.secret && !revealSecret) {
+    config.secret = `••••${config.secret.slice(-4)}`;
+  }
+  return { ...channel, config };
+};
+
+/**
+ * Validate channel fields from a request body
+ *
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateChannelInput = ({ channel_type, config, event_types, min_severity }) => {
+  if (!getSupportedChannels().includes(channel_type)) {
+    return `Invalid channel_type. Must be one of: ${getSupportedChannels().join(', ')}`;
+  }
+
+  const configError = getChannelAdapter(channel_type).validateConfig(config || {});
+  if (configError) return configError;
+
+  if (event_types !== undefined) {
+    if (!Array.isArray(event_types) || event_types.some(type => !EVENT_TYPES.includes(type))) {
+      return `event_types must be an array of: ${EVENT_TYPES.join(', ')}`;
+    }
+  }
+
+  if (min_severity !== undefined && !SEVERITIES.includes(min_severity)) {
+    return `Invalid min_severity. Must be one of: ${SEVERITIES.join(', ')}`;
+  }
+
+  return null;
+};
+
+/**
+ * Load a channel and check the user is a workspace admin
+ *
+ * @returns {Promise<Object>} { channel } or { status, message } on failure
+ */
+const loadChannelForAdmin = async (channelId, userId) => {
+  const result = await query(
+    `SELECT * FROM notification_channels WHERE id = $1`,
+    [channelId]
+  );
+
+  if (result.rows.length === 0) {
+    return { status: 404, message: 'Notification channel not found' };
+  }
+
+  const channel = result.rows[0];
+  const isAdmin = await Workspace.hasAdminAccess(channel.workspace_id, userId);
+  if (!isAdmin) {
+    return { status: 403, message: 'Only workspace admins can manage notification channels' };
+  }
+
+  return { channel };
+};
+
+/**
+ * Get notification channels for a workspace
+ */
+const getChannels = async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+
+    // Verify workspace access
+    const workspaceAccess = await query(
+      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
+      [workspaceId, req.user.id]
+    );
+
+    if (workspaceAccess.rows.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
+    }
+
+    const result = await query(
+      `SELECT * FROM notification_channels
+       WHERE workspace_id = $1
+       ORDER BY created_at ASC`,
+      [workspaceId]
+    );
+
+    res.json({
+      success: true,
+      data: result.rows.map(channel => serializeChannel(channel)),
+      meta: {
+        channelTypes: getSupportedChannels(),
+        eventTypes: EVENT_TYPES,
+        severities: SEVERITIES,
+      },
+    });
+  } catch (error) {
+    console.error('Get notification channels error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notification channels',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Create a notification channel
+ * Webhook channels get a generated signing secret when none is supplied; it is only returned in full here.
+ */
+const createChannel = async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+    const {
+      name,
+      channel_type,
+      config = {},
+      event_types = [],
+      min_severity = 'low',
+      is_active = true,
+    } = req.body;
+
+    const isAdmin = await Workspace.hasAdminAccess(workspaceId, req.user.id);
+    if (!isAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only workspace admins can manage notification channels',
+      });
+    }
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required field: name',
+      });
+    }
+
+    const validationError = validateChannelInput({ channel_type, config, event_types, min_severity });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+      });
+    }
+
+    const channelConfig = channel_type === 'webhook' && !config.secret
+      ? { ...config, secret: WebhookChannel.generateSecret() }
+      : config;
+
+    const result = await query(
+      `INSERT INTO notification_channels (
+        workspace_id, name, channel_type, config, event_types, min_severity, is_active, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *`,
+      [
+        workspaceId,
+        name,
+        channel_type,
+        JSON.stringify(channelConfig),
+        event_types,
+        min_severity,
+        is_active,
+        req.user.id,
+      ]
+    );
+
+    res.status(201).json({
+      success: true,
+      data: serializeChannel(result.rows[0], { revealSecret: true }),
+    });
+  } catch (error) {
+    console.error('Create notification channel error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create notification channel',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update a notification channel
+ * Config is merged with the stored config, so omitting the webhook secret keeps it;
+ * pass rotate_secret: true to generate a new one.
+ */
+const updateChannel = async (req, res) => {
+  try {
+    const { channelId } = req.params;
+    const updates = req.body;
+
+    const loaded = await loadChannelForAdmin(channelId, req.user.id);
+    if (!loaded.channel) {
+      return res.status(loaded.status).json({
+        success: false,
+        message: loaded.message,
+      });
+    }
+
+    const existing = loaded.channel;
+    const config = { ...existing.config, ...(updates.config || {}) };
+    if (updates.rotate_secret && existing.channel_type === 'webhook') {
+      config.secret = WebhookChannel.generateSecret();
+    }
+
+    const merged = {
+      name: updates.name ?? existing.name,
+      channel_type: existing.channel_type,
+      config,
+      event_types: updates.event_types ?? existing.event_types,
+      min_severity: updates.min_severity ?? existing.min_severity,
+      is_active: updates.is_active ?? existing.is_active,
+    };
+
+    const validationError = validateChannelInput(merged);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+      });
+    }
+
+    const result = await query(
+      `UPDATE notification_channels
+       SET name = $1, config = $2, event_types = $3, min_severity = $4, is_active = $5
+       WHERE id = $6
+       RETURNING *`,
+      [
+        merged.name,
+        JSON.stringify(merged.config),
+        merged.event_types,
+        merged.min_severity,
+        merged.is_active,
+        channelId,
+      ]
+    );
+
+    res.json({
+      success: true,
+      data: serializeChannel(result.rows[0], { revealSecret: Boolean(updates.rotate_secret) }),
+    });
+  } catch (error) {
+    console.error('Update notification channel error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update notification channel',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete a notification channel
+ */
+const deleteChannel = async (req, res) => {
+  try {
+    const { channelId } = req.params;
+
+    const loaded = await loadChannelForAdmin(channelId, req.user.id);
+    if (!loaded.channel) {
+      return res.status(loaded.status).json({
+        success: false,
+        message: loaded.message,
+      });
+    }
+
+    await query('DELETE FROM notification_channels WHERE id = $1', [channelId]);
+
+    res.json({
+      success: true,
+      message: 'Notification channel deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete notification channel error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete notification channel',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Send a test message through a channel
+ */
+const testChannel = async (req, res) => {
+  try {
+    const { channelId } = req.params;
+
+    const loaded = await loadChannelForAdmin(channelId, req.user.id);
+    if (!loaded.channel) {
+      return res.status(loaded.status).json({
+        success: false,
+        message: loaded.message,
+      });
+    }
+
+    const outcome = await notificationDispatcher.sendTest(loaded.channel);
+
+    res.status(outcome.success ? 200 : 502).json({
+      success: outcome.success,
+      message: outcome.success ? 'Test notification sent' : 'Test notification failed',
+      data: outcome,
+    });
+  } catch (error) {
+    console.error('Test notification channel error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to test notification channel',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get failed deliveries for a workspace
+ */
+const getDeadLetters = async (req, res) => {
+  try {
+    const { workspaceId } = req.params;
+    const { status = 'pending', limit = 50, offset = 0 } = req.query;
+
+    const isAdmin = await Workspace.hasAdminAccess(workspaceId, req.user.id);
+    if (!isAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only workspace admins can view failed deliveries',
+      });
+    }
+
+    const result = await query(
+      `SELECT dl.*, nc.name as channel_name
+       FROM notification_dead_letters dl
+       LEFT JOIN notification_channels nc ON nc.id = dl.channel_id
+       WHERE dl.workspace_id = $1 AND dl.status = $2
+       ORDER BY dl.created_at DESC
+       LIMIT $3 OFFSET $4`,
+      [workspaceId, status, parseInt(limit), parseInt(offset)]
+    );
+
+    const countResult = await query(
+      `SELECT COUNT(*) as total FROM notification_dead_letters WHERE workspace_id = $1 AND status = $2`,
+      [workspaceId, status]
+    );
+
+    res.json({
+      success: true,
+      data: result.rows.map(({ channel_config, ...row }) => row),
+      pagination: {
+        total: parseInt(countResult.rows[0].total),
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+      },
+    });
+  } catch (error) {
+    console.error('Get dead letters error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch failed deliveries',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Load a dead letter and check admin access
+ */
+const loadDeadLetterForAdmin = async (deadLetterId, userId) => {
+  const result = await query(
+    `SELECT * FROM notification_dead_letters WHERE id = $1`,
+    [deadLetterId]
+  );
+
+  if (result.rows.length === 0) {
+    return { status: 404, message: 'Failed delivery not found' };
+  }
+
+  const deadLetter = result.rows[0];
+  const isAdmin = await Workspace.hasAdminAccess(deadLetter.workspace_id, userId);
+  if (!isAdmin) {
+    return { status: 403, message: 'Only workspace admins can manage failed deliveries' };
+  }
+
+  return { deadLetter };
+};
+
+/**
+ * Retry a failed delivery
+ */
+const retryDeadLetter = async (req, res) => {
+  try {
+    const loaded = await loadDeadLetterForAdmin(req.params.deadLetterId, req.user.id);
+    if (!loaded.deadLetter) {
+      return res.status(loaded.status).json({
+        success: false,
+        message: loaded.message,
+      });
+    }
+
+    if (loaded.deadLetter.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Failed delivery is already ${loaded.deadLetter.status}`,
+      });
+    }
+
+    const outcome = await notificationDispatcher.retryDeadLetter(loaded.deadLetter);
+
+    res.status(outcome.success ? 200 : 502).json({
+      success: outcome.success,
+      message: outcome.success ? 'Delivery succeeded' : 'Delivery failed again',
+      data: outcome,
+    });
+  } catch (error) {
+    console.error('Retry dead letter error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retry delivery',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Discard a failed delivery
+ */
+const discardDeadLetter = async (req, res) => {
+  try {
+    const loaded = await loadDeadLetterForAdmin(req.params.deadLetterId, req.user.id);
+    if (!loaded.deadLetter) {
+      return res.status(loaded.status).json({
+        success: false,
+        message: loaded.message,
+      });
+    }
+
+    await query(
+      `UPDATE notification_dead_letters SET status = 'discarded' WHERE id = $1`,
+      [loaded.deadLetter.id]
+    );
+
+    res.json({
+      success: true,
+      message: 'Failed delivery discarded',
+    });
+  } catch (error) {
+    console.error('Discard dead letter error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to discard delivery',
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getChannels,
+  createChannel,
+  updateChannel,
+  deleteChannel,
+  testChannel,
+  getDeadLetters,
+  retryDeadLetter,
+  discardDeadLetter,
+};
@@ -2,6 +2,7 @@ const axios = require('axios');
 const config = require('../config/config');
 const { query } = require('../config/database');
 const { GoogleSheetsService } = require('../services/platforms');
+const platformSync = require('../services/platformSync');
 const CustomDataSource = require('../models/CustomDataSource');
 const CustomDataParser = require('../services/customDataParser');
 const { customDataProxy: AICustomData } = require('../services/genaiGatewayClient');
@@ -132,7 +133,8 @@ const handleMetaCallback = async (req, res) => {
       // Update existing token
       await query(
         `UPDATE oauth_tokens
-         SET access_token = $1, token_type = $2, expires_at = $3, updated_at = CURRENT_TIMESTAMP
+         SET access_token = $1, token_type = $2, expires_at = $3, needs_reauth = FALSE, reauth_reason = NULL,
+             updated_at = CURRENT_TIMESTAMP
          WHERE user_id = $4 AND workspace_id = $5 AND platform = 'meta'`,
         [longLivedToken, token_type || 'Bearer', expiresAt, userId, workspaceId]
       );
@@ -147,6 +149,7 @@ const handleMetaCallback = async (req, res) => {
 
     // Fetch and store ad accounts
     await fetchAndStoreAdAccounts(userId, workspaceId, longLivedToken);
+    startInitialSync(workspaceId, 'meta');
 
     // Redirect to success page
     res.redirect(`/dashboard?oauth=success&platform=meta`);
@@ -205,7 +208,7 @@ const fetchAndStoreAdAccounts = async (userId, workspaceId, accessToken) => {
         await query(
           `UPDATE ad_accounts
            SET account_name = $1, currency = $2, timezone = $3, status = $4,
-               oauth_token_id = $5, updated_at = CURRENT_TIMESTAMP
+               oauth_token_id = $5, needs_reauth = FALSE, updated_at = CURRENT_TIMESTAMP
            WHERE workspace_id = $6 AND platform = 'meta' AND account_id = $7`,
           [accountName, currency, timezone, status, oauthTokenId, workspaceId, accountId]
         );
@@ -251,7 +254,7 @@ const getConnectedAccounts = async (req, res) => {
     // Get all ad accounts for this workspace
     const accounts = await query(
       `SELECT id, platform, account_id, account_name, currency, timezone,
-              status, last_sync_at, sync_status, created_at, updated_at
+              status, last_sync_at, sync_status, needs_reauth, created_at, updated_at
        FROM ad_accounts
        WHERE workspace_id = $1
        ORDER BY platform, account_name`,
@@ -313,6 +316,113 @@ const disconnectAccount = async (req, res) => {
   }
 };
 
+/**
+ * Sync an ad account now
+ * POST /api/oauth/accounts/:accountId/sync
+ */
+const syncAccount = async (req, res) => {
+  try {
+    const { accountId } = req.params;
+    const { jobType = 'incremental', startDate, endDate } = req.body || {};
+
+    if (!platformSync.JOB_TYPES.includes(jobType)) {
+      return res.status(400).json({
+        success: false,
+        message: `jobType must be one of: ${platformSync.JOB_TYPES.join(', ')}`,
+      });
+    }
+
+    const accountResult = await query(
+      `SELECT aa.*
+       FROM ad_accounts aa
+       JOIN workspace_members wm ON wm.workspace_id = aa.workspace_id
+       WHERE aa.id = $1 AND wm.user_id = $2`,
+      [accountId, req.user.id]
+    );
+
+    if (accountResult.rows.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to this account',
+      });
+    }
+
+    const account = accountResult.rows[0];
+
+    if (!platformSync.SYNCABLE_PLATFORMS.includes(account.platform)) {
+      return res.status(400).json({
+        success: false,
+        message: `${account.platform} accounts are not synced by the ad platform pipeline`,
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Ad account sync initiated',
+    });
+
+    // Runs after the response; progress is tracked in sync_jobs
+    platformSync.syncAccount(account, { jobType, startDate, endDate })
+      .catch(error => console.error('Ad account background sync error:', error));
+  } catch (error) {
+    console.error('Error syncing account:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sync account',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get recent sync jobs of an ad account
+ * GET /api/oauth/accounts/:accountId/sync-jobs
+ */
+const getAccountSyncJobs = async (req, res) => {
+  try {
+    const { accountId } = req.params;
+
+    const accountAccess = await query(
+      `SELECT aa.id
+       FROM ad_accounts aa
+       JOIN workspace_members wm ON wm.workspace_id = aa.workspace_id
+       WHERE aa.id = $1 AND wm.user_id = $2`,
+      [accountId, req.user.id]
+    );
+
+    if (accountAccess.rows.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to this account',
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const jobs = await platformSync.getSyncJobs(accountId, limit);
+
+    res.json({
+      success: true,
+      count: jobs.length,
+      data: jobs,
+    });
+  } catch (error) {
+    console.error('Error fetching sync jobs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sync jobs',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Start the initial full sync of a newly connected platform in the background
+ */
+function startInitialSync(workspaceId, platform) {
+  platformSync.syncAccounts({ workspaceId, platform }, { jobType: 'full' })
+    .catch(error => console.error(`Initial ${platform} sync error:`, error));
+}
+
 // Import platform services
 const { getPlatformService, getPlatformInfo } = require('../services/platforms');
 
@@ -441,6 +551,7 @@ const handleGoogleCallback = async (req, res) => {
     await storeOrUpdateToken(userId, workspaceId, 'google', tokenData.accessToken, tokenData.refreshToken, expiresAt);
     const accounts = await GoogleAdsService.fetchAdAccounts(tokenData.accessToken, config);
     await storeAdAccounts(userId, workspaceId, 'google', accounts);
+    startInitialSync(workspaceId, 'google');
 
     res.redirect(`/dashboard?oauth=success&platform=google`);
   } catch (error) {
@@ -492,6 +603,7 @@ const handleTikTokCallback = async (req, res) => {
     await storeOrUpdateToken(userId, workspaceId, 'tiktok', tokenData.accessToken, null, expiresAt);
     const accounts = await TikTokAdsService.fetchAdAccounts(tokenData.accessToken, config);
     await storeAdAccounts(userId, workspaceId, 'tiktok', accounts);
+    startInitialSync(workspaceId, 'tiktok');
 
     res.redirect(`/dashboard?oauth=success&platform=tiktok`);
   } catch (error) {
@@ -545,6 +657,7 @@ const handleLinkedInCallback = async (req, res) => {
     await storeOrUpdateToken(userId, workspaceId, 'linkedin', tokenData.accessToken, tokenData.refreshToken, expiresAt);
     const accounts = await LinkedInAdsService.fetchAdAccounts(tokenData.accessToken);
     await storeAdAccounts(userId, workspaceId, 'linkedin', accounts);
+    startInitialSync(workspaceId, 'linkedin');
 
     res.redirect(`/dashboard?oauth=success&platform=linkedin`);
   } catch (error) {
@@ -562,7 +675,8 @@ async function storeOrUpdateToken(userId, workspaceId, platform, accessToken, re
 
   if (existing.rows.length > 0) {
     await query(
-      `UPDATE oauth_tokens SET access_token = $1, refresh_token = COALESCE($2, refresh_token), expires_at = $3, updated_at = CURRENT_TIMESTAMP
+      `UPDATE oauth_tokens SET access_token = $1, refresh_token = COALESCE($2, refresh_token), expires_at = $3,
+              needs_reauth = FALSE, reauth_reason = NULL, updated_at = CURRENT_TIMESTAMP
        WHERE user_id = $4 AND workspace_id = $5 AND platform = $6`,
       [accessToken, refreshToken, expiresAt, userId, workspaceId, platform]
     );
@@ -591,7 +705,7 @@ async function storeAdAccounts(userId, workspaceId, platform, accounts) {
 
     if (existing.rows.length > 0) {
       await query(
-        `UPDATE ad_accounts SET account_name = $1, currency = $2, timezone = $3, status = $4, oauth_token_id = $5, updated_at = CURRENT_TIMESTAMP
+        `UPDATE ad_accounts SET account_name = $1, currency = COALESCE($2, currency), timezone = $3, status = $4, oauth_token_id = $5, needs_reauth = FALSE, updated_at = CURRENT_TIMESTAMP
          WHERE workspace_id = $6 AND platform = $7 AND account_id = $8`,
         [account.accountName, account.currency, account.timezone, account.status, oauthTokenId, workspaceId, platform, account.accountId]
       );
@@ -866,5 +980,7 @@ module.exports = {
   handleGoogleSheetsCallback,
   getConnectedAccounts,
   disconnectAccount,
+  syncAccount,
+  getAccountSyncJobs,
   getSupportedPlatforms,
 };
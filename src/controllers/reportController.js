@@ -5,6 +5,128 @@
 
 const { query } = require('../config/database');
 const reportScheduler = require('../services/reportScheduler');
+const reportGenerator = require('../services/reportGenerator');
+const emailService = require('../services/emailService');
+const { SUPPORTED_METRICS } = require('../services/metricsStore');
+const calculatedMetrics = require('../services/calculatedMetrics');
+const reportSchedule = require('../services/reportSchedule');
+
+const EMAIL_FORMATS = ['html', 'pdf', 'both'];
+const DATE_RANGES = ['yesterday', 'last_7_days', 'last_30_days', 'last_month'];
+const MAX_SECTIONS = 20;
+const MAX_COMMENTARY_LENGTH = 5000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const SCHEDULE_FIELDS = ['frequency', 'day_of_week', 'day_of_month', 'time_of_day', 'timezone', 'is_active'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+/**
+ * Parse an optional integer field ('' and null mean unset)
+ * @returns {number|null|undefined} Integer, null when unset, NaN when invalid
+ */
+const toOptionalInt = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  return /^\d+$/.test(String(value)) ? parseInt(value, 10) : NaN;
+};
+
+/**
+ * Validate schedule fields (only those present are checked)
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateSchedule = (fields) => {
+  const dayOfWeek = toOptionalInt(fields.day_of_week);
+  const dayOfMonth = toOptionalInt(fields.day_of_month);
+
+  if (fields.frequency !== undefined && !reportSchedule.FREQUENCIES.includes(fields.frequency)) {
+    return `frequency must be one of: ${reportSchedule.FREQUENCIES.join(', ')}`;
+  }
+  if (fields.timezone && !reportSchedule.isValidTimeZone(fields.timezone)) {
+    return 'timezone must be an IANA timezone name, e.g. Europe/Berlin';
+  }
+  if (fields.time_of_day && !TIME_PATTERN.test(fields.time_of_day)) {
+    return 'time_of_day must be HH:MM or HH:MM:SS';
+  }
+  if (dayOfWeek !== undefined && dayOfWeek !== null && !(dayOfWeek >= 0 && dayOfWeek <= 6)) {
+    return 'day_of_week must be 0 (Sunday) to 6 (Saturday)';
+  }
+  if (dayOfMonth !== undefined && dayOfMonth !== null && !(dayOfMonth >= 1 && dayOfMonth <= 31)) {
+    return 'day_of_month must be 1 to 31 (runs on the last day in shorter months)';
+  }
+  if (fields.missed_run_policy !== undefined && !reportSchedule.MISSED_RUN_POLICIES.includes(fields.missed_run_policy)) {
+    return `missed_run_policy must be one of: ${reportSchedule.MISSED_RUN_POLICIES.join(', ')}`;
+  }
+  return null;
+};
+
+/**
+ * Validate the section definitions of a custom report
+ * Sections may use the workspace's calculated metrics (calc:<key>).
+ * @returns {Promise<string|null>} Error message, or null when valid
+ */
+const validateSections = async (sections, workspaceId) => {
+  if (!Array.isArray(sections) || sections.length === 0) {
+    return 'Custom reports need at least one section';
+  }
+  if (sections.length > MAX_SECTIONS) {
+    return `Custom reports support at most ${MAX_SECTIONS} sections`;
+  }
+
+  for (const [index, section] of sections.entries()) {
+    const position = `Section ${index + 1}`;
+
+    if (!section || !reportGenerator.SECTION_TYPES.includes(section.type)) {
+      return `${position}: type must be one of: ${reportGenerator.SECTION_TYPES.join(', ')}`;
+    }
+
+    if (section.metrics !== undefined) {
+      if (!Array.isArray(section.metrics)) {
+        return `${position}: metrics must be an array`;
+      }
+      const invalid = section.metrics.filter(metric => !SUPPORTED_METRICS.includes(metric)
+        && !calculatedMetrics.isCalculatedMetric(metric));
+      if (invalid.length > 0) {
+        return `${position}: unsupported metrics: ${invalid.join(', ')}`;
+      }
+    }
+
+    if (section.sort_by !== undefined && !SUPPORTED_METRICS.includes(section.sort_by)
+      && !calculatedMetrics.isCalculatedMetric(section.sort_by)) {
+      return `${position}: unsupported sort_by metric: ${section.sort_by}`;
+    }
+
+    if (section.date_range !== undefined) {
+      const range = section.date_range;
+      if (typeof range === 'object' && range !== null) {
+        if (!DATE_PATTERN.test(range.start_date || '') || !DATE_PATTERN.test(range.end_date || '')
+          || range.start_date > range.end_date) {
+          return `${position}: date_range needs start_date <= end_date (YYYY-MM-DD)`;
+        }
+      } else if (!DATE_RANGES.includes(range)) {
+        return `${position}: date_range must be one of: ${DATE_RANGES.join(', ')} or { start_date, end_date }`;
+      }
+    }
+
+    if (section.filters !== undefined && (typeof section.filters !== 'object' || Array.isArray(section.filters))) {
+      return `${position}: filters must be an object`;
+    }
+
+    if (section.type === 'commentary'
+      && (typeof section.text !== 'string' || section.text.length > MAX_COMMENTARY_LENGTH)) {
+      return `${position}: commentary needs text of at most ${MAX_COMMENTARY_LENGTH} characters`;
+    }
+  }
+
+  const unknown = await calculatedMetrics.findUnknownMetrics(workspaceId, sections.flatMap(section => [
+    ...(section.metrics || []),
+    ...(section.sort_by ? [section.sort_by] : []),
+  ]));
+  if (unknown.length > 0) {
+    return `Unknown calculated metrics: ${unknown.join(', ')}`;
+  }
+
+  return null;
+};
 
 /**
  * Get all scheduled reports for a workspace
@@ -29,8 +151,8 @@ const getScheduledReports = async (req, res) => {
     const result = await query(
       `SELECT id, workspace_id, user_id, name, description, report_type, frequency,
               day_of_week, day_of_month, time_of_day, timezone, ad_account_ids,
-              platforms, metrics, date_range, recipients, email_format,
-              include_charts, include_recommendations, is_active, last_sent_at,
+              platforms, metrics, date_range, recipients, email_format, sections,
+              missed_run_policy, include_charts, include_recommendations, is_active, last_sent_at,
               next_scheduled_at, created_at, updated_at
        FROM scheduled_reports
        WHERE workspace_id = $1
@@ -126,6 +248,8 @@ const createScheduledReport = async (req, res) => {
       email_format,
       include_charts,
       include_recommendations,
+      sections,
+      missed_run_policy,
     } = req.body;
 
     // Verify workspace access
@@ -149,13 +273,39 @@ const createScheduledReport = async (req, res) => {
       });
     }
 
+    if (email_format && !EMAIL_FORMATS.includes(email_format)) {
+      return res.status(400).json({
+        success: false,
+        message: `email_format must be one of: ${EMAIL_FORMATS.join(', ')}`,
+      });
+    }
+
+    const scheduleError = validateSchedule(req.body);
+    if (scheduleError) {
+      return res.status(400).json({
+        success: false,
+        message: scheduleError,
+      });
+    }
+
+    if (report_type === 'custom') {
+      const sectionsError = await validateSections(sections, workspaceId);
+      if (sectionsError) {
+        return res.status(400).json({
+          success: false,
+          message: sectionsError,
+        });
+      }
+    }
+
     const result = await query(
       `INSERT INTO scheduled_reports (
         workspace_id, user_id, name, description, report_type, frequency,
         day_of_week, day_of_month, time_of_day, timezone, ad_account_ids,
         platforms, metrics, date_range, recipients, email_format,
-        include_charts, include_recommendations
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+        include_charts, include_recommendations, sections, missed_run_policy,
+        next_scheduled_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21)
       RETURNING *`,
       [
         workspaceId,
@@ -164,8 +314,8 @@ const createScheduledReport = async (req, res) => {
         description,
         report_type,
         frequency,
-        day_of_week,
-        day_of_month,
+        toOptionalInt(day_of_week) ?? null,
+        toOptionalInt(day_of_month) ?? null,
         time_of_day || '09:00:00',
         timezone || 'UTC',
         ad_account_ids || [],
@@ -176,6 +326,15 @@ const createScheduledReport = async (req, res) => {
         email_format || 'html',
         include_charts !== undefined ? include_charts : true,
         include_recommendations !== undefined ? include_recommendations : false,
+        JSON.stringify(report_type === 'custom' ? sections : []),
+        missed_run_policy || 'run_once',
+        reportSchedule.computeNextRun({
+          frequency,
+          day_of_week,
+          day_of_month,
+          time_of_day: time_of_day || '09:00:00',
+          timezone: timezone || 'UTC',
+        }),
       ]
     );
 
@@ -232,12 +391,42 @@ const updateScheduledReport = async (req, res) => {
       });
     }
 
+    if (updates.email_format !== undefined && !EMAIL_FORMATS.includes(updates.email_format)) {
+      return res.status(400).json({
+        success: false,
+        message: `email_format must be one of: ${EMAIL_FORMATS.join(', ')}`,
+      });
+    }
+
+    const scheduleError = validateSchedule(updates);
+    if (scheduleError) {
+      return res.status(400).json({
+        success: false,
+        message: scheduleError,
+      });
+    }
+
+    const reportType = updates.report_type || report.report_type;
+    if (reportType === 'custom' && (updates.sections !== undefined || updates.report_type === 'custom')) {
+      const sectionsError = await validateSections(
+        updates.sections !== undefined ? updates.sections : report.sections,
+        report.workspace_id
+      );
+      if (sectionsError) {
+        return res.status(400).json({
+          success: false,
+          message: sectionsError,
+        });
+      }
+    }
+
     // Build update query dynamically
     const allowedFields = [
       'name', 'description', 'report_type', 'frequency', 'day_of_week',
       'day_of_month', 'time_of_day', 'timezone', 'ad_account_ids',
       'platforms', 'metrics', 'date_range', 'recipients', 'email_format',
-      'include_charts', 'include_recommendations', 'is_active',
+      'include_charts', 'include_recommendations', 'is_active', 'sections',
+      'missed_run_policy',
     ];
 
     const updateFields = [];
@@ -247,7 +436,13 @@ const updateScheduledReport = async (req, res) => {
     for (const [key, value] of Object.entries(updates)) {
       if (allowedFields.includes(key)) {
         updateFields.push(`${key} = $${paramIndex}`);
-        values.push(value);
+        if (key === 'sections') {
+          values.push(JSON.stringify(value));
+        } else if (key === 'day_of_week' || key === 'day_of_month') {
+          values.push(toOptionalInt(value));
+        } else {
+          values.push(value);
+        }
         paramIndex++;
       }
     }
@@ -259,6 +454,14 @@ const updateScheduledReport = async (req, res) => {
       });
     }
 
+    // Recompute the next run in the report's timezone when the schedule changes
+    if (SCHEDULE_FIELDS.some(field => updates[field] !== undefined)) {
+      const schedule = { ...report, ...updates };
+      updateFields.push(`next_scheduled_at = $${paramIndex}`);
+      values.push(schedule.is_active === false ? null : reportSchedule.computeNextRun(schedule));
+      paramIndex++;
+    }
+
     values.push(reportId);
 
     const result = await query(
@@ -391,6 +594,78 @@ const triggerReport = async (req, res) => {
   }
 };
 
+/**
+ * Preview a report's data without sending it
+ * Accepts optional draft `sections` in the body to preview an unsaved custom layout;
+ * add ?format=html to also get the email HTML.
+ */
+const previewReport = async (req, res) => {
+  try {
+    const { reportId } = req.params;
+    const { sections } = req.body || {};
+
+    // Get report and verify access
+    const reportResult = await query(
+      `SELECT sr.*, w.id as workspace_id
+       FROM scheduled_reports sr
+       JOIN workspaces w ON w.id = sr.workspace_id
+       WHERE sr.id = $1`,
+      [reportId]
+    );
+
+    if (reportResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scheduled report not found',
+      });
+    }
+
+    const report = reportResult.rows[0];
+
+    // Verify workspace access
+    const workspaceAccess = await query(
+      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
+      [report.workspace_id, req.user.id]
+    );
+
+    if (workspaceAccess.rows.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
+    }
+
+    if (sections !== undefined) {
+      const sectionsError = await validateSections(sections, report.workspace_id);
+      if (sectionsError) {
+        return res.status(400).json({
+          success: false,
+          message: sectionsError,
+        });
+      }
+      report.report_type = 'custom';
+      report.sections = sections;
+    }
+
+    const reportData = await reportGenerator.generateReport(report);
+
+    res.json({
+      success: true,
+      data: reportData,
+      html: req.query.format === 'html'
+        ? emailService.generateReportHTML(report.name, reportData, report.include_charts)
+        : undefined,
+    });
+  } catch (error) {
+    console.error('Preview report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview report',
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Get execution history for a report
  */
@@ -446,6 +721,74 @@ const getExecutionHistory = async (req, res) => {
   }
 };
 
+/**
+ * Download the rendered file (PDF) of a report execution
+ */
+const getExecutionFile = async (req, res) => {
+  try {
+    const { reportId, executionId } = req.params;
+
+    // Get report and verify access
+    const reportResult = await query(
+      `SELECT sr.id, sr.name, sr.workspace_id
+       FROM scheduled_reports sr
+       WHERE sr.id = $1`,
+      [reportId]
+    );
+
+    if (reportResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scheduled report not found',
+      });
+    }
+
+    const report = reportResult.rows[0];
+
+    // Verify workspace access
+    const workspaceAccess = await query(
+      `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2`,
+      [report.workspace_id, req.user.id]
+    );
+
+    if (workspaceAccess.rows.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
+    }
+
+    const execution = await reportScheduler.getExecution(reportId, executionId);
+
+    if (!execution) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report execution not found',
+      });
+    }
+
+    const file = execution.has_file ? await reportScheduler.getExecutionFile(reportId, executionId) : null;
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'No file is available for this execution',
+      });
+    }
+
+    res.attachment(file.file_name || `report-${executionId}.pdf`);
+    res.type(file.file_content_type || 'application/pdf');
+    res.send(file.file_data);
+  } catch (error) {
+    console.error('Get execution file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download report file',
+      error: error.message,
+    });
+  }
+};
+
 module.exports = {
   getScheduledReports,
   getScheduledReport,
@@ -453,5 +796,7 @@ module.exports = {
   updateScheduledReport,
   deleteScheduledReport,
   triggerReport,
+  previewReport,
   getExecutionHistory,
+  getExecutionFile,
 };
@@ -6,6 +6,8 @@
 const { query } = require('../config/database');
 const config = require('../config/config');
 const { getPlatformService } = require('../services/platforms');
+const tokenManager = require('../services/tokenManager');
+const { ReauthRequiredError } = require('../utils/errors');
 
 // Helper to get date range
 function getDateRange(range) {
@@ -35,6 +37,15 @@ function getDateRange(range) {
   };
 }
 
+// The Google connection could not be refreshed and has to be reconnected
+function sendReauthRequired(res, error) {
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message,
+    needsReauth: true,
+  });
+}
+
 /**
  * Get comprehensive search analytics report
  */
@@ -45,9 +56,8 @@ const getSearchAnalytics = async (req, res) => {
 
     // Get account details
     const accountResult = await query(
-      `SELECT aa.*, ot.access_token, ot.refresh_token
+      `SELECT aa.*
        FROM ad_accounts aa
-       JOIN oauth_tokens ot ON ot.id = aa.oauth_token_id
        WHERE aa.id = $1 AND aa.platform = 'search_console'`,
       [accountId]
     );
@@ -64,10 +74,8 @@ const getSearchAnalytics = async (req, res) => {
     const { startDate, endDate } = getDateRange(dateRange);
 
     const SearchConsoleService = getPlatformService('search_console');
-    const report = await SearchConsoleService.getComprehensiveReport(
-      siteUrl,
-      account.access_token,
-      { startDate, endDate }
+    const report = await tokenManager.withAccessToken(account, accessToken =>
+      SearchConsoleService.getComprehensiveReport(siteUrl, accessToken, { startDate, endDate })
     );
 
     res.json({
@@ -75,6 +83,8 @@ const getSearchAnalytics = async (req, res) => {
       data: report,
     });
   } catch (error) {
+    if (error instanceof ReauthRequiredError) return sendReauthRequired(res, error);
+
     console.error('Get search analytics error:', error);
     res.status(500).json({
       success: false,
@@ -93,9 +103,8 @@ const getTopQueries = async (req, res) => {
     const { dateRange = 'last_28_days', limit = 100 } = req.query;
 
     const accountResult = await query(
-      `SELECT aa.*, ot.access_token
+      `SELECT aa.*
        FROM ad_accounts aa
-       JOIN oauth_tokens ot ON ot.id = aa.oauth_token_id
        WHERE aa.id = $1 AND aa.platform = 'search_console'`,
       [accountId]
     );
@@ -112,10 +121,8 @@ const getTopQueries = async (req, res) => {
     const { startDate, endDate } = getDateRange(dateRange);
 
     const SearchConsoleService = getPlatformService('search_console');
-    const queries = await SearchConsoleService.getTopQueries(
-      siteUrl,
-      account.access_token,
-      { startDate, endDate, rowLimit: parseInt(limit) }
+    const queries = await tokenManager.withAccessToken(account, accessToken =>
+      SearchConsoleService.getTopQueries(siteUrl, accessToken, { startDate, endDate, rowLimit: parseInt(limit) })
     );
 
     res.json({
@@ -123,6 +130,8 @@ const getTopQueries = async (req, res) => {
       data: queries,
     });
   } catch (error) {
+    if (error instanceof ReauthRequiredError) return sendReauthRequired(res, error);
+
     console.error('Get top queries error:', error);
     res.status(500).json({
       success: false,
@@ -141,9 +150,8 @@ const getPagePerformance = async (req, res) => {
     const { dateRange = 'last_28_days', limit = 100 } = req.query;
 
     const accountResult = await query(
-      `SELECT aa.*, ot.access_token
+      `SELECT aa.*
        FROM ad_accounts aa
-       JOIN oauth_tokens ot ON ot.id = aa.oauth_token_id
        WHERE aa.id = $1 AND aa.platform = 'search_console'`,
       [accountId]
     );
@@ -160,10 +168,8 @@ const getPagePerformance = async (req, res) => {
     const { startDate, endDate } = getDateRange(dateRange);
 
     const SearchConsoleService = getPlatformService('search_console');
-    const pages = await SearchConsoleService.getPagePerformance(
-      siteUrl,
-      account.access_token,
-      { startDate, endDate, rowLimit: parseInt(limit) }
+    const pages = await tokenManager.withAccessToken(account, accessToken =>
+      SearchConsoleService.getPagePerformance(siteUrl, accessToken, { startDate, endDate, rowLimit: parseInt(limit) })
     );
 
     res.json({
@@ -171,6 +177,8 @@ const getPagePerformance = async (req, res) => {
       data: pages,
     });
   } catch (error) {
+    if (error instanceof ReauthRequiredError) return sendReauthRequired(res, error);
+
     console.error('Get page performance error:', error);
     res.status(500).json({
       success: false,
@@ -189,9 +197,8 @@ const getDeviceBreakdown = async (req, res) => {
     const { dateRange = 'last_28_days' } = req.query;
 
     const accountResult = await query(
-      `SELECT aa.*, ot.access_token
+      `SELECT aa.*
        FROM ad_accounts aa
-       JOIN oauth_tokens ot ON ot.id = aa.oauth_token_id
        WHERE aa.id = $1 AND aa.platform = 'search_console'`,
       [accountId]
     );
@@ -208,10 +215,8 @@ const getDeviceBreakdown = async (req, res) => {
     const { startDate, endDate } = getDateRange(dateRange);
 
     const SearchConsoleService = getPlatformService('search_console');
-    const devices = await SearchConsoleService.getDeviceBreakdown(
-      siteUrl,
-      account.access_token,
-      { startDate, endDate }
+    const devices = await tokenManager.withAccessToken(account, accessToken =>
+      SearchConsoleService.getDeviceBreakdown(siteUrl, accessToken, { startDate, endDate })
     );
 
     res.json({
@@ -219,6 +224,8 @@ const getDeviceBreakdown = async (req, res) => {
       data: devices,
     });
   } catch (error) {
+    if (error instanceof ReauthRequiredError) return sendReauthRequired(res, error);
+
     console.error('Get device breakdown error:', error);
     res.status(500).json({
       success: false,
@@ -237,9 +244,8 @@ const getCountryBreakdown = async (req, res) => {
     const { dateRange = 'last_28_days', limit = 50 } = req.query;
 
     const accountResult = await query(
-      `SELECT aa.*, ot.access_token
+      `SELECT aa.*
        FROM ad_accounts aa
-       JOIN oauth_tokens ot ON ot.id = aa.oauth_token_id
        WHERE aa.id = $1 AND aa.platform = 'search_console'`,
       [accountId]
     );
@@ -256,10 +262,8 @@ const getCountryBreakdown = async (req, res) => {
     const { startDate, endDate } = getDateRange(dateRange);
 
     const SearchConsoleService = getPlatformService('search_console');
-    const countries = await SearchConsoleService.getCountryBreakdown(
-      siteUrl,
-      account.access_token,
-      { startDate, endDate, rowLimit: parseInt(limit) }
+    const countries = await tokenManager.withAccessToken(account, accessToken =>
+      SearchConsoleService.getCountryBreakdown(siteUrl, accessToken, { startDate, endDate, rowLimit: parseInt(limit) })
     );
 
     res.json({
@@ -267,6 +271,8 @@ const getCountryBreakdown = async (req, res) => {
       data: countries,
     });
   } catch (error) {
+    if (error instanceof ReauthRequiredError) return sendReauthRequired(res, error);
+
     console.error('Get country breakdown error:', error);
     res.status(500).json({
       success: false,
@@ -285,9 +291,8 @@ const getQueryPageAnalysis = async (req, res) => {
     const { dateRange = 'last_28_days', limit = 100 } = req.query;
 
     const accountResult = await query(
-      `SELECT aa.*, ot.access_token
+      `SELECT aa.*
        FROM ad_accounts aa
-       JOIN oauth_tokens ot ON ot.id = aa.oauth_token_id
        WHERE aa.id = $1 AND aa.platform = 'search_console'`,
       [accountId]
     );
@@ -304,10 +309,8 @@ const getQueryPageAnalysis = async (req, res) => {
     const { startDate, endDate } = getDateRange(dateRange);
 
     const SearchConsoleService = getPlatformService('search_console');
-    const queryPages = await SearchConsoleService.getQueryPageAnalysis(
-      siteUrl,
-      account.access_token,
-      { startDate, endDate, rowLimit: parseInt(limit) }
+    const queryPages = await tokenManager.withAccessToken(account, accessToken =>
+      SearchConsoleService.getQueryPageAnalysis(siteUrl, accessToken, { startDate, endDate, rowLimit: parseInt(limit) })
     );
 
     res.json({
@@ -315,6 +318,8 @@ const getQueryPageAnalysis = async (req, res) => {
       data: queryPages,
     });
   } catch (error) {
+    if (error instanceof ReauthRequiredError) return sendReauthRequired(res, error);
+
     console.error('Get query-page analysis error:', error);
     res.status(500).json({
       success: false,
@@ -333,9 +338,8 @@ const getSearchAppearance = async (req, res) => {
     const { dateRange = 'last_28_days' } = req.query;
 
     const accountResult = await query(
-      `SELECT aa.*, ot.access_token
+      `SELECT aa.*
        FROM ad_accounts aa
-       JOIN oauth_tokens ot ON ot.id = aa.oauth_token_id
        WHERE aa.id = $1 AND aa.platform = 'search_console'`,
       [accountId]
     );
@@ -352,10 +356,8 @@ const getSearchAppearance = async (req, res) => {
     const { startDate, endDate } = getDateRange(dateRange);
 
     const SearchConsoleService = getPlatformService('search_console');
-    const appearances = await SearchConsoleService.getSearchAppearance(
-      siteUrl,
-      account.access_token,
-      { startDate, endDate }
+    const appearances = await tokenManager.withAccessToken(account, accessToken =>
+      SearchConsoleService.getSearchAppearance(siteUrl, accessToken, { startDate, endDate })
     );
 
     res.json({
@@ -363,6 +365,8 @@ const getSearchAppearance = async (req, res) => {
       data: appearances,
     });
   } catch (error) {
+    if (error instanceof ReauthRequiredError) return sendReauthRequired(res, error);
+
     console.error('Get search appearance error:', error);
     res.status(500).json({
       success: false,
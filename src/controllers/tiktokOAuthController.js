@@ -5,6 +5,7 @@
 
 const axios = require('axios');
 const { query } = require('../config/database');
+const platformSync = require('../services/platformSync');
 
 const TIKTOK_AUTH_URL = 'https://business-api.tiktok.com/open_api/v1.3/oauth2/authorize/';
 const TIKTOK_TOKEN_URL = 'https://business-api.tiktok.com/open_api/v1.3/oauth2/access_token/';
@@ -103,6 +104,10 @@ const handleTikTokCallback = async (req, res) => {
     res.redirect(
       `${process.env.FRONTEND_URL}/workspaces/${workspaceId}?tiktok=connected`
     );
+
+    // Initial full sync of the connected accounts, in the background
+    platformSync.syncCredentialPlatform(workspaceId, 'tiktok', { jobType: 'full' })
+      .catch(error => console.error('TikTok initial sync error:', error));
   } catch (error) {
     console.error('TikTok OAuth callback error:', error);
     res.status(500).json({
@@ -214,7 +219,14 @@ const disconnectTikTok = async (req, res) => {
 const syncTikTokData = async (req, res) => {
   try {
     const { workspaceId } = req.params;
-    const { startDate, endDate } = req.body;
+    const { startDate, endDate, jobType = 'incremental' } = req.body;
+
+    if (!platformSync.JOB_TYPES.includes(jobType)) {
+      return res.status(400).json({
+        success: false,
+        message: `jobType must be one of: ${platformSync.JOB_TYPES.join(', ')}`,
+      });
+    }
 
     // Verify workspace access
     const workspaceAccess = await query(
@@ -243,8 +255,6 @@ const syncTikTokData = async (req, res) => {
       });
     }
 
-    const { access_token, advertiser_ids } = credResult.rows[0].credentials;
-
     // Create sync history record
     const syncHistoryResult = await query(
       `INSERT INTO platform_sync_history (
@@ -256,16 +266,19 @@ const syncTikTokData = async (req, res) => {
 
     const syncId = syncHistoryResult.rows[0].id;
 
-    // Trigger background sync (this would typically be handled by a job queue)
-    // For now, we'll return a success response and the actual sync would happen async
     res.json({
       success: true,
       message: 'TikTok data sync initiated',
       syncId,
     });
 
-    // Background sync process would go here
-    // This would fetch campaign data from TikTok API and store in tiktok_campaigns table
+    // Runs after the response; progress is tracked in platform_sync_history and sync_jobs
+    platformSync.syncCredentialPlatform(workspaceId, 'tiktok', {
+      jobType,
+      startDate,
+      endDate,
+      syncHistoryId: syncId,
+    }).catch(error => console.error('TikTok background sync error:', error));
   } catch (error) {
     console.error('Sync TikTok data error:', error);
     res.status(500).json({
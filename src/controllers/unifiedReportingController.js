@@ -1,9 +1,177 @@
 /**
  * Unified Reporting Controller
  * Provides cross-platform analytics and reporting
+ *
+ * Rows are summed per currency and day in SQL, then converted to the workspace
+ * reporting currency and re-aggregated here; ratio metrics are derived from the
+ * converted sums.
  */
 
 const { query } = require('../config/database');
+const metricsStore = require('../services/metricsStore');
+const currency = require('../services/currency');
+const conversions = require('../services/platforms/conversions');
+
+// Currency of a unified_campaigns row: its ad account's, or the platform's when
+// every active account on it shares one
+const ROW_CURRENCY_JOIN = `
+  LEFT JOIN ad_accounts aa ON aa.id::text = uc.metadata->>'ad_account_id'
+  LEFT JOIN LATERAL (
+    SELECT MAX(pa.currency) AS currency
+    FROM ad_accounts pa
+    WHERE pa.workspace_id = uc.workspace_id AND pa.platform = uc.platform AND pa.status = 'active'
+    HAVING COUNT(DISTINCT pa.currency) = 1
+  ) platform_currency ON true`;
+
+const buildWhereClause = (workspaceId, { startDate, endDate, platform }) => {
+  let whereClause = 'WHERE uc.workspace_id = $1';
+  const params = [workspaceId];
+
+  if (startDate) {
+    params.push(startDate);
+    whereClause += ` AND uc.date >= $${params.length}`;
+  }
+
+  if (endDate) {
+    params.push(endDate);
+    whereClause += ` AND uc.date <= $${params.length}`;
+  }
+
+  if (platform) {
+    params.push(platform);
+    whereClause += ` AND uc.platform = $${params.length}`;
+  }
+
+  return { whereClause, params };
+};
+
+/**
+ * Sum unified_campaigns by the given columns in the reporting currency
+ *
+ * @param {string} workspaceId - Workspace UUID
+ * @param {Object} filters - { startDate, endDate, platform }
+ * @param {string[]} groupColumns - Any of platform, date, campaign_name
+ * @returns {Promise<Object>} { groups, currency, fx }; each group holds its
+ *   columns, base sums, derived ratios and native per-currency spend/revenue
+ */
+const getConvertedGroups = async (workspaceId, filters, groupColumns) => {
+  const { whereClause, params } = buildWhereClause(workspaceId, filters);
+  const keyColumns = groupColumns.filter(column => column !== 'date');
+  const selectKeys = keyColumns.map(column => `uc.${column}`);
+
+  const result = await query(
+    `SELECT
+      ${selectKeys.map(column => `${column},`).join(' ')}
+      to_char(uc.date, 'YYYY-MM-DD') as date,
+      UPPER(COALESCE(aa.currency, platform_currency.currency)) as currency,
+      SUM(uc.spend) as spend,
+      SUM(uc.impressions) as impressions,
+      SUM(uc.clicks) as clicks,
+      SUM(uc.conversions) as conversions,
+      SUM(uc.revenue) as revenue
+    FROM unified_campaigns uc
+    ${ROW_CURRENCY_JOIN}
+    ${whereClause}
+    GROUP BY ${[...selectKeys, 'uc.date', 'COALESCE(aa.currency, platform_currency.currency)'].join(', ')}`,
+    params
+  );
+
+  const dates = result.rows.map(row => row.date).sort();
+  const today = metricsStore.toDateString(new Date());
+  const converter = await currency.createConverter(
+    workspaceId,
+    result.rows.map(row => row.currency),
+    dates[0] || filters.startDate || today,
+    dates[dates.length - 1] || filters.endDate || today
+  );
+
+  const groups = new Map();
+  for (const row of result.rows) {
+    const key = groupColumns.map(column => row[column]).join('|');
+    if (!groups.has(key)) {
+      groups.set(key, {
+        ...Object.fromEntries(groupColumns.map(column => [column, row[column]])),
+        spend: 0,
+        impressions: 0,
+        clicks: 0,
+        conversions: 0,
+        revenue: 0,
+        native: new Map(),
+      });
+    }
+
+    const group = groups.get(key);
+    group.spend += converter.convert(row.spend, row.currency, row.date);
+    group.revenue += converter.convert(row.revenue, row.currency, row.date);
+    group.impressions += parseFloat(row.impressions) || 0;
+    group.clicks += parseFloat(row.clicks) || 0;
+    group.conversions += parseFloat(row.conversions) || 0;
+
+    const nativeCurrency = row.currency || converter.currency;
+    const native = group.native.get(nativeCurrency) || { currency: nativeCurrency, spend: 0, revenue: 0 };
+    native.spend += parseFloat(row.spend) || 0;
+    native.revenue += parseFloat(row.revenue) || 0;
+    group.native.set(nativeCurrency, native);
+  }
+
+  return {
+    groups: [...groups.values()].map(group => ({
+      ...metricsStore.deriveMetrics(group),
+      native: [...group.native.values()],
+    })),
+    currency: converter.currency,
+    fx: converter.describe(),
+  };
+};
+
+/**
+ * Conversion definitions (actions and attribution windows) of the workspace's
+ * accounts, per platform, so reports say what their conversions count
+ *
+ * @returns {Promise<Object>} { [platform]: [{ accountId, accountName, actions, ..., label }] }
+ */
+const getConversionDefinitions = async (workspaceId, platform) => {
+  const params = [workspaceId];
+  let platformClause = '';
+  if (platform) {
+    params.push(platform);
+    platformClause = ` AND platform = $${params.length}`;
+  }
+
+  const result = await query(
+    `SELECT id, platform, account_name, conversion_actions, click_attribution_days, view_attribution_days
+     FROM ad_accounts
+     WHERE workspace_id = $1 AND status = 'active'${platformClause}
+     ORDER BY platform, account_name`,
+    params
+  );
+
+  const definitions = {};
+  for (const account of result.rows) {
+    const definition = conversions.describeConversions(account.platform, conversions.fromAccount(account));
+    if (!definition) continue;
+    if (!definitions[account.platform]) definitions[account.platform] = [];
+    definitions[account.platform].push({ accountId: account.id, accountName: account.account_name, ...definition });
+  }
+  return definitions;
+};
+
+/**
+ * Count distinct campaigns per platform
+ *
+ * @returns {Promise<Map<string, number>>}
+ */
+const getCampaignCounts = async (workspaceId, filters) => {
+  const { whereClause, params } = buildWhereClause(workspaceId, filters);
+  const result = await query(
+    `SELECT uc.platform, COUNT(DISTINCT uc.platform_campaign_id)::int as campaign_count
+     FROM unified_campaigns uc
+     ${whereClause}
+     GROUP BY uc.platform`,
+    params
+  );
+  return new Map(result.rows.map(row => [row.platform, row.campaign_count]));
+};
 
 /**
  * Get unified campaign metrics across all platforms
@@ -26,52 +194,35 @@ const getUnifiedCampaigns = async (req, res) => {
       });
     }
 
-    let whereClause = 'WHERE workspace_id = $1';
-    const params = [workspaceId];
-    let paramIndex = 2;
-
-    if (startDate) {
-      whereClause += ` AND date >= $${paramIndex}`;
-      params.push(startDate);
-      paramIndex++;
-    }
-
-    if (endDate) {
-      whereClause += ` AND date <= $${paramIndex}`;
-      params.push(endDate);
-      paramIndex++;
-    }
-
-    if (platform) {
-      whereClause += ` AND platform = $${paramIndex}`;
-      params.push(platform);
-      paramIndex++;
-    }
-
-    const result = await query(
-      `SELECT
-        platform,
-        date,
-        campaign_name,
-        SUM(spend) as total_spend,
-        SUM(impressions) as total_impressions,
-        SUM(clicks) as total_clicks,
-        SUM(conversions) as total_conversions,
-        SUM(revenue) as total_revenue,
-        AVG(ctr) as avg_ctr,
-        AVG(cpc) as avg_cpc,
-        AVG(cpm) as avg_cpm,
-        AVG(roas) as avg_roas
-      FROM unified_campaigns
-      ${whereClause}
-      GROUP BY platform, date, campaign_name
-      ORDER BY date DESC, platform`,
-      params
-    );
+    const [converted, conversionDefinitions] = await Promise.all([
+      getConvertedGroups(workspaceId, { startDate, endDate, platform }, ['platform', 'date', 'campaign_name']),
+      getConversionDefinitions(workspaceId, platform),
+    ]);
+
+    const data = converted.groups
+      .map(group => ({
+        platform: group.platform,
+        date: group.date,
+        campaign_name: group.campaign_name,
+        total_spend: group.spend,
+        total_impressions: group.impressions,
+        total_clicks: group.clicks,
+        total_conversions: group.conversions,
+        total_revenue: group.revenue,
+        avg_ctr: group.ctr,
+        avg_cpc: group.cpc,
+        avg_cpm: group.cpm,
+        avg_roas: group.roas,
+        native: group.native,
+      }))
+      .sort((a, b) => b.date.localeCompare(a.date) || a.platform.localeCompare(b.platform));
 
     res.json({
       success: true,
-      data: result.rows,
+      currency: converted.currency,
+      fx: converted.fx,
+      conversionDefinitions,
+      data,
     });
   } catch (error) {
     console.error('Get unified campaigns error:', error);
@@ -104,40 +255,37 @@ const getPlatformComparison = async (req, res) => {
       });
     }
 
-    let whereClause = 'WHERE workspace_id = $1';
-    const params = [workspaceId];
-
-    if (startDate && endDate) {
-      whereClause += ' AND date BETWEEN $2 AND $3';
-      params.push(startDate, endDate);
-    }
-
-    const result = await query(
-      `SELECT
-        platform,
-        COUNT(DISTINCT platform_campaign_id) as campaign_count,
-        SUM(spend) as total_spend,
-        SUM(impressions) as total_impressions,
-        SUM(clicks) as total_clicks,
-        SUM(conversions) as total_conversions,
-        SUM(revenue) as total_revenue,
-        AVG(ctr) as avg_ctr,
-        AVG(cpc) as avg_cpc,
-        AVG(cpm) as avg_cpm,
-        CASE
-          WHEN SUM(spend) > 0 THEN SUM(revenue) / SUM(spend)
-          ELSE 0
-        END as roas
-      FROM unified_campaigns
-      ${whereClause}
-      GROUP BY platform
-      ORDER BY total_spend DESC`,
-      params
-    );
+    const filters = startDate && endDate ? { startDate, endDate } : {};
+    const [converted, campaignCounts, conversionDefinitions] = await Promise.all([
+      getConvertedGroups(workspaceId, filters, ['platform']),
+      getCampaignCounts(workspaceId, filters),
+      getConversionDefinitions(workspaceId),
+    ]);
+
+    const data = converted.groups
+      .map(group => ({
+        platform: group.platform,
+        campaign_count: campaignCounts.get(group.platform) || 0,
+        total_spend: group.spend,
+        total_impressions: group.impressions,
+        total_clicks: group.clicks,
+        total_conversions: group.conversions,
+        total_revenue: group.revenue,
+        avg_ctr: group.ctr,
+        avg_cpc: group.cpc,
+        avg_cpm: group.cpm,
+        roas: group.roas,
+        native: group.native,
+        // Conversions of each platform are only comparable as far as these agree
+        conversion_definitions: conversionDefinitions[group.platform] || [],
+      }))
+      .sort((a, b) => b.total_spend - a.total_spend);
 
     res.json({
       success: true,
-      data: result.rows,
+      currency: converted.currency,
+      fx: converted.fx,
+      data,
     });
   } catch (error) {
     console.error('Get platform comparison error:', error);
@@ -189,38 +337,23 @@ const getCrossPlatformTrends = async (req, res) => {
       });
     }
 
-    let whereClause = 'WHERE workspace_id = $1';
-    const params = [workspaceId];
+    const filters = startDate && endDate ? { startDate, endDate } : {};
+    const usesConversions = ['conversions', 'revenue', 'roas'].includes(metric);
+    const [converted, conversionDefinitions] = await Promise.all([
+      getConvertedGroups(workspaceId, filters, ['date', 'platform']),
+      usesConversions ? getConversionDefinitions(workspaceId) : null,
+    ]);
 
-    if (startDate && endDate) {
-      whereClause += ' AND date BETWEEN $2 AND $3';
-      params.push(startDate, endDate);
-    }
-
-    const aggregation =
-      metric === 'ctr' ||
-      metric === 'cpc' ||
-      metric === 'cpm' ||
-      metric === 'roas'
-        ? 'AVG'
-        : 'SUM';
-
-    const result = await query(
-      `SELECT
-        date,
-        platform,
-        ${aggregation}(${metric}) as value
-      FROM unified_campaigns
-      ${whereClause}
-      GROUP BY date, platform
-      ORDER BY date, platform`,
-      params
-    );
+    const data = converted.groups
+      .map(group => ({ date: group.date, platform: group.platform, value: group[metric] }))
+      .sort((a, b) => a.date.localeCompare(b.date) || a.platform.localeCompare(b.platform));
 
     res.json({
       success: true,
       metric,
-      data: result.rows,
+      ...(currency.isMonetaryMetric(metric) && { currency: converted.currency, fx: converted.fx }),
+      ...(usesConversions && { conversionDefinitions }),
+      data,
     });
   } catch (error) {
     console.error('Get cross-platform trends error:', error);
@@ -253,56 +386,45 @@ const getUnifiedSummary = async (req, res) => {
       });
     }
 
-    let whereClause = 'WHERE workspace_id = $1';
-    const params = [workspaceId];
-
-    if (startDate && endDate) {
-      whereClause += ' AND date BETWEEN $2 AND $3';
-      params.push(startDate, endDate);
-    }
-
-    const summaryResult = await query(
-      `SELECT
-        COUNT(DISTINCT platform) as platform_count,
-        COUNT(DISTINCT platform_campaign_id) as total_campaigns,
-        SUM(spend) as total_spend,
-        SUM(impressions) as total_impressions,
-        SUM(clicks) as total_clicks,
-        SUM(conversions) as total_conversions,
-        SUM(revenue) as total_revenue,
-        CASE
-          WHEN SUM(impressions) > 0 THEN (SUM(clicks)::numeric / SUM(impressions)::numeric) * 100
-          ELSE 0
-        END as overall_ctr,
-        CASE
-          WHEN SUM(clicks) > 0 THEN SUM(spend) / SUM(clicks)
-          ELSE 0
-        END as overall_cpc,
-        CASE
-          WHEN SUM(spend) > 0 THEN SUM(revenue) / SUM(spend)
-          ELSE 0
-        END as overall_roas
-      FROM unified_campaigns
-      ${whereClause}`,
-      params
-    );
-
-    const platformBreakdown = await query(
-      `SELECT
-        platform,
-        COUNT(DISTINCT platform_campaign_id) as campaign_count,
-        SUM(spend) as spend,
-        SUM(conversions) as conversions
-      FROM unified_campaigns
-      ${whereClause}
-      GROUP BY platform`,
-      params
-    );
+    const filters = startDate && endDate ? { startDate, endDate } : {};
+    const [converted, campaignCounts, conversionDefinitions] = await Promise.all([
+      getConvertedGroups(workspaceId, filters, ['platform']),
+      getCampaignCounts(workspaceId, filters),
+      getConversionDefinitions(workspaceId),
+    ]);
+
+    const totals = metricsStore.deriveMetrics(converted.groups.reduce((sum, group) => ({
+      spend: sum.spend + group.spend,
+      impressions: sum.impressions + group.impressions,
+      clicks: sum.clicks + group.clicks,
+      conversions: sum.conversions + group.conversions,
+      revenue: sum.revenue + group.revenue,
+    }), { spend: 0, impressions: 0, clicks: 0, conversions: 0, revenue: 0 }));
 
     res.json({
       success: true,
-      summary: summaryResult.rows[0],
-      platforms: platformBreakdown.rows,
+      currency: converted.currency,
+      fx: converted.fx,
+      summary: {
+        platform_count: converted.groups.length,
+        total_campaigns: [...campaignCounts.values()].reduce((sum, count) => sum + count, 0),
+        total_spend: totals.spend,
+        total_impressions: totals.impressions,
+        total_clicks: totals.clicks,
+        total_conversions: totals.conversions,
+        total_revenue: totals.revenue,
+        overall_ctr: totals.ctr,
+        overall_cpc: totals.cpc,
+        overall_roas: totals.roas,
+      },
+      platforms: converted.groups.map(group => ({
+        platform: group.platform,
+        campaign_count: campaignCounts.get(group.platform) || 0,
+        spend: group.spend,
+        conversions: group.conversions,
+        native: group.native,
+        conversion_definitions: conversionDefinitions[group.platform] || [],
+      })),
     });
   } catch (error) {
     console.error('Get unified summary error:', error);
@@ -0,0 +1,14 @@
+-- Anomaly Detection Engine - Migration 019
+-- Description: Support idempotent writes from the scheduled anomaly detector
+
+-- One account-level anomaly per metric per day, so re-running detection for
+-- a date never duplicates rows (campaign/ad set anomalies are not deduplicated here)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_anomalies_account_metric_date
+  ON anomalies(ad_account_id, metric, detection_date)
+  WHERE campaign_id IS NULL AND ad_set_id IS NULL;
+
+-- Speeds up the per-account daily series lookups used for baselines
+CREATE INDEX IF NOT EXISTS idx_unified_campaigns_account_date
+  ON unified_campaigns((metadata->>'ad_account_id'), date DESC);
+
+COMMENT ON INDEX idx_anomalies_account_metric_date IS 'Deduplicates account-level anomalies written by the anomaly detection job';
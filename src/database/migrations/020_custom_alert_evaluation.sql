@@ -0,0 +1,29 @@
+-- Custom Alert Evaluation - Migration 020
+-- Description: Track evaluation of custom_alert_rules and their trigger history
+
+ALTER TABLE custom_alert_rules
+ADD COLUMN IF NOT EXISTS cooldown_minutes INT,
+ADD COLUMN IF NOT EXISTS last_evaluated_at TIMESTAMP WITH TIME ZONE;
+
+-- History of rule triggers with the evaluation that caused them
+CREATE TABLE IF NOT EXISTS custom_alert_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  rule_id UUID NOT NULL REFERENCES custom_alert_rules(id) ON DELETE CASCADE,
+  workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  triggered_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  evaluation JSONB NOT NULL, -- Truth table of the condition tree
+  deliveries JSONB DEFAULT '[]', -- Per-channel delivery results
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_custom_alert_history_rule ON custom_alert_history(rule_id, triggered_at DESC);
+CREATE INDEX IF NOT EXISTS idx_custom_alert_history_workspace ON custom_alert_history(workspace_id, triggered_at DESC);
+
+-- Allow custom alert rules to create in-app notifications
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_notification_type_check;
+ALTER TABLE notifications
+ADD CONSTRAINT notifications_notification_type_check
+CHECK (notification_type IN ('anomaly', 'budget_alert', 'system', 'campaign_status', 'custom_alert'));
+
+COMMENT ON COLUMN custom_alert_rules.cooldown_minutes IS 'Minimum minutes between triggers; defaults depend on frequency when NULL';
+COMMENT ON TABLE custom_alert_history IS 'History of custom alert rule triggers';
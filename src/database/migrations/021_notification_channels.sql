@@ -0,0 +1,45 @@
+-- Notification Channels - Migration 021
+-- Description: Per-workspace delivery channels (Slack, Teams, webhook, email) and a dead-letter table for failed deliveries
+
+CREATE TABLE IF NOT EXISTS notification_channels (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  channel_type VARCHAR(20) NOT NULL CHECK (channel_type IN ('slack', 'teams', 'webhook', 'email')),
+  config JSONB NOT NULL DEFAULT '{}', -- webhook_url / url + secret / recipients
+  event_types TEXT[] DEFAULT '{}', -- Empty means all events (anomaly, budget_alert, custom_alert, alert)
+  min_severity VARCHAR(20) DEFAULT 'low' CHECK (min_severity IN ('info', 'low', 'medium', 'high', 'critical')),
+  is_active BOOLEAN DEFAULT TRUE,
+  last_delivery_at TIMESTAMP WITH TIME ZONE,
+  last_error TEXT,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_channels_workspace ON notification_channels(workspace_id) WHERE is_active = TRUE;
+
+-- Deliveries that still failed after all retries
+CREATE TABLE IF NOT EXISTS notification_dead_letters (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  channel_id UUID REFERENCES notification_channels(id) ON DELETE SET NULL,
+  channel_type VARCHAR(20) NOT NULL,
+  channel_config JSONB NOT NULL DEFAULT '{}', -- Snapshot, so inline (non-saved) channels can be retried
+  event_type VARCHAR(50) NOT NULL,
+  payload JSONB NOT NULL,
+  attempts INT NOT NULL DEFAULT 0,
+  last_error TEXT,
+  status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'resolved', 'discarded')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_dead_letters_workspace ON notification_dead_letters(workspace_id, status, created_at DESC);
+
+DROP TRIGGER IF EXISTS update_notification_channels_updated_at ON notification_channels;
+CREATE TRIGGER update_notification_channels_updated_at BEFORE UPDATE ON notification_channels
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE notification_channels IS 'Workspace-level external delivery channels for alerts and notifications';
+COMMENT ON TABLE notification_dead_letters IS 'Notification deliveries that failed after all retries';
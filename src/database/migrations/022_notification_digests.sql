@@ -0,0 +1,25 @@
+-- Notification Digests - Migration 022
+-- Description: Record daily/weekly notification digests and which notifications they included
+
+CREATE TABLE IF NOT EXISTS notification_digests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  frequency VARCHAR(20) NOT NULL CHECK (frequency IN ('daily', 'weekly')),
+  notification_count INT NOT NULL DEFAULT 0,
+  summary JSONB DEFAULT '{}', -- Counts by type and severity
+  channels JSONB DEFAULT '[]', -- Per-channel delivery results (email, slack)
+  sent_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_digests_user ON notification_digests(user_id, workspace_id, sent_at DESC);
+
+-- Notifications that were included in a digest are never included again
+ALTER TABLE notifications
+ADD COLUMN IF NOT EXISTS digest_id UUID REFERENCES notification_digests(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_notifications_pending_digest ON notifications(user_id, workspace_id, created_at)
+  WHERE digest_id IS NULL AND is_read = FALSE;
+
+COMMENT ON TABLE notification_digests IS 'Daily/weekly notification digests sent to users';
+COMMENT ON COLUMN notifications.digest_id IS 'Digest this notification was included in';
@@ -0,0 +1,8 @@
+-- Custom Report Sections - Migration 023
+-- Description: Store the ordered section definitions of report_type = 'custom' scheduled reports
+
+ALTER TABLE scheduled_reports
+ADD COLUMN IF NOT EXISTS sections JSONB NOT NULL DEFAULT '[]';
+
+COMMENT ON COLUMN scheduled_reports.sections IS
+  'Ordered sections for custom reports: [{ type, title, metrics, date_range, filter_id, filters, limit, sort_by, text }]';
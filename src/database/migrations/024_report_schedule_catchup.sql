@@ -0,0 +1,29 @@
+-- Report Schedule Catch-up - Migration 024
+-- Description: Timezone-aware next runs computed by the application, missed-run policy,
+-- a lease so only one API replica processes a report, and per-slot executions
+
+-- next_scheduled_at is now computed in the report's timezone by the scheduler
+-- (services/reportSchedule.js); the trigger below ignored the timezone
+DROP TRIGGER IF EXISTS set_next_scheduled_at ON scheduled_reports;
+DROP FUNCTION IF EXISTS update_next_scheduled_at();
+
+ALTER TABLE scheduled_reports
+ADD COLUMN IF NOT EXISTS missed_run_policy VARCHAR(20) NOT NULL DEFAULT 'run_once'
+  CHECK (missed_run_policy IN ('skip', 'run_once', 'run_all')),
+ADD COLUMN IF NOT EXISTS locked_by VARCHAR(255),
+ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN scheduled_reports.missed_run_policy IS
+  'Runs missed while no scheduler was running: skip them, run once for the latest, or run every missed slot';
+COMMENT ON COLUMN scheduled_reports.locked_by IS 'Scheduler instance (host:pid) currently processing the report';
+COMMENT ON COLUMN scheduled_reports.locked_until IS 'Lease expiry; an expired lease can be claimed by another instance';
+
+-- The schedule slot an execution was for (NULL for manual triggers)
+ALTER TABLE report_executions
+ADD COLUMN IF NOT EXISTS scheduled_for TIMESTAMP WITH TIME ZONE;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_report_executions_slot
+  ON report_executions(scheduled_report_id, scheduled_for)
+  WHERE scheduled_for IS NOT NULL;
+
+COMMENT ON INDEX idx_report_executions_slot IS 'A schedule slot is executed at most once, even across replicas';
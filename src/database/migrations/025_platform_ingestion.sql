@@ -0,0 +1,38 @@
+-- Platform Ingestion - Migration 025
+-- Description: Idempotent upserts of synced ad_metrics, ad accounts connected through
+-- platform_credentials (TikTok, LinkedIn) and per-stage sync job progress
+
+-- One row per account / campaign / ad set / ad / day / hour; NULL levels are the rollups
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ad_metrics_grain ON ad_metrics (
+  ad_account_id,
+  (COALESCE(campaign_id, '00000000-0000-0000-0000-000000000000'::uuid)),
+  (COALESCE(ad_set_id, '00000000-0000-0000-0000-000000000000'::uuid)),
+  (COALESCE(ad_id, '00000000-0000-0000-0000-000000000000'::uuid)),
+  metric_date,
+  (COALESCE(metric_hour, -1))
+);
+
+COMMENT ON INDEX idx_ad_metrics_grain IS 'Conflict target for the platform sync upserts (services/platformSync.js)';
+
+-- TikTok and LinkedIn connections store their token in platform_credentials
+ALTER TABLE ad_accounts
+ALTER COLUMN oauth_token_id DROP NOT NULL,
+ADD COLUMN IF NOT EXISTS platform_credential_id UUID REFERENCES platform_credentials(id) ON DELETE CASCADE;
+
+ALTER TABLE ad_accounts DROP CONSTRAINT IF EXISTS ad_accounts_credentials_check;
+ALTER TABLE ad_accounts
+ADD CONSTRAINT ad_accounts_credentials_check
+CHECK (oauth_token_id IS NOT NULL OR platform_credential_id IS NOT NULL);
+
+COMMENT ON COLUMN ad_accounts.platform_credential_id IS 'Credentials used when the account was not connected through oauth_tokens';
+
+-- Progress of each sync stage, e.g. { "campaigns": 12, "ad_sets": 40, "ads": 95, "metrics": 930 }
+ALTER TABLE sync_jobs
+ADD COLUMN IF NOT EXISTS progress JSONB NOT NULL DEFAULT '{}';
+
+-- At most one running sync per account, across API replicas
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sync_jobs_running
+  ON sync_jobs(ad_account_id)
+  WHERE status = 'running';
+
+CREATE INDEX IF NOT EXISTS idx_sync_jobs_account_created ON sync_jobs(ad_account_id, created_at DESC);
@@ -0,0 +1,21 @@
+-- OAuth Token Refresh - Migration 026
+-- Description: Track token refreshes and connections that need the user to reconnect
+
+ALTER TABLE oauth_tokens
+ADD COLUMN IF NOT EXISTS needs_reauth BOOLEAN NOT NULL DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS reauth_reason TEXT,
+ADD COLUMN IF NOT EXISTS last_refreshed_at TIMESTAMP;
+
+COMMENT ON COLUMN oauth_tokens.needs_reauth IS 'Refresh failed or the token was revoked; the user has to reconnect';
+COMMENT ON COLUMN oauth_tokens.reauth_reason IS 'Error returned by the platform when the token could not be refreshed';
+COMMENT ON COLUMN oauth_tokens.last_refreshed_at IS 'Last refresh (or Meta long-lived token re-exchange) by the token manager';
+
+ALTER TABLE ad_accounts
+ADD COLUMN IF NOT EXISTS needs_reauth BOOLEAN NOT NULL DEFAULT FALSE;
+
+COMMENT ON COLUMN ad_accounts.needs_reauth IS 'The account''s token can no longer be refreshed; data stops syncing until it is reconnected';
+
+-- The refresh job scans tokens by expiry
+CREATE INDEX IF NOT EXISTS idx_oauth_tokens_expires_at
+  ON oauth_tokens(expires_at)
+  WHERE needs_reauth = FALSE;
@@ -0,0 +1,83 @@
+-- Widget Data Config - Migration 027
+-- Description: Declarative data contract for dashboard widgets, inferred once for existing
+-- widgets from the title keywords their data used to be picked by
+
+ALTER TABLE dashboard_widgets
+ADD COLUMN IF NOT EXISTS data_config JSONB;
+
+COMMENT ON COLUMN dashboard_widgets.data_config IS
+  'Data contract: { metrics, dimension, sort: { by, direction }, limit, comparison, filters } (see services/widgetRegistry.js); NULL falls back to data_source.metric';
+
+-- Meta widgets showed a breakdown when they were tables or pie charts, or bar
+-- charts whose title named one; other ad platforms always showed totals, and
+-- Search Console widgets picked their table by title. Only types that accept a
+-- breakdown get a dimension. Record what each widget showed so renaming it no
+-- longer changes its data.
+WITH titled AS (
+  SELECT
+    dw.id,
+    dw.data_source,
+    aa.platform,
+    LOWER(dw.title) AS title,
+    dw.widget_type IN ('pie_chart', 'table', 'bar_chart') AS accepts_breakdown,
+    dw.widget_type IN ('pie_chart', 'table')
+      OR LOWER(dw.title) ~ '(breakdown|device|country|geographic|campaign|ad set|adset|\mads\M|creative|placement|\mage\M|gender)' AS shows_breakdown
+  FROM dashboard_widgets dw
+  LEFT JOIN ad_accounts aa ON aa.id::text = dw.data_source->>'adAccountId'
+  WHERE dw.data_config IS NULL
+),
+inferred AS (
+  SELECT
+    id,
+    data_source,
+    platform,
+    CASE WHEN accepts_breakdown AND COALESCE(platform, '') NOT IN ('google', 'tiktok', 'linkedin')
+    THEN COALESCE(data_source->>'breakdown', CASE
+      WHEN platform = 'search_console' THEN CASE
+        WHEN title LIKE '%keyword%' OR title LIKE '%quer%' OR title LIKE '%page%' THEN NULL
+        WHEN title LIKE '%device%' THEN 'device'
+        WHEN title LIKE '%countr%' THEN 'country'
+      END
+      WHEN platform = 'meta' AND shows_breakdown THEN CASE
+        WHEN title LIKE '%device%' THEN 'device'
+        WHEN title LIKE '%country%' OR title LIKE '%geographic%' THEN 'country'
+        WHEN title LIKE '%campaign%' THEN 'campaign'
+        WHEN title LIKE '%ad set%' OR title LIKE '%adset%' THEN 'ad_set'
+        WHEN title LIKE '%ad %' OR title LIKE '%ads performance%' OR title LIKE '%ads breakdown%' THEN 'ad'
+        WHEN title LIKE '%creative%' THEN 'creative'
+        WHEN title LIKE '%placement%' THEN 'placement'
+        WHEN title ~ '\mage\M' THEN 'age'
+        WHEN title LIKE '%gender%' THEN 'gender'
+        ELSE 'device'
+      END
+    END) END AS dimension,
+    CASE
+      WHEN platform = 'search_console' AND (title LIKE '%keyword%' OR title LIKE '%quer%') THEN 'top_queries'
+      WHEN platform = 'search_console' AND title LIKE '%page%' THEN 'top_pages'
+      ELSE data_source->>'metric'
+    END AS metric
+  FROM titled
+),
+resolved AS (
+  SELECT
+    id,
+    data_source,
+    dimension,
+    -- Metric each widget fell back to when its data source named none
+    COALESCE(metric, CASE
+      WHEN platform = 'search_console' OR dimension IN ('device', 'country') THEN 'clicks'
+      WHEN platform IS NOT NULL THEN 'spend'
+    END) AS metric
+  FROM inferred
+)
+UPDATE dashboard_widgets dw
+SET data_config = jsonb_build_object(
+  'metrics', CASE WHEN r.metric IS NULL THEN '[]'::jsonb ELSE jsonb_build_array(r.metric) END,
+  'dimension', r.dimension,
+  'sort', jsonb_build_object('by', r.metric, 'direction', 'desc'),
+  'limit', NULL,
+  'comparison', r.data_source->'comparison',
+  'filters', '{}'::jsonb
+)
+FROM resolved r
+WHERE dw.id = r.id;
@@ -0,0 +1,24 @@
+-- Calculated Metrics - Migration 028
+-- Description: Workspace-level metrics defined by a formula over platform metrics and custom data columns
+
+CREATE TABLE IF NOT EXISTS calculated_metrics (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  key VARCHAR(45) NOT NULL, -- Referenced as calc:<key> by widgets, reports, alerts and goals
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  formula TEXT NOT NULL, -- e.g. (revenue_from_sheet - spend) / spend
+  inputs JSONB NOT NULL DEFAULT '{}', -- { name: { sourceId, column, aggregation } } custom data columns the formula reads
+  format VARCHAR(20) NOT NULL DEFAULT 'number' CHECK (format IN ('number', 'currency', 'percent', 'ratio')),
+  decimals INT NOT NULL DEFAULT 2 CHECK (decimals BETWEEN 0 AND 6),
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT unique_workspace_calculated_metric_key UNIQUE(workspace_id, key)
+);
+
+DROP TRIGGER IF EXISTS update_calculated_metrics_updated_at ON calculated_metrics;
+CREATE TRIGGER update_calculated_metrics_updated_at BEFORE UPDATE ON calculated_metrics
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE calculated_metrics IS 'Formula metrics evaluated over synced platform metrics and custom data (see services/calculatedMetrics.js)';
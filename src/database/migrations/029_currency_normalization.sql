@@ -0,0 +1,35 @@
+-- Currency Normalization - Migration 029
+-- Description: Workspace reporting currency and a local daily FX rate table for converting monetary metrics
+
+ALTER TABLE workspaces
+ADD COLUMN IF NOT EXISTS reporting_currency VARCHAR(3) NOT NULL DEFAULT 'USD';
+
+COMMENT ON COLUMN workspaces.reporting_currency IS 'ISO 4217 code monetary metrics are converted to when accounts are combined';
+
+-- Account currencies are compared against ISO codes
+UPDATE ad_accounts SET currency = UPPER(TRIM(currency))
+WHERE currency IS NOT NULL AND currency <> UPPER(TRIM(currency));
+
+COMMENT ON COLUMN ad_accounts.currency IS 'Native (billing) currency of the account as reported by the platform; NULL when unknown';
+
+CREATE TABLE IF NOT EXISTS fx_rates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  rate_date DATE NOT NULL,
+  base_currency VARCHAR(3) NOT NULL,
+  quote_currency VARCHAR(3) NOT NULL,
+  rate NUMERIC(24, 10) NOT NULL CHECK (rate > 0), -- 1 base_currency = rate quote_currency
+  source VARCHAR(50) NOT NULL DEFAULT 'csv',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT fx_rates_distinct_currencies CHECK (base_currency <> quote_currency),
+  CONSTRAINT unique_workspace_fx_rate UNIQUE(workspace_id, base_currency, quote_currency, rate_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_fx_rates_workspace_date ON fx_rates(workspace_id, rate_date);
+
+DROP TRIGGER IF EXISTS update_fx_rates_updated_at ON fx_rates;
+CREATE TRIGGER update_fx_rates_updated_at BEFORE UPDATE ON fx_rates
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE fx_rates IS 'Daily exchange rates per workspace, imported from CSV; a day without a rate uses the latest earlier one (see services/currency.js)';
@@ -0,0 +1,13 @@
+-- Conversion Settings - Migration 030
+-- Description: Per-account conversion actions and attribution windows used when fetching and syncing conversions
+
+ALTER TABLE ad_accounts
+ADD COLUMN IF NOT EXISTS conversion_actions TEXT[],
+ADD COLUMN IF NOT EXISTS click_attribution_days SMALLINT CHECK (click_attribution_days IS NULL OR click_attribution_days > 0),
+ADD COLUMN IF NOT EXISTS view_attribution_days SMALLINT CHECK (view_attribution_days IS NULL OR view_attribution_days >= 0),
+ADD COLUMN IF NOT EXISTS conversion_settings_updated_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN ad_accounts.conversion_actions IS 'Conversion actions counted as conversions (Meta action types, Google conversion action names, TikTok events, LinkedIn conversion types); NULL = platform default';
+COMMENT ON COLUMN ad_accounts.click_attribution_days IS 'Post-click attribution window in days; NULL = platform default';
+COMMENT ON COLUMN ad_accounts.view_attribution_days IS 'Post-view attribution window in days, 0 excludes view-through conversions; NULL = platform default';
+COMMENT ON COLUMN ad_accounts.conversion_settings_updated_at IS 'When the conversion definition last changed; synced metrics before the following full sync use the previous definition';
@@ -0,0 +1,50 @@
+-- Budgets - Migration 031
+-- Description: Budgets over custom periods (monthly, quarterly, flight dates, lifetime) for ad accounts,
+-- campaigns and cross-account groups, paced from synced spend
+
+CREATE TABLE IF NOT EXISTS budgets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  period_type VARCHAR(20) NOT NULL CHECK (period_type IN ('monthly', 'quarterly', 'flight', 'lifetime')),
+  amount DECIMAL(15, 2) NOT NULL CHECK (amount > 0),
+  currency VARCHAR(3) NOT NULL,
+  start_date DATE,
+  end_date DATE,
+  alert_thresholds JSONB NOT NULL DEFAULT '[80, 90, 100]',
+  alert_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT budgets_flight_dates_check CHECK (period_type <> 'flight' OR (start_date IS NOT NULL AND end_date IS NOT NULL)),
+  CONSTRAINT budgets_lifetime_start_check CHECK (period_type <> 'lifetime' OR start_date IS NOT NULL),
+  CONSTRAINT budgets_date_order_check CHECK (start_date IS NULL OR end_date IS NULL OR end_date >= start_date)
+);
+
+-- What a budget covers: whole ad accounts, or single campaigns (campaign_id set)
+CREATE TABLE IF NOT EXISTS budget_members (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  budget_id UUID NOT NULL REFERENCES budgets(id) ON DELETE CASCADE,
+  ad_account_id UUID NOT NULL REFERENCES ad_accounts(id) ON DELETE CASCADE,
+  campaign_id UUID REFERENCES campaigns(id) ON DELETE CASCADE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_budget_members_unique ON budget_members (
+  budget_id,
+  ad_account_id,
+  (COALESCE(campaign_id, '00000000-0000-0000-0000-000000000000'::uuid))
+);
+CREATE INDEX IF NOT EXISTS idx_budget_members_account ON budget_members(ad_account_id);
+CREATE INDEX IF NOT EXISTS idx_budgets_workspace ON budgets(workspace_id);
+
+DROP TRIGGER IF EXISTS update_budgets_updated_at ON budgets;
+CREATE TRIGGER update_budgets_updated_at BEFORE UPDATE ON budgets
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE budgets IS 'Spend budgets paced from synced daily spend (see services/budgetPacing.js)';
+COMMENT ON COLUMN budgets.period_type IS 'monthly and quarterly repeat on calendar periods; flight runs from start_date to end_date; lifetime runs from start_date until end_date or indefinitely';
+COMMENT ON COLUMN budgets.currency IS 'Currency of amount: the members'' account currency, or the workspace reporting currency when members use several';
+COMMENT ON COLUMN budgets.start_date IS 'Flight / lifetime start; for monthly and quarterly budgets the first day tracked';
+COMMENT ON COLUMN budgets.end_date IS 'Flight / lifetime end; for monthly and quarterly budgets the last day tracked';
+COMMENT ON TABLE budget_members IS 'Ad accounts and campaigns whose spend counts towards a budget';
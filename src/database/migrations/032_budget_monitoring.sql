@@ -0,0 +1,37 @@
+-- Budget Monitoring - Migration 032
+-- Description: Daily spend snapshots and budget alerts written by the budget monitor job,
+-- for account monthly budgets and budgets (migration 031)
+
+-- Snapshots: the period the cumulative spend covers and what it was measured against
+ALTER TABLE daily_spend_snapshots
+ADD COLUMN IF NOT EXISTS currency VARCHAR(3),
+ADD COLUMN IF NOT EXISTS period_start DATE,
+ADD COLUMN IF NOT EXISTS budget_amount DECIMAL(15, 2),
+ADD COLUMN IF NOT EXISTS pacing_status VARCHAR(20),
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+-- Alerts: either for the monthly budget of an ad account or for a budget
+ALTER TABLE budget_alerts
+ADD COLUMN IF NOT EXISTS budget_id UUID REFERENCES budgets(id) ON DELETE CASCADE,
+ADD COLUMN IF NOT EXISTS period_start DATE,
+ADD COLUMN IF NOT EXISTS currency VARCHAR(3);
+
+ALTER TABLE budget_alerts ALTER COLUMN ad_account_id DROP NOT NULL;
+
+ALTER TABLE budget_alerts DROP CONSTRAINT IF EXISTS budget_alerts_subject_check;
+ALTER TABLE budget_alerts ADD CONSTRAINT budget_alerts_subject_check
+CHECK (ad_account_id IS NOT NULL OR budget_id IS NOT NULL);
+
+-- One alert per threshold crossing per budget period
+CREATE UNIQUE INDEX IF NOT EXISTS idx_budget_alerts_account_crossing
+  ON budget_alerts(ad_account_id, budget_period, period_start, threshold_percentage)
+  WHERE budget_id IS NULL AND period_start IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_budget_alerts_budget_crossing
+  ON budget_alerts(budget_id, period_start, threshold_percentage)
+  WHERE budget_id IS NOT NULL;
+
+COMMENT ON COLUMN daily_spend_snapshots.daily_spend IS 'Spend on snapshot_date in the account currency';
+COMMENT ON COLUMN daily_spend_snapshots.cumulative_spend IS 'Spend from period_start through snapshot_date (current budget month)';
+COMMENT ON COLUMN daily_spend_snapshots.projected_monthly_spend IS 'Month-end spend projected on snapshot_date (day-of-week weighted)';
+COMMENT ON COLUMN budget_alerts.budget_id IS 'Budget the alert is for; NULL for the monthly budget of ad_account_id';
+COMMENT ON COLUMN budget_alerts.period_start IS 'First day of the budget period the threshold was crossed in';
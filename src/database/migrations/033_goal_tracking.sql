@@ -0,0 +1,34 @@
+-- Goal Tracking - Migration 033
+-- Description: Automatic goal evaluation from synced metrics - projections, daily progress
+-- history, end-of-window status and alert threshold notifications
+
+ALTER TABLE campaign_goals
+ADD COLUMN IF NOT EXISTS projected_value DECIMAL(15, 2),
+ADD COLUMN IF NOT EXISTS projected_status VARCHAR(20),
+ADD COLUMN IF NOT EXISTS evaluated_through DATE,
+ADD COLUMN IF NOT EXISTS last_evaluated_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS evaluation_error TEXT,
+ADD COLUMN IF NOT EXISTS alert_notified_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS closed_at TIMESTAMP WITH TIME ZONE;
+
+-- One evaluator row per goal and day; manual updates keep adding rows
+ALTER TABLE goal_progress_history
+ADD COLUMN IF NOT EXISTS recorded_date DATE,
+ADD COLUMN IF NOT EXISTS source VARCHAR(20) NOT NULL DEFAULT 'manual';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_goal_progress_daily
+  ON goal_progress_history(goal_id, recorded_date)
+  WHERE source = 'evaluator';
+
+-- Allow goal notifications
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_notification_type_check;
+ALTER TABLE notifications
+ADD CONSTRAINT notifications_notification_type_check
+CHECK (notification_type IN ('anomaly', 'budget_alert', 'system', 'campaign_status', 'custom_alert', 'goal'));
+
+COMMENT ON COLUMN campaign_goals.projected_value IS 'Value projected for end_date by the goal evaluator';
+COMMENT ON COLUMN campaign_goals.projected_status IS 'on_track or off_track: whether the projected value hits target_value';
+COMMENT ON COLUMN campaign_goals.evaluated_through IS 'Last day of synced metrics current_value covers';
+COMMENT ON COLUMN campaign_goals.alert_notified_at IS 'When the workspace was told that progress crossed alert_threshold';
+COMMENT ON COLUMN campaign_goals.closed_at IS 'When the evaluator marked the goal completed or failed';
+COMMENT ON COLUMN goal_progress_history.source IS 'manual (updateGoal) or evaluator (daily goal evaluation)';
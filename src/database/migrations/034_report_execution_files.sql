@@ -0,0 +1,14 @@
+-- Report Execution Files - Migration 034
+-- Description: Rendered report files are stored on the execution row, so every API
+-- replica can serve them and they survive restarts and deploys
+
+ALTER TABLE report_executions
+ADD COLUMN IF NOT EXISTS file_name VARCHAR(255),
+ADD COLUMN IF NOT EXISTS file_content_type VARCHAR(100),
+ADD COLUMN IF NOT EXISTS file_data BYTEA;
+
+COMMENT ON COLUMN report_executions.file_name IS 'Download name of the rendered report file';
+COMMENT ON COLUMN report_executions.file_data IS 'Rendered report file (PDF); replaces the pod-local file_path';
+
+-- Files written to pod-local disk are not reachable from other replicas
+UPDATE report_executions SET file_path = NULL WHERE file_path IS NOT NULL;
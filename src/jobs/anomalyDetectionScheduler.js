@@ -0,0 +1,83 @@
+/**
+ * Anomaly Detection Scheduler
+ * Cron-based scheduler that runs statistical anomaly detection on synced metrics
+ */
+
+const cron = require('node-cron');
+const anomalyDetector = require('../services/anomalyDetector');
+
+// Track running jobs to prevent overlaps
+let isRunning = false;
+
+/**
+ * Detection job that runs once a day for the previous day
+ */
+async function runDetectionJob(options = {}) {
+  if (isRunning) {
+    console.log('⏭️  Skipping anomaly detection - previous job still running');
+    return null;
+  }
+
+  isRunning = true;
+  const startTime = Date.now();
+
+  try {
+    console.log('\n🕐 [Anomaly Scheduler] Starting anomaly detection...');
+
+    const result = await anomalyDetector.runDetection(options);
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    console.log(`✅ [Anomaly Scheduler] Completed in ${duration}s - Date: ${result.detectionDate}, Accounts: ${result.accountsProcessed}, Anomalies: ${result.anomaliesDetected}, Failed: ${result.failed}\n`);
+
+    return result;
+  } catch (error) {
+    console.error('❌ [Anomaly Scheduler] Error during anomaly detection:', error);
+    return null;
+  } finally {
+    isRunning = false;
+  }
+}
+
+/**
+ * Initialize and start the anomaly detection scheduler
+ */
+function startScheduler() {
+  console.log('🚀 [Anomaly Scheduler] Initializing anomaly detection scheduler...');
+
+  // Run daily at 06:00 UTC, after the overnight platform syncs have landed
+  const dailySchedule = '0 6 * * *';
+
+  const dailyTask = cron.schedule(dailySchedule, () => runDetectionJob(), {
+    scheduled: true,
+    timezone: 'UTC',
+  });
+
+  console.log(`✅ [Anomaly Scheduler] Daily detection job scheduled (${dailySchedule})`);
+
+  return {
+    dailyTask,
+    stop: () => {
+      dailyTask.stop();
+      console.log('🛑 [Anomaly Scheduler] Detection job stopped');
+    },
+    start: () => {
+      dailyTask.start();
+      console.log('▶️  [Anomaly Scheduler] Detection job started');
+    },
+  };
+}
+
+/**
+ * Run detection immediately (for testing or manual trigger)
+ *
+ * @param {Object} [options] - Passed to anomalyDetector.runDetection (date, adAccountId)
+ */
+async function runImmediately(options = {}) {
+  console.log('🔄 [Anomaly Scheduler] Running anomaly detection immediately...');
+  return runDetectionJob(options);
+}
+
+module.exports = {
+  startScheduler,
+  runImmediately,
+};
@@ -0,0 +1,83 @@
+/**
+ * Budget Monitor Scheduler
+ * Cron-based scheduler that snapshots daily spend and raises budget alerts
+ */
+
+const cron = require('node-cron');
+const budgetMonitor = require('../services/budgetMonitor');
+
+// Track running jobs to prevent overlaps
+let isRunning = false;
+
+/**
+ * Snapshot job that runs once a day for the previous day
+ */
+async function runSnapshotJob(options = {}) {
+  if (isRunning) {
+    console.log('⏭️  Skipping budget monitor - previous job still running');
+    return null;
+  }
+
+  isRunning = true;
+  const startTime = Date.now();
+
+  try {
+    console.log('\n🕐 [Budget Monitor Scheduler] Snapshotting spend and checking budgets...');
+
+    const result = await budgetMonitor.runDailySnapshots(options);
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    console.log(`✅ [Budget Monitor Scheduler] Completed in ${duration}s - Accounts: ${result.accountsProcessed}, Budgets: ${result.budgetsChecked}, Alerts: ${result.alertsRaised}, Failed: ${result.failed}\n`);
+
+    return result;
+  } catch (error) {
+    console.error('❌ [Budget Monitor Scheduler] Error during budget monitoring:', error);
+    return null;
+  } finally {
+    isRunning = false;
+  }
+}
+
+/**
+ * Initialize and start the budget monitor scheduler
+ */
+function startScheduler() {
+  console.log('🚀 [Budget Monitor Scheduler] Initializing budget monitor scheduler...');
+
+  // Run daily at 06:30 UTC, after the overnight platform syncs have landed
+  const dailySchedule = '30 6 * * *';
+
+  const dailyTask = cron.schedule(dailySchedule, () => runSnapshotJob(), {
+    scheduled: true,
+    timezone: 'UTC',
+  });
+
+  console.log(`✅ [Budget Monitor Scheduler] Daily snapshot job scheduled (${dailySchedule})`);
+
+  return {
+    dailyTask,
+    stop: () => {
+      dailyTask.stop();
+      console.log('🛑 [Budget Monitor Scheduler] Snapshot job stopped');
+    },
+    start: () => {
+      dailyTask.start();
+      console.log('▶️  [Budget Monitor Scheduler] Snapshot job started');
+    },
+  };
+}
+
+/**
+ * Run the snapshot job immediately (for testing or manual trigger)
+ *
+ * @param {Object} [options] - Passed to budgetMonitor.runDailySnapshots (date, adAccountId)
+ */
+async function runImmediately(options = {}) {
+  console.log('🔄 [Budget Monitor Scheduler] Running budget monitor immediately...');
+  return runSnapshotJob(options);
+}
+
+module.exports = {
+  startScheduler,
+  runImmediately,
+};
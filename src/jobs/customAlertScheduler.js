@@ -0,0 +1,81 @@
+/**
+ * Custom Alert Scheduler
+ * Cron-based scheduler that evaluates custom alert rules on their configured frequency
+ */
+
+const cron = require('node-cron');
+const alertRuleEvaluator = require('../services/alertRuleEvaluator');
+
+// Track running jobs to prevent overlaps
+let isRunning = false;
+
+/**
+ * Evaluation job - each rule decides whether it is due based on its frequency
+ */
+async function runEvaluationJob() {
+  if (isRunning) {
+    console.log('⏭️  Skipping custom alert evaluation - previous job still running');
+    return null;
+  }
+
+  isRunning = true;
+  const startTime = Date.now();
+
+  try {
+    console.log('\n🕐 [Custom Alert Scheduler] Evaluating custom alert rules...');
+
+    const result = await alertRuleEvaluator.runDueRules();
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    console.log(`✅ [Custom Alert Scheduler] Completed in ${duration}s - Evaluated: ${result.evaluated}, Triggered: ${result.triggered}, Failed: ${result.failed}\n`);
+
+    return result;
+  } catch (error) {
+    console.error('❌ [Custom Alert Scheduler] Error during custom alert evaluation:', error);
+    return null;
+  } finally {
+    isRunning = false;
+  }
+}
+
+/**
+ * Initialize and start the custom alert scheduler
+ */
+function startScheduler() {
+  console.log('🚀 [Custom Alert Scheduler] Initializing custom alert scheduler...');
+
+  // Every 15 minutes; 'immediate' rules run every tick, hourly/daily rules when due
+  const schedule = '*/15 * * * *';
+
+  const evaluationTask = cron.schedule(schedule, () => runEvaluationJob(), {
+    scheduled: true,
+    timezone: 'UTC',
+  });
+
+  console.log(`✅ [Custom Alert Scheduler] Evaluation job scheduled (${schedule})`);
+
+  return {
+    evaluationTask,
+    stop: () => {
+      evaluationTask.stop();
+      console.log('🛑 [Custom Alert Scheduler] Evaluation job stopped');
+    },
+    start: () => {
+      evaluationTask.start();
+      console.log('▶️  [Custom Alert Scheduler] Evaluation job started');
+    },
+  };
+}
+
+/**
+ * Run evaluation immediately (for testing or manual trigger)
+ */
+async function runImmediately() {
+  console.log('🔄 [Custom Alert Scheduler] Running custom alert evaluation immediately...');
+  return runEvaluationJob();
+}
+
+module.exports = {
+  startScheduler,
+  runImmediately,
+};
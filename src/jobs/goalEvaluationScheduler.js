@@ -0,0 +1,83 @@
+/**
+ * Goal Evaluation Scheduler
+ * Cron-based scheduler that evaluates active campaign goals from synced metrics
+ */
+
+const cron = require('node-cron');
+const goalTracker = require('../services/goalTracker');
+
+// Track running jobs to prevent overlaps
+let isRunning = false;
+
+/**
+ * Evaluation job that runs once a day on metrics through the previous day
+ */
+async function runEvaluationJob(options = {}) {
+  if (isRunning) {
+    console.log('⏭️  Skipping goal evaluation - previous job still running');
+    return null;
+  }
+
+  isRunning = true;
+  const startTime = Date.now();
+
+  try {
+    console.log('\n🕐 [Goal Scheduler] Evaluating active goals...');
+
+    const result = await goalTracker.runEvaluation(options);
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    console.log(`✅ [Goal Scheduler] Completed in ${duration}s - Evaluated: ${result.evaluated}, Completed: ${result.completed}, Failed: ${result.failed}, Notified: ${result.notified}, Errors: ${result.errors}\n`);
+
+    return result;
+  } catch (error) {
+    console.error('❌ [Goal Scheduler] Error during goal evaluation:', error);
+    return null;
+  } finally {
+    isRunning = false;
+  }
+}
+
+/**
+ * Initialize and start the goal evaluation scheduler
+ */
+function startScheduler() {
+  console.log('🚀 [Goal Scheduler] Initializing goal evaluation scheduler...');
+
+  // Run daily at 07:00 UTC, after the overnight platform syncs have landed
+  const dailySchedule = '0 7 * * *';
+
+  const dailyTask = cron.schedule(dailySchedule, () => runEvaluationJob(), {
+    scheduled: true,
+    timezone: 'UTC',
+  });
+
+  console.log(`✅ [Goal Scheduler] Daily evaluation job scheduled (${dailySchedule})`);
+
+  return {
+    dailyTask,
+    stop: () => {
+      dailyTask.stop();
+      console.log('🛑 [Goal Scheduler] Evaluation job stopped');
+    },
+    start: () => {
+      dailyTask.start();
+      console.log('▶️  [Goal Scheduler] Evaluation job started');
+    },
+  };
+}
+
+/**
+ * Run evaluation immediately (for testing or manual trigger)
+ *
+ * @param {Object} [options] - Passed to goalTracker.runEvaluation (goalId, workspaceId, today)
+ */
+async function runImmediately(options = {}) {
+  console.log('🔄 [Goal Scheduler] Running goal evaluation immediately...');
+  return runEvaluationJob(options);
+}
+
+module.exports = {
+  startScheduler,
+  runImmediately,
+};
@@ -0,0 +1,81 @@
+/**
+ * Notification Digest Scheduler
+ * Cron-based scheduler that sends daily/weekly notification digests
+ */
+
+const cron = require('node-cron');
+const notificationDigest = require('../services/notificationDigest');
+
+// Track running jobs to prevent overlaps
+let isRunning = false;
+
+/**
+ * Digest job - each subscriber decides whether it is due in their own timezone
+ */
+async function runDigestJob() {
+  if (isRunning) {
+    console.log('⏭️  Skipping notification digests - previous job still running');
+    return null;
+  }
+
+  isRunning = true;
+  const startTime = Date.now();
+
+  try {
+    console.log('\n🕐 [Digest Scheduler] Sending due notification digests...');
+
+    const result = await notificationDigest.runDueDigests();
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    console.log(`✅ [Digest Scheduler] Completed in ${duration}s - Subscribers: ${result.subscribers}, Sent: ${result.sent}, Empty: ${result.empty}, Failed: ${result.failed}\n`);
+
+    return result;
+  } catch (error) {
+    console.error('❌ [Digest Scheduler] Error sending notification digests:', error);
+    return null;
+  } finally {
+    isRunning = false;
+  }
+}
+
+/**
+ * Initialize and start the digest scheduler
+ */
+function startScheduler() {
+  console.log('🚀 [Digest Scheduler] Initializing notification digest scheduler...');
+
+  // Hourly, so each subscriber's local delivery hour is hit
+  const schedule = '5 * * * *';
+
+  const digestTask = cron.schedule(schedule, () => runDigestJob(), {
+    scheduled: true,
+    timezone: 'UTC',
+  });
+
+  console.log(`✅ [Digest Scheduler] Digest job scheduled (${schedule})`);
+
+  return {
+    digestTask,
+    stop: () => {
+      digestTask.stop();
+      console.log('🛑 [Digest Scheduler] Digest job stopped');
+    },
+    start: () => {
+      digestTask.start();
+      console.log('▶️  [Digest Scheduler] Digest job started');
+    },
+  };
+}
+
+/**
+ * Run the digest job immediately (for testing or manual trigger)
+ */
+async function runImmediately() {
+  console.log('🔄 [Digest Scheduler] Running notification digests immediately...');
+  return runDigestJob();
+}
+
+module.exports = {
+  startScheduler,
+  runImmediately,
+};
@@ -0,0 +1,102 @@
+/**
+ * Platform Sync Scheduler
+ * Cron-based scheduler that pulls campaigns and daily metrics from the connected
+ * ad platforms (incremental hourly, today's numbers every 15 minutes)
+ */
+
+const cron = require('node-cron');
+const platformSync = require('../services/platformSync');
+
+// Track running job types to prevent overlaps (an account being synced by one
+// job type is skipped by the other, see platformSync.startJob)
+const runningJobTypes = new Set();
+
+/**
+ * Sync every active ad account with the given job type
+ */
+async function runSyncJob(jobType) {
+  if (runningJobTypes.has(jobType)) {
+    console.log(`⏭️  Skipping ${jobType} platform sync - previous job still running`);
+    return null;
+  }
+
+  runningJobTypes.add(jobType);
+  const startTime = Date.now();
+
+  try {
+    console.log(`\n🕐 [Platform Sync] Starting ${jobType} sync...`);
+
+    const result = await platformSync.syncAccounts({}, { jobType });
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    console.log(`✅ [Platform Sync] Completed in ${duration}s - Accounts: ${result.accounts}, Completed: ${result.completed}, Failed: ${result.failed}, Skipped: ${result.skipped}\n`);
+
+    result.results
+      .filter(r => r.status === 'failed')
+      .forEach(r => console.log(`  ✗ ${r.adAccountId}: ${r.error}`));
+
+    return result;
+  } catch (error) {
+    console.error(`❌ [Platform Sync] Error during ${jobType} sync:`, error);
+    return null;
+  } finally {
+    runningJobTypes.delete(jobType);
+  }
+}
+
+/**
+ * Initialize and start the platform sync scheduler
+ */
+function startScheduler() {
+  console.log('🚀 [Platform Sync] Initializing platform sync scheduler...');
+
+  // Every hour at minute 20: new days plus a lookback for restated conversions
+  const incrementalSchedule = '20 * * * *';
+
+  const incrementalTask = cron.schedule(incrementalSchedule, () => runSyncJob('incremental'), {
+    scheduled: true,
+    timezone: 'UTC',
+  });
+
+  console.log(`✅ [Platform Sync] Incremental sync scheduled (${incrementalSchedule})`);
+
+  // Every 15 minutes: today's spend for pacing and alerts
+  const realtimeSchedule = '*/15 * * * *';
+
+  const realtimeTask = cron.schedule(realtimeSchedule, () => runSyncJob('realtime'), {
+    scheduled: true,
+    timezone: 'UTC',
+  });
+
+  console.log(`✅ [Platform Sync] Realtime sync scheduled (${realtimeSchedule})`);
+
+  return {
+    incrementalTask,
+    realtimeTask,
+    stop: () => {
+      incrementalTask.stop();
+      realtimeTask.stop();
+      console.log('🛑 [Platform Sync] All scheduled jobs stopped');
+    },
+    start: () => {
+      incrementalTask.start();
+      realtimeTask.start();
+      console.log('▶️  [Platform Sync] All scheduled jobs started');
+    },
+  };
+}
+
+/**
+ * Run a sync immediately (for testing or manual trigger)
+ *
+ * @param {string} [jobType='incremental'] - full, incremental or realtime
+ */
+async function runImmediately(jobType = 'incremental') {
+  console.log(`🔄 [Platform Sync] Running ${jobType} sync immediately...`);
+  return runSyncJob(jobType);
+}
+
+module.exports = {
+  startScheduler,
+  runImmediately,
+};
@@ -0,0 +1,82 @@
+/**
+ * Token Refresh Scheduler
+ * Cron-based scheduler that renews long-lived platform tokens (Meta, LinkedIn)
+ * before they expire, including those of workspaces nobody is using right now
+ */
+
+const cron = require('node-cron');
+const tokenManager = require('../services/tokenManager');
+
+// Track running jobs to prevent overlaps
+let isRunning = false;
+
+/**
+ * Refresh job - renews every long-lived token inside its refresh window
+ */
+async function runRefreshJob() {
+  if (isRunning) {
+    console.log('⏭️  Skipping token refresh - previous job still running');
+    return null;
+  }
+
+  isRunning = true;
+  const startTime = Date.now();
+
+  try {
+    console.log('\n🕐 [Token Refresh] Renewing expiring platform tokens...');
+
+    const result = await tokenManager.refreshExpiringTokens();
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    console.log(`✅ [Token Refresh] Completed in ${duration}s - Checked: ${result.checked}, Refreshed: ${result.refreshed}, Failed: ${result.failed}\n`);
+
+    return result;
+  } catch (error) {
+    console.error('❌ [Token Refresh] Error renewing platform tokens:', error);
+    return null;
+  } finally {
+    isRunning = false;
+  }
+}
+
+/**
+ * Initialize and start the token refresh scheduler
+ */
+function startScheduler() {
+  console.log('🚀 [Token Refresh] Initializing token refresh scheduler...');
+
+  // Every 6 hours: a failed renewal is retried several times before the token lapses
+  const schedule = '40 */6 * * *';
+
+  const refreshTask = cron.schedule(schedule, () => runRefreshJob(), {
+    scheduled: true,
+    timezone: 'UTC',
+  });
+
+  console.log(`✅ [Token Refresh] Refresh job scheduled (${schedule})`);
+
+  return {
+    refreshTask,
+    stop: () => {
+      refreshTask.stop();
+      console.log('🛑 [Token Refresh] Refresh job stopped');
+    },
+    start: () => {
+      refreshTask.start();
+      console.log('▶️  [Token Refresh] Refresh job started');
+    },
+  };
+}
+
+/**
+ * Run the refresh job immediately (for testing or manual trigger)
+ */
+async function runImmediately() {
+  console.log('🔄 [Token Refresh] Renewing expiring platform tokens immediately...');
+  return runRefreshJob();
+}
+
+module.exports = {
+  startScheduler,
+  runImmediately,
+};
@@ -90,7 +90,7 @@ class Dashboard {
 
     // Get widgets
     const widgetsResult = await query(
-      `SELECT id, dashboard_id, widget_type, title, description, position, data_source, chart_config, filters, created_at, updated_at
+      `SELECT id, dashboard_id, widget_type, title, description, position, data_source, data_config, chart_config, filters, created_at, updated_at
        FROM dashboard_widgets
        WHERE dashboard_id = $1
        ORDER BY created_at`,
@@ -102,12 +102,12 @@ class Dashboard {
   }
 
   static async addWidget(dashboardId, widgetData) {
-    const { widgetType, title, description, position, dataSource, chartConfig, filters } = widgetData;
+    const { widgetType, title, description, position, dataSource, dataConfig, chartConfig, filters } = widgetData;
 
     const result = await query(
-      `INSERT INTO dashboard_widgets (dashboard_id, widget_type, title, description, position, data_source, chart_config, filters)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-       RETURNING id, dashboard_id, widget_type, title, description, position, data_source, chart_config, filters, created_at, updated_at`,
+      `INSERT INTO dashboard_widgets (dashboard_id, widget_type, title, description, position, data_source, data_config, chart_config, filters)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING id, dashboard_id, widget_type, title, description, position, data_source, data_config, chart_config, filters, created_at, updated_at`,
       [
         dashboardId,
         widgetType,
@@ -115,6 +115,7 @@ class Dashboard {
         description || null,
         JSON.stringify(position || { x: 0, y: 0, w: 4, h: 4 }),
         JSON.stringify(dataSource || {}),
+        dataConfig ? JSON.stringify(dataConfig) : null,
         JSON.stringify(chartConfig || {}),
         JSON.stringify(filters || {})
       ]
@@ -124,7 +125,7 @@ class Dashboard {
   }
 
   static async updateWidget(widgetId, widgetData) {
-    const { widgetType, title, description, position, dataSource, chartConfig, filters } = widgetData;
+    const { widgetType, title, description, position, dataSource, dataConfig, chartConfig, filters } = widgetData;
 
     const result = await query(
       `UPDATE dashboard_widgets
@@ -133,17 +134,19 @@ class Dashboard {
            description = COALESCE($3, description),
            position = COALESCE($4, position),
            data_source = COALESCE($5, data_source),
-           chart_config = COALESCE($6, chart_config),
-           filters = COALESCE($7, filters),
+           data_config = COALESCE($6, data_config),
+           chart_config = COALESCE($7, chart_config),
+           filters = COALESCE($8, filters),
            updated_at = NOW()
-       WHERE id = $8
-       RETURNING id, dashboard_id, widget_type, title, description, position, data_source, chart_config, filters, created_at, updated_at`,
+       WHERE id = $9
+       RETURNING id, dashboard_id, widget_type, title, description, position, data_source, data_config, chart_config, filters, created_at, updated_at`,
       [
         widgetType,
         title,
         description,
         position ? JSON.stringify(position) : null,
         dataSource ? JSON.stringify(dataSource) : null,
+        dataConfig ? JSON.stringify(dataConfig) : null,
         chartConfig ? JSON.stringify(chartConfig) : null,
         filters ? JSON.stringify(filters) : null,
         widgetId
@@ -164,7 +167,7 @@ class Dashboard {
 
   static async getWidget(widgetId) {
     const result = await query(
-      `SELECT id, dashboard_id, widget_type, title, description, position, data_source, chart_config, filters, created_at, updated_at
+      `SELECT id, dashboard_id, widget_type, title, description, position, data_source, data_config, chart_config, filters, created_at, updated_at
        FROM dashboard_widgets
        WHERE id = $1`,
       [widgetId]
@@ -14,6 +14,7 @@ const {
   createCustomAlert,
   updateCustomAlert,
   deleteCustomAlert,
+  testCustomAlert,
 } = require('../controllers/customAlertController');
 const authenticate = require('../middleware/auth');
 
@@ -39,5 +40,6 @@ router.post('/workspaces/:workspaceId/custom-alerts', createCustomAlert);
 router.get('/custom-alerts/:alertId', getCustomAlert);
 router.put('/custom-alerts/:alertId', updateCustomAlert);
 router.delete('/custom-alerts/:alertId', deleteCustomAlert);
+router.post('/custom-alerts/:alertId/test', testCustomAlert);
 
 module.exports = router;
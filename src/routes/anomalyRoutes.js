@@ -6,8 +6,17 @@ const {
   markNotificationRead,
   markAllNotificationsRead,
   deleteNotification,
+  getNotificationPreferences,
+  updateNotificationPreferences,
   getAnomalyStats,
 } = require('../controllers/anomalyController');
+const {
+  getDetectionConfig,
+  upsertDetectionConfig,
+  resetDetectionConfig,
+  bulkApplyDetectionConfig,
+  dryRunDetectionConfig,
+} = require('../controllers/anomalyConfigController');
 const authenticate = require('../middleware/auth');
 
 const router = express.Router();
@@ -20,8 +29,18 @@ router.get('/workspaces/:workspaceId/anomalies', getAnomalies);
 router.get('/workspaces/:workspaceId/anomalies/stats', getAnomalyStats);
 router.put('/anomalies/:anomalyId/status', updateAnomalyStatus);
 
+// Detection config endpoints
+router.get('/accounts/:adAccountId/config', getDetectionConfig);
+router.post('/accounts/:adAccountId/config/dry-run', dryRunDetectionConfig);
+router.put('/accounts/:adAccountId/config/:metric', upsertDetectionConfig);
+router.delete('/accounts/:adAccountId/config/:metric', resetDetectionConfig);
+router.delete('/accounts/:adAccountId/config', resetDetectionConfig);
+router.post('/workspaces/:workspaceId/config/bulk', bulkApplyDetectionConfig);
+
 // Notification endpoints
 router.get('/notifications', getNotifications);
+router.get('/notifications/preferences', getNotificationPreferences);
+router.put('/notifications/preferences', updateNotificationPreferences);
 router.put('/notifications/:notificationId/read', markNotificationRead);
 router.put('/notifications/read-all', markAllNotificationsRead);
 router.delete('/notifications/:notificationId', deleteNotification);
@@ -3,8 +3,15 @@ const {
   getBudgetConfig,
   updateBudgetConfig,
   getBudgetPacing,
+  getBudgetHistory,
   getBudgetAlerts,
   acknowledgeBudgetAlert,
+  getBudgets,
+  getBudget,
+  createBudget,
+  updateBudget,
+  deleteBudget,
+  getReallocation,
 } = require('../controllers/budgetController');
 const authenticate = require('../middleware/auth');
 
@@ -22,10 +29,23 @@ router.put('/accounts/:adAccountId/config', updateBudgetConfig);
 // Get budget pacing data (current spend, projections, alerts)
 router.get('/accounts/:adAccountId/pacing', getBudgetPacing);
 
+// Get daily spend snapshots for charts
+router.get('/accounts/:adAccountId/history', getBudgetHistory);
+
 // Get budget alerts history
 router.get('/accounts/:adAccountId/alerts', getBudgetAlerts);
 
 // Acknowledge a budget alert
 router.post('/alerts/:alertId/acknowledge', acknowledgeBudgetAlert);
 
+// Budgets over custom periods for accounts, campaigns and account groups
+router.get('/workspaces/:workspaceId/budgets', getBudgets);
+router.post('/workspaces/:workspaceId/budgets', createBudget);
+router.get('/budgets/:budgetId', getBudget);
+router.put('/budgets/:budgetId', updateBudget);
+router.delete('/budgets/:budgetId', deleteBudget);
+
+// Recommend a split of a total budget across platforms
+router.post('/workspaces/:workspaceId/reallocation', getReallocation);
+
 module.exports = router;
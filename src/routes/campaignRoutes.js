@@ -1,6 +1,7 @@
 const express = require('express');
 const {
   getCampaigns,
+  getWorkspaceCampaigns,
   getCampaignDetails,
   getAdSets,
   getAds,
@@ -15,6 +16,9 @@ router.use(authenticate);
 // Get all campaigns for an ad account
 router.get('/accounts/:adAccountId/campaigns', getCampaigns);
 
+// Get campaigns across every platform and account in a workspace
+router.get('/workspaces/:workspaceId/campaigns', getWorkspaceCampaigns);
+
 // Get campaign details
 router.get('/campaigns/:campaignId', getCampaignDetails);
 
@@ -2,12 +2,14 @@ const express = require('express');
 const {
   getWorkspaceDashboards,
   getDashboard,
+  getDashboardData,
   createDashboard,
   updateDashboard,
   deleteDashboard,
   addWidget,
   updateWidget,
   deleteWidget,
+  getWidgetTypes,
   createShareLink,
   getShareLinks,
   getSharedDashboard,
@@ -42,11 +44,13 @@ router.use(authenticate);
 // Dashboard CRUD
 router.get('/workspace/:workspaceId', getWorkspaceDashboards);
 router.get('/:id', getDashboard);
+router.get('/:dashboardId/data', getDashboardData);
 router.post('/', createDashboard);
 router.put('/:id', updateDashboard);
 router.delete('/:id', deleteDashboard);
 
 // Widget management
+router.get('/widgets/types', getWidgetTypes);
 router.post('/:dashboardId/widgets', addWidget);
 router.put('/widgets/:widgetId', updateWidget);
 router.delete('/widgets/:widgetId', deleteWidget);
@@ -11,7 +11,8 @@ const alertRoutes = require('./alertRoutes');
 const searchConsoleRoutes = require('./searchConsoleRoutes');
 const budgetRoutes = require('./budgetRoutes');
 const anomalyRoutes = require('./anomalyRoutes');
-// const campaignRoutes = require('./campaignRoutes');
+const notificationChannelRoutes = require('./notificationChannelRoutes');
+const campaignRoutes = require('./campaignRoutes');
 const reportRoutes = require('./reportRoutes');
 const filterRoutes = require('./filterRoutes');
 const goalRoutes = require('./goalRoutes');
@@ -42,7 +43,8 @@ router.use('/alerts', alertRoutes);
 router.use('/search-console', searchConsoleRoutes);
 router.use('/budget', budgetRoutes);
 router.use('/anomalies', anomalyRoutes);
-// router.use('/campaigns', campaignRoutes);
+router.use('/notification-channels', notificationChannelRoutes);
+router.use('/campaigns', campaignRoutes);
 router.use('/reports', reportRoutes);
 router.use('/filters', filterRoutes);
 router.use('/goals', goalRoutes);
@@ -1,5 +1,13 @@
 const express = require('express');
 const { getAccountMetrics, getWidgetMetrics } = require('../controllers/metricsController');
+const {
+  getCalculatedMetrics,
+  getCalculatedMetric,
+  createCalculatedMetric,
+  updateCalculatedMetric,
+  deleteCalculatedMetric,
+  previewCalculatedMetric,
+} = require('../controllers/calculatedMetricController');
 const authenticate = require('../middleware/auth');
 
 const router = express.Router();
@@ -13,4 +21,14 @@ router.get('/account/:adAccountId', getAccountMetrics);
 // Get metrics for a specific widget
 router.get('/widget/:widgetId', getWidgetMetrics);
 
+// Calculated metrics (formula fields) for a workspace
+router.get('/workspaces/:workspaceId/calculated', getCalculatedMetrics);
+router.post('/workspaces/:workspaceId/calculated', createCalculatedMetric);
+router.post('/workspaces/:workspaceId/calculated/preview', previewCalculatedMetric);
+
+// Individual calculated metric operations
+router.get('/calculated/:metricId', getCalculatedMetric);
+router.put('/calculated/:metricId', updateCalculatedMetric);
+router.delete('/calculated/:metricId', deleteCalculatedMetric);
+
 module.exports = router;
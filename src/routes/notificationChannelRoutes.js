@@ -0,0 +1,31 @@
+const express = require('express');
+const {
+  getChannels,
+  createChannel,
+  updateChannel,
+  deleteChannel,
+  testChannel,
+  getDeadLetters,
+  retryDeadLetter,
+  discardDeadLetter,
+} = require('../controllers/notificationChannelController');
+const authenticate = require('../middleware/auth');
+
+const router = express.Router();
+
+// All notification channel routes require authentication
+router.use(authenticate);
+
+// Channel configuration
+router.get('/workspaces/:workspaceId/channels', getChannels);
+router.post('/workspaces/:workspaceId/channels', createChannel);
+router.put('/channels/:channelId', updateChannel);
+router.delete('/channels/:channelId', deleteChannel);
+router.post('/channels/:channelId/test', testChannel);
+
+// Failed deliveries (dead letters)
+router.get('/workspaces/:workspaceId/dead-letters', getDeadLetters);
+router.post('/dead-letters/:deadLetterId/retry', retryDeadLetter);
+router.delete('/dead-letters/:deadLetterId', discardDeadLetter);
+
+module.exports = router;
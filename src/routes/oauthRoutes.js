@@ -14,8 +14,14 @@ const {
   handleGoogleSheetsCallback,
   getConnectedAccounts,
   disconnectAccount,
+  syncAccount,
+  getAccountSyncJobs,
   getSupportedPlatforms,
 } = require('../controllers/oauthController');
+const {
+  getConversionSettings,
+  updateConversionSettings,
+} = require('../controllers/conversionSettingsController');
 const authenticate = require('../middleware/auth');
 
 const router = express.Router();
@@ -50,5 +56,11 @@ router.get('/google-sheets/callback', handleGoogleSheetsCallback);
 // Account management
 router.get('/accounts/:workspaceId', authenticate, getConnectedAccounts);
 router.delete('/accounts/:accountId', authenticate, disconnectAccount);
+router.post('/accounts/:accountId/sync', authenticate, syncAccount);
+router.get('/accounts/:accountId/sync-jobs', authenticate, getAccountSyncJobs);
+
+// Conversion actions and attribution windows counted for an account
+router.get('/accounts/:accountId/conversion-settings', authenticate, getConversionSettings);
+router.put('/accounts/:accountId/conversion-settings', authenticate, updateConversionSettings);
 
 module.exports = router;
@@ -6,7 +6,9 @@ const {
   updateScheduledReport,
   deleteScheduledReport,
   triggerReport,
+  previewReport,
   getExecutionHistory,
+  getExecutionFile,
 } = require('../controllers/reportController');
 const authenticate = require('../middleware/auth');
 
@@ -26,6 +28,8 @@ router.delete('/reports/:reportId', deleteScheduledReport);
 
 // Manual trigger and execution history
 router.post('/reports/:reportId/trigger', triggerReport);
+router.post('/reports/:reportId/preview', previewReport);
 router.get('/reports/:reportId/executions', getExecutionHistory);
+router.get('/reports/:reportId/executions/:executionId/file', getExecutionFile);
 
 module.exports = router;
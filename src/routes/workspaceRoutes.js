@@ -9,6 +9,13 @@ const {
   addWorkspaceMember,
   removeWorkspaceMember,
 } = require('../controllers/workspaceController');
+const {
+  uploadRatesFile,
+  getCurrencySettings,
+  updateReportingCurrency,
+  getFxRates,
+  importFxRates,
+} = require('../controllers/currencyController');
 const authenticate = require('../middleware/auth');
 
 const router = express.Router();
@@ -28,4 +35,10 @@ router.get('/:id/members', getWorkspaceMembers);
 router.post('/:id/members', addWorkspaceMember);
 router.delete('/:id/members/:userId', removeWorkspaceMember);
 
+// Reporting currency and FX rates
+router.get('/:id/currency', getCurrencySettings);
+router.put('/:id/currency', updateReportingCurrency);
+router.get('/:id/fx-rates', getFxRates);
+router.post('/:id/fx-rates/import', uploadRatesFile, importFxRates);
+
 module.exports = router;
@@ -2,10 +2,24 @@ const app = require('./app');
 const config = require('./config/config');
 const reportScheduler = require('./services/reportScheduler');
 const customDataSyncScheduler = require('./jobs/customDataSyncScheduler');
+const anomalyDetectionScheduler = require('./jobs/anomalyDetectionScheduler');
+const customAlertScheduler = require('./jobs/customAlertScheduler');
+const notificationDigestScheduler = require('./jobs/notificationDigestScheduler');
+const platformSyncScheduler = require('./jobs/platformSyncScheduler');
+const tokenRefreshScheduler = require('./jobs/tokenRefreshScheduler');
+const budgetMonitorScheduler = require('./jobs/budgetMonitorScheduler');
+const goalEvaluationScheduler = require('./jobs/goalEvaluationScheduler');
 const { initRedis } = require('./config/redis');
 
 // Store scheduler instances
 let syncSchedulerInstance = null;
+let anomalySchedulerInstance = null;
+let customAlertSchedulerInstance = null;
+let digestSchedulerInstance = null;
+let platformSyncSchedulerInstance = null;
+let tokenRefreshSchedulerInstance = null;
+let budgetMonitorSchedulerInstance = null;
+let goalEvaluationSchedulerInstance = null;
 
 const server = app.listen(config.port, config.host, async () => {
   console.log(`Server running in ${config.nodeEnv} mode on port ${config.port}`);
@@ -23,6 +37,27 @@ const server = app.listen(config.port, config.host, async () => {
 
   // Start the custom data sync scheduler
   syncSchedulerInstance = customDataSyncScheduler.startScheduler();
+
+  // Start the anomaly detection scheduler
+  anomalySchedulerInstance = anomalyDetectionScheduler.startScheduler();
+
+  // Start the custom alert rule scheduler
+  customAlertSchedulerInstance = customAlertScheduler.startScheduler();
+
+  // Start the notification digest scheduler
+  digestSchedulerInstance = notificationDigestScheduler.startScheduler();
+
+  // Start the ad platform sync scheduler
+  platformSyncSchedulerInstance = platformSyncScheduler.startScheduler();
+
+  // Start the platform token refresh scheduler
+  tokenRefreshSchedulerInstance = tokenRefreshScheduler.startScheduler();
+
+  // Start the budget monitor (daily spend snapshots and budget alerts)
+  budgetMonitorSchedulerInstance = budgetMonitorScheduler.startScheduler();
+
+  // Start the goal evaluation scheduler
+  goalEvaluationSchedulerInstance = goalEvaluationScheduler.startScheduler();
 });
 
 // Handle unhandled promise rejections
@@ -43,6 +78,41 @@ process.on('SIGTERM', () => {
     syncSchedulerInstance.stop();
   }
 
+  // Stop the anomaly detection scheduler
+  if (anomalySchedulerInstance) {
+    anomalySchedulerInstance.stop();
+  }
+
+  // Stop the custom alert rule scheduler
+  if (customAlertSchedulerInstance) {
+    customAlertSchedulerInstance.stop();
+  }
+
+  // Stop the notification digest scheduler
+  if (digestSchedulerInstance) {
+    digestSchedulerInstance.stop();
+  }
+
+  // Stop the ad platform sync scheduler
+  if (platformSyncSchedulerInstance) {
+    platformSyncSchedulerInstance.stop();
+  }
+
+  // Stop the platform token refresh scheduler
+  if (tokenRefreshSchedulerInstance) {
+    tokenRefreshSchedulerInstance.stop();
+  }
+
+  // Stop the budget monitor scheduler
+  if (budgetMonitorSchedulerInstance) {
+    budgetMonitorSchedulerInstance.stop();
+  }
+
+  // Stop the goal evaluation scheduler
+  if (goalEvaluationSchedulerInstance) {
+    goalEvaluationSchedulerInstance.stop();
+  }
+
   server.close(() => {
     console.log('Process terminated');
   });
@@ -0,0 +1,510 @@
+/**
+ * Alert Rule Evaluator Service
+ * Parses and evaluates custom_alert_rules condition trees against workspace metrics
+ */
+
+const { query } = require('../config/database');
+const metricsStore = require('./metricsStore');
+const calculatedMetrics = require('./calculatedMetrics');
+const currency = require('./currency');
+const notificationDispatcher = require('./notificationDispatcher');
+
+const COMPARATORS = {
+  gt: (value, threshold) => value > threshold,
+  gte: (value, threshold) => value >= threshold,
+  lt: (value, threshold) => value < threshold,
+  lte: (value, threshold) => value <= threshold,
+  eq: (value, threshold) => Math.abs(value - threshold) < 1e-9,
+  neq: (value, threshold) => Math.abs(value - threshold) >= 1e-9,
+};
+
+/**
+ * Comparators that operate on the percent change vs the previous period
+ * change_gt / change_lt compare the absolute change; increase_gt / decrease_gt are directional.
+ */
+const CHANGE_COMPARATORS = {
+  change_gt: (change, threshold) => Math.abs(change) > threshold,
+  change_lt: (change, threshold) => Math.abs(change) < threshold,
+  increase_gt: (change, threshold) => change > threshold,
+  decrease_gt: (change, threshold) => change < -threshold,
+};
+
+const ALERT_METRICS = [...metricsStore.SUPPORTED_METRICS, 'budget_remaining'];
+
+const FREQUENCY_INTERVAL_MINUTES = {
+  immediate: 15,
+  hourly: 60,
+  daily: 24 * 60,
+};
+
+const DEFAULT_COOLDOWN_MINUTES = {
+  immediate: 60,
+  hourly: 60,
+  daily: 24 * 60,
+};
+
+const MAX_DEPTH = 5;
+
+class AlertRuleEvaluator {
+  /**
+   * Parse stored conditions into a normalized tree
+   *
+   * Accepts either the flat builder format
+   *   [{ field, operator, value, logic }, ...]  (logic joins a condition to the previous one)
+   * or nested groups
+   *   { logic: 'AND' | 'OR', conditions: [leaf | group, ...] }
+   * Leaves may use metric/field, comparator/operator, value, window, platform, adAccountIds.
+   * In the flat format AND binds tighter than OR.
+   *
+   * @param {Array|Object} conditions - Stored conditions JSON
+   * @returns {Object} Normalized group node
+   * @throws {Error} When the conditions are malformed
+   */
+  parseConditions(conditions) {
+    if (Array.isArray(conditions)) {
+      return this.parseFlatConditions(conditions);
+    }
+    if (conditions && typeof conditions === 'object') {
+      const node = this.parseNode(conditions, 0);
+      return node.type === 'group' ? node : { type: 'group', logic: 'AND', children: [node] };
+    }
+    throw new Error('Conditions must be an array or a condition group');
+  }
+
+  /**
+   * Convert the flat builder format into OR-of-AND groups
+   */
+  parseFlatConditions(conditions) {
+    if (conditions.length === 0) {
+      throw new Error('At least one condition is required');
+    }
+
+    const orGroups = [[]];
+    conditions.forEach((condition, index) => {
+      const logic = String(condition.logic || 'AND').toUpperCase();
+      if (index > 0 && logic === 'OR') {
+        orGroups.push([]);
+      }
+      orGroups[orGroups.length - 1].push(this.parseNode(condition, 1));
+    });
+
+    const andGroups = orGroups.map(children => (children.length === 1
+      ? children[0]
+      : { type: 'group', logic: 'AND', children }));
+
+    return andGroups.length === 1 && andGroups[0].type === 'group'
+      ? andGroups[0]
+      : { type: 'group', logic: andGroups.length === 1 ? 'AND' : 'OR', children: andGroups };
+  }
+
+  /**
+   * Parse a single group or leaf node
+   */
+  parseNode(node, depth) {
+    if (depth > MAX_DEPTH) {
+      throw new Error(`Condition groups cannot be nested more than ${MAX_DEPTH} levels deep`);
+    }
+
+    const children = node.conditions || node.children;
+    if (Array.isArray(children)) {
+      const logic = String(node.logic || node.operator || 'AND').toUpperCase();
+      if (!['AND', 'OR'].includes(logic)) {
+        throw new Error(`Invalid group logic "${logic}", expected AND or OR`);
+      }
+      if (children.length === 0) {
+        throw new Error('Condition groups must contain at least one condition');
+      }
+      return {
+        type: 'group',
+        logic,
+        children: children.map(child => this.parseNode(child, depth + 1)),
+      };
+    }
+
+    return this.parseLeaf(node);
+  }
+
+  /**
+   * Validate and normalize a leaf condition
+   */
+  parseLeaf(node) {
+    const metric = node.metric || node.field;
+    const comparator = node.comparator || node.operator;
+    const threshold = parseFloat(node.value);
+
+    if (!ALERT_METRICS.includes(metric) && !calculatedMetrics.isCalculatedMetric(metric)) {
+      throw new Error(`Unsupported metric "${metric}". Supported: ${ALERT_METRICS.join(', ')} or calc:<key>`);
+    }
+    if (!COMPARATORS[comparator] && !CHANGE_COMPARATORS[comparator]) {
+      throw new Error(`Unsupported comparator "${comparator}"`);
+    }
+    if (Number.isNaN(threshold)) {
+      throw new Error(`Condition on "${metric}" needs a numeric value`);
+    }
+
+    const window = node.window || 'yesterday';
+    this.resolveWindow(window); // throws on invalid window
+
+    return {
+      type: 'condition',
+      metric,
+      comparator,
+      value: threshold,
+      window,
+      platform: node.platform || null,
+      adAccountIds: Array.isArray(node.adAccountIds) ? node.adAccountIds : null,
+    };
+  }
+
+  /**
+   * Resolve a window spec into a date range of complete days
+   * Supported: 'today', 'yesterday', 'this_month', 'last_N_days', or a number of days.
+   *
+   * @returns {{ since: string, until: string, days: number }}
+   */
+  resolveWindow(window) {
+    const today = metricsStore.toDateString(new Date());
+    const yesterday = metricsStore.addDays(today, -1);
+
+    if (window === 'today') {
+      return { since: today, until: today, days: 1 };
+    }
+    if (window === 'yesterday') {
+      return { since: yesterday, until: yesterday, days: 1 };
+    }
+    if (window === 'this_month') {
+      const since = `${today.slice(0, 8)}01`;
+      const days = Math.round((new Date(today) - new Date(since)) / 86400000) + 1;
+      return { since, until: today, days };
+    }
+
+    const match = typeof window === 'number'
+      ? [null, String(window)]
+      : String(window).match(/^last_(\d+)_days$/);
+
+    if (!match) {
+      throw new Error(`Invalid window "${window}"`);
+    }
+
+    const days = parseInt(match[1]);
+    if (days < 1 || days > 365) {
+      throw new Error('Window must be between 1 and 365 days');
+    }
+
+    return { since: metricsStore.addDays(yesterday, -(days - 1)), until: yesterday, days };
+  }
+
+  /**
+   * Evaluate a rule's condition tree now
+   *
+   * @param {Object} rule - custom_alert_rules row
+   * @returns {Promise<Object>} { result, tree } where tree mirrors the conditions with values and truth
+   */
+  async evaluateRule(rule) {
+    const tree = this.parseConditions(rule.conditions);
+    const cache = new Map();
+    const evaluated = await this.evaluateNode(tree, rule.workspace_id, cache, '0');
+
+    return {
+      result: evaluated.result,
+      evaluatedAt: new Date().toISOString(),
+      tree: evaluated,
+      truthTable: this.flattenTruthTable(evaluated),
+    };
+  }
+
+  /**
+   * Recursively evaluate a parsed node
+   */
+  async evaluateNode(node, workspaceId, cache, path) {
+    if (node.type === 'group') {
+      const children = [];
+      for (let i = 0; i < node.children.length; i++) {
+        children.push(await this.evaluateNode(node.children[i], workspaceId, cache, `${path}.${i}`));
+      }
+      const result = node.logic === 'AND'
+        ? children.every(child => child.result)
+        : children.some(child => child.result);
+
+      return { type: 'group', path, logic: node.logic, result, children };
+    }
+
+    return this.evaluateCondition(node, workspaceId, cache, path);
+  }
+
+  /**
+   * Evaluate one leaf condition
+   */
+  async evaluateCondition(condition, workspaceId, cache, path) {
+    const base = {
+      type: 'condition',
+      path,
+      metric: condition.metric,
+      comparator: condition.comparator,
+      threshold: condition.value,
+      window: condition.window,
+      platform: condition.platform,
+    };
+
+    try {
+      const range = this.resolveWindow(condition.window);
+      const filters = { platform: condition.platform, adAccountIds: condition.adAccountIds };
+      const current = await this.getMetricValue(workspaceId, condition.metric, range, filters, cache);
+
+      if (COMPARATORS[condition.comparator]) {
+        return {
+          ...base,
+          dateRange: { since: range.since, until: range.until },
+          value: current,
+          result: COMPARATORS[condition.comparator](current, condition.value),
+        };
+      }
+
+      const previousRange = {
+        since: metricsStore.addDays(range.since, -range.days),
+        until: metricsStore.addDays(range.since, -1),
+        days: range.days,
+      };
+      const previous = await this.getMetricValue(workspaceId, condition.metric, previousRange, filters, cache);
+      const changePercent = previous !== 0
+        ? ((current - previous) / Math.abs(previous)) * 100
+        : (current !== 0 ? 100 : 0);
+
+      return {
+        ...base,
+        dateRange: { since: range.since, until: range.until },
+        previousDateRange: { since: previousRange.since, until: previousRange.until },
+        value: current,
+        previousValue: previous,
+        changePercent: Math.round(changePercent * 100) / 100,
+        result: CHANGE_COMPARATORS[condition.comparator](changePercent, condition.value),
+      };
+    } catch (error) {
+      return { ...base, result: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get a metric value for a workspace over a date range (memoized per evaluation)
+   * Money is in the workspace reporting currency.
+   */
+  async getMetricValue(workspaceId, metric, range, filters, cache) {
+    if (metric === 'budget_remaining') {
+      return this.getBudgetRemaining(workspaceId, filters, cache);
+    }
+
+    if (calculatedMetrics.isCalculatedMetric(metric)) {
+      const key = JSON.stringify([metric, range.since, range.until, filters.platform, filters.adAccountIds]);
+      if (!cache.has(key)) {
+        const { totals } = await calculatedMetrics.computeMetrics(workspaceId, [metric], range.since, range.until, { filters });
+        cache.set(key, totals[metric] || 0);
+      }
+      return cache.get(key);
+    }
+
+    const key = JSON.stringify([range.since, range.until, filters.platform, filters.adAccountIds]);
+    if (!cache.has(key)) {
+      const accounts = await metricsStore.getWorkspaceAccounts(workspaceId, filters);
+      const { seriesByAccount } = await currency.getConvertedSeries(workspaceId, accounts, range.since, range.until);
+      cache.set(key, metricsStore.summarizeSeries(metricsStore.mergeSeries(seriesByAccount.map(({ series }) => series))));
+    }
+
+    return cache.get(key)[metric] || 0;
+  }
+
+  /**
+   * Remaining monthly budget across accounts that have a budget set, in the
+   * workspace reporting currency (budgets are set in each account's currency)
+   */
+  async getBudgetRemaining(workspaceId, filters, cache) {
+    const key = JSON.stringify(['budget_remaining', filters.platform, filters.adAccountIds]);
+    if (cache.has(key)) return cache.get(key);
+
+    const accounts = await metricsStore.getWorkspaceAccounts(workspaceId, filters);
+    const budgets = await query(
+      `SELECT id, monthly_budget FROM ad_accounts WHERE id = ANY($1) AND monthly_budget IS NOT NULL`,
+      [accounts.map(a => a.id)]
+    );
+
+    const today = metricsStore.toDateString(new Date());
+    const monthStart = `${today.slice(0, 8)}01`;
+    const converter = await currency.createConverter(workspaceId, accounts.map(a => a.currency), today, today);
+    let remaining = 0;
+
+    for (const row of budgets.rows) {
+      const account = accounts.find(a => a.id === row.id);
+      const series = await metricsStore.getAccountDailySeries(account, monthStart, today);
+      remaining += converter.convert(
+        parseFloat(row.monthly_budget) - metricsStore.summarizeSeries(series).spend, account.currency, today);
+    }
+
+    cache.set(key, remaining);
+    return remaining;
+  }
+
+  /**
+   * Metrics referenced anywhere in a parsed condition tree
+   */
+  collectMetrics(node) {
+    if (node.type === 'condition') return [node.metric];
+    return [...new Set(node.children.flatMap(child => this.collectMetrics(child)))];
+  }
+
+  /**
+   * Flatten an evaluated tree into per-condition rows
+   */
+  flattenTruthTable(node) {
+    if (node.type === 'condition') {
+      const { type, ...row } = node;
+      return [row];
+    }
+    return node.children.flatMap(child => this.flattenTruthTable(child));
+  }
+
+  /**
+   * Minutes a rule stays quiet after triggering
+   */
+  getCooldownMinutes(rule) {
+    return rule.cooldown_minutes ?? DEFAULT_COOLDOWN_MINUTES[rule.frequency] ?? 60;
+  }
+
+  /**
+   * Whether a rule is still within its cooldown window
+   */
+  isInCooldown(rule, now = new Date()) {
+    if (!rule.last_triggered_at) return false;
+    return now - new Date(rule.last_triggered_at) < this.getCooldownMinutes(rule) * 60000;
+  }
+
+  /**
+   * Whether a rule should be evaluated on this tick according to its frequency
+   */
+  isDue(rule, now = new Date()) {
+    if (!rule.last_evaluated_at) return true;
+    const interval = FREQUENCY_INTERVAL_MINUTES[rule.frequency] || FREQUENCY_INTERVAL_MINUTES.immediate;
+    // Small tolerance so cron jitter does not skip a run
+    return now - new Date(rule.last_evaluated_at) >= (interval - 1) * 60000;
+  }
+
+  /**
+   * Format a truth table row for display
+   */
+  describeRow(row) {
+    const actual = row.changePercent !== undefined
+      ? `${row.changePercent}% change`
+      : Math.round(row.value * 100) / 100;
+    return `${row.metric} ${row.comparator} ${row.threshold} (actual ${actual})`;
+  }
+
+  /**
+   * Send a triggered rule through the notification dispatcher
+   * Rule channels use the builder format ({ type: 'email' | 'slack' | 'webhook' | 'teams' | 'in-app', config }).
+   *
+   * @returns {Promise<Object[]>} Delivery result per channel
+   */
+  async deliver(rule, evaluation) {
+    const ruleChannels = Array.isArray(rule.alert_channels) && rule.alert_channels.length > 0
+      ? rule.alert_channels
+      : [{ type: 'in-app', config: {} }];
+
+    const triggered = evaluation.truthTable.filter(row => row.result);
+    const title = `Alert triggered: ${rule.name}`;
+    const message = triggered.map(row => this.describeRow(row)).join('; ')
+      || rule.description
+      || 'Alert conditions met';
+
+    const inApp = ruleChannels.some(channel => channel.type === 'in-app');
+    const channels = ruleChannels
+      .filter(channel => channel.type !== 'in-app')
+      .map(channel => ({ type: channel.type, config: channel.config || {} }));
+
+    const { notifications, deliveries } = await notificationDispatcher.dispatch(rule.workspace_id, {
+      type: 'custom_alert',
+      title,
+      message,
+      severity: 'medium',
+      relatedEntityType: 'custom_alert_rule',
+      relatedEntityId: rule.id,
+      fields: triggered.map(row => ({
+        label: row.metric,
+        value: this.describeRow(row),
+      })),
+      data: {
+        rule: { id: rule.id, name: rule.name },
+        evaluation,
+      },
+    }, { inApp, channels });
+
+    return inApp
+      ? [{ type: 'in-app', success: true, notifications: notifications.length }, ...deliveries]
+      : deliveries;
+  }
+
+  /**
+   * Evaluate a rule and, if it fires outside its cooldown, deliver and record it
+   */
+  async processRule(rule) {
+    const evaluation = await this.evaluateRule(rule);
+
+    await query(
+      `UPDATE custom_alert_rules SET last_evaluated_at = NOW() WHERE id = $1`,
+      [rule.id]
+    );
+
+    if (!evaluation.result || this.isInCooldown(rule)) {
+      return { ruleId: rule.id, triggered: false, result: evaluation.result };
+    }
+
+    // Every API instance runs the scheduler: claim the trigger before delivering,
+    // so only the instance whose update took the row sends the alert
+    const claim = await query(
+      `UPDATE custom_alert_rules SET last_triggered_at = NOW()
+       WHERE id = $1
+         AND (last_triggered_at IS NULL OR last_triggered_at <= NOW() - $2 * INTERVAL '1 minute')
+       RETURNING id`,
+      [rule.id, this.getCooldownMinutes(rule)]
+    );
+
+    if (claim.rows.length === 0) {
+      return { ruleId: rule.id, triggered: false, result: evaluation.result };
+    }
+
+    const deliveries = await this.deliver(rule, evaluation);
+
+    await query(
+      `INSERT INTO custom_alert_history (rule_id, workspace_id, evaluation, deliveries)
+       VALUES ($1, $2, $3, $4)`,
+      [rule.id, rule.workspace_id, JSON.stringify(evaluation), JSON.stringify(deliveries)]
+    );
+
+    return { ruleId: rule.id, triggered: true, deliveries };
+  }
+
+  /**
+   * Evaluate all active rules that are due
+   */
+  async runDueRules(now = new Date()) {
+    const result = await query(
+      `SELECT * FROM custom_alert_rules WHERE is_active = true ORDER BY created_at ASC`
+    );
+
+    const summary = { evaluated: 0, triggered: 0, failed: 0 };
+
+    for (const rule of result.rows) {
+      if (!this.isDue(rule, now) || this.isInCooldown(rule, now)) continue;
+
+      try {
+        const outcome = await this.processRule(rule);
+        summary.evaluated++;
+        if (outcome.triggered) summary.triggered++;
+      } catch (error) {
+        summary.failed++;
+        console.error(`Custom alert rule ${rule.id} evaluation failed:`, error.message);
+      }
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new AlertRuleEvaluator();
@@ -0,0 +1,536 @@
+/**
+ * Anomaly Detector Service
+ * Detects spikes, drops and unusual patterns in daily account metrics and
+ * records them in the anomalies table
+ */
+
+const { query } = require('../config/database');
+const metricsStore = require('./metricsStore');
+const notificationDispatcher = require('./notificationDispatcher');
+
+/**
+ * Defaults for metrics without an anomaly_detection_config row
+ */
+const DEFAULT_CONFIG = {
+  enabled: true,
+  sensitivity: 'medium',
+  threshold_percent: 20,
+  baseline_period_days: 14,
+  min_data_points: 7,
+};
+
+const DEFAULT_METRICS = ['spend', 'impressions', 'clicks', 'ctr', 'cpc', 'conversions'];
+
+/**
+ * Statistical cut-offs per sensitivity level (lower = more alerts)
+ */
+const SENSITIVITY_LEVELS = {
+  low: { zScore: 3, robustZScore: 3.5, volatilityRatio: 3 },
+  medium: { zScore: 2.5, robustZScore: 3, volatilityRatio: 2.5 },
+  high: { zScore: 2, robustZScore: 2.5, volatilityRatio: 2 },
+};
+
+/**
+ * Seasonal (day-of-week) baselines look back at least four weeks
+ */
+const SEASONAL_LOOKBACK_DAYS = 28;
+const MIN_SEASONAL_POINTS = 3;
+
+/**
+ * Whether an increase in the metric is good (true), bad (false) or neutral (undefined)
+ */
+const HIGHER_IS_BETTER = {
+  impressions: true,
+  clicks: true,
+  ctr: true,
+  conversions: true,
+  revenue: true,
+  roas: true,
+  reach: true,
+  cpc: false,
+  cpm: false,
+  cpa: false,
+};
+
+const SEVERITY_ORDER = ['low', 'medium', 'high', 'critical'];
+
+const METRIC_LABELS = {
+  spend: 'Spend',
+  impressions: 'Impressions',
+  clicks: 'Clicks',
+  ctr: 'CTR',
+  cpc: 'CPC',
+  cpm: 'CPM',
+  cpa: 'CPA',
+  roas: 'ROAS',
+  conversions: 'Conversions',
+  revenue: 'Revenue',
+  reach: 'Reach',
+};
+
+// Keep values inside anomalies.deviation_percent DECIMAL(10, 2)
+const MAX_DEVIATION_PERCENT = 99999999;
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+const stdDev = (values) => {
+  if (values.length < 2) return 0;
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / (values.length - 1));
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+};
+
+const medianAbsoluteDeviation = (values) => {
+  const med = median(values);
+  return median(values.map(v => Math.abs(v - med)));
+};
+
+const dayOfWeek = (dateString) => new Date(`${dateString}T00:00:00Z`).getUTCDay();
+
+const round = (value, digits = 4) => (value === null || value === undefined || !Number.isFinite(value)
+  ? null
+  : Math.round(value * 10 ** digits) / 10 ** digits);
+
+class AnomalyDetector {
+  /**
+   * Merge a stored config row with defaults
+   */
+  normalizeConfig(config = {}) {
+    return {
+      enabled: config.enabled !== undefined ? config.enabled : DEFAULT_CONFIG.enabled,
+      sensitivity: SENSITIVITY_LEVELS[config.sensitivity] ? config.sensitivity : DEFAULT_CONFIG.sensitivity,
+      threshold_percent: parseFloat(config.threshold_percent ?? DEFAULT_CONFIG.threshold_percent),
+      baseline_period_days: parseInt(config.baseline_period_days ?? DEFAULT_CONFIG.baseline_period_days),
+      min_data_points: parseInt(config.min_data_points ?? DEFAULT_CONFIG.min_data_points),
+    };
+  }
+
+  /**
+   * Effective configs from stored anomaly_detection_config rows: every
+   * DEFAULT_METRICS metric runs with DEFAULT_CONFIG unless a row overrides it
+   * (enabled = false turns it off), and rows for other metrics add to them
+   */
+  mergeConfigs(rows) {
+    const stored = new Map(rows.map(row => [row.metric, row]));
+    const metrics = [...DEFAULT_METRICS, ...rows.map(row => row.metric).filter(metric => !DEFAULT_METRICS.includes(metric))];
+
+    return metrics.map(metric => {
+      const row = stored.get(metric);
+      return row
+        ? { id: row.id, metric, ...this.normalizeConfig(row), isDefault: false, updated_at: row.updated_at }
+        : { metric, ...this.normalizeConfig(), isDefault: true };
+    });
+  }
+
+  /**
+   * Get effective detection configs for an account (see mergeConfigs)
+   */
+  async getAccountConfigs(adAccountId) {
+    const result = await query(
+      `SELECT * FROM anomaly_detection_config WHERE ad_account_id = $1 ORDER BY metric`,
+      [adAccountId]
+    );
+
+    return this.mergeConfigs(result.rows);
+  }
+
+  /**
+   * Number of days of history needed before a detection date for the given configs
+   */
+  getLookbackDays(configs) {
+    const maxBaseline = Math.max(...configs.map(c => c.baseline_period_days), 0);
+    return Math.max(maxBaseline, SEASONAL_LOOKBACK_DAYS);
+  }
+
+  /**
+   * Evaluate one metric on one day against its history
+   *
+   * @param {Object[]} series - Daily rows (date + metric values), any order
+   * @param {string} metric - Metric to evaluate
+   * @param {Object} config - Normalized detection config
+   * @param {string} detectionDate - Date to evaluate (YYYY-MM-DD)
+   * @returns {Object|null} Anomaly candidate or null when nothing unusual was found
+   */
+  evaluateSeries(series, metric, config, detectionDate) {
+    const current = series.find(day => day.date === detectionDate);
+    if (!current || current[metric] === undefined) return null;
+
+    const value = parseFloat(current[metric]) || 0;
+    const baselineStart = metricsStore.addDays(detectionDate, -config.baseline_period_days);
+    const history = series
+      .filter(day => day.date < detectionDate && day.date >= baselineStart)
+      .sort((a, b) => a.date.localeCompare(b.date));
+    const values = history.map(day => parseFloat(day[metric]) || 0);
+
+    if (values.length < config.min_data_points) return null;
+
+    const thresholds = SENSITIVITY_LEVELS[config.sensitivity];
+
+    // Rolling mean / standard deviation
+    const rollingMean = mean(values);
+    const rollingStd = stdDev(values);
+    const zScore = rollingStd > 0 ? (value - rollingMean) / rollingStd : null;
+
+    // Median absolute deviation (robust to previous outliers in the window)
+    const rollingMedian = median(values);
+    const mad = medianAbsoluteDeviation(values);
+    const robustZScore = mad > 0 ? (0.6745 * (value - rollingMedian)) / mad : null;
+
+    // Seasonal day-of-week baseline
+    const seasonalStart = metricsStore.addDays(detectionDate, -Math.max(SEASONAL_LOOKBACK_DAYS, config.baseline_period_days));
+    const targetDow = dayOfWeek(detectionDate);
+    const seasonalValues = series
+      .filter(day => day.date < detectionDate && day.date >= seasonalStart && dayOfWeek(day.date) === targetDow)
+      .map(day => parseFloat(day[metric]) || 0);
+    const seasonalBaseline = seasonalValues.length >= MIN_SEASONAL_POINTS ? mean(seasonalValues) : null;
+
+    const baseline = seasonalBaseline !== null ? seasonalBaseline : rollingMean;
+
+    if (baseline === 0 && value === 0) return null;
+
+    const deviationPercent = baseline !== 0
+      ? ((value - baseline) / Math.abs(baseline)) * 100
+      : 100;
+
+    // A flat baseline that suddenly moves is significant even without variance
+    const flatBaselineBroken = rollingStd === 0 && value !== rollingMean;
+    const isSignificant = flatBaselineBroken
+      || (zScore !== null && Math.abs(zScore) >= thresholds.zScore)
+      || (robustZScore !== null && Math.abs(robustZScore) >= thresholds.robustZScore);
+
+    const metadata = {
+      metricLabel: METRIC_LABELS[metric] || metric,
+      sensitivity: config.sensitivity,
+      thresholdPercent: config.threshold_percent,
+      baselinePeriodDays: config.baseline_period_days,
+      dataPoints: values.length,
+      rollingMean: round(rollingMean),
+      rollingStdDev: round(rollingStd),
+      median: round(rollingMedian),
+      medianAbsoluteDeviation: round(mad),
+      seasonalBaseline: round(seasonalBaseline),
+      seasonalDataPoints: seasonalValues.length,
+      zScore: round(zScore),
+      robustZScore: round(robustZScore),
+      baselineMethod: seasonalBaseline !== null ? 'day_of_week' : 'rolling_mean',
+    };
+
+    if (Math.abs(deviationPercent) >= config.threshold_percent && isSignificant) {
+      const anomalyType = deviationPercent > 0 ? 'spike' : 'drop';
+      const score = Math.max(Math.abs(zScore || 0), Math.abs(robustZScore || 0), flatBaselineBroken ? thresholds.zScore : 0);
+
+      return this.buildCandidate({
+        metric,
+        detectionDate,
+        value,
+        baseline,
+        deviationPercent,
+        anomalyType,
+        severity: this.classifySeverity(Math.abs(deviationPercent) / config.threshold_percent, score, thresholds, metric, anomalyType),
+        metadata,
+      });
+    }
+
+    // Unusual pattern: level looks normal but day-to-day volatility jumped
+    const recent = [...values.slice(-2), value];
+    const recentMean = mean(recent);
+    const baselineCv = rollingMean !== 0 ? rollingStd / Math.abs(rollingMean) : 0;
+    const recentCv = recentMean !== 0 ? stdDev(recent) / Math.abs(recentMean) : 0;
+
+    if (baselineCv > 0 && recentCv >= baselineCv * thresholds.volatilityRatio && recentCv * 100 >= config.threshold_percent) {
+      const volatilityChange = ((recentCv - baselineCv) / baselineCv) * 100;
+      const severity = this.classifySeverity(recentCv / baselineCv / thresholds.volatilityRatio, 0, thresholds, metric, null);
+
+      return this.buildCandidate({
+        metric,
+        detectionDate,
+        value,
+        baseline,
+        deviationPercent: volatilityChange,
+        anomalyType: 'unusual_pattern',
+        // Volatility alone never escalates past medium
+        severity: SEVERITY_ORDER.indexOf(severity) > 1 ? 'medium' : severity,
+        metadata: {
+          ...metadata,
+          baselineCoefficientOfVariation: round(baselineCv),
+          recentCoefficientOfVariation: round(recentCv),
+        },
+      });
+    }
+
+    return null;
+  }
+
+  /**
+   * Map deviation magnitude and statistical score to a severity level
+   * Anomalies moving in a favorable direction (e.g. CPC drop) are downgraded one level.
+   *
+   * @param {number} ratio - |deviation| / threshold
+   * @param {number} score - Largest absolute z-score observed
+   */
+  classifySeverity(ratio, score, thresholds, metric, anomalyType) {
+    let level;
+    if (ratio >= 4 || score >= thresholds.zScore + 3) {
+      level = 3;
+    } else if (ratio >= 2.5 || score >= thresholds.zScore + 1.5) {
+      level = 2;
+    } else if (ratio >= 1.5) {
+      level = 1;
+    } else {
+      level = 0;
+    }
+
+    if (this.getDirection(metric, anomalyType) === 'favorable') {
+      level = Math.max(0, level - 1);
+    }
+
+    return SEVERITY_ORDER[level];
+  }
+
+  /**
+   * Whether a spike/drop in a metric is good or bad news
+   */
+  getDirection(metric, anomalyType) {
+    const higherIsBetter = HIGHER_IS_BETTER[metric];
+    if (higherIsBetter === undefined || !anomalyType || anomalyType === 'unusual_pattern') {
+      return 'neutral';
+    }
+    const increased = anomalyType === 'spike';
+    return increased === higherIsBetter ? 'favorable' : 'unfavorable';
+  }
+
+  /**
+   * Build the anomaly candidate returned by evaluateSeries
+   */
+  buildCandidate({ metric, detectionDate, value, baseline, deviationPercent, anomalyType, severity, metadata }) {
+    const clampedDeviation = Math.max(-MAX_DEVIATION_PERCENT, Math.min(MAX_DEVIATION_PERCENT, deviationPercent));
+    const label = METRIC_LABELS[metric] || metric;
+
+    let description;
+    if (anomalyType === 'unusual_pattern') {
+      description = `${label} has been unusually volatile over the last 3 days (${this.formatValue(metric, value)} on ${detectionDate})`;
+    } else {
+      const verb = anomalyType === 'spike' ? 'spiked' : 'dropped';
+      const relation = anomalyType === 'spike' ? 'above' : 'below';
+      description = `${label} ${verb} ${Math.abs(clampedDeviation).toFixed(1)}% ${relation} baseline `
+        + `(${this.formatValue(metric, value)} vs ${this.formatValue(metric, baseline)})`;
+    }
+
+    return {
+      metric,
+      detectionDate,
+      currentValue: round(value),
+      baselineValue: round(baseline),
+      deviationPercent: Math.round(clampedDeviation * 100) / 100,
+      anomalyType,
+      severity,
+      description,
+      metadata: {
+        ...metadata,
+        direction: this.getDirection(metric, anomalyType),
+      },
+    };
+  }
+
+  /**
+   * Format a metric value for descriptions
+   */
+  formatValue(metric, value) {
+    if (metric === 'ctr') return `${value.toFixed(2)}%`;
+    if (metric === 'roas') return `${value.toFixed(2)}x`;
+    if (['spend', 'cpc', 'cpm', 'cpa', 'revenue'].includes(metric)) return value.toFixed(2);
+    return Math.round(value).toLocaleString('en-US');
+  }
+
+  /**
+   * Get accounts eligible for detection
+   */
+  async getAccounts(adAccountId = null) {
+    let sql = `
+      SELECT aa.id, aa.workspace_id, aa.platform, aa.account_id, aa.account_name
+      FROM ad_accounts aa
+      WHERE aa.status = 'active'
+        AND aa.platform <> 'search_console'
+    `;
+    const params = [];
+
+    if (adAccountId) {
+      sql += ' AND aa.id = $1';
+      params.push(adAccountId);
+    }
+
+    const result = await query(sql, params);
+    return result.rows;
+  }
+
+  /**
+   * Run detection for a single account and persist new anomalies
+   *
+   * @param {Object} account - Ad account row
+   * @param {string} detectionDate - Date to evaluate (YYYY-MM-DD)
+   * @returns {Promise<Object[]>} Newly inserted anomaly rows
+   */
+  async detectForAccount(account, detectionDate) {
+    const configs = (await this.getAccountConfigs(account.id)).filter(c => c.enabled);
+    if (configs.length === 0) return [];
+
+    const since = metricsStore.addDays(detectionDate, -this.getLookbackDays(configs));
+    const series = await metricsStore.getAccountDailySeries(account, since, detectionDate);
+    if (series.length === 0) return [];
+
+    const inserted = [];
+
+    for (const config of configs) {
+      if (!metricsStore.SUPPORTED_METRICS.includes(config.metric)) continue;
+
+      const candidate = this.evaluateSeries(series, config.metric, config, detectionDate);
+      if (!candidate) continue;
+
+      const anomaly = await this.saveAnomaly(account, candidate);
+      if (anomaly) {
+        inserted.push(anomaly);
+        await this.notify(account, anomaly, detectionDate);
+      }
+    }
+
+    return inserted;
+  }
+
+  /**
+   * Replay detection over past days without persisting anything
+   * Used to preview how many anomalies a proposed config would have raised.
+   *
+   * @param {Object} account - Ad account row
+   * @param {Object[]} configs - Normalized configs (with metric)
+   * @param {number} days - Number of days to replay, ending yesterday (UTC)
+   * @returns {Promise<Object>} Replay window and anomaly candidates
+   */
+  async replay(account, configs, days) {
+    const until = metricsStore.addDays(metricsStore.toDateString(new Date()), -1);
+    const since = metricsStore.addDays(until, -(days - 1));
+    const enabledConfigs = configs.filter(c => c.enabled && metricsStore.SUPPORTED_METRICS.includes(c.metric));
+
+    if (enabledConfigs.length === 0) {
+      return { since, until, candidates: [] };
+    }
+
+    const seriesStart = metricsStore.addDays(since, -this.getLookbackDays(enabledConfigs));
+    const series = await metricsStore.getAccountDailySeries(account, seriesStart, until);
+    const candidates = [];
+
+    for (let date = since; date <= until; date = metricsStore.addDays(date, 1)) {
+      for (const config of enabledConfigs) {
+        const candidate = this.evaluateSeries(series, config.metric, config, date);
+        if (candidate) candidates.push(candidate);
+      }
+    }
+
+    return { since, until, dataPoints: series.length, candidates };
+  }
+
+  /**
+   * Insert an anomaly unless one already exists for the account/metric/date
+   */
+  async saveAnomaly(account, candidate) {
+    const result = await query(
+      `INSERT INTO anomalies (
+        ad_account_id, detection_date, metric, current_value, baseline_value,
+        deviation_percent, severity, anomaly_type, description, metadata
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      ON CONFLICT (ad_account_id, metric, detection_date)
+        WHERE campaign_id IS NULL AND ad_set_id IS NULL
+        DO NOTHING
+      RETURNING *`,
+      [
+        account.id,
+        candidate.detectionDate,
+        candidate.metric,
+        candidate.currentValue,
+        candidate.baselineValue,
+        candidate.deviationPercent,
+        candidate.severity,
+        candidate.anomalyType,
+        candidate.description,
+        JSON.stringify(candidate.metadata),
+      ]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Notify the workspace about a new anomaly (in-app and configured channels)
+   */
+  async notify(account, anomaly, detectionDate) {
+    const label = METRIC_LABELS[anomaly.metric] || anomaly.metric;
+    const typeLabel = anomaly.anomaly_type === 'unusual_pattern'
+      ? 'unusual pattern'
+      : anomaly.anomaly_type;
+
+    await notificationDispatcher.dispatch(account.workspace_id, {
+      type: 'anomaly',
+      title: `${label} ${typeLabel} detected on ${account.account_name || account.account_id}`,
+      message: anomaly.description,
+      severity: anomaly.severity,
+      relatedEntityType: 'anomaly',
+      relatedEntityId: anomaly.id,
+      actionUrl: `/dashboard?workspaceId=${account.workspace_id}&anomalyId=${anomaly.id}`,
+      fields: [
+        { label: 'Account', value: account.account_name || account.account_id },
+        { label: 'Platform', value: account.platform },
+        { label: 'Date', value: detectionDate },
+        { label: 'Actual', value: this.formatValue(anomaly.metric, parseFloat(anomaly.current_value)) },
+        { label: 'Expected', value: this.formatValue(anomaly.metric, parseFloat(anomaly.baseline_value)) },
+        { label: 'Deviation', value: `${anomaly.deviation_percent}%` },
+      ],
+      data: { anomaly },
+    });
+  }
+
+  /**
+   * Run detection across all active accounts
+   *
+   * @param {Object} [options]
+   * @param {string} [options.date] - Date to evaluate, defaults to yesterday (UTC)
+   * @param {string} [options.adAccountId] - Restrict to one account
+   */
+  async runDetection(options = {}) {
+    const detectionDate = options.date || metricsStore.addDays(metricsStore.toDateString(new Date()), -1);
+    const accounts = await this.getAccounts(options.adAccountId);
+
+    const summary = {
+      detectionDate,
+      accountsProcessed: 0,
+      anomaliesDetected: 0,
+      failed: 0,
+      results: [],
+    };
+
+    for (const account of accounts) {
+      try {
+        const anomalies = await this.detectForAccount(account, detectionDate);
+        summary.accountsProcessed++;
+        summary.anomaliesDetected += anomalies.length;
+        summary.results.push({ accountId: account.id, accountName: account.account_name, anomalies: anomalies.length });
+      } catch (error) {
+        summary.failed++;
+        summary.results.push({ accountId: account.id, accountName: account.account_name, error: error.message });
+        console.error(`Anomaly detection failed for account ${account.id}:`, error);
+      }
+    }
+
+    return summary;
+  }
+}
+
+const anomalyDetector = new AnomalyDetector();
+
+module.exports = anomalyDetector;
+module.exports.DEFAULT_CONFIG = DEFAULT_CONFIG;
+module.exports.DEFAULT_METRICS = DEFAULT_METRICS;
+module.exports.SENSITIVITY_LEVELS = SENSITIVITY_LEVELS;
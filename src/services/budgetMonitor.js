@@ -0,0 +1,312 @@
+/**
+ * Budget Monitor
+ * Daily job behind budget alerts: snapshots the spend of every active ad
+ * account into daily_spend_snapshots and checks the alert thresholds of account
+ * monthly budgets and of budgets (see budgetPacing). Each threshold raises one
+ * budget_alerts row per budget period, and the workspace is notified of the
+ * highest threshold newly crossed.
+ */
+
+const { query } = require('../config/database');
+const budgetPacing = require('./budgetPacing');
+const metricsStore = require('./metricsStore');
+const notificationDispatcher = require('./notificationDispatcher');
+const { getAccountToday } = require('./platformSync');
+
+// Recent days are snapshotted again on every run, as platforms restate spend
+const SNAPSHOT_DAYS = 3;
+
+const SEVERITY_BY_STATUS = {
+  warning: 'medium',
+  critical: 'high',
+  exceeded: 'critical',
+};
+
+/**
+ * Alert status of a crossed threshold (percent of budget)
+ */
+function alertStatus(threshold) {
+  if (threshold >= 100) return 'exceeded';
+  if (threshold >= 90) return 'critical';
+  return 'warning';
+}
+
+const formatAmount = (value, code) =>
+  `${Number(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} ${code || ''}`.trim();
+
+/**
+ * Active ad accounts with their budget settings
+ */
+async function getAccounts(adAccountId = null) {
+  const params = [];
+  let sql = `
+    SELECT aa.id, aa.workspace_id, aa.platform, aa.account_id, aa.account_name, aa.currency, aa.timezone,
+           aa.status, aa.needs_reauth, aa.oauth_token_id, aa.platform_credential_id,
+           aa.monthly_budget, aa.budget_start_date, aa.budget_alert_thresholds, aa.budget_alert_enabled
+    FROM ad_accounts aa
+    WHERE aa.status = 'active' AND aa.platform <> 'search_console'`;
+
+  if (adAccountId) {
+    params.push(adAccountId);
+    sql += ` AND aa.id = $${params.length}`;
+  }
+
+  const result = await query(sql, params);
+  return result.rows;
+}
+
+/**
+ * Snapshot the spend of an account for the last completed days (account timezone)
+ *
+ * @param {Object} account - From getAccounts
+ * @param {string} [date] - Last day to snapshot, defaults to the account's yesterday
+ * @returns {Promise<Object>} { date, pacing } for the last day snapshotted
+ */
+async function snapshotAccount(account, date = null) {
+  const lastDate = date || metricsStore.addDays(getAccountToday(account), -1);
+  const { budget, members } = budgetPacing.accountMonthlyBudget(account);
+  let pacing = null;
+
+  for (let offset = SNAPSHOT_DAYS - 1; offset >= 0; offset--) {
+    const snapshotDate = metricsStore.addDays(lastDate, -offset);
+    pacing = await budgetPacing.calculatePacing(budget, members, { today: snapshotDate, live: false });
+    const dailySpend = pacing.spend.daily.find(day => day.date === snapshotDate)?.spend || 0;
+
+    await query(
+      `INSERT INTO daily_spend_snapshots (
+        ad_account_id, snapshot_date, daily_spend, cumulative_spend, projected_monthly_spend,
+        currency, period_start, budget_amount, pacing_status
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      ON CONFLICT (ad_account_id, snapshot_date) DO UPDATE SET
+        daily_spend = EXCLUDED.daily_spend,
+        cumulative_spend = EXCLUDED.cumulative_spend,
+        projected_monthly_spend = EXCLUDED.projected_monthly_spend,
+        currency = EXCLUDED.currency,
+        period_start = EXCLUDED.period_start,
+        budget_amount = EXCLUDED.budget_amount,
+        pacing_status = EXCLUDED.pacing_status,
+        updated_at = NOW()`,
+      [
+        account.id,
+        snapshotDate,
+        dailySpend,
+        pacing.spend.total,
+        pacing.projection.projectedSpend,
+        pacing.currency,
+        pacing.period.startDate,
+        pacing.amount > 0 ? pacing.amount : null,
+        pacing.pacing.status,
+      ]
+    );
+  }
+
+  return { date: lastDate, pacing };
+}
+
+/**
+ * Record the thresholds a budget has crossed in its current period and notify
+ * the workspace about the highest one not alerted before
+ *
+ * @param {Object} subject - { workspaceId, adAccountId, budgetId, name, budgetPeriod, thresholds }
+ * @param {Object} pacing - From budgetPacing.calculatePacing
+ * @param {string} date - Day the spend was measured on
+ * @returns {Promise<Object[]>} New budget_alerts rows
+ */
+async function recordCrossings(subject, pacing, date) {
+  if (!(pacing.amount > 0) || pacing.pacing.status === 'not_started') return [];
+
+  const spend = pacing.spend.total;
+  const percentage = (spend / pacing.amount) * 100;
+  const crossed = (subject.thresholds || budgetPacing.DEFAULT_THRESHOLDS)
+    .map(Number)
+    .filter(threshold => percentage >= threshold)
+    .sort((a, b) => a - b);
+
+  const raised = [];
+  for (const threshold of crossed) {
+    const status = alertStatus(threshold);
+    const message = `${subject.name} has spent ${percentage.toFixed(1)}% of its ${subject.budgetPeriod} budget `
+      + `(${formatAmount(spend, pacing.currency)} of ${formatAmount(pacing.amount, pacing.currency)}), `
+      + `crossing the ${threshold}% threshold`;
+
+    const result = await query(
+      `INSERT INTO budget_alerts (
+        ad_account_id, budget_id, alert_date, budget_period, period_start, spend_amount, budget_amount,
+        spend_percentage, threshold_percentage, status, message, currency
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      ON CONFLICT DO NOTHING
+      RETURNING *`,
+      [
+        subject.adAccountId || null,
+        subject.budgetId || null,
+        date,
+        subject.budgetPeriod,
+        pacing.period.startDate,
+        spend,
+        pacing.amount,
+        Math.min(percentage, 999.99),
+        Math.round(threshold),
+        status,
+        message,
+        pacing.currency,
+      ]
+    );
+
+    if (result.rows[0]) raised.push(result.rows[0]);
+  }
+
+  if (raised.length > 0) {
+    try {
+      await notify(subject, raised[raised.length - 1], pacing);
+    } catch (error) {
+      console.error(`Budget alert notification failed for ${subject.name}:`, error.message);
+    }
+  }
+
+  return raised;
+}
+
+/**
+ * Notify the workspace about a budget alert (in-app and configured channels)
+ */
+async function notify(subject, alert, pacing) {
+  const { period, projection, recommended } = pacing;
+  const threshold = alert.threshold_percentage;
+
+  await notificationDispatcher.dispatch(subject.workspaceId, {
+    type: 'budget_alert',
+    title: alert.status === 'exceeded'
+      ? `${subject.name} exceeded its ${subject.budgetPeriod} budget`
+      : `${subject.name} reached ${threshold}% of its ${subject.budgetPeriod} budget`,
+    message: alert.message,
+    severity: SEVERITY_BY_STATUS[alert.status],
+    relatedEntityType: 'budget_alert',
+    relatedEntityId: alert.id,
+    actionUrl: `/dashboard?workspaceId=${subject.workspaceId}&budgetAlertId=${alert.id}`,
+    fields: [
+      { label: 'Budget', value: formatAmount(pacing.amount, pacing.currency) },
+      { label: 'Spent', value: `${formatAmount(alert.spend_amount, pacing.currency)} (${alert.spend_percentage}%)` },
+      { label: 'Period', value: period.endDate ? `${period.startDate} – ${period.endDate}` : `since ${period.startDate}` },
+      ...(projection.projectedSpend !== null
+        ? [{ label: 'Projected', value: formatAmount(projection.projectedSpend, pacing.currency) }]
+        : []),
+      ...(recommended && recommended.dailyAverage !== null
+        ? [{ label: 'Recommended daily spend', value: formatAmount(recommended.dailyAverage, pacing.currency) }]
+        : []),
+    ],
+    data: { alert, pacingStatus: pacing.pacing.status },
+  });
+}
+
+/**
+ * Check the monthly budget of an account against its latest snapshot
+ */
+async function checkAccountBudget(account, snapshot) {
+  if (!(parseFloat(account.monthly_budget) > 0) || account.budget_alert_enabled === false) return [];
+
+  return recordCrossings({
+    workspaceId: account.workspace_id,
+    adAccountId: account.id,
+    name: account.account_name || account.account_id,
+    budgetPeriod: 'monthly',
+    thresholds: account.budget_alert_thresholds,
+  }, snapshot.pacing, snapshot.date);
+}
+
+/**
+ * Check the budgets with alerts enabled against spend through yesterday
+ */
+async function checkBudgets(options = {}) {
+  const params = [];
+  let sql = `SELECT * FROM budgets WHERE alert_enabled = TRUE`;
+
+  if (options.adAccountId) {
+    params.push(options.adAccountId);
+    sql += ` AND id IN (SELECT budget_id FROM budget_members WHERE ad_account_id = $${params.length})`;
+  }
+
+  const budgetsResult = await query(sql, params);
+  const members = await budgetPacing.getBudgetMembers(budgetsResult.rows.map(row => row.id));
+  const summary = { checked: 0, alertsRaised: 0, failed: 0 };
+
+  for (const budget of budgetsResult.rows) {
+    const budgetMembers = members.get(budget.id);
+    if (budgetMembers.length === 0) continue;
+
+    try {
+      const date = options.date || metricsStore.addDays(budgetPacing.getBudgetToday(budgetMembers), -1);
+      const pacing = await budgetPacing.calculatePacing(budget, budgetMembers, { today: date, live: false });
+      const raised = await recordCrossings({
+        workspaceId: budget.workspace_id,
+        budgetId: budget.id,
+        name: budget.name,
+        budgetPeriod: budget.period_type,
+        thresholds: budget.alert_thresholds,
+      }, pacing, date);
+
+      summary.checked++;
+      summary.alertsRaised += raised.length;
+    } catch (error) {
+      summary.failed++;
+      console.error(`Budget monitor failed for budget ${budget.id}:`, error.message);
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Snapshot spend of all active accounts and raise budget alerts
+ *
+ * @param {Object} [options]
+ * @param {string} [options.date] - Last day to snapshot and check, defaults to yesterday per account
+ * @param {string} [options.adAccountId] - Restrict to one account (and the budgets it is part of)
+ * @returns {Promise<Object>} Summary of the run
+ */
+async function runDailySnapshots(options = {}) {
+  const accounts = await getAccounts(options.adAccountId);
+
+  const summary = {
+    accountsProcessed: 0,
+    budgetsChecked: 0,
+    alertsRaised: 0,
+    failed: 0,
+    results: [],
+  };
+
+  for (const account of accounts) {
+    try {
+      const snapshot = await snapshotAccount(account, options.date);
+      const raised = await checkAccountBudget(account, snapshot);
+
+      summary.accountsProcessed++;
+      summary.alertsRaised += raised.length;
+      summary.results.push({
+        adAccountId: account.id,
+        date: snapshot.date,
+        spend: snapshot.pacing.spend.total,
+        status: snapshot.pacing.pacing.status,
+        alerts: raised.length,
+      });
+    } catch (error) {
+      summary.failed++;
+      summary.results.push({ adAccountId: account.id, error: error.message });
+      console.error(`Budget monitor failed for account ${account.id}:`, error.message);
+    }
+  }
+
+  const budgets = await checkBudgets(options);
+  summary.budgetsChecked = budgets.checked;
+  summary.alertsRaised += budgets.alertsRaised;
+  summary.failed += budgets.failed;
+
+  return summary;
+}
+
+module.exports = {
+  SNAPSHOT_DAYS,
+  alertStatus,
+  snapshotAccount,
+  checkBudgets,
+  runDailySnapshots,
+};
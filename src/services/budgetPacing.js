@@ -0,0 +1,653 @@
+/**
+ * Budget Pacing
+ * Paces budgets (budgets / budget_members) and the monthly budgets of ad
+ * accounts against synced daily spend, for every platform.
+ *
+ * A budget covers whole ad accounts, single campaigns or a cross-account group
+ * of both, over a calendar month or quarter, a flight (start to end date) or a
+ * lifetime (from a start date, optionally until an end date). Spend is read
+ * from the local store (metricsStore) and converted into the budget currency
+ * day by day.
+ *
+ * Projections weight each remaining day by its day of week, learned from the
+ * last weeks of spend: the recent run rate is measured in "average days"
+ * (spend / weight) and extended over the remaining days by their weights. The
+ * recommended daily spend distributes what is left of the budget the same way.
+ */
+
+const { query } = require('../config/database');
+const config = require('../config/config');
+const { getPlatformService } = require('./platforms');
+const metricsStore = require('./metricsStore');
+const currency = require('./currency');
+const tokenManager = require('./tokenManager');
+const { getAccountToday, SYNCABLE_PLATFORMS } = require('./platformSync');
+const { ValidationError } = require('../utils/errors');
+
+const PERIOD_TYPES = ['monthly', 'quarterly', 'flight', 'lifetime'];
+const DEFAULT_THRESHOLDS = [80, 90, 100];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Days of spend history the day-of-week weights are learned from
+const WEIGHT_HISTORY_DAYS = 56;
+// Each weekday needs this many observations before weights replace a flat profile
+const MIN_WEEKDAY_OBSERVATIONS = 3;
+const MIN_WEIGHT = 0.2;
+const MAX_WEIGHT = 3;
+// Completed days the current run rate is measured over
+const RUN_RATE_DAYS = 14;
+// Projections within this share of the budget are on track
+const PACING_TOLERANCE = 0.05;
+// Open-ended budgets: how far ahead to look for the day the budget runs out
+const MAX_RUNWAY_DAYS = 3650;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_MEMBERS = 50;
+const MAX_THRESHOLDS = 10;
+
+const round = (value, decimals = 2) => (value === null || value === undefined
+  ? null
+  : Math.round(value * 10 ** decimals) / 10 ** decimals);
+
+const dayOfWeek = date => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+function* eachDate(since, until) {
+  for (let date = since; date <= until; date = metricsStore.addDays(date, 1)) {
+    yield date;
+  }
+}
+
+const daysBetween = (since, until) =>
+  Math.round((new Date(`${until}T00:00:00Z`) - new Date(`${since}T00:00:00Z`)) / 86400000) + 1;
+
+/**
+ * The period a budget is paced over on a given day
+ * Monthly and quarterly budgets use the calendar period containing the day,
+ * clipped to the budget's start and end dates.
+ *
+ * @param {Object} budget - { period_type, start_date, end_date }
+ * @param {string} today - YYYY-MM-DD
+ * @returns {Object} { type, startDate, endDate } (endDate null for open-ended lifetime budgets)
+ */
+function getPeriod(budget, today) {
+  const startDate = budget.start_date ? metricsStore.toDateString(new Date(budget.start_date)) : null;
+  const endDate = budget.end_date ? metricsStore.toDateString(new Date(budget.end_date)) : null;
+  const type = budget.period_type;
+
+  if (type === 'flight' || type === 'lifetime') {
+    return { type, startDate, endDate };
+  }
+
+  // Calendar period of the day, or of the first tracked day when tracking has not started
+  const anchor = startDate && startDate > today ? startDate : (endDate && endDate < today ? endDate : today);
+  const [year, month] = anchor.split('-').map(Number);
+  const firstMonth = type === 'quarterly' ? Math.floor((month - 1) / 3) * 3 + 1 : month;
+  const months = type === 'quarterly' ? 3 : 1;
+  const periodStart = metricsStore.toDateString(new Date(Date.UTC(year, firstMonth - 1, 1)));
+  const periodEnd = metricsStore.toDateString(new Date(Date.UTC(year, firstMonth - 1 + months, 0)));
+
+  return {
+    type,
+    startDate: startDate && startDate > periodStart ? startDate : periodStart,
+    endDate: endDate && endDate < periodEnd ? endDate : periodEnd,
+  };
+}
+
+/**
+ * Relative spend of each day of the week, learned from recent daily spend
+ * Days before the first stored day are not counted (nothing was synced yet);
+ * with too little history every day weighs 1.
+ *
+ * @param {Object[]} series - Daily rows with date and spend
+ * @param {string} today - YYYY-MM-DD; history ends the day before
+ * @returns {Object} { weights: number[7] (index = getUTCDay), method, observations }
+ */
+function getDayOfWeekWeights(series, today) {
+  const flat = { weights: Array(7).fill(1), method: 'uniform', observations: 0 };
+  const yesterday = metricsStore.addDays(today, -1);
+  const firstDate = series.find(day => day.date <= yesterday)?.date;
+  if (!firstDate) return flat;
+
+  const historyStart = metricsStore.addDays(today, -WEIGHT_HISTORY_DAYS);
+  const spendByDate = new Map(series.map(day => [day.date, parseFloat(day.spend) || 0]));
+  const sums = Array(7).fill(0);
+  const counts = Array(7).fill(0);
+
+  for (const date of eachDate(firstDate > historyStart ? firstDate : historyStart, yesterday)) {
+    const weekday = dayOfWeek(date);
+    sums[weekday] += spendByDate.get(date) || 0;
+    counts[weekday]++;
+  }
+
+  const observations = counts.reduce((sum, count) => sum + count, 0);
+  if (counts.some(count => count < MIN_WEEKDAY_OBSERVATIONS)) {
+    return { ...flat, observations };
+  }
+
+  const means = sums.map((sum, weekday) => sum / counts[weekday]);
+  const overall = means.reduce((sum, mean) => sum + mean, 0) / 7;
+  if (overall <= 0) return { ...flat, observations };
+
+  return {
+    weights: means.map(mean => Math.min(Math.max(mean / overall, MIN_WEIGHT), MAX_WEIGHT)),
+    method: 'day_of_week',
+    observations,
+  };
+}
+
+/**
+ * Pace spend against a budget amount over a period
+ *
+ * @param {Object} params
+ * @param {number} params.amount - Budget amount
+ * @param {Object[]} params.series - Daily rows with date and spend, covering the period and recent history
+ * @param {Object} params.period - From getPeriod
+ * @param {string} params.today - YYYY-MM-DD
+ * @param {Object} [params.profile] - From getDayOfWeekWeights (learned from series when omitted)
+ * @returns {Object} { period, spend, projection, pacing, recommended }
+ */
+function projectPacing({ amount, series, period, today, profile = null }) {
+  const { weights, method, observations } = profile || getDayOfWeekWeights(series, today);
+  const weightOf = date => weights[dayOfWeek(date)];
+  const sumWeights = (since, until) => {
+    let total = 0;
+    for (const date of eachDate(since, until)) total += weightOf(date);
+    return total;
+  };
+
+  const spendByDate = new Map(series.map(day => [day.date, parseFloat(day.spend) || 0]));
+  const { startDate, endDate } = period;
+  const yesterday = metricsStore.addDays(today, -1);
+  const started = startDate <= today;
+  const ended = Boolean(endDate) && endDate < today;
+
+  // Spend so far (today's figure is partial)
+  const daily = [];
+  let spent = 0;
+  let spentThroughYesterday = 0;
+  if (started) {
+    for (const date of eachDate(startDate, ended ? endDate : today)) {
+      const spend = spendByDate.get(date) || 0;
+      daily.push({ date, spend });
+      spent += spend;
+      if (date < today) spentThroughYesterday += spend;
+    }
+  }
+  const spentToday = spent - spentThroughYesterday;
+
+  // Run rate in weight-1 days over the last completed days (days without rows spent nothing)
+  const firstStored = series.find(day => day.date <= yesterday)?.date;
+  const rateStart = metricsStore.addDays(today, -RUN_RATE_DAYS);
+  let runRate = 0;
+  if (firstStored) {
+    const since = firstStored > rateStart ? firstStored : rateStart;
+    let rateSpend = 0;
+    for (const date of eachDate(since, yesterday)) rateSpend += spendByDate.get(date) || 0;
+    const rateWeight = sumWeights(since, yesterday);
+    runRate = rateWeight > 0 ? rateSpend / rateWeight : 0;
+  }
+
+  const totalDays = endDate ? daysBetween(startDate, endDate) : null;
+  const elapsedDays = started ? daysBetween(startDate, ended ? endDate : today) - (ended ? 0 : 1) : 0;
+  const remainingDays = endDate && !ended ? daysBetween(started ? today : startDate, endDate) : 0;
+
+  let projected = null;
+  let expectedToDate = null;
+  let weightedProgress = null;
+  let runway = null;
+
+  if (endDate) {
+    if (ended) {
+      projected = spent;
+    } else if (!started) {
+      projected = runRate * sumWeights(startDate, endDate);
+    } else {
+      const projectedToday = Math.max(runRate * weightOf(today), spentToday);
+      const future = endDate > today ? runRate * sumWeights(metricsStore.addDays(today, 1), endDate) : 0;
+      projected = spentThroughYesterday + projectedToday + future;
+    }
+
+    const totalWeight = sumWeights(startDate, endDate);
+    const elapsedWeight = started && yesterday >= startDate
+      ? sumWeights(startDate, ended ? endDate : yesterday)
+      : 0;
+    weightedProgress = totalWeight > 0 ? (elapsedWeight / totalWeight) * 100 : 0;
+    expectedToDate = amount * (weightedProgress / 100);
+  } else if (started && runRate > 0 && spent < amount) {
+    // Open-ended: the day the budget runs out at the current rate
+    let left = amount - spent;
+    let date = today;
+    for (let day = 0; day < MAX_RUNWAY_DAYS && left > 0; day++) {
+      date = metricsStore.addDays(date, 1);
+      left -= runRate * weightOf(date);
+    }
+    runway = left <= 0 ? { exhaustionDate: date, daysLeft: daysBetween(today, date) - 1 } : null;
+  }
+
+  let status;
+  if (!(amount > 0)) status = 'no_budget';
+  else if (!started) status = 'not_started';
+  else if (spent >= amount) status = 'exceeded';
+  else if (ended) status = 'ended';
+  else if (projected === null) status = 'on_track';
+  else if (projected > amount * (1 + PACING_TOLERANCE)) status = 'over_pacing';
+  else if (projected < amount * (1 - PACING_TOLERANCE)) status = 'under_pacing';
+  else status = 'on_track';
+
+  // Spread what is left over the remaining days by their weights
+  let recommended = null;
+  if (endDate && !ended) {
+    const firstDay = started ? today : startDate;
+    const remaining = Math.max(amount - spentThroughYesterday, 0);
+    const remainingWeight = sumWeights(firstDay, endDate);
+    const perWeight = remainingWeight > 0 ? remaining / remainingWeight : 0;
+    const dailyAverage = remainingDays > 0 ? remaining / remainingDays : 0;
+
+    recommended = {
+      remaining: round(remaining),
+      dailyAverage: round(dailyAverage),
+      today: started ? round(perWeight * weightOf(today)) : null,
+      byWeekday: Object.fromEntries(WEEKDAYS.map((name, weekday) => [name, round(perWeight * weights[weekday])])),
+      changePercent: runRate > 0 ? round((dailyAverage / runRate - 1) * 100, 1) : null,
+    };
+  }
+
+  return {
+    period: {
+      type: period.type,
+      startDate,
+      endDate,
+      today,
+      totalDays,
+      elapsedDays,
+      remainingDays,
+      calendarProgress: totalDays ? round((elapsedDays / totalDays) * 100, 1) : null,
+      weightedProgress: weightedProgress === null ? null : round(weightedProgress, 1),
+    },
+    spend: {
+      total: round(spent),
+      throughYesterday: round(spentThroughYesterday),
+      today: round(spentToday),
+      percentage: amount > 0 ? round((spent / amount) * 100, 1) : null,
+      averageDaily: started ? round(spent / Math.max(daysBetween(startDate, ended ? endDate : today), 1)) : 0,
+      daily: daily.map(day => ({ date: day.date, spend: round(day.spend) })),
+    },
+    projection: {
+      method: method === 'day_of_week' ? 'day_of_week_weighted' : 'linear',
+      projectedSpend: round(projected),
+      projectedPercentage: projected !== null && amount > 0 ? round((projected / amount) * 100, 1) : null,
+      variance: projected !== null ? round(projected - amount) : null,
+      runRate: round(runRate),
+      weights: Object.fromEntries(WEEKDAYS.map((name, weekday) => [name, round(weights[weekday], 3)])),
+      observations,
+      runway,
+    },
+    pacing: {
+      status,
+      expectedToDate: round(expectedToDate),
+      pacingRatio: expectedToDate ? round(spentThroughYesterday / expectedToDate, 3) : null,
+    },
+    recommended,
+  };
+}
+
+/**
+ * Members of budgets with the account (and campaign) details pacing needs
+ *
+ * @param {string[]} budgetIds - Budget UUIDs
+ * @returns {Promise<Map<string, Object[]>>} budget ID -> member rows
+ */
+async function getBudgetMembers(budgetIds) {
+  const members = new Map(budgetIds.map(id => [id, []]));
+  if (budgetIds.length === 0) return members;
+
+  const result = await query(
+    `SELECT bm.budget_id, bm.ad_account_id, bm.campaign_id,
+            aa.workspace_id, aa.platform, aa.account_id, aa.account_name, aa.currency, aa.timezone,
+            aa.status, aa.needs_reauth, aa.oauth_token_id, aa.platform_credential_id,
+            c.campaign_name
+     FROM budget_members bm
+     JOIN ad_accounts aa ON aa.id = bm.ad_account_id
+     LEFT JOIN campaigns c ON c.id = bm.campaign_id
+     WHERE bm.budget_id = ANY($1)
+     ORDER BY aa.platform, aa.account_name, c.campaign_name`,
+    [budgetIds]
+  );
+
+  for (const row of result.rows) {
+    members.get(row.budget_id).push(row);
+  }
+  return members;
+}
+
+/**
+ * What a budget covers: one ad account, campaigns of one account, or a group
+ */
+function getBudgetScope(members) {
+  const accounts = new Set(members.map(member => member.ad_account_id));
+  if (accounts.size === 1 && members.every(member => member.campaign_id)) return 'campaign';
+  if (members.length === 1) return 'account';
+  return 'group';
+}
+
+/**
+ * Daily spend of an ad account, from the local store or, before its first sync,
+ * from the platform
+ */
+async function getAccountSpendSeries(account, since, until, live = true) {
+  const stored = await metricsStore.getAccountDailySeries(account, since, until);
+  const canFetch = live && stored.length === 0 && !account.needs_reauth && account.status === 'active'
+    && SYNCABLE_PLATFORMS.includes(account.platform);
+  if (!canFetch) return stored;
+
+  try {
+    const PlatformService = getPlatformService(account.platform);
+    const result = await tokenManager.withAccessToken(account, accessToken =>
+      PlatformService.fetchMetrics(account.account_id, accessToken, 'spend', since, until, config, { currency: account.currency }));
+    return (result.timeSeries || []).map(point => metricsStore.deriveMetrics({ date: point.date, spend: point.value }));
+  } catch (error) {
+    console.error(`Budget pacing: live spend fetch failed for account ${account.account_id}:`, error.message);
+    return stored;
+  }
+}
+
+/**
+ * Account (ad_accounts row fields) of a budget member
+ */
+const memberAccount = member => ({
+  id: member.ad_account_id,
+  workspace_id: member.workspace_id,
+  platform: member.platform,
+  account_id: member.account_id,
+  currency: member.currency,
+  timezone: member.timezone,
+  status: member.status,
+  needs_reauth: member.needs_reauth,
+  oauth_token_id: member.oauth_token_id,
+  platform_credential_id: member.platform_credential_id,
+});
+
+/**
+ * Today for a budget: the member account's day when every member shares one
+ * account (platforms report in the account timezone), otherwise UTC
+ */
+function getBudgetToday(members) {
+  const accounts = new Set(members.map(member => member.ad_account_id));
+  return accounts.size === 1
+    ? getAccountToday(memberAccount(members[0]))
+    : metricsStore.toDateString(new Date());
+}
+
+/**
+ * Pace a budget
+ *
+ * @param {Object} budget - budgets row (or an equivalent for account monthly budgets)
+ * @param {Object[]} members - From getBudgetMembers
+ * @param {Object} [options] - { today } override (YYYY-MM-DD); { live: false } never fetches
+ *   spend from the platforms
+ * @returns {Promise<Object>} projectPacing result plus amount, currency, members (spend per member) and fx
+ */
+async function calculatePacing(budget, members, options = {}) {
+  const today = options.today || getBudgetToday(members);
+  const period = getPeriod(budget, today);
+  const amount = parseFloat(budget.amount) || 0;
+  const budgetCurrency = currency.normalizeCurrency(budget.currency);
+
+  // Period spend plus the history the weights and run rate are learned from
+  const historyStart = metricsStore.addDays(today, -WEIGHT_HISTORY_DAYS);
+  const since = period.startDate < historyStart ? period.startDate : historyStart;
+  const until = today;
+
+  const converter = await currency.createConverter(
+    budget.workspace_id,
+    members.map(member => member.currency),
+    since,
+    until,
+    budgetCurrency
+  );
+
+  const seriesList = [];
+  const memberSpend = [];
+  const periodUntil = period.endDate && period.endDate < today ? period.endDate : today;
+
+  for (const member of members) {
+    const native = member.campaign_id
+      ? await metricsStore.getCampaignDailySeries(member.campaign_id, since, until)
+      : await getAccountSpendSeries(memberAccount(member), since, until, options.live !== false);
+    const series = currency.convertSeries(native, member.currency, converter);
+    seriesList.push(series);
+
+    memberSpend.push({
+      adAccountId: member.ad_account_id,
+      accountName: member.account_name,
+      platform: member.platform,
+      campaignId: member.campaign_id,
+      campaignName: member.campaign_name,
+      currency: currency.normalizeCurrency(member.currency),
+      spend: round(series
+        .filter(day => day.date >= period.startDate && day.date <= periodUntil)
+        .reduce((sum, day) => sum + day.spend, 0)),
+    });
+  }
+
+  const series = metricsStore.mergeSeries(seriesList);
+
+  return {
+    amount,
+    currency: converter.currency,
+    ...projectPacing({ amount, series, period, today }),
+    members: memberSpend,
+    fx: converter.describe(),
+  };
+}
+
+/**
+ * Validate a budget definition and resolve its members and currency
+ *
+ * @param {string} workspaceId - Workspace UUID
+ * @param {Object} input - { name, periodType, amount, startDate, endDate, alertThresholds, alertEnabled,
+ *   members: [{ adAccountId, campaignId }] }
+ * @param {Object} [existing] - budgets row being updated (missing fields keep their values)
+ * @returns {Promise<Object>} Normalized definition ready to store, including members and currency
+ * @throws {ValidationError}
+ */
+async function validateBudget(workspaceId, input = {}, existing = null) {
+  const errors = [];
+  const pick = (key, column) => (input[key] !== undefined ? input[key] : existing?.[column]);
+  const toDate = value => (value instanceof Date ? metricsStore.toDateString(value) : value);
+
+  const name = String(pick('name', 'name') || '').trim();
+  if (!name) errors.push('name is required');
+  else if (name.length > 255) errors.push('name must be at most 255 characters');
+
+  const periodType = pick('periodType', 'period_type') || 'monthly';
+  if (!PERIOD_TYPES.includes(periodType)) {
+    errors.push(`periodType must be one of: ${PERIOD_TYPES.join(', ')}`);
+  }
+
+  const amount = Number(pick('amount', 'amount'));
+  if (!Number.isFinite(amount) || amount <= 0) errors.push('amount must be a positive number');
+
+  const startDate = toDate(pick('startDate', 'start_date')) || null;
+  const endDate = toDate(pick('endDate', 'end_date')) || null;
+  for (const [label, value] of [['startDate', startDate], ['endDate', endDate]]) {
+    if (value && !DATE_PATTERN.test(value)) errors.push(`${label} must be YYYY-MM-DD`);
+  }
+  if (startDate && endDate && endDate < startDate) errors.push('endDate must be on or after startDate');
+  if (periodType === 'flight' && (!startDate || !endDate)) errors.push('Flight budgets need a startDate and an endDate');
+  if (periodType === 'lifetime' && !startDate) errors.push('Lifetime budgets need a startDate');
+
+  const thresholds = pick('alertThresholds', 'alert_thresholds') || DEFAULT_THRESHOLDS;
+  if (!Array.isArray(thresholds) || thresholds.length === 0 || thresholds.length > MAX_THRESHOLDS
+    || thresholds.some(value => !Number.isFinite(Number(value)) || Number(value) <= 0 || Number(value) > 1000)) {
+    errors.push(`alertThresholds must be 1 to ${MAX_THRESHOLDS} percentages between 0 and 1000`);
+  }
+  const alertThresholds = Array.isArray(thresholds)
+    ? [...new Set(thresholds.map(Number))].sort((a, b) => a - b)
+    : DEFAULT_THRESHOLDS;
+
+  const alertEnabled = pick('alertEnabled', 'alert_enabled');
+
+  // Members: required on create, replaced when sent on update
+  let members = null;
+  if (input.members !== undefined || !existing) {
+    const requested = Array.isArray(input.members) ? input.members : [];
+    if (requested.length === 0) errors.push('members must list at least one ad account or campaign');
+    if (requested.length > MAX_MEMBERS) errors.push(`A budget can have at most ${MAX_MEMBERS} members`);
+
+    const invalid = requested.filter(member => !member
+      || (member.adAccountId && !UUID_PATTERN.test(member.adAccountId))
+      || (member.campaignId && !UUID_PATTERN.test(member.campaignId))
+      || (!member.adAccountId && !member.campaignId));
+    if (invalid.length > 0) errors.push('Each member needs a valid adAccountId and/or campaignId');
+    else members = requested;
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid budget', errors);
+  }
+
+  let resolvedMembers;
+  if (members) {
+    resolvedMembers = await resolveMembers(workspaceId, members);
+  } else {
+    const current = await getBudgetMembers([existing.id]);
+    resolvedMembers = current.get(existing.id).map(member => ({
+      adAccountId: member.ad_account_id,
+      campaignId: member.campaign_id,
+      currency: member.currency,
+    }));
+  }
+
+  const currencies = [...new Set(resolvedMembers.map(member => currency.normalizeCurrency(member.currency)).filter(Boolean))];
+  const budgetCurrency = currencies.length === 1 ? currencies[0] : await currency.getReportingCurrency(workspaceId);
+
+  if (existing && input.amount === undefined && existing.currency !== budgetCurrency) {
+    throw new ValidationError('Invalid budget', [
+      `The new members change the budget currency from ${existing.currency} to ${budgetCurrency}; send the amount in ${budgetCurrency}`,
+    ]);
+  }
+
+  return {
+    name,
+    periodType,
+    amount,
+    currency: budgetCurrency,
+    startDate,
+    endDate,
+    alertThresholds,
+    alertEnabled: alertEnabled === undefined || alertEnabled === null ? true : Boolean(alertEnabled),
+    members: resolvedMembers,
+  };
+}
+
+/**
+ * Check budget members against the workspace's accounts and campaigns
+ *
+ * @returns {Promise<Object[]>} [{ adAccountId, campaignId, currency }]
+ * @throws {ValidationError}
+ */
+async function resolveMembers(workspaceId, members) {
+  const accountIds = [...new Set(members.map(member => member.adAccountId).filter(Boolean))];
+  const campaignIds = [...new Set(members.map(member => member.campaignId).filter(Boolean))];
+
+  const [accountsResult, campaignsResult] = await Promise.all([
+    query(
+      `SELECT id, currency FROM ad_accounts
+       WHERE workspace_id = $1 AND id = ANY($2::uuid[]) AND platform <> 'search_console'`,
+      [workspaceId, accountIds]
+    ),
+    query(
+      `SELECT c.id, c.ad_account_id, aa.currency
+       FROM campaigns c
+       JOIN ad_accounts aa ON aa.id = c.ad_account_id
+       WHERE aa.workspace_id = $1 AND c.id = ANY($2::uuid[])`,
+      [workspaceId, campaignIds]
+    ),
+  ]);
+
+  const accounts = new Map(accountsResult.rows.map(row => [row.id, row]));
+  const campaigns = new Map(campaignsResult.rows.map(row => [row.id, row]));
+  const errors = [];
+  const resolved = new Map();
+
+  for (const member of members) {
+    if (member.campaignId) {
+      const campaign = campaigns.get(member.campaignId);
+      if (!campaign) {
+        errors.push(`Campaign ${member.campaignId} was not found in this workspace`);
+      } else if (member.adAccountId && member.adAccountId !== campaign.ad_account_id) {
+        errors.push(`Campaign ${member.campaignId} does not belong to ad account ${member.adAccountId}`);
+      } else {
+        resolved.set(`${campaign.ad_account_id}|${campaign.id}`, {
+          adAccountId: campaign.ad_account_id,
+          campaignId: campaign.id,
+          currency: campaign.currency,
+        });
+      }
+    } else if (!accounts.has(member.adAccountId)) {
+      errors.push(`Ad account ${member.adAccountId} was not found in this workspace`);
+    } else {
+      resolved.set(`${member.adAccountId}|`, {
+        adAccountId: member.adAccountId,
+        campaignId: null,
+        currency: accounts.get(member.adAccountId).currency,
+      });
+    }
+  }
+
+  // A campaign inside a whole-account member would be counted twice
+  for (const member of resolved.values()) {
+    if (member.campaignId && resolved.has(`${member.adAccountId}|`)) {
+      errors.push(`Campaign ${member.campaignId} is already covered by its ad account`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid budget members', errors);
+  }
+
+  return [...resolved.values()];
+}
+
+/**
+ * The monthly budget of an ad account (ad_accounts.monthly_budget) as a budget
+ * pacing can work with
+ *
+ * @param {Object} account - ad_accounts row with the budget columns
+ * @returns {Object} { budget, members }
+ */
+function accountMonthlyBudget(account) {
+  return {
+    budget: {
+      workspace_id: account.workspace_id,
+      period_type: 'monthly',
+      amount: account.monthly_budget,
+      currency: account.currency,
+      start_date: account.budget_start_date,
+      end_date: null,
+    },
+    members: [{
+      ...account,
+      ad_account_id: account.id,
+      campaign_id: null,
+      campaign_name: null,
+    }],
+  };
+}
+
+module.exports = {
+  PERIOD_TYPES,
+  DEFAULT_THRESHOLDS,
+  WEEKDAYS,
+  getPeriod,
+  getDayOfWeekWeights,
+  projectPacing,
+  getBudgetMembers,
+  getBudgetScope,
+  getBudgetToday,
+  calculatePacing,
+  validateBudget,
+  accountMonthlyBudget,
+};
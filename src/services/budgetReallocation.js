@@ -0,0 +1,607 @@
+/**
+ * Budget Reallocation
+ * Recommends how to split a total budget across the ad accounts (and so the
+ * platforms) of a workspace.
+ *
+ * Each account's response to spend is modelled as a diminishing-returns curve
+ * outcome = scale * spend ^ elasticity (elasticity <= 1), fitted in log space to
+ * weekly averages of its synced daily spend and conversions (or revenue). The
+ * budget is then handed out in small steps to whichever account adds the most
+ * outcome for the next step, within the per-platform minimums and maximums, an
+ * extrapolation limit of MAX_SCALE times the highest spend an account has
+ * sustained, and the CPA / ROAS targets. Because the curves are concave the
+ * greedy split equalizes marginal returns, which is optimal.
+ *
+ * All amounts are in the workspace reporting currency.
+ */
+
+const metricsStore = require('./metricsStore');
+const currency = require('./currency');
+const { SYNCABLE_PLATFORMS } = require('./platformSync');
+const { ValidationError } = require('../utils/errors');
+
+const OBJECTIVES = ['conversions', 'revenue'];
+const DEFAULT_HORIZON_DAYS = 30;
+const MAX_HORIZON_DAYS = 365;
+const DEFAULT_LOOKBACK_DAYS = 90;
+const MIN_LOOKBACK_DAYS = 28;
+const MAX_LOOKBACK_DAYS = 365;
+
+// History is fitted on weekly averages, which evens out day-of-week swings
+const BIN_DAYS = 7;
+// Current spend is the daily average over the last days
+const RUN_RATE_DAYS = 28;
+const MIN_FIT_POINTS = 4;
+// Below this spread of log spend the slope of the curve cannot be estimated
+const MIN_LOG_SPEND_SD = 0.05;
+const MIN_ELASTICITY = 0.1;
+const MAX_ELASTICITY = 1;
+// Used when history has too little spend variation to fit
+const DEFAULT_ELASTICITY = 0.6;
+const ASSUMED_LOG_SD = 0.4;
+const MIN_LOG_SD = 0.05;
+// Accounts are not pushed beyond this multiple of their highest weekly spend
+const MAX_SCALE = 2;
+const ALLOCATION_STEPS = 500;
+// Two-sided 80% interval
+const Z_80 = 1.2816;
+// Shifts below this share of the budget are reported as unchanged
+const MIN_SHIFT_SHARE = 0.01;
+
+const PLATFORM_LABELS = {
+  meta: 'Meta',
+  google: 'Google Ads',
+  tiktok: 'TikTok',
+  linkedin: 'LinkedIn',
+};
+
+const round = (value, decimals = 2) => (value === null || value === undefined || !Number.isFinite(value)
+  ? null
+  : Math.round(value * 10 ** decimals) / 10 ** decimals);
+
+const formatAmount = (value, code) =>
+  `${Number(value || 0).toLocaleString('en-US', { maximumFractionDigits: 0 })} ${code}`;
+
+/**
+ * Validate a reallocation request
+ *
+ * @param {Object} input - { totalBudget, days, lookbackDays, objective, targetCpa, targetRoas,
+ *   platforms: { [platform]: { min, max } }, adAccountIds }
+ * @returns {Object} Normalized request
+ * @throws {ValidationError}
+ */
+function validateRequest(input = {}) {
+  const errors = [];
+  const positive = (value, name) => {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0) errors.push(`${name} must be a positive number`);
+    return number;
+  };
+
+  const totalBudget = positive(input.totalBudget, 'totalBudget');
+  if (totalBudget === null) errors.push('totalBudget is required');
+
+  const days = input.days === undefined ? DEFAULT_HORIZON_DAYS : Number(input.days);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_HORIZON_DAYS) {
+    errors.push(`days must be a whole number between 1 and ${MAX_HORIZON_DAYS}`);
+  }
+
+  const lookbackDays = input.lookbackDays === undefined ? DEFAULT_LOOKBACK_DAYS : Number(input.lookbackDays);
+  if (!Number.isInteger(lookbackDays) || lookbackDays < MIN_LOOKBACK_DAYS || lookbackDays > MAX_LOOKBACK_DAYS) {
+    errors.push(`lookbackDays must be a whole number between ${MIN_LOOKBACK_DAYS} and ${MAX_LOOKBACK_DAYS}`);
+  }
+
+  const targetCpa = positive(input.targetCpa, 'targetCpa');
+  const targetRoas = positive(input.targetRoas, 'targetRoas');
+
+  const objective = input.objective || (targetRoas && !targetCpa ? 'revenue' : 'conversions');
+  if (!OBJECTIVES.includes(objective)) errors.push(`objective must be one of: ${OBJECTIVES.join(', ')}`);
+
+  const constraints = {};
+  const platforms = input.platforms || {};
+  if (typeof platforms !== 'object' || Array.isArray(platforms)) {
+    errors.push('platforms must map platform names to { min, max }');
+  } else {
+    for (const [platform, limits] of Object.entries(platforms)) {
+      if (!SYNCABLE_PLATFORMS.includes(platform)) {
+        errors.push(`Unsupported platform "${platform}" (allowed: ${SYNCABLE_PLATFORMS.join(', ')})`);
+        continue;
+      }
+      const min = limits?.min === undefined || limits?.min === null ? 0 : Number(limits.min);
+      const max = limits?.max === undefined || limits?.max === null ? null : Number(limits.max);
+      if (!Number.isFinite(min) || min < 0) errors.push(`${platform}.min must be zero or more`);
+      if (max !== null && (!Number.isFinite(max) || max < 0)) errors.push(`${platform}.max must be zero or more`);
+      if (max !== null && min > max) errors.push(`${platform}.min cannot exceed ${platform}.max`);
+      constraints[platform] = { min, max };
+    }
+
+    const minimums = Object.values(constraints).reduce((sum, limits) => sum + (limits.min || 0), 0);
+    if (totalBudget && minimums > totalBudget) {
+      errors.push('The platform minimums add up to more than totalBudget');
+    }
+  }
+
+  const adAccountIds = input.adAccountIds === undefined ? null : input.adAccountIds;
+  if (adAccountIds !== null && (!Array.isArray(adAccountIds) || adAccountIds.length === 0)) {
+    errors.push('adAccountIds must be a non-empty array');
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid reallocation request', errors);
+  }
+
+  return { totalBudget, days, lookbackDays, objective, targetCpa, targetRoas, constraints, adAccountIds };
+}
+
+/**
+ * Weekly averages of daily spend, conversions and revenue, counting back from the last day
+ */
+function toWeeklyBins(series, since, until) {
+  const byDate = new Map(series.map(day => [day.date, day]));
+  const bins = [];
+
+  for (let end = until; metricsStore.addDays(end, -(BIN_DAYS - 1)) >= since; end = metricsStore.addDays(end, -BIN_DAYS)) {
+    const bin = { endDate: end, spend: 0, conversions: 0, revenue: 0 };
+    for (let offset = 0; offset < BIN_DAYS; offset++) {
+      const day = byDate.get(metricsStore.addDays(end, -offset));
+      if (!day) continue;
+      bin.spend += parseFloat(day.spend) || 0;
+      bin.conversions += parseFloat(day.conversions) || 0;
+      bin.revenue += parseFloat(day.revenue) || 0;
+    }
+    bins.push({
+      endDate: end,
+      spend: bin.spend / BIN_DAYS,
+      conversions: bin.conversions / BIN_DAYS,
+      revenue: bin.revenue / BIN_DAYS,
+    });
+  }
+
+  return bins.reverse();
+}
+
+/**
+ * Fit outcome = scale * spend ^ elasticity to weekly bins (daily averages)
+ *
+ * @param {Object[]} bins - From toWeeklyBins, only weeks with spend
+ * @param {string} metric - conversions or revenue
+ * @returns {Object} { scale, elasticity, logSd, r2, points, method }
+ */
+function fitCurve(bins, metric) {
+  const outcomeTotal = bins.reduce((sum, bin) => sum + bin[metric], 0);
+  const spendTotal = bins.reduce((sum, bin) => sum + bin.spend, 0);
+
+  if (outcomeTotal <= 0 || spendTotal <= 0) {
+    return { scale: 0, elasticity: DEFAULT_ELASTICITY, logSd: 0, r2: null, points: 0, method: 'no_outcomes' };
+  }
+
+  const points = bins
+    .filter(bin => bin.spend > 0 && bin[metric] > 0)
+    .map(bin => ({ x: Math.log(bin.spend), y: Math.log(bin[metric]) }));
+  const n = points.length;
+
+  if (n >= MIN_FIT_POINTS) {
+    const meanX = points.reduce((sum, point) => sum + point.x, 0) / n;
+    const meanY = points.reduce((sum, point) => sum + point.y, 0) / n;
+    const sxx = points.reduce((sum, point) => sum + (point.x - meanX) ** 2, 0);
+    const sxy = points.reduce((sum, point) => sum + (point.x - meanX) * (point.y - meanY), 0);
+
+    if (Math.sqrt(sxx / n) >= MIN_LOG_SPEND_SD) {
+      const slope = sxy / sxx;
+      const elasticity = Math.min(Math.max(slope, MIN_ELASTICITY), MAX_ELASTICITY);
+      const intercept = meanY - elasticity * meanX;
+      const ssr = points.reduce((sum, point) => sum + (point.y - (intercept + elasticity * point.x)) ** 2, 0);
+      const sst = points.reduce((sum, point) => sum + (point.y - meanY) ** 2, 0);
+
+      return {
+        scale: Math.exp(intercept),
+        elasticity,
+        logSd: Math.max(Math.sqrt(ssr / Math.max(n - 2, 1)), MIN_LOG_SD),
+        r2: sst > 0 ? Math.max(1 - ssr / sst, 0) : null,
+        points: n,
+        method: elasticity === slope ? 'fitted' : 'fitted_bounded',
+      };
+    }
+  }
+
+  // Too little spend variation: a typical elasticity through the average week
+  const meanSpend = spendTotal / bins.length;
+  const meanOutcome = outcomeTotal / bins.length;
+  return {
+    scale: meanOutcome / meanSpend ** DEFAULT_ELASTICITY,
+    elasticity: DEFAULT_ELASTICITY,
+    logSd: ASSUMED_LOG_SD,
+    r2: null,
+    points: n,
+    method: 'assumed',
+  };
+}
+
+const predict = (curve, spend) => (spend > 0 ? curve.scale * spend ** curve.elasticity : 0);
+
+// Outcome added by the next unit of spend
+const marginal = (curve, spend) => (spend > 0 ? curve.scale * curve.elasticity * spend ** (curve.elasticity - 1) : Infinity);
+
+/**
+ * Expected outcome of an account at a daily spend with its 80% range; the range
+ * widens when the spend goes beyond what the account has sustained
+ */
+function accountOutcome(model, metric, spend) {
+  const curve = model.curves[metric];
+  const expected = predict(curve, spend);
+  const stretch = spend > model.maxSpend && model.maxSpend > 0 ? Math.log(spend / model.maxSpend) : 0;
+  const logSd = curve.logSd * (1 + stretch);
+  return {
+    expected,
+    low: expected * Math.exp(-Z_80 * logSd),
+    high: expected * Math.exp(Z_80 * logSd),
+    sd: expected * logSd,
+  };
+}
+
+/**
+ * Sum account outcomes, combining their uncertainty as independent
+ */
+function combineOutcomes(outcomes, scale = 1) {
+  const expected = outcomes.reduce((sum, outcome) => sum + outcome.expected, 0);
+  const sd = Math.sqrt(outcomes.reduce((sum, outcome) => sum + outcome.sd ** 2, 0));
+  return {
+    low: round(Math.max(expected - Z_80 * sd, 0) * scale, 1),
+    expected: round(expected * scale, 1),
+    high: round((expected + Z_80 * sd) * scale, 1),
+  };
+}
+
+/**
+ * Split a daily budget across account models
+ *
+ * @returns {Object} { spend: Map<accountId, number>, unallocated, stoppedBy }
+ */
+function allocate(models, dailyBudget, request) {
+  const { objective, targetCpa, targetRoas } = request;
+  const limits = platform => request.constraints[platform] || { min: 0, max: null };
+  const spend = new Map(models.map(model => [model.account.id, 0]));
+  const platformSpend = new Map();
+  const addSpend = (model, amount) => {
+    spend.set(model.account.id, spend.get(model.account.id) + amount);
+    platformSpend.set(model.account.platform, (platformSpend.get(model.account.platform) || 0) + amount);
+  };
+
+  // Platform minimums first, split by current spend
+  for (const platform of new Set(models.map(model => model.account.platform))) {
+    const min = (limits(platform).min || 0) / request.days;
+    if (min <= 0) continue;
+    const platformModels = models.filter(model => model.account.platform === platform);
+    const current = platformModels.reduce((sum, model) => sum + model.current.spend, 0);
+    for (const model of platformModels) {
+      addSpend(model, current > 0 ? min * (model.current.spend / current) : min / platformModels.length);
+    }
+  }
+
+  const totals = () => {
+    let conversions = 0;
+    let revenue = 0;
+    let total = 0;
+    for (const model of models) {
+      const amount = spend.get(model.account.id);
+      total += amount;
+      conversions += predict(model.curves.conversions, amount);
+      revenue += predict(model.curves.revenue, amount);
+    }
+    return { spend: total, conversions, revenue };
+  };
+
+  const step = dailyBudget / ALLOCATION_STEPS;
+  let remaining = dailyBudget - [...spend.values()].reduce((sum, amount) => sum + amount, 0);
+  let stoppedBy = null;
+
+  while (remaining > step / 1000) {
+    let best = null;
+
+    for (const model of models) {
+      const current = spend.get(model.account.id);
+      const max = limits(model.account.platform).max;
+      const platformRoom = max === null ? Infinity : max / request.days - (platformSpend.get(model.account.platform) || 0);
+      const amount = Math.min(step, remaining, model.cap - current, platformRoom);
+      if (amount <= step / 1000) continue;
+
+      const curve = model.curves[objective];
+      const gain = (predict(curve, current + amount) - predict(curve, current)) / amount;
+      if (gain > 0 && (!best || gain > best.gain)) best = { model, amount, gain };
+    }
+
+    if (!best) {
+      stoppedBy = 'limits';
+      break;
+    }
+
+    addSpend(best.model, best.amount);
+    const after = totals();
+    const overCpa = targetCpa && (after.conversions <= 0 || after.spend / after.conversions > targetCpa);
+    const underRoas = targetRoas && after.revenue / after.spend < targetRoas;
+
+    if (overCpa || underRoas) {
+      addSpend(best.model, -best.amount);
+      stoppedBy = overCpa ? 'target_cpa' : 'target_roas';
+      break;
+    }
+
+    remaining -= best.amount;
+  }
+
+  return { spend, unallocated: Math.max(remaining, 0), stoppedBy };
+}
+
+/**
+ * What an extra 100 (reporting currency) per day buys on a platform at a split
+ */
+function platformMarginal(models, spend, metric, step) {
+  let weighted = 0;
+  let total = 0;
+  for (const model of models) {
+    const amount = spend.get(model.account.id) || 0;
+    const weight = Math.max(amount, step);
+    weighted += marginal(model.curves[metric], Math.max(amount, step)) * weight;
+    total += weight;
+  }
+  return total > 0 ? (weighted / total) * 100 : 0;
+}
+
+/**
+ * Describe the marginal return of a platform in words
+ */
+function describeMarginal(objective, perHundred, code) {
+  if (objective === 'revenue') {
+    return `the next 100 ${code} returns about ${round(perHundred, 0)} ${code} (marginal ROAS ${round(perHundred / 100)})`;
+  }
+  const cpa = perHundred > 0 ? 100 / perHundred : null;
+  return `the next 100 ${code} buys about ${round(perHundred, 1)} conversions`
+    + (cpa ? ` (marginal CPA ${round(cpa)} ${code})` : '');
+}
+
+/**
+ * Recommend a split of a total budget across the accounts of a workspace
+ *
+ * @param {string} workspaceId - Workspace UUID
+ * @param {Object} input - See validateRequest
+ * @param {Object} [options] - { today } override (YYYY-MM-DD)
+ * @returns {Promise<Object>} Recommended split by platform and account, expected outcomes and shifts
+ * @throws {ValidationError}
+ */
+async function recommendSplit(workspaceId, input, options = {}) {
+  const request = validateRequest(input);
+  const today = options.today || metricsStore.toDateString(new Date());
+  const until = metricsStore.addDays(today, -1);
+  const since = metricsStore.addDays(until, -(request.lookbackDays - 1));
+
+  const accounts = await metricsStore.getWorkspaceAccounts(workspaceId, {
+    platform: SYNCABLE_PLATFORMS,
+    adAccountIds: request.adAccountIds,
+  });
+
+  const { converter, seriesByAccount } = await currency.getConvertedSeries(workspaceId, accounts, since, until);
+  const code = converter.currency;
+  const warnings = [];
+  const models = [];
+
+  for (const { account, series } of seriesByAccount) {
+    const bins = toWeeklyBins(series, since, until).filter(bin => bin.spend > 0);
+    if (bins.length === 0) {
+      warnings.push(`${account.account_name || account.account_id} (${account.platform}) has no spend in the last ${request.lookbackDays} days and was left out`);
+      continue;
+    }
+
+    const runRateSince = metricsStore.addDays(until, -(RUN_RATE_DAYS - 1));
+    const recent = metricsStore.summarizeSeries(series.filter(day => day.date >= runRateSince));
+    const maxSpend = Math.max(...bins.map(bin => bin.spend));
+
+    models.push({
+      account,
+      bins,
+      maxSpend,
+      cap: maxSpend * MAX_SCALE,
+      current: {
+        spend: (parseFloat(recent.spend) || 0) / RUN_RATE_DAYS,
+        conversions: (parseFloat(recent.conversions) || 0) / RUN_RATE_DAYS,
+        revenue: (parseFloat(recent.revenue) || 0) / RUN_RATE_DAYS,
+      },
+      curves: {
+        conversions: fitCurve(bins, 'conversions'),
+        revenue: fitCurve(bins, 'revenue'),
+      },
+    });
+  }
+
+  if (models.length === 0) {
+    throw new ValidationError('Not enough history to recommend a split', [
+      `None of the selected ad accounts has synced spend in the last ${request.lookbackDays} days`,
+    ]);
+  }
+
+  if (models.every(model => model.curves[request.objective].method === 'no_outcomes')) {
+    throw new ValidationError('Not enough history to recommend a split', [
+      `None of the selected ad accounts has recorded ${request.objective} in the last ${request.lookbackDays} days`,
+    ]);
+  }
+
+  for (const platform of Object.keys(request.constraints)) {
+    if ((request.constraints[platform].min || 0) > 0 && !models.some(model => model.account.platform === platform)) {
+      throw new ValidationError('Invalid reallocation request', [
+        `${platform} has a minimum but no ad account with spend history to allocate it to`,
+      ]);
+    }
+  }
+
+  const dailyBudget = request.totalBudget / request.days;
+
+  // Today's split, scaled to the same budget, as the baseline the shifts start from
+  const currentTotal = models.reduce((sum, model) => sum + model.current.spend, 0);
+  const currentSpend = new Map(models.map(model => [
+    model.account.id,
+    currentTotal > 0 ? dailyBudget * (model.current.spend / currentTotal) : dailyBudget / models.length,
+  ]));
+
+  const allocation = allocate(models, dailyBudget, request);
+  const step = dailyBudget / ALLOCATION_STEPS;
+  const horizon = request.days;
+
+  const outcomesOf = (modelList, spend) => ({
+    conversions: combineOutcomes(modelList.map(model => accountOutcome(model, 'conversions', spend.get(model.account.id))), horizon),
+    revenue: combineOutcomes(modelList.map(model => accountOutcome(model, 'revenue', spend.get(model.account.id))), horizon),
+  });
+  const efficiency = (amount, outcomes) => ({
+    cpa: outcomes.conversions.expected > 0 ? round(amount / outcomes.conversions.expected) : null,
+    roas: amount > 0 ? round(outcomes.revenue.expected / amount) : null,
+  });
+  const sumSpend = (modelList, spend) => modelList.reduce((sum, model) => sum + spend.get(model.account.id), 0);
+
+  // Platforms
+  const platforms = [];
+  for (const platform of [...new Set(models.map(model => model.account.platform))].sort()) {
+    const platformModels = models.filter(model => model.account.platform === platform);
+    const current = sumSpend(platformModels, currentSpend) * horizon;
+    const recommended = sumSpend(platformModels, allocation.spend) * horizon;
+    const currentOutcomes = outcomesOf(platformModels, currentSpend);
+    const recommendedOutcomes = outcomesOf(platformModels, allocation.spend);
+    const limits = request.constraints[platform] || { min: 0, max: null };
+    const binding = limits.max !== null && recommended >= limits.max - step * horizon
+      ? 'max'
+      : limits.min > 0 && recommended <= limits.min + step * horizon ? 'min' : null;
+
+    platforms.push({
+      platform,
+      accounts: platformModels.length,
+      current: {
+        spend: round(current),
+        share: round((current / request.totalBudget) * 100, 1),
+        ...currentOutcomes,
+        ...efficiency(current, currentOutcomes),
+      },
+      recommended: {
+        spend: round(recommended),
+        share: round((recommended / request.totalBudget) * 100, 1),
+        ...recommendedOutcomes,
+        ...efficiency(recommended, recommendedOutcomes),
+      },
+      change: {
+        amount: round(recommended - current),
+        percent: current > 0 ? round(((recommended - current) / current) * 100, 1) : null,
+      },
+      constraint: { min: limits.min || 0, max: limits.max, binding },
+      marginal: {
+        current: round(platformMarginal(platformModels, currentSpend, request.objective, step), 2),
+        recommended: round(platformMarginal(platformModels, allocation.spend, request.objective, step), 2),
+      },
+    });
+  }
+
+  // Explanations: why each platform moves, relative to the others
+  const threshold = request.totalBudget * MIN_SHIFT_SHARE;
+  const label = platform => PLATFORM_LABELS[platform] || platform;
+  for (const entry of platforms) {
+    const { change, marginal: returns, constraint } = entry;
+    const now = describeMarginal(request.objective, returns.current, code);
+    const after = describeMarginal(request.objective, returns.recommended, code);
+
+    if (Math.abs(change.amount) < threshold) {
+      entry.explanation = `Keep ${label(entry.platform)} about where it is: ${now}, in line with the other platforms.`;
+    } else if (change.amount > 0) {
+      entry.explanation = `Increase ${label(entry.platform)} by ${formatAmount(change.amount, code)}: at today's level ${now}, `
+        + `more than elsewhere; returns diminish as spend grows and at the recommended level ${after}.`
+        + (constraint.binding === 'max' ? ' The platform maximum stops it from growing further.' : '')
+        + (constraint.binding === 'min' ? ' The platform minimum sets this level.' : '');
+    } else {
+      entry.explanation = `Reduce ${label(entry.platform)} by ${formatAmount(-change.amount, code)}: at today's level ${now}, `
+        + `less than the platforms gaining budget; at the recommended level ${after}.`
+        + (constraint.binding === 'min' ? ' The platform minimum keeps it from dropping further.' : '');
+    }
+  }
+
+  // Shifts: budget moved from the platforms that lose to those that gain
+  const givers = platforms.filter(entry => entry.change.amount <= -threshold).map(entry => ({ entry, left: -entry.change.amount }));
+  const takers = platforms.filter(entry => entry.change.amount >= threshold).map(entry => ({ entry, left: entry.change.amount }));
+  const shifts = [];
+  for (const taker of takers) {
+    for (const giver of givers) {
+      const amount = Math.min(giver.left, taker.left);
+      if (amount < threshold) continue;
+      giver.left -= amount;
+      taker.left -= amount;
+      shifts.push({
+        from: giver.entry.platform,
+        to: taker.entry.platform,
+        amount: round(amount),
+        explanation: `Move ${formatAmount(amount, code)} from ${label(giver.entry.platform)} to ${label(taker.entry.platform)}: `
+          + `on ${label(giver.entry.platform)} ${describeMarginal(request.objective, giver.entry.marginal.current, code)}, `
+          + `on ${label(taker.entry.platform)} ${describeMarginal(request.objective, taker.entry.marginal.current, code)}.`,
+      });
+    }
+  }
+
+  const allocated = sumSpend(models, allocation.spend) * horizon;
+  const currentOutcomes = outcomesOf(models, currentSpend);
+  const recommendedOutcomes = outcomesOf(models, allocation.spend);
+  const unallocated = round(allocation.unallocated * horizon);
+
+  if (unallocated > threshold) {
+    warnings.push(allocation.stoppedBy === 'target_cpa' || allocation.stoppedBy === 'target_roas'
+      ? `${formatAmount(unallocated, code)} is left unallocated: spending it would miss the target ${allocation.stoppedBy === 'target_cpa' ? 'CPA' : 'ROAS'}`
+      : `${formatAmount(unallocated, code)} is left unallocated: the accounts cannot absorb more than ${MAX_SCALE}x their highest weekly spend within the platform maximums`);
+  }
+
+  return {
+    currency: code,
+    objective: request.objective,
+    totalBudget: request.totalBudget,
+    days: request.days,
+    targets: { cpa: request.targetCpa, roas: request.targetRoas },
+    lookback: { startDate: since, endDate: until, days: request.lookbackDays },
+    totals: {
+      current: {
+        spend: round(request.totalBudget),
+        ...currentOutcomes,
+        ...efficiency(request.totalBudget, currentOutcomes),
+      },
+      recommended: {
+        spend: round(allocated),
+        ...recommendedOutcomes,
+        ...efficiency(allocated, recommendedOutcomes),
+      },
+      unallocated,
+      stoppedBy: allocation.stoppedBy,
+    },
+    platforms,
+    shifts,
+    accounts: models.map(model => ({
+      adAccountId: model.account.id,
+      accountName: model.account.account_name,
+      platform: model.account.platform,
+      history: {
+        dailySpend: round(model.current.spend),
+        cpa: model.current.conversions > 0 ? round(model.current.spend / model.current.conversions) : null,
+        roas: model.current.spend > 0 ? round(model.current.revenue / model.current.spend) : null,
+        maxWeeklyDailySpend: round(model.maxSpend),
+      },
+      current: round(currentSpend.get(model.account.id) * horizon),
+      recommended: round(allocation.spend.get(model.account.id) * horizon),
+      model: Object.fromEntries(Object.entries(model.curves).map(([metric, curve]) => [metric, {
+        method: curve.method,
+        elasticity: round(curve.elasticity, 3),
+        r2: round(curve.r2, 3),
+        points: curve.points,
+      }])),
+    })),
+    warnings,
+    fx: converter.describe(),
+  };
+}
+
+module.exports = {
+  OBJECTIVES,
+  validateRequest,
+  toWeeklyBins,
+  fitCurve,
+  allocate,
+  recommendSplit,
+};
@@ -0,0 +1,452 @@
+/**
+ * Calculated Metrics
+ * Workspace-level metrics defined by a formula over platform metrics and
+ * custom data source columns. Anything that takes a metric name (widgets,
+ * report sections, alert conditions, goals) takes a calculated metric as
+ * `calc:<key>`.
+ *
+ * Formula references:
+ *   spend, clicks, ctr, ...       - synced metrics of every account in scope
+ *   meta.spend, google.conversions - the same, limited to one platform's accounts
+ *   revenue_from_sheet            - an input: { sourceId, column, aggregation }
+ *                                   reading a custom data source column
+ *
+ * Values are computed from period totals (ratios are not averaged), and per day
+ * for time series. Money is in the workspace reporting currency.
+ */
+
+const { query } = require('../config/database');
+const metricsStore = require('./metricsStore');
+const currency = require('./currency');
+const { getComparisonRange, buildComparison } = require('./comparisonPeriod');
+const { parseFormula, getFormulaReferences, evaluateFormula } = require('./formula');
+const { ValidationError } = require('../utils/errors');
+
+const CALCULATED_PREFIX = 'calc:';
+const METRIC_FORMATS = ['number', 'currency', 'percent', 'ratio'];
+const FORMULA_PLATFORMS = ['meta', 'google', 'tiktok', 'linkedin'];
+const INPUT_AGGREGATIONS = {
+  sum: 'COALESCE(SUM((metrics->>$4)::numeric), 0)',
+  avg: 'COALESCE(AVG((metrics->>$4)::numeric), 0)',
+  min: 'COALESCE(MIN((metrics->>$4)::numeric), 0)',
+  max: 'COALESCE(MAX((metrics->>$4)::numeric), 0)',
+  count: 'COUNT(metrics->>$4)',
+};
+const KEY_PATTERN = /^[a-z][a-z0-9_]{0,44}$/;
+const INPUT_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]{0,62}$/;
+const MAX_INPUTS = 10;
+
+function isCalculatedMetric(metric) {
+  return typeof metric === 'string' && metric.startsWith(CALCULATED_PREFIX);
+}
+
+function calculatedKey(metric) {
+  return metric.slice(CALCULATED_PREFIX.length);
+}
+
+/**
+ * Validate and normalize a calculated metric definition
+ * Inputs must read a numeric column of one of the workspace's custom data
+ * sources; every name the formula uses must be a platform metric or an input.
+ *
+ * @param {string} workspaceId - Workspace UUID
+ * @param {Object} definition - { key, name, description, formula, inputs, format, decimals }
+ * @param {Object} [existing] - Stored definition being updated (its key cannot change)
+ * @returns {Promise<Object>} Normalized definition
+ * @throws {ValidationError} Listing every problem in error.errors
+ */
+async function validateDefinition(workspaceId, definition, existing = null) {
+  const merged = existing ? { ...existing, ...definition, key: existing.key } : definition;
+  const errors = [];
+
+  const key = merged.key;
+  if (!existing && (typeof key !== 'string' || !KEY_PATTERN.test(key))) {
+    errors.push('key must start with a lowercase letter and use only lowercase letters, digits and _ (max 45)');
+  }
+
+  const name = typeof merged.name === 'string' ? merged.name.trim() : '';
+  if (!name || name.length > 100) {
+    errors.push('name is required (max 100 characters)');
+  }
+
+  const format = merged.format || 'number';
+  if (!METRIC_FORMATS.includes(format)) {
+    errors.push(`format must be one of: ${METRIC_FORMATS.join(', ')}`);
+  }
+
+  const decimals = merged.decimals ?? 2;
+  if (!Number.isInteger(decimals) || decimals < 0 || decimals > 6) {
+    errors.push('decimals must be a whole number from 0 to 6');
+  }
+
+  const inputs = merged.inputs || {};
+  if (typeof inputs !== 'object' || Array.isArray(inputs)) {
+    errors.push('inputs must be an object of { sourceId, column, aggregation } by name');
+  } else {
+    const inputNames = Object.keys(inputs);
+    if (inputNames.length > MAX_INPUTS) {
+      errors.push(`formulas take at most ${MAX_INPUTS} inputs`);
+    }
+
+    const sourceIds = [...new Set(Object.values(inputs).map(input => input?.sourceId).filter(Boolean))];
+    const sources = sourceIds.length > 0
+      ? await query(
+        `SELECT id, metric_columns FROM custom_data_sources WHERE workspace_id = $1 AND id::text = ANY($2)`,
+        [workspaceId, sourceIds.map(String)]
+      )
+      : { rows: [] };
+    const sourcesById = new Map(sources.rows.map(source => [String(source.id), source]));
+
+    for (const inputName of inputNames) {
+      const input = inputs[inputName] || {};
+      const source = sourcesById.get(String(input.sourceId));
+
+      if (!INPUT_NAME_PATTERN.test(inputName) || metricsStore.SUPPORTED_METRICS.includes(inputName)
+        || FORMULA_PLATFORMS.includes(inputName)) {
+        errors.push(`input "${inputName}" needs a name that is not a platform or platform metric name`);
+      } else if (!source) {
+        errors.push(`input "${inputName}": custom data source not found in this workspace`);
+      } else if (typeof input.column !== 'string'
+        || (source.metric_columns?.length > 0 && !source.metric_columns.includes(input.column))) {
+        errors.push(`input "${inputName}": column must be one of the source's metric columns (${(source.metric_columns || []).join(', ')})`);
+      } else if (input.aggregation && !INPUT_AGGREGATIONS[input.aggregation]) {
+        errors.push(`input "${inputName}": aggregation must be one of: ${Object.keys(INPUT_AGGREGATIONS).join(', ')}`);
+      }
+    }
+  }
+
+  try {
+    const references = getFormulaReferences(parseFormula(merged.formula));
+    const unknown = references.filter(reference => !isKnownReference(reference, inputs));
+    if (unknown.length > 0) {
+      errors.push(`unknown names in formula: ${unknown.join(', ')} (use platform metrics (${metricsStore.SUPPORTED_METRICS.join(', ')}), `
+        + `<platform>.<metric> or an input)`);
+    }
+  } catch (error) {
+    errors.push(error.message);
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(`Invalid calculated metric: ${errors.join('; ')}`, errors);
+  }
+
+  return {
+    key,
+    name,
+    description: merged.description || null,
+    formula: merged.formula.trim(),
+    inputs: Object.fromEntries(Object.entries(inputs).map(([inputName, input]) => [inputName, {
+      sourceId: String(input.sourceId),
+      column: input.column,
+      aggregation: input.aggregation || 'sum',
+    }])),
+    format,
+    decimals,
+  };
+}
+
+function isKnownReference(reference, inputs = {}) {
+  const [scope, metric] = reference.split('.');
+  if (metric !== undefined) {
+    return FORMULA_PLATFORMS.includes(scope) && metricsStore.SUPPORTED_METRICS.includes(metric);
+  }
+  return metricsStore.SUPPORTED_METRICS.includes(reference) || Object.prototype.hasOwnProperty.call(inputs, reference);
+}
+
+/**
+ * Get calculated metric definitions of a workspace by key
+ * @returns {Promise<Map>} key -> calculated_metrics row
+ */
+async function getDefinitions(workspaceId, keys) {
+  if (keys.length === 0) return new Map();
+
+  const result = await query(
+    `SELECT * FROM calculated_metrics WHERE workspace_id = $1 AND key = ANY($2)`,
+    [workspaceId, keys]
+  );
+  return new Map(result.rows.map(row => [row.key, row]));
+}
+
+/**
+ * Calculated metrics (calc:<key>) among metric names that do not exist in a workspace
+ * Other names are left to the caller, which knows which platform metrics it accepts.
+ * @returns {Promise<string[]>}
+ */
+async function findUnknownMetrics(workspaceId, metrics) {
+  const calculated = [...new Set(metrics.filter(isCalculatedMetric))];
+  const definitions = await getDefinitions(workspaceId, calculated.map(calculatedKey));
+
+  return calculated.filter(metric => !definitions.has(calculatedKey(metric)));
+}
+
+/**
+ * Compile metric names into evaluable formulas
+ * A platform metric compiles to a formula of itself, so callers can mix both.
+ *
+ * @param {string} workspaceId - Workspace UUID
+ * @param {string[]} metrics - Platform metrics or calc:<key>
+ * @returns {Promise<Map>} name -> { tree, references, inputs, definition }
+ * @throws {ValidationError} For an unknown metric
+ */
+async function compileMetrics(workspaceId, metrics) {
+  const unique = [...new Set(metrics)];
+  const definitions = await getDefinitions(workspaceId, unique.filter(isCalculatedMetric).map(calculatedKey));
+  const compiled = new Map();
+
+  for (const metric of unique) {
+    if (!isCalculatedMetric(metric)) {
+      if (!metricsStore.SUPPORTED_METRICS.includes(metric)) {
+        throw new ValidationError(`Unknown metric "${metric}"`);
+      }
+      compiled.set(metric, { tree: { type: 'reference', name: metric }, references: [metric], inputs: {}, definition: null });
+      continue;
+    }
+
+    const definition = definitions.get(calculatedKey(metric));
+    if (!definition) {
+      throw new ValidationError(`Calculated metric "${calculatedKey(metric)}" not found in this workspace`);
+    }
+    compiled.set(metric, compileDefinition(definition));
+  }
+
+  return compiled;
+}
+
+/**
+ * Compile one definition (stored, or validated but not yet saved)
+ */
+function compileDefinition(definition) {
+  const tree = parseFormula(definition.formula);
+  return {
+    tree,
+    references: getFormulaReferences(tree),
+    inputs: definition.inputs || {},
+    definition,
+  };
+}
+
+/**
+ * Daily values and period value of a custom data column
+ */
+async function getInputValues(input, since, until) {
+  const aggregate = INPUT_AGGREGATIONS[input.aggregation] || INPUT_AGGREGATIONS.sum;
+  const params = [input.sourceId, since, until, input.column];
+
+  const [daily, total] = await Promise.all([
+    query(
+      `SELECT to_char(record_date, 'YYYY-MM-DD') as date, ${aggregate} as value
+       FROM custom_data_records
+       WHERE source_id = $1 AND record_date BETWEEN $2 AND $3
+       GROUP BY record_date`,
+      params
+    ),
+    query(
+      `SELECT ${aggregate} as value
+       FROM custom_data_records
+       WHERE source_id = $1 AND record_date BETWEEN $2 AND $3`,
+      params
+    ),
+  ]);
+
+  return {
+    daily: new Map(daily.rows.map(row => [row.date, parseFloat(row.value) || 0])),
+    total: parseFloat(total.rows[0]?.value) || 0,
+  };
+}
+
+/**
+ * Compute metrics over a date range from synced platform metrics and custom data
+ *
+ * @param {string} workspaceId - Workspace UUID
+ * @param {string[]} metrics - Platform metrics or calc:<key>
+ * @param {string} since - Start date (YYYY-MM-DD, inclusive)
+ * @param {string} until - End date (YYYY-MM-DD, inclusive)
+ * @param {Object} [options]
+ * @param {Object} [options.filters] - { platform, adAccountIds } as for metricsStore.getWorkspaceAccounts
+ * @param {Object[]} [options.accounts] - Ad accounts in scope (instead of filters)
+ * @param {Function} [options.getSeries] - async (account) => daily series already converted into the
+ *   reporting currency, to reuse series already loaded
+ * @param {Map} [options.compiled] - Already compiled metrics (e.g. a definition being previewed)
+ * @returns {Promise<Object>} { totals: { [metric]: value }, series: [{ date, [metric]: value }] }
+ */
+async function computeMetrics(workspaceId, metrics, since, until, options = {}) {
+  const compiled = options.compiled || await compileMetrics(workspaceId, metrics);
+  const accounts = options.accounts || await metricsStore.getWorkspaceAccounts(workspaceId, options.filters || {});
+
+  let seriesByAccount = [];
+  if (options.getSeries) {
+    for (const account of accounts) {
+      seriesByAccount.push({ account, series: await options.getSeries(account) });
+    }
+  } else {
+    ({ seriesByAccount } = await currency.getConvertedSeries(workspaceId, accounts, since, until));
+  }
+
+  // Metric rows per scope: '' for all accounts, otherwise one per referenced platform
+  const references = [...new Set([...compiled.values()].flatMap(entry => entry.references))];
+  const scopes = new Set(['']);
+  for (const reference of references) {
+    const [scope, metric] = reference.split('.');
+    if (metric !== undefined) scopes.add(scope);
+  }
+
+  const scopeRows = new Map();
+  for (const scope of scopes) {
+    const merged = metricsStore.mergeSeries(seriesByAccount
+      .filter(({ account }) => !scope || account.platform === scope)
+      .map(({ series }) => series));
+    scopeRows.set(scope, {
+      daily: new Map(merged.map(day => [day.date, day])),
+      totals: metricsStore.summarizeSeries(merged),
+    });
+  }
+
+  const inputValues = new Map();
+  for (const entry of compiled.values()) {
+    for (const [inputName, input] of Object.entries(entry.inputs)) {
+      if (!entry.references.includes(inputName)) continue;
+      const inputKey = JSON.stringify([input.sourceId, input.column, input.aggregation]);
+      if (!inputValues.has(inputKey)) {
+        inputValues.set(inputKey, await getInputValues(input, since, until));
+      }
+    }
+  }
+
+  const valuesFor = (entry, date) => {
+    const values = {};
+    for (const reference of entry.references) {
+      const [scope, metric] = reference.split('.');
+      if (metric !== undefined) {
+        const rows = scopeRows.get(scope);
+        values[reference] = (date ? rows.daily.get(date) : rows.totals)?.[metric] || 0;
+      } else if (entry.inputs[reference]) {
+        const input = entry.inputs[reference];
+        const inputData = inputValues.get(JSON.stringify([input.sourceId, input.column, input.aggregation]));
+        values[reference] = date ? inputData.daily.get(date) || 0 : inputData.total;
+      } else {
+        const rows = scopeRows.get('');
+        values[reference] = (date ? rows.daily.get(date) : rows.totals)?.[reference] || 0;
+      }
+    }
+    return values;
+  };
+
+  const dates = new Set(scopeRows.get('').daily.keys());
+  for (const inputData of inputValues.values()) {
+    for (const date of inputData.daily.keys()) dates.add(date);
+  }
+
+  const totals = {};
+  for (const [metric, entry] of compiled) {
+    totals[metric] = evaluateFormula(entry.tree, valuesFor(entry, null));
+  }
+
+  const series = [...dates].sort().map(date => {
+    const point = { date };
+    for (const [metric, entry] of compiled) {
+      point[metric] = evaluateFormula(entry.tree, valuesFor(entry, date));
+    }
+    return point;
+  });
+
+  return { totals, series };
+}
+
+/**
+ * Value of compiled metrics on one row of platform totals (e.g. a campaign)
+ * Metrics that need custom data or a platform scope have no per-row value (null).
+ *
+ * @param {Map} compiled - From compileMetrics
+ * @param {Object} row - Totals with derived metrics (metricsStore.deriveMetrics)
+ * @returns {Object} { [metric]: value | null }
+ */
+function evaluateRow(compiled, row) {
+  const values = {};
+  for (const [metric, entry] of compiled) {
+    const rowOnly = entry.references.every(reference => metricsStore.SUPPORTED_METRICS.includes(reference));
+    values[metric] = rowOnly ? evaluateFormula(entry.tree, row) : null;
+  }
+  return values;
+}
+
+/**
+ * Metric results shaped like a platform fetchMetrics result (value, comparison,
+ * time series), for widgets
+ *
+ * @param {string} workspaceId - Workspace UUID
+ * @param {string[]} metrics - Platform metrics or calc:<key>
+ * @param {string} since - Start date (YYYY-MM-DD)
+ * @param {string} until - End date (YYYY-MM-DD)
+ * @param {Object} [options] - { comparison, filters }
+ * @returns {Promise<Object>} { [metric]: { value, previousValue, changePercent, comparison,
+ *   previousDateRange, previousTimeSeries, label, format, decimals, dateRange, timeSeries } }
+ */
+async function fetchMetricResults(workspaceId, metrics, since, until, options = {}) {
+  const range = { since, until };
+  const comparisonRange = getComparisonRange(since, until, options.comparison);
+  const compiled = await compileMetrics(workspaceId, metrics);
+  const current = await computeMetrics(workspaceId, metrics, since, until, { filters: options.filters });
+  const previous = await computeMetrics(workspaceId, metrics, comparisonRange.since, comparisonRange.until, {
+    filters: options.filters,
+  });
+
+  const results = {};
+  for (const metric of metrics) {
+    const { definition } = compiled.get(metric);
+    const value = current.totals[metric];
+    const previousTimeSeries = previous.series.map(day => ({ date: day.date, value: day[metric] }));
+
+    results[metric] = {
+      value,
+      ...buildComparison(value, previous.totals[metric], previousTimeSeries, range, comparisonRange),
+      label: definition ? definition.name : metric,
+      format: definition ? definition.format : null,
+      decimals: definition ? definition.decimals : null,
+      dateRange: { since, until },
+      timeSeries: current.series.map(day => ({ date: day.date, value: day[metric] })),
+    };
+  }
+
+  return results;
+}
+
+/**
+ * Where a calculated metric is used (widgets, scheduled reports, alert rules, goals)
+ * @returns {Promise<Object[]>} [{ type, id, name }]
+ */
+async function findUsages(workspaceId, key) {
+  const metric = `${CALCULATED_PREFIX}${key}`;
+  const result = await query(
+    `SELECT 'widget' as type, dw.id, dw.title as name
+     FROM dashboard_widgets dw
+     JOIN dashboards d ON d.id = dw.dashboard_id
+     WHERE d.workspace_id = $1 AND dw.data_config->'metrics' ? $2
+     UNION ALL
+     SELECT 'report', id, name FROM scheduled_reports
+     WHERE workspace_id = $1 AND (metrics @> ARRAY[$2]::text[] OR sections::text LIKE '%' || $3 || '%')
+     UNION ALL
+     SELECT 'alert_rule', id, name FROM custom_alert_rules
+     WHERE workspace_id = $1 AND conditions::text LIKE '%' || $3 || '%'
+     UNION ALL
+     SELECT 'goal', id, goal_name FROM campaign_goals
+     WHERE workspace_id = $1 AND goal_type = $2`,
+    [workspaceId, metric, JSON.stringify(metric)]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  CALCULATED_PREFIX,
+  METRIC_FORMATS,
+  isCalculatedMetric,
+  calculatedKey,
+  validateDefinition,
+  getDefinitions,
+  findUnknownMetrics,
+  compileMetrics,
+  compileDefinition,
+  computeMetrics,
+  evaluateRow,
+  fetchMetricResults,
+  findUsages,
+};
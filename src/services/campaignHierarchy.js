@@ -0,0 +1,425 @@
+/**
+ * Campaign Hierarchy
+ * Lists synced campaigns, ad sets and ads (campaigns, ad_sets, ads) with their
+ * metrics rolled up from ad_metrics over a date range, filtered, sorted and
+ * paginated in SQL.
+ *
+ * Entities of one ad account are reported in the account's currency; the
+ * cross-platform workspace listing converts spend and revenue into the
+ * workspace reporting currency day by day before rolling them up, so it can be
+ * sorted by them.
+ */
+
+const { query } = require('../config/database');
+const metricsStore = require('./metricsStore');
+const currency = require('./currency');
+const { ValidationError } = require('../utils/errors');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_RANGES = ['last_7_days', 'last_30_days', 'last_90_days', 'this_month', 'last_month'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+// Longest date range rolled up at once
+const MAX_RANGE_DAYS = 1096;
+const STATUSES = ['active', 'paused', 'archived', 'deleted'];
+
+// Tables, joins up to the ad account, name column and ad_metrics grain of each level
+const LEVELS = {
+  campaign: {
+    from: `campaigns e
+      JOIN ad_accounts aa ON aa.id = e.ad_account_id`,
+    parentColumns: '',
+    nameColumn: 'campaign_name',
+    metricsColumn: 'campaign_id',
+    grain: 'm.ad_set_id IS NULL AND m.ad_id IS NULL',
+    sortColumns: ['objective', 'budget_amount', 'start_date', 'end_date'],
+    children: { table: 'ad_sets', column: 'campaign_id', count: 'ad_set_count' },
+  },
+  ad_set: {
+    from: `ad_sets e
+      JOIN campaigns c ON c.id = e.campaign_id
+      JOIN ad_accounts aa ON aa.id = c.ad_account_id`,
+    parentColumns: 'c.ad_account_id, c.campaign_name,',
+    nameColumn: 'ad_set_name',
+    metricsColumn: 'ad_set_id',
+    grain: 'm.ad_id IS NULL',
+    sortColumns: ['budget_amount', 'bid_amount', 'start_date', 'end_date'],
+    children: { table: 'ads', column: 'ad_set_id', count: 'ad_count' },
+  },
+  ad: {
+    from: `ads e
+      JOIN ad_sets s ON s.id = e.ad_set_id
+      JOIN campaigns c ON c.id = s.campaign_id
+      JOIN ad_accounts aa ON aa.id = c.ad_account_id`,
+    parentColumns: 's.campaign_id, c.ad_account_id, c.campaign_name, s.ad_set_name,',
+    nameColumn: 'ad_name',
+    metricsColumn: 'ad_id',
+    grain: 'TRUE',
+    sortColumns: ['creative_type'],
+    children: null,
+  },
+};
+
+// Sortable columns shared by every level; metric columns are the rolled-up values
+const SORT_COLUMNS = ['name', 'status', 'platform', 'account_name', 'created_at', 'updated_at', ...metricsStore.SUPPORTED_METRICS];
+
+const toList = value => (Array.isArray(value) ? value : String(value).split(','))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+/**
+ * Resolve the reporting period from explicit dates or a preset
+ *
+ * @param {Object} options - { startDate, endDate } (YYYY-MM-DD) or { dateRange } preset
+ * @returns {{ startDate: string, endDate: string }}
+ * @throws {ValidationError} On malformed or reversed dates
+ */
+function resolveDateRange({ startDate, endDate, dateRange } = {}) {
+  const today = metricsStore.toDateString(new Date());
+
+  if (startDate || endDate) {
+    const since = startDate || metricsStore.addDays(endDate || today, -29);
+    const until = endDate || today;
+    if (!DATE_PATTERN.test(since) || !DATE_PATTERN.test(until)) {
+      throw new ValidationError('startDate and endDate must be YYYY-MM-DD');
+    }
+    if (since > until) {
+      throw new ValidationError('startDate must be on or before endDate');
+    }
+    if (metricsStore.addDays(since, MAX_RANGE_DAYS) <= until) {
+      throw new ValidationError(`Date range cannot exceed ${MAX_RANGE_DAYS} days`);
+    }
+    return { startDate: since, endDate: until };
+  }
+
+  const preset = dateRange || 'last_30_days';
+  if (!DATE_RANGES.includes(preset)) {
+    throw new ValidationError(`dateRange must be one of: ${DATE_RANGES.join(', ')}`);
+  }
+
+  const [year, month] = today.split('-').map(Number);
+  const monthStart = (y, m) => metricsStore.toDateString(new Date(Date.UTC(y, m - 1, 1)));
+
+  switch (preset) {
+    case 'last_7_days':
+      return { startDate: metricsStore.addDays(today, -6), endDate: today };
+    case 'last_90_days':
+      return { startDate: metricsStore.addDays(today, -89), endDate: today };
+    case 'this_month':
+      return { startDate: monthStart(year, month), endDate: today };
+    case 'last_month':
+      return { startDate: monthStart(year, month - 1), endDate: metricsStore.addDays(monthStart(year, month), -1) };
+    default:
+      return { startDate: metricsStore.addDays(today, -29), endDate: today };
+  }
+}
+
+/**
+ * Validate list options (pagination, sorting, filters) for a level
+ *
+ * @param {string} level - campaign, ad_set or ad
+ * @param {Object} input - Query string values
+ * @returns {Object} { startDate, endDate, limit, offset, sortBy, sortOrder, statuses, search, objectives, platforms, adAccountIds, hasDelivery }
+ * @throws {ValidationError}
+ */
+function parseListOptions(level, input = {}) {
+  const errors = [];
+  const { startDate, endDate } = resolveDateRange(input);
+
+  const limit = input.limit === undefined ? DEFAULT_LIMIT : parseInt(input.limit, 10);
+  const offset = input.offset === undefined ? 0 : parseInt(input.offset, 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    errors.push(`limit must be between 1 and ${MAX_LIMIT}`);
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    errors.push('offset must be zero or a positive integer');
+  }
+
+  const sortBy = input.sortBy || 'spend';
+  const sortable = [...SORT_COLUMNS, ...LEVELS[level].sortColumns];
+  if (!sortable.includes(sortBy)) {
+    errors.push(`sortBy must be one of: ${sortable.join(', ')}`);
+  }
+  const sortOrder = String(input.sortOrder || (['name', 'status', 'platform', 'account_name'].includes(sortBy) ? 'asc' : 'desc')).toLowerCase();
+  if (!['asc', 'desc'].includes(sortOrder)) {
+    errors.push('sortOrder must be asc or desc');
+  }
+
+  const statuses = input.status ? toList(input.status).map(status => status.toLowerCase()) : [];
+  const unknownStatuses = statuses.filter(status => !STATUSES.includes(status));
+  if (unknownStatuses.length > 0) {
+    errors.push(`Unknown status "${unknownStatuses[0]}" (allowed: ${STATUSES.join(', ')})`);
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid campaign list options', errors);
+  }
+
+  return {
+    startDate,
+    endDate,
+    limit,
+    offset,
+    sortBy,
+    sortOrder,
+    statuses,
+    search: input.search ? String(input.search).trim() : '',
+    objectives: level === 'campaign' && input.objective ? toList(input.objective).map(objective => objective.toUpperCase()) : [],
+    platforms: input.platform ? toList(input.platform) : [],
+    adAccountIds: input.adAccountIds ? toList(input.adAccountIds) : [],
+    hasDelivery: input.hasDelivery === true || input.hasDelivery === 'true',
+  };
+}
+
+/**
+ * Ad account, workspace and currency of a campaign, ad set or ad, for access
+ * checks before listing or reading it
+ *
+ * @returns {Promise<Object|null>} { id, ad_account_id, workspace_id, platform, currency }
+ */
+async function getEntityContext(level, id) {
+  const config = LEVELS[level];
+  const result = await query(
+    `SELECT e.id, aa.id AS ad_account_id, aa.workspace_id, aa.platform, UPPER(aa.currency) AS currency
+     FROM ${config.from}
+     WHERE e.id = $1`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Day-by-day rates into the workspace reporting currency for the currencies of
+ * the accounts being listed, as SQL parameters
+ *
+ * @returns {Promise<Object>} { converter, currencies, dates, rates }
+ */
+async function loadRates(workspaceId, accountCurrencies, startDate, endDate) {
+  const converter = await currency.createConverter(workspaceId, accountCurrencies, startDate, endDate);
+  const foreign = [...new Set(accountCurrencies.map(currency.normalizeCurrency))]
+    .filter(code => code && code !== converter.currency);
+
+  const currencies = [];
+  const dates = [];
+  const rates = [];
+  for (const code of foreign) {
+    for (let date = startDate; date <= endDate; date = metricsStore.addDays(date, 1)) {
+      currencies.push(code);
+      dates.push(date);
+      rates.push(converter.rate(code, date) ?? 1);
+    }
+  }
+
+  return { converter, currencies, dates, rates };
+}
+
+/**
+ * Build the filtered entities query with rolled-up metrics for a scope
+ *
+ * @returns {Object} { sql, params } selecting one row per entity with base sums
+ */
+function buildEntitiesQuery(level, scope, options, fx) {
+  const config = LEVELS[level];
+  const params = [options.startDate, options.endDate];
+  const conditions = [];
+  const add = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (scope.id) conditions.push(`e.id = ${add(scope.id)}`);
+  if (scope.adAccountId) conditions.push(`aa.id = ${add(scope.adAccountId)}`);
+  if (scope.campaignId) conditions.push(`${level === 'ad' ? 's' : 'e'}.campaign_id = ${add(scope.campaignId)}`);
+  if (scope.adSetId) conditions.push(`e.ad_set_id = ${add(scope.adSetId)}`);
+  if (scope.workspaceId) {
+    conditions.push(`aa.workspace_id = ${add(scope.workspaceId)}`, `aa.status = 'active'`);
+  }
+
+  if (options.platforms.length > 0) conditions.push(`e.platform = ANY(${add(options.platforms)})`);
+  if (options.adAccountIds.length > 0) conditions.push(`aa.id::text = ANY(${add(options.adAccountIds)})`);
+  if (options.statuses.length > 0) conditions.push(`LOWER(e.status) = ANY(${add(options.statuses)})`);
+  if (options.objectives.length > 0) conditions.push(`UPPER(e.objective) = ANY(${add(options.objectives)})`);
+  if (options.search) {
+    const pattern = `%${options.search.replace(/[\\%_]/g, match => `\\${match}`)}%`;
+    conditions.push(`e.${config.nameColumn} ILIKE ${add(pattern)}`);
+  }
+
+  // Spend and revenue in the workspace reporting currency, converted per day
+  let fxJoin = '';
+  let rate = '1';
+  if (fx && fx.currencies.length > 0) {
+    fxJoin = `LEFT JOIN unnest(${add(fx.currencies)}::text[], ${add(fx.dates)}::date[], ${add(fx.rates)}::float8[])
+        AS fx(currency, rate_date, rate) ON fx.currency = UPPER(aa.currency) AND fx.rate_date = m.metric_date`;
+    rate = 'COALESCE(fx.rate, 1)';
+  }
+
+  const childCount = config.children
+    ? `(SELECT COUNT(*) FROM ${config.children.table} child WHERE child.${config.children.column} = e.id)::int AS ${config.children.count},`
+    : '';
+
+  const sql = `
+    SELECT e.*, ${config.parentColumns}
+           e.${config.nameColumn} AS name,
+           aa.workspace_id, aa.account_id, aa.account_name, UPPER(aa.currency) AS account_currency,
+           ${childCount}
+           COALESCE(rollup.impressions, 0) AS impressions,
+           COALESCE(rollup.clicks, 0) AS clicks,
+           COALESCE(rollup.spend, 0) AS spend,
+           COALESCE(rollup.conversions, 0) AS conversions,
+           COALESCE(rollup.revenue, 0) AS revenue,
+           COALESCE(rollup.reach, 0) AS reach,
+           COALESCE(rollup.clicks::float / NULLIF(rollup.impressions, 0) * 100, 0) AS ctr,
+           COALESCE(rollup.spend / NULLIF(rollup.clicks, 0), 0) AS cpc,
+           COALESCE(rollup.spend / NULLIF(rollup.impressions, 0) * 1000, 0) AS cpm,
+           COALESCE(rollup.spend / NULLIF(rollup.conversions, 0), 0) AS cpa,
+           COALESCE(rollup.revenue / NULLIF(rollup.spend, 0), 0) AS roas,
+           rollup.metric_days
+    FROM ${config.from}
+    LEFT JOIN LATERAL (
+      SELECT SUM(m.impressions) AS impressions,
+             SUM(m.clicks) AS clicks,
+             SUM(m.spend * ${rate}) AS spend,
+             SUM(m.conversions) AS conversions,
+             SUM(m.conversion_value * ${rate}) AS revenue,
+             SUM(m.reach) AS reach,
+             COUNT(DISTINCT m.metric_date)::int AS metric_days
+      FROM ad_metrics m
+      ${fxJoin}
+      WHERE m.${config.metricsColumn} = e.id
+        AND m.metric_date BETWEEN $1 AND $2
+        AND m.metric_hour IS NULL
+        AND ${config.grain}
+    ) rollup ON true
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}`;
+
+  return { sql, params };
+}
+
+/**
+ * Format an entity row: metrics as numbers, without the rollup bookkeeping
+ */
+function formatEntity(row) {
+  const { metric_days: metricDays, ...entity } = row;
+  return {
+    ...metricsStore.deriveMetrics(entity),
+    has_metrics: Boolean(metricDays),
+  };
+}
+
+/**
+ * List campaigns, ad sets or ads with metrics rolled up over a date range
+ *
+ * @param {string} level - campaign, ad_set or ad
+ * @param {Object} scope - One of { adAccountId }, { workspaceId }, { campaignId } (ad sets, ads) or { adSetId } (ads)
+ * @param {Object} options - As returned by parseListOptions
+ * @returns {Promise<Object>} { rows, total, totals, currency, fx }
+ */
+async function listEntities(level, scope, options) {
+  let fx = null;
+  let reportCurrency = null;
+
+  if (scope.workspaceId) {
+    const accounts = await metricsStore.getWorkspaceAccounts(scope.workspaceId, {
+      platform: options.platforms.length > 0 ? options.platforms : undefined,
+      adAccountIds: options.adAccountIds,
+    });
+    fx = await loadRates(scope.workspaceId, accounts.map(account => account.currency), options.startDate, options.endDate);
+    reportCurrency = fx.converter.currency;
+  }
+
+  const { sql, params } = buildEntitiesQuery(level, scope, options, fx);
+  const delivery = options.hasDelivery ? 'WHERE impressions > 0 OR spend > 0' : '';
+
+  const pageParams = [...params, options.limit, options.offset];
+  const [pageResult, totalsResult] = await Promise.all([
+    query(
+      `WITH entities AS (${sql})
+       SELECT * FROM entities
+       ${delivery}
+       ORDER BY ${options.sortBy} ${options.sortOrder.toUpperCase()} NULLS LAST, id
+       LIMIT $${pageParams.length - 1} OFFSET $${pageParams.length}`,
+      pageParams
+    ),
+    query(
+      `WITH entities AS (${sql})
+       SELECT COUNT(*)::int AS total,
+              SUM(impressions) AS impressions, SUM(clicks) AS clicks, SUM(spend) AS spend,
+              SUM(conversions) AS conversions, SUM(revenue) AS revenue, SUM(reach) AS reach,
+              array_agg(DISTINCT account_currency) FILTER (WHERE account_currency IS NOT NULL) AS currencies
+       FROM entities
+       ${delivery}`,
+      params
+    ),
+  ]);
+
+  const { total, currencies, ...totals } = totalsResult.rows[0];
+  // Rows of one account share its currency; mixed currencies only occur when converting
+  if (!reportCurrency) {
+    reportCurrency = currencies?.length === 1 ? currencies[0] : (pageResult.rows[0]?.account_currency || null);
+  }
+
+  return {
+    rows: pageResult.rows.map(formatEntity),
+    total,
+    totals: metricsStore.deriveMetrics(totals),
+    currency: reportCurrency,
+    fx: fx ? fx.converter.describe() : null,
+  };
+}
+
+/**
+ * One campaign, ad set or ad with its period rollup and daily series
+ *
+ * @param {string} level - campaign, ad_set or ad
+ * @param {string} id - Entity UUID
+ * @param {Object} range - { startDate, endDate }
+ * @returns {Promise<Object|null>} Entity row with metrics and daily [{ date, ...metrics }]
+ */
+async function getEntity(level, id, range) {
+  const config = LEVELS[level];
+  const options = {
+    ...range,
+    platforms: [],
+    adAccountIds: [],
+    statuses: [],
+    objectives: [],
+    search: '',
+  };
+  const { sql, params } = buildEntitiesQuery(level, { id }, options, null);
+
+  const entityResult = await query(sql, params);
+  if (entityResult.rows.length === 0) return null;
+
+  const dailyResult = await query(
+    `SELECT to_char(m.metric_date, 'YYYY-MM-DD') AS date,
+            SUM(m.impressions) AS impressions,
+            SUM(m.clicks) AS clicks,
+            SUM(m.spend) AS spend,
+            SUM(m.conversions) AS conversions,
+            SUM(m.conversion_value) AS revenue,
+            SUM(m.reach) AS reach
+     FROM ad_metrics m
+     WHERE m.${config.metricsColumn} = $1
+       AND m.metric_date BETWEEN $2 AND $3
+       AND m.metric_hour IS NULL
+       AND ${config.grain}
+     GROUP BY m.metric_date
+     ORDER BY m.metric_date ASC`,
+    [id, range.startDate, range.endDate]
+  );
+
+  const entity = formatEntity(entityResult.rows[0]);
+  return {
+    ...entity,
+    currency: entity.account_currency,
+    daily: dailyResult.rows.map(metricsStore.deriveMetrics),
+  };
+}
+
+module.exports = {
+  resolveDateRange,
+  parseListOptions,
+  getEntityContext,
+  listEntities,
+  getEntity,
+};
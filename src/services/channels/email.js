@@ -0,0 +1,93 @@
+/**
+ * Email Channel
+ * Delivers notifications through emailService's notification template
+ */
+
+const emailService = require('../emailService');
+const { getRecipients } = require('../notificationService');
+const { filterEmailRecipients } = require('../notificationPreferences');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+class EmailChannel {
+  /**
+   * Validate channel config
+   * @param {Object} config - { recipients: string[] | 'workspace_admins' | 'workspace_members' } or { email }
+   * @returns {string|null} Error message, or null when valid
+   */
+  static validateConfig(config = {}) {
+    const recipients = config.recipients || config.email;
+    if (['workspace_admins', 'workspace_members'].includes(recipients)) {
+      return null;
+    }
+
+    const list = this.parseAddresses(recipients);
+    if (list.length === 0) {
+      return 'Email channels need recipients (addresses, "workspace_admins" or "workspace_members")';
+    }
+    const invalid = list.find(address => !EMAIL_PATTERN.test(address));
+    if (invalid) {
+      return `Invalid email address: ${invalid}`;
+    }
+    return null;
+  }
+
+  /**
+   * Normalize a comma separated string or array of addresses
+   */
+  static parseAddresses(value) {
+    if (!value) return [];
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(address => String(address).trim()).filter(Boolean);
+  }
+
+  /**
+   * Resolve the configured recipients to email addresses
+   */
+  static async resolveRecipients(config, workspaceId) {
+    const recipients = config.recipients || config.email;
+
+    if (recipients === 'workspace_admins' || recipients === 'workspace_members') {
+      const members = await getRecipients(
+        workspaceId,
+        recipients === 'workspace_admins' ? ['owner', 'admin'] : null
+      );
+      return members.map(member => member.email).filter(Boolean);
+    }
+
+    return this.parseAddresses(recipients);
+  }
+
+  /**
+   * Send a notification
+   * Recipients who are workspace members are filtered by their notification preferences
+   * (email disabled, minimum severity, quiet hours).
+   */
+  static async send(config, event) {
+    const addresses = await this.resolveRecipients(config, event.workspaceId);
+    if (addresses.length === 0) {
+      throw new Error('No email recipients resolved');
+    }
+
+    const to = await filterEmailRecipients(event.workspaceId, addresses, {
+      type: event.eventType,
+      severity: event.severity,
+    });
+    if (to.length === 0) {
+      // Everyone opted out or is in quiet hours - nothing to deliver, not a failure
+      return;
+    }
+
+    await emailService.sendNotificationEmail({
+      to,
+      subject: event.title,
+      title: event.title,
+      message: event.message,
+      severity: event.severity,
+      fields: event.fields,
+      actionUrl: event.actionUrl,
+    });
+  }
+}
+
+module.exports = EmailChannel;
@@ -0,0 +1,46 @@
+/**
+ * Notification Channel Factory
+ * Returns the delivery adapter for a channel type
+ */
+
+const SlackChannel = require('./slack');
+const TeamsChannel = require('./teams');
+const WebhookChannel = require('./webhook');
+const EmailChannel = require('./email');
+
+const channelAdapters = {
+  slack: SlackChannel,
+  teams: TeamsChannel,
+  webhook: WebhookChannel,
+  email: EmailChannel,
+};
+
+/**
+ * Get channel adapter
+ * @param {string} type - Channel type (slack, teams, webhook, email)
+ * @returns {Object} Channel adapter class
+ */
+function getChannelAdapter(type) {
+  const Adapter = channelAdapters[type];
+  if (!Adapter) {
+    throw new Error(`Unknown notification channel: ${type}`);
+  }
+  return Adapter;
+}
+
+/**
+ * Get all supported channel types
+ * @returns {string[]} Array of channel types
+ */
+function getSupportedChannels() {
+  return Object.keys(channelAdapters);
+}
+
+module.exports = {
+  getChannelAdapter,
+  getSupportedChannels,
+  SlackChannel,
+  TeamsChannel,
+  WebhookChannel,
+  EmailChannel,
+};
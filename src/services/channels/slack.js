@@ -0,0 +1,77 @@
+/**
+ * Slack Channel
+ * Delivers notifications to Slack incoming webhooks using Block Kit
+ */
+
+const axios = require('axios');
+
+class SlackChannel {
+  /**
+   * Validate channel config
+   * @param {Object} config - { webhook_url }
+   * @returns {string|null} Error message, or null when valid
+   */
+  static validateConfig(config = {}) {
+    if (!config.webhook_url || !/^https:\/\/hooks\.slack\.com\//.test(config.webhook_url)) {
+      return 'Slack channels need a webhook_url starting with https://hooks.slack.com/';
+    }
+    return null;
+  }
+
+  /**
+   * Build the Slack message payload
+   * @param {Object} event - Normalized notification event
+   */
+  static buildPayload(event) {
+    const blocks = [
+      {
+        type: 'header',
+        text: { type: 'plain_text', text: event.title.slice(0, 150) },
+      },
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: event.message },
+      },
+    ];
+
+    if (event.fields && event.fields.length > 0) {
+      blocks.push({
+        type: 'section',
+        fields: event.fields.slice(0, 10).map(field => ({
+          type: 'mrkdwn',
+          text: `*${field.label}*\n${field.value}`,
+        })),
+      });
+    }
+
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `Severity: *${event.severity}* · ${event.eventType}` }],
+    });
+
+    if (event.actionUrl) {
+      blocks.push({
+        type: 'actions',
+        elements: [{
+          type: 'button',
+          text: { type: 'plain_text', text: 'View in AdsData' },
+          url: event.actionUrl,
+        }],
+      });
+    }
+
+    return {
+      text: `${event.title}: ${event.message}`,
+      blocks,
+    };
+  }
+
+  /**
+   * Send a notification
+   */
+  static async send(config, event) {
+    await axios.post(config.webhook_url, this.buildPayload(event), { timeout: 10000 });
+  }
+}
+
+module.exports = SlackChannel;
@@ -0,0 +1,89 @@
+/**
+ * Microsoft Teams Channel
+ * Delivers notifications to Teams incoming webhooks as Adaptive Cards
+ */
+
+const axios = require('axios');
+
+const SEVERITY_COLORS = {
+  critical: 'attention',
+  high: 'attention',
+  medium: 'warning',
+  low: 'accent',
+  info: 'default',
+};
+
+class TeamsChannel {
+  /**
+   * Validate channel config
+   * @param {Object} config - { webhook_url }
+   * @returns {string|null} Error message, or null when valid
+   */
+  static validateConfig(config = {}) {
+    if (!config.webhook_url || !/^https:\/\//.test(config.webhook_url)) {
+      return 'Teams channels need an https webhook_url';
+    }
+    return null;
+  }
+
+  /**
+   * Build the Teams message payload
+   * @param {Object} event - Normalized notification event
+   */
+  static buildPayload(event) {
+    const body = [
+      {
+        type: 'TextBlock',
+        text: event.title,
+        weight: 'Bolder',
+        size: 'Medium',
+        color: SEVERITY_COLORS[event.severity] || 'default',
+        wrap: true,
+      },
+      {
+        type: 'TextBlock',
+        text: event.message,
+        wrap: true,
+      },
+    ];
+
+    if (event.fields && event.fields.length > 0) {
+      body.push({
+        type: 'FactSet',
+        facts: event.fields.map(field => ({ title: field.label, value: String(field.value) })),
+      });
+    }
+
+    body.push({
+      type: 'TextBlock',
+      text: `Severity: ${event.severity} · ${event.eventType}`,
+      isSubtle: true,
+      size: 'Small',
+    });
+
+    return {
+      type: 'message',
+      attachments: [{
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        content: {
+          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+          type: 'AdaptiveCard',
+          version: '1.4',
+          body,
+          actions: event.actionUrl
+            ? [{ type: 'Action.OpenUrl', title: 'View in AdsData', url: event.actionUrl }]
+            : [],
+        },
+      }],
+    };
+  }
+
+  /**
+   * Send a notification
+   */
+  static async send(config, event) {
+    await axios.post(config.webhook_url, this.buildPayload(event), { timeout: 10000 });
+  }
+}
+
+module.exports = TeamsChannel;
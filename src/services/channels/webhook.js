@@ -0,0 +1,87 @@
+/**
+ * Webhook Channel
+ * Delivers notifications as signed JSON POSTs to arbitrary endpoints
+ *
+ * Each request carries:
+ *   X-AdsData-Event      event type (e.g. anomaly)
+ *   X-AdsData-Timestamp  unix seconds
+ *   X-AdsData-Signature  sha256=HMAC_SHA256(secret, `${timestamp}.${body}`)
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+
+class WebhookChannel {
+  /**
+   * Validate channel config
+   * @param {Object} config - { url, secret?, headers? }
+   * @returns {string|null} Error message, or null when valid
+   */
+  static validateConfig(config = {}) {
+    if (!config.url || !/^https?:\/\//.test(config.url)) {
+      return 'Webhook channels need an http(s) url';
+    }
+    if (config.headers && typeof config.headers !== 'object') {
+      return 'Webhook headers must be an object';
+    }
+    return null;
+  }
+
+  /**
+   * Generate a new signing secret
+   */
+  static generateSecret() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * Compute the signature header value for a body
+   */
+  static sign(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+  }
+
+  /**
+   * Build the webhook body
+   * @param {Object} event - Normalized notification event
+   */
+  static buildPayload(event) {
+    return {
+      id: event.id,
+      event: event.eventType,
+      workspaceId: event.workspaceId,
+      title: event.title,
+      message: event.message,
+      severity: event.severity,
+      actionUrl: event.actionUrl,
+      fields: event.fields,
+      data: event.data,
+      sentAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Send a notification
+   */
+  static async send(config, event) {
+    const body = JSON.stringify(this.buildPayload(event));
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    const headers = {
+      ...(config.headers || {}),
+      'Content-Type': 'application/json',
+      'User-Agent': 'AdsData-Webhooks/1.0',
+      'X-AdsData-Event': event.eventType,
+      'X-AdsData-Timestamp': timestamp,
+    };
+
+    if (config.secret) {
+      headers['X-AdsData-Signature'] = this.sign(config.secret, timestamp, body);
+    }
+
+    await axios.post(config.url, body, { headers, timeout: 10000 });
+  }
+}
+
+module.exports = WebhookChannel;
@@ -0,0 +1,259 @@
+/**
+ * Comparison Period
+ * Resolves the window a metric is compared against (previous period, same
+ * period last year or a custom range) and lines the comparison series up with
+ * the current one, day by day
+ */
+
+const { ValidationError } = require('../utils/errors');
+
+const COMPARISON_MODES = ['previous_period', 'same_period_last_year', 'custom'];
+const DEFAULT_COMPARISON_MODE = 'previous_period';
+
+const DAY_MS = 86400000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function parseDate(dateString) {
+  return new Date(`${String(dateString).split('T')[0]}T00:00:00Z`);
+}
+
+function addDays(dateString, days) {
+  return toDateString(new Date(parseDate(dateString).getTime() + days * DAY_MS));
+}
+
+function daysBetween(startDate, endDate) {
+  return Math.round((parseDate(endDate) - parseDate(startDate)) / DAY_MS);
+}
+
+/**
+ * Same calendar day one year earlier (Feb 29 becomes Feb 28)
+ */
+function subtractYear(dateString) {
+  const date = parseDate(dateString);
+  const year = date.getUTCFullYear() - 1;
+  const month = date.getUTCMonth();
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return toDateString(new Date(Date.UTC(year, month, Math.min(date.getUTCDate(), lastDay))));
+}
+
+function isValidDate(value) {
+  return DATE_PATTERN.test(String(value || '')) && !Number.isNaN(parseDate(value).getTime());
+}
+
+/**
+ * Normalize a comparison setting
+ * Accepts a mode name ('previous_period') or an object
+ * ({ mode: 'custom', startDate, endDate }); missing means previous period.
+ *
+ * @returns {Object} { mode, startDate?, endDate? }
+ * @throws {ValidationError} For an unknown mode or an invalid custom range
+ */
+function normalizeComparison(comparison) {
+  if (!comparison) return { mode: DEFAULT_COMPARISON_MODE };
+
+  const setting = typeof comparison === 'string' ? { mode: comparison } : comparison;
+  const mode = setting.mode || DEFAULT_COMPARISON_MODE;
+
+  if (!COMPARISON_MODES.includes(mode)) {
+    throw new ValidationError(`Invalid comparison mode. Must be one of: ${COMPARISON_MODES.join(', ')}`);
+  }
+
+  if (mode !== 'custom') return { mode };
+
+  const { startDate, endDate } = setting;
+  if (!isValidDate(startDate) || !isValidDate(endDate)) {
+    throw new ValidationError('A custom comparison needs startDate and endDate (YYYY-MM-DD)');
+  }
+  if (startDate > endDate) {
+    throw new ValidationError('Comparison startDate must be on or before endDate');
+  }
+
+  return { mode, startDate, endDate };
+}
+
+/**
+ * Date range to compare [since, until] against
+ *
+ * @param {string} since - Current period start (YYYY-MM-DD)
+ * @param {string} until - Current period end (YYYY-MM-DD)
+ * @param {string|Object} [comparison] - See normalizeComparison
+ * @returns {Object} { mode, since, until }
+ */
+function getComparisonRange(since, until, comparison) {
+  const setting = normalizeComparison(comparison);
+
+  switch (setting.mode) {
+    case 'same_period_last_year':
+      return { mode: setting.mode, since: subtractYear(since), until: subtractYear(until) };
+    case 'custom':
+      return { mode: setting.mode, since: setting.startDate, until: setting.endDate };
+    default: {
+      // Window of equal length ending the day before the current one starts
+      const length = daysBetween(since, until) + 1;
+      return { mode: setting.mode, since: addDays(since, -length), until: addDays(since, -1) };
+    }
+  }
+}
+
+/**
+ * Line a comparison series up with the current period
+ * Day N of the current period is paired with day N of the comparison period, so
+ * charts can overlay both series on the same x axis. Days past the end of a
+ * shorter comparison period have a null value.
+ *
+ * @param {Object[]} previousTimeSeries - [{ date, value }] of the comparison period
+ * @param {Object} range - { since, until } of the current period
+ * @param {Object} comparisonRange - { since, until } of the comparison period
+ * @returns {Object[]} [{ date, previousDate, value }] with one entry per current day
+ */
+function alignTimeSeries(previousTimeSeries, range, comparisonRange) {
+  const valuesByDate = new Map();
+  for (const point of previousTimeSeries || []) {
+    const date = String(point.date).split('T')[0];
+    valuesByDate.set(date, (valuesByDate.get(date) || 0) + (parseFloat(point.value) || 0));
+  }
+
+  const comparisonDays = daysBetween(comparisonRange.since, comparisonRange.until) + 1;
+  const days = daysBetween(range.since, range.until) + 1;
+  const aligned = [];
+
+  for (let offset = 0; offset < days; offset++) {
+    if (offset >= comparisonDays) {
+      aligned.push({ date: addDays(range.since, offset), previousDate: null, value: null });
+      continue;
+    }
+
+    const previousDate = addDays(comparisonRange.since, offset);
+    aligned.push({
+      date: addDays(range.since, offset),
+      previousDate,
+      value: valuesByDate.get(previousDate) || 0,
+    });
+  }
+
+  return aligned;
+}
+
+/**
+ * Percent change rounded to one decimal, 0 when there is no previous value
+ */
+function calculateChangePercent(value, previousValue) {
+  const current = parseFloat(value) || 0;
+  const previous = parseFloat(previousValue) || 0;
+  if (previous <= 0) return 0;
+  return Math.round(((current - previous) / previous) * 1000) / 10;
+}
+
+/**
+ * Comparison fields of a fetchMetrics result
+ *
+ * @param {number} value - Current period value
+ * @param {number} previousValue - Comparison period value
+ * @param {Object[]} previousTimeSeries - Comparison period [{ date, value }]
+ * @param {Object} range - { since, until } of the current period
+ * @param {Object} comparisonRange - From getComparisonRange
+ * @returns {Object} { previousValue, changePercent, comparison, previousDateRange, previousTimeSeries }
+ */
+function buildComparison(value, previousValue, previousTimeSeries, range, comparisonRange) {
+  return {
+    previousValue: parseFloat(previousValue) || 0,
+    changePercent: calculateChangePercent(value, previousValue),
+    comparison: comparisonRange.mode,
+    previousDateRange: { since: comparisonRange.since, until: comparisonRange.until },
+    previousTimeSeries: alignTimeSeries(previousTimeSeries, range, comparisonRange),
+  };
+}
+
+/**
+ * Date windows to request from a platform for a period and its comparison
+ * Both periods are fetched as one window spanning them when that window is at
+ * most maxDays long (a gap between them is cheap to over-fetch), otherwise as
+ * two separate windows.
+ *
+ * @param {Object} range - { since, until } of the current period
+ * @param {Object} comparisonRange - { since, until } of the comparison period
+ * @param {number} [maxDays=Infinity] - Longest window the platform accepts
+ * @returns {Object[]} [{ since, until }]
+ */
+function getFetchWindows(range, comparisonRange, maxDays = Infinity) {
+  const since = range.since < comparisonRange.since ? range.since : comparisonRange.since;
+  const until = range.until > comparisonRange.until ? range.until : comparisonRange.until;
+
+  if (daysBetween(since, until) + 1 <= maxDays) {
+    return [{ since, until }];
+  }
+
+  return [
+    { since: range.since, until: range.until },
+    { since: comparisonRange.since, until: comparisonRange.until },
+  ];
+}
+
+/**
+ * Points of a daily series that fall inside a date range
+ */
+function sliceTimeSeries(timeSeries, range) {
+  return timeSeries.filter(point => {
+    const date = String(point.date).split('T')[0];
+    return date >= range.since && date <= range.until;
+  });
+}
+
+/**
+ * fetchMetrics-shaped results for several metrics from one set of daily rows
+ * Period values are the sum of the daily values, as the connectors have always
+ * reported them.
+ *
+ * @param {Object[]} dailyRows - [{ date, values: { [metric]: number } }] covering both periods
+ * @param {string[]} metrics - Metric names
+ * @param {Object} range - { since, until } of the current period
+ * @param {Object} comparisonRange - From getComparisonRange
+ * @returns {Object} { [metric]: { value, previousValue, changePercent, comparison,
+ *   previousDateRange, previousTimeSeries, label, dateRange, timeSeries } }
+ */
+function buildDailyMetricResults(dailyRows, metrics, range, comparisonRange) {
+  // Separate fetch windows may overlap; each day counts once
+  const rowsByDate = new Map();
+  for (const row of dailyRows) {
+    const date = String(row.date).split('T')[0];
+    if (!rowsByDate.has(date)) rowsByDate.set(date, { date, values: row.values });
+  }
+  const rows = [...rowsByDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+
+  const results = {};
+
+  for (const metric of metrics) {
+    const series = rows.map(row => ({ date: row.date, value: parseFloat(row.values[metric]) || 0 }));
+    const timeSeries = sliceTimeSeries(series, range);
+    const previousTimeSeries = sliceTimeSeries(series, comparisonRange);
+    const value = timeSeries.reduce((sum, day) => sum + day.value, 0);
+    const previousValue = previousTimeSeries.reduce((sum, day) => sum + day.value, 0);
+
+    results[metric] = {
+      value,
+      ...buildComparison(value, previousValue, previousTimeSeries, range, comparisonRange),
+      label: metric,
+      dateRange: { since: range.since, until: range.until },
+      timeSeries,
+    };
+  }
+
+  return results;
+}
+
+module.exports = {
+  COMPARISON_MODES,
+  DEFAULT_COMPARISON_MODE,
+  normalizeComparison,
+  getComparisonRange,
+  alignTimeSeries,
+  calculateChangePercent,
+  buildComparison,
+  getFetchWindows,
+  sliceTimeSeries,
+  buildDailyMetricResults,
+};
@@ -0,0 +1,460 @@
+/**
+ * Currency
+ * Converts monetary metrics of ad accounts from their native currency into the
+ * workspace reporting currency, using the workspace's own daily FX rates
+ * (fx_rates, imported from CSV so conversion never depends on an external service)
+ */
+
+const { query } = require('../config/database');
+const metricsStore = require('./metricsStore');
+const { calculateChangePercent } = require('./comparisonPeriod');
+const { ValidationError } = require('../utils/errors');
+
+const DEFAULT_CURRENCY = 'USD';
+
+/**
+ * Metrics expressed in money; everything else (counts, rates, ROAS) is currency-neutral
+ */
+const MONETARY_METRICS = ['spend', 'revenue', 'cpc', 'cpm', 'cpa', 'cost_per_conversion', 'conversion_value'];
+// Monetary metrics whose period value is the sum of their daily values
+const SUMMED_MONETARY_METRICS = ['spend', 'revenue', 'conversion_value'];
+
+// Currencies tried as an intermediate when a pair has no rate of its own
+const PIVOT_CURRENCIES = ['USD', 'EUR'];
+// How far back the latest rate is carried forward to days without one
+const RATE_LOOKBACK_DAYS = 366;
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_IMPORT_ROWS = 50000;
+const MAX_IMPORT_ERRORS = 20;
+
+// CSV header aliases of each rate column
+const IMPORT_COLUMNS = {
+  date: ['date', 'rate_date', 'day'],
+  base: ['base', 'base_currency', 'from', 'from_currency'],
+  quote: ['quote', 'quote_currency', 'to', 'to_currency'],
+  rate: ['rate', 'fx_rate', 'exchange_rate'],
+};
+
+/**
+ * Upper-case ISO 4217 code, or null when the value is not one
+ */
+function normalizeCurrency(code) {
+  const currency = String(code || '').trim().toUpperCase();
+  return CURRENCY_PATTERN.test(currency) ? currency : null;
+}
+
+function isMonetaryMetric(metric) {
+  return MONETARY_METRICS.includes(metric);
+}
+
+/**
+ * Reporting currency of a workspace
+ */
+async function getReportingCurrency(workspaceId) {
+  const result = await query(
+    `SELECT reporting_currency FROM workspaces WHERE id = $1`,
+    [workspaceId]
+  );
+  return normalizeCurrency(result.rows[0]?.reporting_currency) || DEFAULT_CURRENCY;
+}
+
+/**
+ * Rate of a sorted [{ date, rate }] list on a date: the latest on or before
+ * it, otherwise the earliest after it
+ */
+function rateOn(rates, date) {
+  let low = 0;
+  let high = rates.length - 1;
+  let found = -1;
+
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (rates[middle].date <= date) {
+      found = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+
+  return rates[Math.max(found, 0)].rate;
+}
+
+/**
+ * Converts amounts into one currency with a loaded set of daily rates
+ * A pair is converted with its own rate, its inverse, or through a pivot
+ * currency. Amounts without any usable rate are left unconverted and the pair
+ * is listed in missingRates, so callers can flag the result instead of failing.
+ */
+class CurrencyConverter {
+  /**
+   * @param {string} currency - Target currency
+   * @param {Object[]} rows - fx_rates rows { date, base_currency, quote_currency, rate }
+   */
+  constructor(currency, rows = []) {
+    this.currency = currency;
+    this.pairs = new Map();
+    this.cache = new Map();
+    this.missing = new Set();
+
+    for (const row of rows) {
+      const key = `${row.base_currency}/${row.quote_currency}`;
+      if (!this.pairs.has(key)) this.pairs.set(key, []);
+      this.pairs.get(key).push({ date: row.date, rate: parseFloat(row.rate) });
+    }
+    for (const rates of this.pairs.values()) {
+      rates.sort((a, b) => a.date.localeCompare(b.date));
+    }
+  }
+
+  pairRate(base, quote, date) {
+    if (base === quote) return 1;
+    const direct = this.pairs.get(`${base}/${quote}`);
+    if (direct) return rateOn(direct, date);
+    const inverse = this.pairs.get(`${quote}/${base}`);
+    if (inverse) return 1 / rateOn(inverse, date);
+    return null;
+  }
+
+  /**
+   * Units of the target currency per unit of a currency on a date
+   *
+   * @returns {number|null} null when no rate is available (unknown currencies convert at 1)
+   */
+  rate(from, date) {
+    const currency = normalizeCurrency(from);
+    if (!currency || currency === this.currency) return 1;
+
+    const key = `${currency}:${date}`;
+    if (!this.cache.has(key)) {
+      let rate = this.pairRate(currency, this.currency, date);
+      for (const pivot of PIVOT_CURRENCIES) {
+        if (rate !== null) break;
+        const toPivot = this.pairRate(currency, pivot, date);
+        const fromPivot = this.pairRate(pivot, this.currency, date);
+        if (toPivot !== null && fromPivot !== null) rate = toPivot * fromPivot;
+      }
+      if (rate === null) this.missing.add(`${currency}/${this.currency}`);
+      this.cache.set(key, rate);
+    }
+    return this.cache.get(key);
+  }
+
+  /**
+   * Convert an amount in a currency on a date
+   */
+  convert(amount, from, date) {
+    const value = parseFloat(amount) || 0;
+    return value * (this.rate(from, date) ?? 1);
+  }
+
+  /**
+   * Mean daily rate over a date range, for values that are not daily sums
+   */
+  averageRate(from, since, until) {
+    const rates = [];
+    for (let date = since; date <= until; date = metricsStore.addDays(date, 1)) {
+      rates.push(this.rate(from, date) ?? 1);
+    }
+    return rates.length > 0 ? rates.reduce((sum, rate) => sum + rate, 0) / rates.length : 1;
+  }
+
+  /**
+   * Pairs that had no rate (converted at 1)
+   */
+  get missingRates() {
+    return [...this.missing];
+  }
+
+  /**
+   * Conversion details attached to converted results
+   */
+  describe() {
+    return { reportingCurrency: this.currency, missingRates: this.missingRates };
+  }
+}
+
+/**
+ * Load a converter into a workspace's reporting currency for a date range
+ *
+ * @param {string} workspaceId - Workspace UUID
+ * @param {string[]} currencies - Currencies that will be converted (e.g. the accounts' currencies)
+ * @param {string} since - Start date (YYYY-MM-DD, inclusive)
+ * @param {string} until - End date (YYYY-MM-DD, inclusive)
+ * @param {string} [target] - Convert into this currency instead (e.g. a budget's), with the workspace's rates
+ * @returns {Promise<CurrencyConverter>}
+ */
+async function createConverter(workspaceId, currencies, since, until, target = null) {
+  const reportingCurrency = normalizeCurrency(target) || await getReportingCurrency(workspaceId);
+  const foreign = [...new Set(currencies.map(normalizeCurrency))]
+    .filter(currency => currency && currency !== reportingCurrency);
+
+  if (foreign.length === 0) {
+    return new CurrencyConverter(reportingCurrency);
+  }
+
+  const involved = [...new Set([...foreign, reportingCurrency, ...PIVOT_CURRENCIES])];
+  const result = await query(
+    `SELECT to_char(rate_date, 'YYYY-MM-DD') as date, base_currency, quote_currency, rate
+     FROM fx_rates
+     WHERE workspace_id = $1
+       AND rate_date BETWEEN $2 AND $3
+       AND base_currency = ANY($4)
+       AND quote_currency = ANY($4)`,
+    [workspaceId, metricsStore.addDays(since, -RATE_LOOKBACK_DAYS), until, involved]
+  );
+
+  return new CurrencyConverter(reportingCurrency, result.rows);
+}
+
+/**
+ * Convert a daily series (metricsStore rows) from a currency; spend and revenue
+ * are converted day by day and the ratio metrics re-derived
+ */
+function convertSeries(series, from, converter) {
+  const currency = normalizeCurrency(from);
+  if (!currency || currency === converter.currency) return series;
+
+  return series.map(day => metricsStore.deriveMetrics({
+    ...day,
+    spend: converter.convert(day.spend, currency, day.date),
+    revenue: converter.convert(day.revenue, currency, day.date),
+  }));
+}
+
+/**
+ * Daily series of ad accounts converted into the workspace reporting currency
+ *
+ * @param {string} workspaceId - Workspace UUID
+ * @param {Object[]} accounts - Ad account rows (with currency)
+ * @param {string} since - Start date (YYYY-MM-DD, inclusive)
+ * @param {string} until - End date (YYYY-MM-DD, inclusive)
+ * @param {Function} [getSeries] - async (account) => native daily series (default: the local store)
+ * @returns {Promise<Object>} { converter, seriesByAccount: [{ account, series }] }
+ */
+async function getConvertedSeries(workspaceId, accounts, since, until, getSeries = null) {
+  const converter = await createConverter(workspaceId, accounts.map(account => account.currency), since, until);
+  const loadSeries = getSeries || (account => metricsStore.getAccountDailySeries(account, since, until));
+
+  const seriesByAccount = [];
+  for (const account of accounts) {
+    seriesByAccount.push({ account, series: convertSeries(await loadSeries(account), account.currency, converter) });
+  }
+
+  return { converter, seriesByAccount };
+}
+
+/**
+ * Convert period totals (summarizeSeries or getCampaignTotals rows) at the
+ * mean rate of the period
+ */
+function convertTotals(totals, from, converter, since, until) {
+  const currency = normalizeCurrency(from);
+  if (!currency || currency === converter.currency) return totals;
+
+  const rate = converter.averageRate(currency, since, until);
+  return metricsStore.deriveMetrics({
+    ...totals,
+    spend: (parseFloat(totals.spend) || 0) * rate,
+    revenue: (parseFloat(totals.revenue) || 0) * rate,
+  });
+}
+
+/**
+ * Convert a fetchMetrics result of a monetary metric
+ * Daily points use the rate of their day; summed metrics total the converted
+ * days, other values use the mean rate of their period. The platform's own
+ * figures are kept under native.
+ *
+ * @param {string} metric - Metric name
+ * @param {Object} result - fetchMetrics result
+ * @param {string} from - Currency of the result
+ * @param {CurrencyConverter} converter
+ * @returns {Object} Converted result (unchanged for non-monetary metrics and errors)
+ */
+function convertMetricResult(metric, result, from, converter) {
+  const currency = normalizeCurrency(from);
+  if (!result || result.error || !isMonetaryMetric(metric) || !currency) return result;
+
+  const native = {
+    currency,
+    value: result.value,
+    previousValue: result.previousValue,
+    timeSeries: result.timeSeries,
+    previousTimeSeries: result.previousTimeSeries,
+  };
+  if (currency === converter.currency) {
+    return { ...result, currency, native };
+  }
+
+  const convertPoints = points => points && points.map(point => (point.value === null
+    ? point
+    : { ...point, value: converter.convert(point.value, currency, String(point.previousDate || point.date).split('T')[0]) }));
+  const convertValue = (value, range, points) => {
+    if (value === undefined || value === null) return value;
+    if (SUMMED_MONETARY_METRICS.includes(metric) && points && points.length > 0) {
+      return points.reduce((sum, point) => sum + (point.value || 0), 0);
+    }
+    return range ? value * converter.averageRate(currency, range.since, range.until) : converter.convert(value, currency, metricsStore.toDateString(new Date()));
+  };
+
+  const timeSeries = convertPoints(result.timeSeries);
+  const previousTimeSeries = convertPoints(result.previousTimeSeries);
+  const value = convertValue(result.value, result.dateRange, timeSeries);
+  const previousValue = convertValue(result.previousValue, result.previousDateRange,
+    previousTimeSeries && previousTimeSeries.filter(point => point.value !== null));
+
+  return {
+    ...result,
+    value,
+    previousValue,
+    ...(result.changePercent !== undefined ? { changePercent: calculateChangePercent(value, previousValue) } : {}),
+    timeSeries,
+    previousTimeSeries,
+    currency: converter.currency,
+    native,
+  };
+}
+
+/**
+ * Convert a fetchBreakdown result (rows of period totals) at the mean rate of
+ * its period
+ *
+ * @returns {Object} Breakdown in the converter's currency, with { native: { currency, exchangeRate } }
+ */
+function convertBreakdown(breakdown, from, converter) {
+  const currency = normalizeCurrency(from);
+  if (!currency || currency === converter.currency || !breakdown.dateRange) return breakdown;
+
+  const rate = converter.averageRate(currency, breakdown.dateRange.since, breakdown.dateRange.until);
+  return {
+    ...breakdown,
+    currency: converter.currency,
+    native: { currency, exchangeRate: rate },
+    rows: (breakdown.rows || []).map(row => ({
+      ...row,
+      metrics: {
+        ...row.metrics,
+        spend: (row.metrics.spend || 0) * rate,
+        conversion_value: (row.metrics.conversion_value || 0) * rate,
+      },
+    })),
+  };
+}
+
+/**
+ * Value of a CSV row under the first matching header alias (case-insensitive)
+ */
+function columnValue(row, aliases) {
+  for (const [header, value] of Object.entries(row)) {
+    if (aliases.includes(String(header).trim().toLowerCase())) return String(value ?? '').trim();
+  }
+  return '';
+}
+
+/**
+ * Validate rate rows parsed from a CSV file
+ * Columns: date, base, quote, rate (1 base = rate quote); see IMPORT_COLUMNS
+ * for accepted header names. A later row for the same pair and day wins.
+ *
+ * @param {Object[]} rows - Parsed CSV rows
+ * @returns {Object[]} [{ date, base, quote, rate }]
+ * @throws {ValidationError} Listing the invalid rows
+ */
+function parseRateRows(rows) {
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw new ValidationError('The file has no rate rows');
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ValidationError(`At most ${MAX_IMPORT_ROWS} rates can be imported at once`);
+  }
+
+  const rates = new Map();
+  const errors = [];
+
+  rows.forEach((row, index) => {
+    const line = index + 2; // header is line 1
+    const date = columnValue(row, IMPORT_COLUMNS.date);
+    const base = normalizeCurrency(columnValue(row, IMPORT_COLUMNS.base));
+    const quote = normalizeCurrency(columnValue(row, IMPORT_COLUMNS.quote));
+    const rate = parseFloat(columnValue(row, IMPORT_COLUMNS.rate));
+
+    let message = null;
+    if (!DATE_PATTERN.test(date) || Number.isNaN(new Date(`${date}T00:00:00Z`).getTime())) {
+      message = `invalid date "${date}" (expected YYYY-MM-DD)`;
+    } else if (!base || !quote) {
+      message = 'base and quote must be 3-letter currency codes';
+    } else if (base === quote) {
+      message = 'base and quote must differ';
+    } else if (!Number.isFinite(rate) || rate <= 0) {
+      message = 'rate must be a positive number';
+    }
+
+    if (message) {
+      if (errors.length < MAX_IMPORT_ERRORS) errors.push(`Line ${line}: ${message}`);
+      return;
+    }
+    rates.set(`${base}/${quote}/${date}`, { date, base, quote, rate });
+  });
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid FX rate file', errors);
+  }
+
+  return [...rates.values()];
+}
+
+/**
+ * Import (insert or replace) FX rates for a workspace
+ *
+ * @param {string} workspaceId - Workspace UUID
+ * @param {Object[]} rows - Parsed CSV rows (see parseRateRows)
+ * @param {string} [source='csv'] - Where the rates came from
+ * @returns {Promise<Object>} { imported, pairs, firstDate, lastDate }
+ * @throws {ValidationError} When any row is invalid; nothing is imported then
+ */
+async function importRates(workspaceId, rows, source = 'csv') {
+  const rates = parseRateRows(rows);
+
+  await query(
+    `INSERT INTO fx_rates (workspace_id, rate_date, base_currency, quote_currency, rate, source)
+     SELECT $1, rate_date::date, base_currency, quote_currency, rate::numeric, $6
+     FROM unnest($2::text[], $3::text[], $4::text[], $5::text[]) AS r(rate_date, base_currency, quote_currency, rate)
+     ON CONFLICT (workspace_id, base_currency, quote_currency, rate_date)
+     DO UPDATE SET rate = EXCLUDED.rate, source = EXCLUDED.source`,
+    [
+      workspaceId,
+      rates.map(rate => rate.date),
+      rates.map(rate => rate.base),
+      rates.map(rate => rate.quote),
+      rates.map(rate => String(rate.rate)),
+      String(source).slice(0, 50),
+    ]
+  );
+
+  const dates = rates.map(rate => rate.date).sort();
+  return {
+    imported: rates.length,
+    pairs: [...new Set(rates.map(rate => `${rate.base}/${rate.quote}`))].sort(),
+    firstDate: dates[0],
+    lastDate: dates[dates.length - 1],
+  };
+}
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  MONETARY_METRICS,
+  normalizeCurrency,
+  isMonetaryMetric,
+  getReportingCurrency,
+  createConverter,
+  convertSeries,
+  getConvertedSeries,
+  convertTotals,
+  convertMetricResult,
+  convertBreakdown,
+  parseRateRows,
+  importRates,
+};
@@ -6,6 +6,8 @@
 const nodemailer = require('nodemailer');
 const config = require('../config/config');
 
+const CURRENCY_SYMBOLS = { USD: '$', EUR: '€', GBP: '£', JPY: '¥', INR: '₹' };
+
 class EmailService {
   constructor() {
     this.transporter = null;
@@ -47,10 +49,14 @@ class EmailService {
    * @param {string} options.reportName - Name of the report
    * @param {Object} options.reportData - Report data
    * @param {boolean} options.includeCharts - Include charts in email
+   * @param {string} [options.format] - 'html', 'pdf' (short body, report attached) or 'both'
+   * @param {Object[]} [options.attachments] - Nodemailer attachments, e.g. the rendered PDF
    */
-  async sendScheduledReport({ to, subject, reportName, reportData, includeCharts = true }) {
+  async sendScheduledReport({ to, subject, reportName, reportData, includeCharts = true, format = 'html', attachments = [] }) {
     try {
-      const html = this.generateReportHTML(reportName, reportData, includeCharts);
+      const html = format === 'pdf'
+        ? this.generateReportAttachmentHTML(reportName, reportData)
+        : this.generateReportHTML(reportName, reportData, includeCharts);
 
       const mailOptions = {
         from: config.email?.from || 'AdsData Platform <noreply@adsdata.com>',
@@ -58,6 +64,7 @@ class EmailService {
         subject: subject || `${reportName} - AdsData Report`,
         html,
         text: this.generateReportText(reportName, reportData),
+        attachments,
       };
 
       const info = await this.transporter.sendMail(mailOptions);
@@ -80,7 +87,7 @@ class EmailService {
    * Generate HTML for the report email
    */
   generateReportHTML(reportName, reportData, includeCharts) {
-    const { summary, platforms, topPerformers, dateRange } = reportData;
+    const { summary, platforms, topPerformers, dateRange, currency } = reportData;
 
     return `
       <!DOCTYPE html>
@@ -194,6 +201,24 @@ class EmailService {
             color: #b7fa31;
             text-decoration: none;
           }
+          .section-meta {
+            color: #666;
+            font-size: 12px;
+            margin: -10px 0 12px;
+          }
+          .trend-bar {
+            background-color: #b7fa31;
+            height: 10px;
+            border-radius: 2px;
+          }
+          .commentary {
+            white-space: pre-wrap;
+            font-size: 14px;
+          }
+          .muted {
+            color: #666;
+            font-size: 14px;
+          }
         </style>
       </head>
       <body>
@@ -203,11 +228,13 @@ class EmailService {
             <div class="date-range">${dateRange}</div>
           </div>
 
-          ${this.generateSummarySection(summary)}
+          ${reportData.sections ? this.generateCustomSectionsHTML(reportData.sections, includeCharts, currency) : `
+            ${this.generateSummarySection(summary, currency)}
 
-          ${this.generatePlatformsSection(platforms)}
+            ${this.generatePlatformsSection(platforms, currency)}
 
-          ${topPerformers ? this.generateTopPerformersSection(topPerformers) : ''}
+            ${topPerformers ? this.generateTopPerformersSection(topPerformers, currency) : ''}
+          `}
 
           <div class="footer">
             <p>
@@ -221,15 +248,39 @@ class EmailService {
     `;
   }
 
+  /**
+   * Generate a short email body for reports delivered as a PDF attachment
+   */
+  generateReportAttachmentHTML(reportName, reportData) {
+    const { summary, dateRange, currency } = reportData;
+
+    return this.generateNotificationLayout({
+      title: reportName,
+      accentColor: '#b7fa31',
+      body: `
+        <h1>${reportName}</h1>
+        <p class="muted">${dateRange}</p>
+        <p>Your scheduled report is attached as a PDF.</p>
+        ${summary ? `
+          <table>
+            <tr><td class="label">Total Spend</td><td>${this.formatMoney(summary.totalSpend, currency)}</td></tr>
+            <tr><td class="label">Clicks</td><td>${this.formatNumber(summary.totalClicks)}</td></tr>
+            <tr><td class="label">Conversions</td><td>${this.formatNumber(summary.totalConversions)}</td></tr>
+          </table>
+        ` : ''}
+      `,
+    });
+  }
+
   /**
    * Generate summary section HTML
    */
-  generateSummarySection(summary) {
+  generateSummarySection(summary, currency) {
     if (!summary) return '';
 
     return `
       <div class="summary-grid">
-        ${this.generateMetricCard('Total Spend', `$${this.formatNumber(summary.totalSpend)}`, summary.spendChange)}
+        ${this.generateMetricCard('Total Spend', this.formatMoney(summary.totalSpend, currency), summary.spendChange)}
         ${this.generateMetricCard('Impressions', this.formatNumber(summary.totalImpressions), summary.impressionsChange)}
         ${this.generateMetricCard('Clicks', this.formatNumber(summary.totalClicks), summary.clicksChange)}
         ${this.generateMetricCard('CTR', `${summary.averageCTR?.toFixed(2)}%`, summary.ctrChange)}
@@ -260,7 +311,7 @@ class EmailService {
   /**
    * Generate platforms section HTML
    */
-  generatePlatformsSection(platforms) {
+  generatePlatformsSection(platforms, currency) {
     if (!platforms || platforms.length === 0) return '';
 
     return `
@@ -281,11 +332,11 @@ class EmailService {
             ${platforms.map(p => `
               <tr>
                 <td><strong>${this.formatPlatformName(p.platform)}</strong></td>
-                <td>$${this.formatNumber(p.spend)}</td>
+                <td>${this.formatMoney(p.spend, currency)}</td>
                 <td>${this.formatNumber(p.impressions)}</td>
                 <td>${this.formatNumber(p.clicks)}</td>
                 <td>${p.ctr?.toFixed(2)}%</td>
-                <td>$${p.cpc?.toFixed(2)}</td>
+                <td>${this.formatMoney(p.cpc, currency, 2)}</td>
               </tr>
             `).join('')}
           </tbody>
@@ -297,7 +348,7 @@ class EmailService {
   /**
    * Generate top performers section HTML
    */
-  generateTopPerformersSection(topPerformers) {
+  generateTopPerformersSection(topPerformers, currency) {
     if (!topPerformers || topPerformers.length === 0) return '';
 
     return `
@@ -318,7 +369,7 @@ class EmailService {
               <tr>
                 <td><strong>${c.name}</strong></td>
                 <td>${this.formatPlatformName(c.platform)}</td>
-                <td>$${this.formatNumber(c.spend)}</td>
+                <td>${this.formatMoney(c.spend, currency)}</td>
                 <td>${this.formatNumber(c.conversions)}</td>
                 <td>${c.roas?.toFixed(2)}x</td>
               </tr>
@@ -329,18 +380,216 @@ class EmailService {
     `;
   }
 
+  /**
+   * Generate HTML for the sections of a custom report
+   */
+  generateCustomSectionsHTML(sections, includeCharts, currency) {
+    return sections.map(section => {
+      let content;
+
+      if (section.error) {
+        content = `<p class="muted">This section could not be generated: ${this.escapeHtml(section.error)}</p>`;
+      } else {
+        switch (section.type) {
+          case 'kpi':
+            content = `
+              <div class="summary-grid">
+                ${section.metrics.map(item => this.generateMetricCard(
+                  this.formatMetricLabel(item.metric),
+                  this.formatMetricValue(item.metric, item.value, currency),
+                  item.change
+                )).join('')}
+              </div>
+            `;
+            break;
+          case 'trend':
+            content = this.generateTrendSectionHTML(section, includeCharts, currency);
+            break;
+          case 'platform_comparison':
+            content = this.generateMetricTable(
+              ['Platform', ...section.metrics.map(metric => this.formatMetricLabel(metric))],
+              section.rows.map(row => [
+                `<strong>${this.formatPlatformName(row.platform)}</strong>`,
+                ...section.metrics.map(metric => this.formatMetricValue(metric, row[metric], currency)),
+              ])
+            ) + (section.insights && section.insights.length > 0
+              ? `<ul>${section.insights.map(insight => `<li>${this.escapeHtml(insight)}</li>`).join('')}</ul>`
+              : '');
+            break;
+          case 'top_campaigns':
+            content = this.generateMetricTable(
+              ['Campaign', 'Platform', ...section.metrics.map(metric => this.formatMetricLabel(metric))],
+              section.campaigns.map(campaign => [
+                `<strong>${this.escapeHtml(campaign.name)}</strong>`,
+                this.formatPlatformName(campaign.platform),
+                ...section.metrics.map(metric => this.formatMetricValue(metric, campaign[metric], currency)),
+              ])
+            );
+            break;
+          case 'goal_progress':
+            content = this.generateMetricTable(
+              ['Goal', 'Type', 'Current', 'Target', 'Progress', 'Status'],
+              section.goals.map(goal => [
+                `<strong>${this.escapeHtml(goal.name)}</strong>`,
+                this.formatMetricLabel(goal.goalType),
+                this.formatMetricValue(goal.goalType, goal.currentValue, currency),
+                this.formatMetricValue(goal.goalType, goal.targetValue, currency),
+                `${goal.progress.toFixed(1)}%`,
+                goal.status,
+              ])
+            );
+            break;
+          case 'anomalies':
+            content = this.generateMetricTable(
+              ['Date', 'Account', 'Metric', 'Deviation', 'Severity'],
+              section.anomalies.map(anomaly => [
+                anomaly.date,
+                this.escapeHtml(anomaly.account_name || this.formatPlatformName(anomaly.platform)),
+                this.formatMetricLabel(anomaly.metric),
+                `${anomaly.deviationPercent > 0 ? '+' : ''}${anomaly.deviationPercent.toFixed(1)}%`,
+                anomaly.severity,
+              ])
+            );
+            break;
+          case 'budget_pacing':
+            content = this.generateMetricTable(
+              ['Account', 'Budget', 'Spent', 'Pacing', 'Projected'],
+              (section.accounts || []).map(account => [
+                `<strong>${this.escapeHtml(account.account_name || this.formatPlatformName(account.platform))}</strong>`,
+                this.formatMoney(account.budget, account.currency),
+                this.formatMoney(account.spent, account.currency),
+                `${account.pacing.toFixed(1)}%`,
+                this.formatMoney(account.projectedSpend, account.currency),
+              ])
+            );
+            break;
+          case 'commentary':
+            content = `<div class="commentary">${this.escapeHtml(section.text)}</div>`;
+            break;
+          default:
+            content = '';
+        }
+      }
+
+      return `
+        <div class="section">
+          <h2 class="section-title">${this.escapeHtml(section.title)}</h2>
+          ${section.type !== 'commentary' ? `<div class="section-meta">${section.dateRange}</div>` : ''}
+          ${content}
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Trend section: one row per day, with inline bars for the first metric when charts are enabled
+   * (table-based so it renders in email clients that block SVG)
+   */
+  generateTrendSectionHTML(section, includeCharts, currency) {
+    if (section.series.length === 0) {
+      return '<p class="muted">No data for this period.</p>';
+    }
+
+    const [primary] = section.metrics;
+    const max = Math.max(...section.series.map(day => day[primary] || 0), 0) || 1;
+
+    return this.generateMetricTable(
+      ['Date', ...section.metrics.map(metric => this.formatMetricLabel(metric)), ...(includeCharts ? [''] : [])],
+      section.series.map(day => [
+        day.date,
+        ...section.metrics.map(metric => this.formatMetricValue(metric, day[metric], currency)),
+        ...(includeCharts
+          ? [`<div class="trend-bar" style="width: ${Math.max(1, Math.round(((day[primary] || 0) / max) * 100))}%;"></div>`]
+          : []),
+      ])
+    );
+  }
+
+  /**
+   * Generate a simple table from header labels and pre-formatted cells
+   */
+  generateMetricTable(headers, rows) {
+    if (rows.length === 0) {
+      return '<p class="muted">Nothing to show for this period.</p>';
+    }
+
+    return `
+      <table>
+        <thead>
+          <tr>${headers.map(header => `<th>${header}</th>`).join('')}</tr>
+        </thead>
+        <tbody>
+          ${rows.map(cells => `<tr>${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Display label for a metric key
+   */
+  formatMetricLabel(metric) {
+    const labels = {
+      spend: 'Spend',
+      impressions: 'Impressions',
+      clicks: 'Clicks',
+      conversions: 'Conversions',
+      revenue: 'Revenue',
+      reach: 'Reach',
+      ctr: 'CTR',
+      cpc: 'CPC',
+      cpm: 'CPM',
+      cpa: 'CPA',
+      roas: 'ROAS',
+    };
+    return labels[metric] || String(metric || '').replace(/_/g, ' ');
+  }
+
+  /**
+   * Format a metric value according to its unit
+   */
+  formatMetricValue(metric, value, currency = 'USD') {
+    const number = parseFloat(value) || 0;
+    switch (metric) {
+      case 'spend':
+      case 'revenue':
+        return this.formatMoney(number, currency);
+      case 'cpc':
+      case 'cpm':
+      case 'cpa':
+        return this.formatMoney(number, currency, 2);
+      case 'ctr':
+        return `${number.toFixed(2)}%`;
+      case 'roas':
+        return `${number.toFixed(2)}x`;
+      default:
+        return this.formatNumber(number);
+    }
+  }
+
+  /**
+   * Escape user-provided text for HTML output
+   */
+  escapeHtml(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
   /**
    * Generate plain text version of the report
    */
   generateReportText(reportName, reportData) {
-    const { summary, platforms, dateRange } = reportData;
+    const { summary, platforms, dateRange, currency } = reportData;
 
     let text = `${reportName}\n${dateRange}\n\n`;
     text += '='.repeat(50) + '\n\n';
 
     if (summary) {
       text += 'SUMMARY\n\n';
-      text += `Total Spend: $${this.formatNumber(summary.totalSpend)}\n`;
+      text += `Total Spend: ${this.formatMoney(summary.totalSpend, currency)}\n`;
       text += `Impressions: ${this.formatNumber(summary.totalImpressions)}\n`;
       text += `Clicks: ${this.formatNumber(summary.totalClicks)}\n`;
       text += `CTR: ${summary.averageCTR?.toFixed(2)}%\n\n`;
@@ -350,13 +599,70 @@ class EmailService {
       text += 'PERFORMANCE BY PLATFORM\n\n';
       platforms.forEach(p => {
         text += `${this.formatPlatformName(p.platform)}:\n`;
-        text += `  Spend: $${this.formatNumber(p.spend)}\n`;
+        text += `  Spend: ${this.formatMoney(p.spend, currency)}\n`;
         text += `  Impressions: ${this.formatNumber(p.impressions)}\n`;
         text += `  Clicks: ${this.formatNumber(p.clicks)}\n`;
         text += `  CTR: ${p.ctr?.toFixed(2)}%\n\n`;
       });
     }
 
+    if (reportData.sections) {
+      reportData.sections.forEach(section => {
+        text += `${section.title.toUpperCase()}\n`;
+        if (section.error) {
+          text += `  Not available: ${section.error}\n\n`;
+          return;
+        }
+        switch (section.type) {
+          case 'kpi':
+            section.metrics.forEach(item => {
+              text += `  ${this.formatMetricLabel(item.metric)}: ${this.formatMetricValue(item.metric, item.value, currency)}`
+                + ` (${item.change > 0 ? '+' : ''}${item.change.toFixed(1)}%)\n`;
+            });
+            break;
+          case 'trend':
+            section.series.forEach(day => {
+              text += `  ${day.date}: ${section.metrics.map(metric =>
+                `${this.formatMetricLabel(metric)} ${this.formatMetricValue(metric, day[metric], currency)}`).join(', ')}\n`;
+            });
+            break;
+          case 'platform_comparison':
+            section.rows.forEach(row => {
+              text += `  ${this.formatPlatformName(row.platform)}: ${section.metrics.map(metric =>
+                `${this.formatMetricLabel(metric)} ${this.formatMetricValue(metric, row[metric], currency)}`).join(', ')}\n`;
+            });
+            break;
+          case 'top_campaigns':
+            section.campaigns.forEach((campaign, index) => {
+              text += `  ${index + 1}. ${campaign.name}: ${section.metrics.map(metric =>
+                `${this.formatMetricLabel(metric)} ${this.formatMetricValue(metric, campaign[metric], currency)}`).join(', ')}\n`;
+            });
+            break;
+          case 'goal_progress':
+            section.goals.forEach(goal => {
+              text += `  ${goal.name}: ${goal.progress.toFixed(1)}% (${goal.status})\n`;
+            });
+            break;
+          case 'anomalies':
+            section.anomalies.forEach(anomaly => {
+              text += `  ${anomaly.date} ${this.formatMetricLabel(anomaly.metric)}`
+                + ` ${anomaly.deviationPercent.toFixed(1)}% (${anomaly.severity})\n`;
+            });
+            break;
+          case 'budget_pacing':
+            (section.accounts || []).forEach(account => {
+              text += `  ${account.account_name || account.platform}: ${this.formatMoney(account.spent, account.currency)}`
+                + ` of ${this.formatMoney(account.budget, account.currency)} (${account.pacing.toFixed(1)}%)\n`;
+            });
+            break;
+          case 'commentary':
+            text += `${section.text}\n`;
+            break;
+        }
+        text += '\n';
+      });
+    }
+
     text += '\n' + '-'.repeat(50) + '\n';
     text += 'View full dashboard: http://localhost:3000/dashboard\n';
 
@@ -378,6 +684,20 @@ class EmailService {
     return names[platform] || platform.charAt(0).toUpperCase() + platform.slice(1);
   }
 
+  /**
+   * Format an amount of money: $1,234 for known symbols, 1,234 SEK otherwise
+   *
+   * @param {number} amount
+   * @param {string} [currency='USD'] - ISO 4217 code
+   * @param {number} [decimals=0] - Decimals to show (0 rounds with thousands separators)
+   */
+  formatMoney(amount, currency = 'USD', decimals = 0) {
+    const number = parseFloat(amount) || 0;
+    const formatted = decimals > 0 ? number.toFixed(decimals) : this.formatNumber(number);
+    const code = currency || 'USD';
+    return CURRENCY_SYMBOLS[code] ? `${CURRENCY_SYMBOLS[code]}${formatted}` : `${formatted} ${code}`;
+  }
+
   /**
    * Format number with commas
    */
@@ -563,6 +883,196 @@ This is an automated email from AdsData Platform.
     }
   }
 
+  /**
+   * Send a notification email (alerts, anomalies, budget warnings)
+   * @param {Object} options - Email options
+   * @param {string[]} options.to - Recipient email addresses
+   * @param {string} options.subject - Email subject
+   * @param {string} options.title - Notification title
+   * @param {string} options.message - Notification message
+   * @param {string} [options.severity] - info, low, medium, high, critical
+   * @param {Object[]} [options.fields] - Detail rows ({ label, value })
+   * @param {string} [options.actionUrl] - Absolute link to view the notification
+   */
+  async sendNotificationEmail({ to, subject, title, message, severity = 'info', fields = [], actionUrl = null }) {
+    try {
+      const fieldsHTML = fields.map(field => `
+        <tr>
+          <td class="label">${field.label}</td>
+          <td>${field.value}</td>
+        </tr>
+      `).join('');
+
+      const html = this.generateNotificationLayout({
+        title,
+        accentColor: this.getSeverityColor(severity),
+        body: `
+          <div class="severity">${severity}</div>
+          <h1>${title}</h1>
+          <p>${message}</p>
+          ${fields.length > 0 ? `<table>${fieldsHTML}</table>` : ''}
+          ${actionUrl ? `<a href="${actionUrl}" class="button">View in AdsData</a>` : ''}
+        `,
+      });
+
+      let text = `${title}\n\n${message}\n`;
+      fields.forEach(field => {
+        text += `\n${field.label}: ${field.value}`;
+      });
+      if (actionUrl) {
+        text += `\n\nView in AdsData: ${actionUrl}\n`;
+      }
+
+      const mailOptions = {
+        from: config.email?.from || 'AdsData Platform <noreply@adsdata.com>',
+        to: Array.isArray(to) ? to.join(', ') : to,
+        subject: subject || title,
+        html,
+        text,
+      };
+
+      const info = await this.transporter.sendMail(mailOptions);
+
+      if (config.nodeEnv !== 'production') {
+        console.log('Notification email preview:', info.message?.toString());
+      }
+
+      return {
+        success: true,
+        messageId: info.messageId,
+      };
+    } catch (error) {
+      console.error('Error sending notification email:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Accent color for a notification severity
+   */
+  getSeverityColor(severity) {
+    const colors = {
+      critical: '#dc2626',
+      high: '#ef4444',
+      medium: '#f59e0b',
+      low: '#3b82f6',
+      info: '#b7fa31',
+    };
+    return colors[severity] || colors.info;
+  }
+
+  /**
+   * Wrap notification content (alerts, digests) in the shared email layout
+   * @param {Object} options
+   * @param {string} options.title - Document title
+   * @param {string} options.accentColor - Top border color
+   * @param {string} options.body - Inner HTML
+   */
+  generateNotificationLayout({ title, accentColor, body }) {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${title}</title>
+        <style>
+          body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f5f5f5; }
+          .container { background-color: #ffffff; border-radius: 8px; padding: 30px; border-top: 4px solid ${accentColor}; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
+          h1 { font-size: 22px; color: #1a1a1a; margin-top: 0; }
+          h2 { font-size: 17px; color: #1a1a1a; margin: 28px 0 8px; }
+          .severity { display: inline-block; font-size: 12px; text-transform: uppercase; letter-spacing: 0.5px; color: #666; margin-bottom: 8px; }
+          .badge { display: inline-block; font-size: 11px; text-transform: uppercase; color: #ffffff; border-radius: 4px; padding: 1px 6px; margin-right: 6px; }
+          table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+          td { padding: 10px; border-bottom: 1px solid #e5e7eb; font-size: 14px; vertical-align: top; }
+          td.label { color: #666; width: 40%; }
+          td a { color: #1a1a1a; }
+          .muted { color: #666; font-size: 13px; }
+          .button { display: inline-block; background-color: #b7fa31; color: #000000; text-decoration: none; padding: 12px 28px; border-radius: 6px; font-weight: 600; margin-top: 24px; }
+          .footer { margin-top: 30px; padding-top: 20px; border-top: 1px solid #e5e7eb; font-size: 12px; color: #999; text-align: center; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          ${body}
+          <div class="footer">This is an automated notification from AdsData Platform.</div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Send a notification digest email
+   * @param {Object} options - Email options
+   * @param {string[]} options.to - Recipient email addresses
+   * @param {string} options.subject - Email subject
+   * @param {string} options.title - Digest title
+   * @param {string} options.intro - Summary line
+   * @param {Object[]} options.groups - [{ label, total, items: [{ title, message, severity, actionUrl }] }]
+   * @param {string} [options.actionUrl] - Absolute link to the notification inbox
+   */
+  async sendDigestEmail({ to, subject, title, intro, groups, actionUrl = null }) {
+    try {
+      const groupsHTML = groups.map(group => `
+        <h2>${group.label} (${group.total})</h2>
+        <table>
+          ${group.items.map(item => `
+            <tr>
+              <td>
+                <span class="badge" style="background-color: ${this.getSeverityColor(item.severity)}">${item.severity}</span>
+                ${item.actionUrl ? `<a href="${item.actionUrl}">${item.title}</a>` : item.title}
+                <div class="muted">${item.message}</div>
+              </td>
+            </tr>
+          `).join('')}
+          ${group.total > group.items.length ? `<tr><td class="muted">…and ${group.total - group.items.length} more</td></tr>` : ''}
+        </table>
+      `).join('');
+
+      const html = this.generateNotificationLayout({
+        title,
+        accentColor: '#b7fa31',
+        body: `
+          <h1>${title}</h1>
+          <p>${intro}</p>
+          ${groupsHTML}
+          ${actionUrl ? `<a href="${actionUrl}" class="button">Open notifications</a>` : ''}
+        `,
+      });
+
+      let text = `${title}\n\n${intro}\n`;
+      groups.forEach(group => {
+        text += `\n${group.label} (${group.total})\n`;
+        group.items.forEach(item => {
+          text += `- [${item.severity}] ${item.title}${item.actionUrl ? ` - ${item.actionUrl}` : ''}\n`;
+        });
+      });
+
+      const mailOptions = {
+        from: config.email?.from || 'AdsData Platform <noreply@adsdata.com>',
+        to: Array.isArray(to) ? to.join(', ') : to,
+        subject: subject || title,
+        html,
+        text,
+      };
+
+      const info = await this.transporter.sendMail(mailOptions);
+
+      if (config.nodeEnv !== 'production') {
+        console.log('Digest email preview:', info.message?.toString());
+      }
+
+      return {
+        success: true,
+        messageId: info.messageId,
+      };
+    } catch (error) {
+      console.error('Error sending digest email:', error);
+      throw error;
+    }
+  }
+
   /**
    * Test email configuration
    */
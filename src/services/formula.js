@@ -0,0 +1,274 @@
+/**
+ * Formula
+ * Parser and evaluator for calculated metric formulas such as
+ * `(revenue_from_sheet - spend) / spend` or
+ * `(meta.spend + google.spend) / (meta.conversions + google.conversions)`.
+ * Formulas are parsed into a syntax tree and walked; nothing is ever eval'd.
+ *
+ * Grammar:
+ *   expression := term (('+' | '-') term)*
+ *   term       := unary (('*' | '/') unary)*
+ *   unary      := '-' unary | primary
+ *   primary    := number | reference | function '(' expression (',' expression)* ')' | '(' expression ')'
+ *   reference  := name ('.' name)?
+ */
+
+const { ValidationError } = require('../utils/errors');
+
+const MAX_FORMULA_LENGTH = 500;
+const MAX_DEPTH = 20;
+
+const FUNCTIONS = {
+  min: { minArgs: 1, maxArgs: 10, apply: args => Math.min(...args) },
+  max: { minArgs: 1, maxArgs: 10, apply: args => Math.max(...args) },
+  abs: { minArgs: 1, maxArgs: 1, apply: ([value]) => Math.abs(value) },
+  round: {
+    minArgs: 1,
+    maxArgs: 2,
+    apply: ([value, digits = 0]) => {
+      const factor = 10 ** Math.max(0, Math.min(10, Math.round(digits)));
+      return Math.round(value * factor) / factor;
+    },
+  },
+};
+
+const NAME_PATTERN = /[A-Za-z_][A-Za-z0-9_]*/y;
+const NUMBER_PATTERN = /(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?/y;
+
+function formulaError(message, position) {
+  return new ValidationError(position === undefined
+    ? `Invalid formula: ${message}`
+    : `Invalid formula: ${message} at position ${position + 1}`);
+}
+
+/**
+ * Split a formula into tokens
+ * @returns {Object[]} [{ type: 'number' | 'name' | 'op', value, position }]
+ */
+function tokenize(formula) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < formula.length) {
+    const char = formula[position];
+
+    if (/\s/.test(char)) {
+      position++;
+      continue;
+    }
+
+    NUMBER_PATTERN.lastIndex = position;
+    const number = NUMBER_PATTERN.exec(formula);
+    if (number) {
+      tokens.push({ type: 'number', value: parseFloat(number[0]), position });
+      position += number[0].length;
+      continue;
+    }
+
+    NAME_PATTERN.lastIndex = position;
+    const name = NAME_PATTERN.exec(formula);
+    if (name) {
+      tokens.push({ type: 'name', value: name[0], position });
+      position += name[0].length;
+      continue;
+    }
+
+    if ('+-*/(),.'.includes(char)) {
+      tokens.push({ type: 'op', value: char, position });
+      position++;
+      continue;
+    }
+
+    throw formulaError(`unexpected character "${char}"`, position);
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a formula into a syntax tree
+ *
+ * Nodes: { type: 'number', value }, { type: 'reference', name },
+ * { type: 'negate', operand }, { type: 'binary', operator, left, right },
+ * { type: 'call', name, args }
+ *
+ * @param {string} formula - Formula text
+ * @returns {Object} Root node
+ * @throws {ValidationError} Naming the problem and where it is
+ */
+function parseFormula(formula) {
+  if (typeof formula !== 'string' || !formula.trim()) {
+    throw formulaError('formula is required');
+  }
+  if (formula.length > MAX_FORMULA_LENGTH) {
+    throw formulaError(`formulas are limited to ${MAX_FORMULA_LENGTH} characters`);
+  }
+
+  const tokens = tokenize(formula);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isOp = (value) => peek()?.type === 'op' && peek().value === value;
+  const expect = (value) => {
+    if (!isOp(value)) {
+      const token = peek();
+      throw formulaError(`expected "${value}"`, token ? token.position : formula.length);
+    }
+    index++;
+  };
+
+  function parseExpression(depth) {
+    if (depth > MAX_DEPTH) {
+      throw formulaError(`formulas can be nested at most ${MAX_DEPTH} levels deep`);
+    }
+
+    let node = parseTerm(depth);
+    while (isOp('+') || isOp('-')) {
+      const operator = tokens[index++].value;
+      node = { type: 'binary', operator, left: node, right: parseTerm(depth) };
+    }
+    return node;
+  }
+
+  function parseTerm(depth) {
+    let node = parseUnary(depth);
+    while (isOp('*') || isOp('/')) {
+      const operator = tokens[index++].value;
+      node = { type: 'binary', operator, left: node, right: parseUnary(depth) };
+    }
+    return node;
+  }
+
+  function parseUnary(depth) {
+    if (isOp('-')) {
+      index++;
+      return { type: 'negate', operand: parseUnary(depth + 1) };
+    }
+    return parsePrimary(depth);
+  }
+
+  function parsePrimary(depth) {
+    const token = peek();
+
+    if (!token) {
+      throw formulaError('unexpected end of formula');
+    }
+
+    if (token.type === 'number') {
+      index++;
+      return { type: 'number', value: token.value };
+    }
+
+    if (isOp('(')) {
+      index++;
+      const node = parseExpression(depth + 1);
+      expect(')');
+      return node;
+    }
+
+    if (token.type !== 'name') {
+      throw formulaError(`unexpected "${token.value}"`, token.position);
+    }
+    index++;
+
+    if (isOp('(')) {
+      const fn = FUNCTIONS[token.value.toLowerCase()];
+      if (!fn) {
+        throw formulaError(`unknown function "${token.value}" (available: ${Object.keys(FUNCTIONS).join(', ')})`, token.position);
+      }
+      index++;
+      const args = [parseExpression(depth + 1)];
+      while (isOp(',')) {
+        index++;
+        args.push(parseExpression(depth + 1));
+      }
+      expect(')');
+      if (args.length < fn.minArgs || args.length > fn.maxArgs) {
+        throw formulaError(`${token.value} takes ${fn.minArgs === fn.maxArgs ? fn.minArgs : `${fn.minArgs} to ${fn.maxArgs}`} arguments`, token.position);
+      }
+      return { type: 'call', name: token.value.toLowerCase(), args };
+    }
+
+    if (isOp('.')) {
+      index++;
+      const member = peek();
+      if (member?.type !== 'name') {
+        throw formulaError('expected a metric name after "."', member ? member.position : formula.length);
+      }
+      index++;
+      return { type: 'reference', name: `${token.value}.${member.value}` };
+    }
+
+    return { type: 'reference', name: token.value };
+  }
+
+  const root = parseExpression(0);
+  if (index < tokens.length) {
+    throw formulaError(`unexpected "${tokens[index].value}"`, tokens[index].position);
+  }
+  return root;
+}
+
+/**
+ * Names a formula refers to, in order of first use
+ */
+function getFormulaReferences(node, references = new Set()) {
+  switch (node.type) {
+    case 'reference':
+      references.add(node.name);
+      break;
+    case 'negate':
+      getFormulaReferences(node.operand, references);
+      break;
+    case 'binary':
+      getFormulaReferences(node.left, references);
+      getFormulaReferences(node.right, references);
+      break;
+    case 'call':
+      node.args.forEach(arg => getFormulaReferences(arg, references));
+      break;
+    default:
+      break;
+  }
+  return [...references];
+}
+
+/**
+ * Evaluate a parsed formula
+ * Division by zero gives 0, as the platform ratio metrics (CPA, ROAS) do.
+ *
+ * @param {Object} node - From parseFormula
+ * @param {Object} values - { [reference]: number }; missing references count as 0
+ * @returns {number}
+ */
+function evaluateFormula(node, values) {
+  switch (node.type) {
+    case 'number':
+      return node.value;
+    case 'reference':
+      return parseFloat(values[node.name]) || 0;
+    case 'negate':
+      return -evaluateFormula(node.operand, values);
+    case 'call':
+      return FUNCTIONS[node.name].apply(node.args.map(arg => evaluateFormula(arg, values)));
+    case 'binary': {
+      const left = evaluateFormula(node.left, values);
+      const right = evaluateFormula(node.right, values);
+      switch (node.operator) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        default: return right === 0 ? 0 : left / right;
+      }
+    }
+    default:
+      throw new Error(`Unknown formula node "${node.type}"`);
+  }
+}
+
+module.exports = {
+  FORMULA_FUNCTIONS: Object.keys(FUNCTIONS),
+  parseFormula,
+  getFormulaReferences,
+  evaluateFormula,
+};
@@ -0,0 +1,208 @@
+/**
+ * Goal Forecast
+ * Daily forecasts of base metrics (spend, conversions, revenue, clicks,
+ * impressions) for goal projections.
+ *
+ * Each metric is modelled as a linear trend times a day-of-week profile, fitted
+ * to the last FIT_DAYS days: daily values are divided by their weekday's share,
+ * a straight line is fitted to what remains and extended with a damped slope
+ * (so a recent trend does not run away over long windows), then multiplied by
+ * the profile again. Intervals come from simulated futures that resample the
+ * fitted residuals day by day (the same day for every metric, which keeps spend
+ * and conversions moving together) and draw the slope within its standard error.
+ */
+
+const metricsStore = require('./metricsStore');
+
+// Days of daily metrics the model is fitted to
+const FIT_DAYS = 56;
+// Fewer days than this: no trend, only the weekly profile around the mean
+const MIN_TREND_DAYS = 14;
+// A weekday needs this many observations to get its own share
+const MIN_WEEKDAY_OBSERVATIONS = 2;
+// Per-day damping of the trend slope
+const DAMPING = 0.98;
+const SIMULATIONS = 500;
+
+const dayOfWeek = date => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+/**
+ * Deterministic random numbers, so a forecast does not change between requests
+ * on the same data (mulberry32 seeded by a string hash)
+ */
+function seededRandom(seed) {
+  let state = 0;
+  for (const char of String(seed)) {
+    state = Math.imul(state ^ char.charCodeAt(0), 2654435761) >>> 0;
+  }
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const standardNormal = random =>
+  Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+/**
+ * Fit trend and weekly profile to a daily series of one metric
+ *
+ * @param {number[]} values - Daily values, oldest first
+ * @param {number[]} weekdays - getUTCDay of each value
+ * @returns {Object} { level, slope, slopeSd, profile: number[7], residuals, sd }
+ */
+function fitMetric(values, weekdays) {
+  const n = values.length;
+  const mean = n > 0 ? values.reduce((sum, value) => sum + value, 0) / n : 0;
+  const flat = { level: mean, slope: 0, slopeSd: 0, profile: Array(7).fill(1), residuals: values.map(() => 0), sd: 0 };
+  if (n === 0 || mean <= 0) return flat;
+
+  const sums = Array(7).fill(0);
+  const counts = Array(7).fill(0);
+  values.forEach((value, index) => {
+    sums[weekdays[index]] += value;
+    counts[weekdays[index]]++;
+  });
+  const profile = sums.map((sum, weekday) => (counts[weekday] >= MIN_WEEKDAY_OBSERVATIONS && sum > 0
+    ? (sum / counts[weekday]) / mean
+    : 1));
+
+  const adjusted = values.map((value, index) => value / profile[weekdays[index]]);
+  const meanT = (n - 1) / 2;
+  const meanY = adjusted.reduce((sum, value) => sum + value, 0) / n;
+  const stt = adjusted.reduce((sum, _, t) => sum + (t - meanT) ** 2, 0);
+
+  const withTrend = n >= MIN_TREND_DAYS && stt > 0;
+  const slope = withTrend ? adjusted.reduce((sum, value, t) => sum + (t - meanT) * (value - meanY), 0) / stt : 0;
+  const intercept = meanY - slope * meanT;
+  const residuals = adjusted.map((value, t) => value - (intercept + slope * t));
+  const sd = Math.sqrt(residuals.reduce((sum, residual) => sum + residual ** 2, 0) / Math.max(n - (withTrend ? 2 : 1), 1));
+
+  return {
+    level: intercept + slope * (n - 1),
+    slope,
+    slopeSd: withTrend ? sd / Math.sqrt(stt) : 0,
+    profile,
+    residuals,
+    sd,
+  };
+}
+
+/**
+ * Forecast totals of base metrics over the days after asOf
+ *
+ * @param {Object[]} series - Merged daily series (metricsStore rows) through asOf
+ * @param {string} asOf - Last day with metrics
+ * @param {string} endDate - Last day to forecast
+ * @param {Object} [options]
+ * @param {string} [options.fromDate] - Only count forecast days from this date (window start)
+ * @param {string} [options.seed] - Seed of the simulations
+ * @param {string[]} [options.metrics] - Metrics to forecast (default: base metrics)
+ * @returns {Object} { days, expected: { [metric]: total }, draws: [{ [metric]: total }], model }
+ */
+function forecastTotals(series, asOf, endDate, options = {}) {
+  const metrics = options.metrics || metricsStore.BASE_METRICS;
+  const byDate = new Map(series.map(day => [day.date, day]));
+
+  // Fit window: the last FIT_DAYS days, from the first day with metrics
+  const fitStart = metricsStore.addDays(asOf, -(FIT_DAYS - 1));
+  const firstDate = series.find(day => day.date >= fitStart && day.date <= asOf)?.date;
+  const fitDates = [];
+  if (firstDate) {
+    for (let date = firstDate; date <= asOf; date = metricsStore.addDays(date, 1)) fitDates.push(date);
+  }
+  const weekdays = fitDates.map(dayOfWeek);
+
+  const models = {};
+  for (const metric of metrics) {
+    models[metric] = fitMetric(fitDates.map(date => parseFloat(byDate.get(date)?.[metric]) || 0), weekdays);
+  }
+
+  // Forecast days and the damped trend offset of each
+  const steps = [];
+  let damped = 0;
+  let factor = 1;
+  for (let date = metricsStore.addDays(asOf, 1); date <= endDate; date = metricsStore.addDays(date, 1)) {
+    factor *= DAMPING;
+    damped += factor;
+    if (!options.fromDate || date >= options.fromDate) {
+      steps.push({ weekday: dayOfWeek(date), damped });
+    }
+  }
+
+  const expected = {};
+  for (const metric of metrics) {
+    const model = models[metric];
+    expected[metric] = steps.reduce((sum, step) =>
+      sum + Math.max((model.level + model.slope * step.damped) * model.profile[step.weekday], 0), 0);
+  }
+
+  const draws = [];
+  if (steps.length > 0 && fitDates.length > 0) {
+    const random = seededRandom(`${options.seed || ''}|${asOf}|${endDate}`);
+    for (let simulation = 0; simulation < SIMULATIONS; simulation++) {
+      const slopes = {};
+      const totals = {};
+      for (const metric of metrics) {
+        slopes[metric] = models[metric].slope + models[metric].slopeSd * standardNormal(random);
+        totals[metric] = 0;
+      }
+
+      for (const step of steps) {
+        const day = Math.floor(random() * fitDates.length);
+        for (const metric of metrics) {
+          const model = models[metric];
+          const value = (model.level + slopes[metric] * step.damped + model.residuals[day]) * model.profile[step.weekday];
+          totals[metric] += Math.max(value, 0);
+        }
+      }
+      draws.push(totals);
+    }
+  }
+
+  return {
+    days: steps.length,
+    expected,
+    draws,
+    model: {
+      method: fitDates.length >= MIN_TREND_DAYS ? 'trend_weekly_seasonality' : 'weekly_seasonality',
+      fitDays: fitDates.length,
+      damping: DAMPING,
+      simulations: draws.length,
+    },
+  };
+}
+
+/**
+ * Value at a quantile of sorted numbers (linear interpolation)
+ */
+function quantile(sorted, q) {
+  if (sorted.length === 0) return null;
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Standard normal cumulative distribution (Abramowitz-Stegun 26.2.17)
+ */
+function normalCdf(x) {
+  const t = 1 / (1 + 0.2316419 * Math.abs(x));
+  const density = Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+  const tail = density * t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  return x >= 0 ? 1 - tail : tail;
+}
+
+module.exports = {
+  FIT_DAYS,
+  SIMULATIONS,
+  fitMetric,
+  forecastTotals,
+  quantile,
+  normalCdf,
+};
@@ -0,0 +1,625 @@
+/**
+ * Goal Tracker
+ * Evaluates campaign goals (campaign_goals) from synced metrics: the current
+ * value over the goal's start/end window, a forecast for end_date (see
+ * goalForecast), a daily goal_progress_history row, notifications when
+ * progress crosses alert_threshold, and the final completed / failed status
+ * once the window has ended.
+ *
+ * Goals cover a workspace (optionally one platform) or one campaign, and track
+ * a synced metric (cpa, roas, conversions, clicks, impressions, spend, ...) or a
+ * calculated metric (calc:<key>). Money is in the workspace reporting currency.
+ */
+
+const { query } = require('../config/database');
+const metricsStore = require('./metricsStore');
+const currency = require('./currency');
+const calculatedMetrics = require('./calculatedMetrics');
+const notificationDispatcher = require('./notificationDispatcher');
+const goalForecast = require('./goalForecast');
+
+// Cost metrics: the goal is hit when the value stays at or below the target
+const LOWER_IS_BETTER = ['cpa', 'cpc', 'cpm'];
+
+// goal.platform values in use, mapped to ad account platforms
+const PLATFORM_ALIASES = {
+  meta: 'meta',
+  meta_ads: 'meta',
+  facebook: 'meta',
+  facebook_ads: 'meta',
+  google: 'google',
+  google_ads: 'google',
+  tiktok: 'tiktok',
+  tiktok_ads: 'tiktok',
+  linkedin: 'linkedin',
+  linkedin_ads: 'linkedin',
+};
+
+// Days of history before the evaluation date that projections are based on
+const HISTORY_DAYS = goalForecast.FIT_DAYS;
+
+const round = (value, decimals = 2) => (value === null || value === undefined || !Number.isFinite(value)
+  ? null
+  : Math.round(value * 10 ** decimals) / 10 ** decimals);
+
+const dateOf = value => (value instanceof Date ? metricsStore.toDateString(value) : String(value).slice(0, 10));
+
+const daysBetween = (since, until) =>
+  Math.round((new Date(`${until}T00:00:00Z`) - new Date(`${since}T00:00:00Z`)) / 86400000) + 1;
+
+/**
+ * Ad account platform of a goal, or null for all platforms
+ */
+function goalPlatform(goal) {
+  if (!goal.platform) return null;
+  const key = String(goal.platform).toLowerCase();
+  return PLATFORM_ALIASES[key] || key;
+}
+
+const isLowerBetter = goal => LOWER_IS_BETTER.includes(goal.goal_type);
+
+/**
+ * Whether a value meets a goal's target
+ * Cost goals need a value: no conversions means no CPA, which does not meet the goal.
+ */
+function isHit(goal, value) {
+  if (value === null || value === undefined) return false;
+  const target = parseFloat(goal.target_value);
+  return isLowerBetter(goal) ? value > 0 && value <= target : value >= target;
+}
+
+/**
+ * Progress towards the target in percent, as getGoals reports it
+ */
+function progressOf(goal, value) {
+  const target = parseFloat(goal.target_value);
+  return target > 0 && value !== null ? (value / target) * 100 : 0;
+}
+
+/**
+ * The ad accounts (and campaign) a goal covers
+ *
+ * @returns {Promise<Object>} { accounts, campaign } (campaign null for workspace goals)
+ */
+async function resolveScope(goal) {
+  if (goal.campaign_id) {
+    // campaign_id holds either the campaigns.id or the platform's campaign ID
+    const campaignResult = await query(
+      `SELECT c.id, c.ad_account_id, c.campaign_name
+       FROM campaigns c
+       JOIN ad_accounts aa ON aa.id = c.ad_account_id
+       WHERE aa.workspace_id = $1 AND (c.id::text = $2 OR c.campaign_id = $2)
+       ORDER BY c.id::text = $2 DESC
+       LIMIT 1`,
+      [goal.workspace_id, goal.campaign_id]
+    );
+
+    const campaign = campaignResult.rows[0];
+    if (!campaign) return { accounts: [], campaign: null };
+
+    const accounts = await metricsStore.getWorkspaceAccounts(goal.workspace_id, { adAccountIds: [campaign.ad_account_id] });
+    return { accounts, campaign };
+  }
+
+  const platform = goalPlatform(goal);
+  const accounts = await metricsStore.getWorkspaceAccounts(goal.workspace_id, platform ? { platform } : {});
+  return { accounts, campaign: null };
+}
+
+/**
+ * Daily series of a goal's scope in the reporting currency
+ *
+ * @returns {Promise<Object[]>} [{ account, series }]
+ */
+async function loadScopeSeries(goal, scope, since, until) {
+  if (!scope.campaign) {
+    const { seriesByAccount } = await currency.getConvertedSeries(goal.workspace_id, scope.accounts, since, until);
+    return seriesByAccount;
+  }
+
+  const account = scope.accounts[0];
+  if (!account) return [];
+
+  const converter = await currency.createConverter(goal.workspace_id, [account.currency], since, until);
+  const series = await metricsStore.getCampaignDailySeries(scope.campaign.id, since, until);
+  return [{ account, series: currency.convertSeries(series, account.currency, converter) }];
+}
+
+/**
+ * Value of the goal metric on period totals of base metrics, or null when the
+ * metric needs more than synced totals (custom data inputs, platform scopes)
+ */
+function valueFromTotals(compiled, goal, totals) {
+  return calculatedMetrics.evaluateRow(compiled, metricsStore.deriveMetrics(totals))[goal.goal_type];
+}
+
+// Daily run rate a goal needs for the rest of its window: the metric itself
+// for totals, and for ratio goals the metric that has to move at the
+// forecast spend (impressions for CTR)
+const TOTAL_GOALS = ['conversions', 'clicks', 'impressions', 'spend', 'revenue'];
+const RATIO_DRIVERS = {
+  cpa: { metric: 'conversions', needed: (target, totals) => totals.spend / target },
+  cpc: { metric: 'clicks', needed: (target, totals) => totals.spend / target },
+  cpm: { metric: 'impressions', needed: (target, totals) => (totals.spend * 1000) / target },
+  roas: { metric: 'revenue', needed: (target, totals) => totals.spend * target },
+  ctr: { metric: 'clicks', needed: (target, totals) => (totals.impressions * target) / 100 },
+};
+
+// z of the 10th / 90th percentile: the 80% interval
+const Z_80 = 1.2816;
+
+/**
+ * Daily run rate of the driving metric needed to still hit the target, next to
+ * the rate forecast for the remaining days
+ */
+function requiredRunRate(goal, actual, expected, remainingDays) {
+  if (!(remainingDays > 0)) return null;
+  const target = parseFloat(goal.target_value);
+
+  let metric;
+  let needed;
+  if (TOTAL_GOALS.includes(goal.goal_type)) {
+    metric = goal.goal_type;
+    needed = target;
+  } else if (RATIO_DRIVERS[goal.goal_type] && target > 0) {
+    const projected = {};
+    for (const name of metricsStore.BASE_METRICS) projected[name] = actual[name] + (expected[name] || 0);
+    metric = RATIO_DRIVERS[goal.goal_type].metric;
+    needed = RATIO_DRIVERS[goal.goal_type].needed(target, projected);
+  } else {
+    return null;
+  }
+
+  const perDay = Math.max(needed - actual[metric], 0) / remainingDays;
+  const forecastPerDay = (expected[metric] || 0) / remainingDays;
+
+  return {
+    metric,
+    perDay: round(perDay),
+    forecastPerDay: round(forecastPerDay),
+    changePercent: forecastPerDay > 0 ? round((perDay / forecastPerDay - 1) * 100, 1) : null,
+  };
+}
+
+/**
+ * Project a goal to end_date with the goalForecast model of each base metric:
+ * the point estimate from the expected totals, the 80% interval and the
+ * probability of hitting the target from the simulated ones
+ *
+ * @param {Object} params
+ * @param {Object} params.goal - campaign_goals row
+ * @param {Map} params.compiled - calculatedMetrics.compileMetrics result for the goal type
+ * @param {Object[]} params.series - Merged daily series of the scope, through asOf
+ * @param {string} params.startDate - Window start
+ * @param {string} params.endDate - Window end
+ * @param {string} params.asOf - Last day with metrics
+ * @returns {Object|null} { value, status, interval, probability, requiredRunRate, remainingDays, ... }
+ *   or null when the metric cannot be projected from synced metrics
+ */
+function projectGoal({ goal, compiled, series, startDate, endDate, asOf }) {
+  const windowTotals = metricsStore.summarizeSeries(series.filter(day => day.date >= startDate && day.date <= asOf));
+  const forecast = goalForecast.forecastTotals(series, asOf, endDate, { fromDate: startDate, seed: goal.id });
+
+  const withRemaining = remaining => {
+    const totals = {};
+    for (const metric of metricsStore.BASE_METRICS) totals[metric] = windowTotals[metric] + (remaining[metric] || 0);
+    return totals;
+  };
+
+  const value = valueFromTotals(compiled, goal, withRemaining(forecast.expected));
+  if (value === null || value === undefined || !Number.isFinite(value)) return null;
+
+  // A cost metric without conversions has no value; it counts as a miss
+  const outcomes = forecast.draws.length > 0
+    ? forecast.draws.map(draw => valueFromTotals(compiled, goal, withRemaining(draw)))
+    : [value];
+  const finite = outcomes.filter(Number.isFinite).sort((a, b) => a - b);
+  const hits = outcomes.filter(outcome => isHit(goal, outcome)).length;
+
+  return {
+    value,
+    status: isHit(goal, value) ? 'on_track' : 'off_track',
+    interval: {
+      level: 80,
+      low: goalForecast.quantile(finite, 0.1),
+      high: goalForecast.quantile(finite, 0.9),
+    },
+    probability: hits / outcomes.length,
+    requiredRunRate: requiredRunRate(goal, windowTotals, forecast.expected, forecast.days),
+    remainingDays: forecast.days,
+    asOf,
+    method: forecast.model.method,
+    model: forecast.model,
+  };
+}
+
+/**
+ * Project a goal from its goal_progress_history instead, for metrics synced
+ * totals cannot give (custom data inputs) or scopes without ad accounts:
+ * a linear trend through the recorded values, with a normal prediction interval
+ *
+ * @returns {Promise<Object|null>} Same shape as projectGoal, or null with fewer than 3 recorded days
+ */
+async function projectFromHistory(goal, { startDate, endDate, asOf }) {
+  const historyResult = await query(
+    `SELECT DISTINCT ON (day) day, recorded_value
+     FROM (
+       SELECT COALESCE(recorded_date, recorded_at::date) AS day, recorded_value, recorded_at
+       FROM goal_progress_history
+       WHERE goal_id = $1
+     ) h
+     WHERE day >= $2 AND day <= $3
+     ORDER BY day, recorded_at DESC`,
+    [goal.id, startDate, asOf]
+  );
+
+  const points = historyResult.rows
+    .map(row => ({ x: daysBetween(startDate, dateOf(row.day)), y: parseFloat(row.recorded_value) }))
+    .filter(point => Number.isFinite(point.y))
+    .slice(-goalForecast.FIT_DAYS);
+  if (points.length < 3) return null;
+
+  const n = points.length;
+  const meanX = points.reduce((sum, point) => sum + point.x, 0) / n;
+  const meanY = points.reduce((sum, point) => sum + point.y, 0) / n;
+  const sxx = points.reduce((sum, point) => sum + (point.x - meanX) ** 2, 0);
+  const slope = sxx > 0 ? points.reduce((sum, point) => sum + (point.x - meanX) * (point.y - meanY), 0) / sxx : 0;
+  const intercept = meanY - slope * meanX;
+  const sd = Math.sqrt(points.reduce((sum, point) => sum + (point.y - intercept - slope * point.x) ** 2, 0) / (n - 2));
+
+  const endX = daysBetween(startDate, endDate);
+  const value = intercept + slope * endX;
+  const predictionSd = sd * Math.sqrt(1 + 1 / n + (sxx > 0 ? (endX - meanX) ** 2 / sxx : 0));
+  const target = parseFloat(goal.target_value);
+
+  let probability;
+  if (predictionSd > 0) {
+    const below = goalForecast.normalCdf((target - value) / predictionSd);
+    probability = isLowerBetter(goal) ? below - goalForecast.normalCdf(-value / predictionSd) : 1 - below;
+  } else {
+    probability = isHit(goal, value) ? 1 : 0;
+  }
+
+  const remainingDays = asOf < endDate ? daysBetween(metricsStore.addDays(asOf, 1), endDate) : 0;
+
+  // Totals still get a run rate: what is left of the target over the remaining days
+  let runRate = null;
+  if (TOTAL_GOALS.includes(goal.goal_type) && remainingDays > 0) {
+    const current = points[n - 1].y;
+    runRate = requiredRunRate(
+      goal,
+      { [goal.goal_type]: current },
+      { [goal.goal_type]: Math.max(value - current, 0) },
+      remainingDays
+    );
+  }
+
+  return {
+    value,
+    status: isHit(goal, value) ? 'on_track' : 'off_track',
+    interval: { level: 80, low: value - Z_80 * predictionSd, high: value + Z_80 * predictionSd },
+    probability: Math.min(Math.max(probability, 0), 1),
+    requiredRunRate: runRate,
+    remainingDays,
+    asOf,
+    method: 'progress_history_trend',
+    model: { method: 'progress_history_trend', fitDays: n },
+  };
+}
+
+/**
+ * Forecast of a goal's end-of-window value for the goals API, from synced
+ * metrics through yesterday or, failing that, from its progress history
+ *
+ * @param {Object} goal - campaign_goals row
+ * @param {Object} [options] - { today } override (YYYY-MM-DD)
+ * @returns {Promise<Object|null>} Rounded projection, or null when nothing can be projected
+ */
+async function forecastGoal(goal, options = {}) {
+  const today = options.today || metricsStore.toDateString(new Date());
+  const startDate = dateOf(goal.start_date);
+  const endDate = dateOf(goal.end_date);
+  const yesterday = metricsStore.addDays(today, -1);
+  const asOf = endDate < yesterday ? endDate : yesterday;
+
+  const compiled = await calculatedMetrics.compileMetrics(goal.workspace_id, [goal.goal_type]);
+  const scope = await resolveScope(goal);
+
+  let projection = null;
+  if (scope.accounts.length > 0) {
+    const historyStart = metricsStore.addDays(asOf, -(HISTORY_DAYS - 1));
+    const since = startDate < historyStart ? startDate : historyStart;
+    const seriesByAccount = await loadScopeSeries(goal, scope, since, asOf);
+
+    projection = projectGoal({
+      goal,
+      compiled,
+      series: metricsStore.mergeSeries(seriesByAccount.map(({ series }) => series)),
+      startDate,
+      endDate,
+      asOf,
+    });
+  }
+
+  if (!projection && startDate <= asOf) {
+    projection = await projectFromHistory(goal, { startDate, endDate, asOf });
+  }
+  if (!projection) return null;
+
+  return {
+    asOf,
+    endDate,
+    remainingDays: projection.remainingDays,
+    pointEstimate: round(projection.value),
+    interval: {
+      level: projection.interval.level,
+      low: round(projection.interval.low),
+      high: round(projection.interval.high),
+    },
+    probabilityOfHit: round(projection.probability, 3),
+    status: projection.status,
+    requiredRunRate: projection.requiredRunRate,
+    method: projection.method,
+    model: projection.model,
+  };
+}
+
+/**
+ * Notify the workspace about a goal (in-app and configured channels)
+ */
+async function notify(goal, event) {
+  await notificationDispatcher.dispatch(goal.workspace_id, {
+    type: 'goal',
+    title: event.title,
+    message: event.message,
+    severity: event.severity,
+    relatedEntityType: 'goal',
+    relatedEntityId: goal.id,
+    actionUrl: `/dashboard?workspaceId=${goal.workspace_id}&goalId=${goal.id}`,
+    fields: [
+      { label: 'Goal', value: goal.goal_name },
+      { label: 'Metric', value: goal.goal_type },
+      { label: 'Target', value: String(round(parseFloat(goal.target_value))) },
+      { label: 'Current', value: String(round(event.value)) },
+      ...(event.projected !== undefined && event.projected !== null
+        ? [{ label: 'Projected', value: String(round(event.projected)) }]
+        : []),
+      { label: 'Window', value: `${dateOf(goal.start_date)} – ${dateOf(goal.end_date)}` },
+    ],
+    data: { goalId: goal.id, kind: event.kind },
+  });
+}
+
+/**
+ * Evaluate one goal and store the result
+ *
+ * @param {Object} goal - campaign_goals row
+ * @param {Object} [options] - { today } override (YYYY-MM-DD)
+ * @returns {Promise<Object>} { goalId, status, asOf, value, progress, projected, closed, notified }
+ *   (closed only when this run closed the goal)
+ */
+async function evaluateGoal(goal, options = {}) {
+  const today = options.today || metricsStore.toDateString(new Date());
+  const startDate = dateOf(goal.start_date);
+  const endDate = dateOf(goal.end_date);
+  const yesterday = metricsStore.addDays(today, -1);
+  const asOf = endDate < yesterday ? endDate : yesterday;
+
+  if (startDate > asOf) {
+    return { goalId: goal.id, status: 'not_started' };
+  }
+
+  const compiled = await calculatedMetrics.compileMetrics(goal.workspace_id, [goal.goal_type]);
+  const scope = await resolveScope(goal);
+  if (scope.accounts.length === 0) {
+    throw new Error(goal.campaign_id
+      ? `Campaign ${goal.campaign_id} was not found in this workspace`
+      : 'No active ad accounts in scope');
+  }
+
+  const historyStart = metricsStore.addDays(asOf, -(HISTORY_DAYS - 1));
+  const since = startDate < historyStart ? startDate : historyStart;
+  const seriesByAccount = await loadScopeSeries(goal, scope, since, asOf);
+  const seriesOf = new Map(seriesByAccount.map(({ account, series }) => [account.id, series]));
+
+  // Current value over the window
+  const { totals } = await calculatedMetrics.computeMetrics(goal.workspace_id, [goal.goal_type], startDate, asOf, {
+    accounts: scope.accounts,
+    compiled,
+    getSeries: async account => (seriesOf.get(account.id) || []).filter(day => day.date >= startDate),
+  });
+  const value = Number.isFinite(totals[goal.goal_type]) ? totals[goal.goal_type] : 0;
+  const progress = progressOf(goal, value);
+
+  const ended = today > endDate;
+  const projection = ended
+    ? { value, status: isHit(goal, value) ? 'on_track' : 'off_track' }
+    : projectGoal({
+      goal,
+      compiled,
+      series: metricsStore.mergeSeries(seriesByAccount.map(({ series }) => series)),
+      startDate,
+      endDate,
+      asOf,
+    });
+
+  await query(
+    `INSERT INTO goal_progress_history (goal_id, recorded_value, progress_percentage, recorded_date, source)
+     VALUES ($1, $2, $3, $4, 'evaluator')
+     ON CONFLICT (goal_id, recorded_date) WHERE source = 'evaluator' DO UPDATE SET
+       recorded_value = EXCLUDED.recorded_value,
+       progress_percentage = EXCLUDED.progress_percentage,
+       recorded_at = NOW()`,
+    [goal.id, round(value), Math.min(round(progress), 999.99), asOf]
+  );
+
+  const outcome = ended ? (isHit(goal, value) ? 'completed' : 'failed') : null;
+  const alertThreshold = parseFloat(goal.alert_threshold);
+  const crossed = !outcome && !goal.alert_notified_at && Number.isFinite(alertThreshold) && alertThreshold > 0
+    && progress >= alertThreshold;
+
+  await query(
+    `UPDATE campaign_goals
+     SET current_value = $1,
+         projected_value = $2,
+         projected_status = $3,
+         evaluated_through = $4,
+         last_evaluated_at = NOW(),
+         evaluation_error = NULL,
+         updated_at = NOW()
+     WHERE id = $5`,
+    [round(value), round(projection?.value ?? null), projection?.status || null, asOf, goal.id]
+  );
+
+  // Every API instance runs the evaluator: the threshold alert and the close
+  // are claimed with conditional updates, and only the instance whose update
+  // took the row notifies
+  let thresholdClaimed = false;
+  if (crossed) {
+    const claim = await query(
+      `UPDATE campaign_goals SET alert_notified_at = NOW()
+       WHERE id = $1 AND alert_notified_at IS NULL
+       RETURNING id`,
+      [goal.id]
+    );
+    thresholdClaimed = claim.rows.length > 0;
+  }
+
+  let closed = null;
+  if (outcome) {
+    const claim = await query(
+      `UPDATE campaign_goals SET status = $1, closed_at = NOW(), updated_at = NOW()
+       WHERE id = $2 AND status = 'active'
+       RETURNING id`,
+      [outcome, goal.id]
+    );
+    closed = claim.rows.length > 0 ? outcome : null;
+  }
+
+  const notified = [];
+  try {
+    if (thresholdClaimed) {
+      const lower = isLowerBetter(goal);
+      await notify(goal, {
+        kind: 'threshold',
+        title: lower
+          ? `${goal.goal_name}: ${goal.goal_type.toUpperCase()} is at ${round(progress, 0)}% of its limit`
+          : `${goal.goal_name} reached ${round(progress, 0)}% of its target`,
+        message: `${goal.goal_name} is at ${round(value)} against a target of ${round(parseFloat(goal.target_value))}`
+          + ` (${round(progress, 1)}%, alert threshold ${alertThreshold}%).`
+          + (projection
+            ? ` Projected for ${endDate}: ${round(projection.value)} (${projection.status.replace('_', ' ')}, `
+              + `${round(projection.probability * 100, 0)}% chance of hitting the target).`
+            : ''),
+        severity: lower || projection?.status === 'off_track' ? 'medium' : 'info',
+        value,
+        projected: projection?.value,
+      });
+      notified.push('threshold');
+    }
+
+    if (closed) {
+      await notify(goal, {
+        kind: closed,
+        title: closed === 'completed' ? `${goal.goal_name} was achieved` : `${goal.goal_name} was missed`,
+        message: `${goal.goal_name} ended on ${endDate} at ${round(value)} against a target of `
+          + `${round(parseFloat(goal.target_value))} (${round(progress, 1)}%).`,
+        severity: closed === 'completed' ? 'info' : 'high',
+        value,
+      });
+      notified.push(closed);
+    }
+  } catch (error) {
+    console.error(`Goal notification failed for goal ${goal.id}:`, error.message);
+  }
+
+  return {
+    goalId: goal.id,
+    status: outcome || goal.status,
+    asOf,
+    value: round(value),
+    progress: round(progress),
+    projected: projection ? { value: round(projection.value), status: projection.status } : null,
+    closed,
+    notified,
+  };
+}
+
+/**
+ * Evaluate active goals
+ *
+ * @param {Object} [options]
+ * @param {string} [options.goalId] - Only this goal
+ * @param {string} [options.workspaceId] - Only goals of this workspace
+ * @param {string} [options.today] - Evaluation day override (YYYY-MM-DD); metrics count through the day before
+ * @returns {Promise<Object>} Summary of the run
+ */
+async function runEvaluation(options = {}) {
+  const params = [];
+  let sql = `SELECT * FROM campaign_goals WHERE status = 'active'`;
+
+  if (options.goalId) {
+    params.push(options.goalId);
+    sql += ` AND id = $${params.length}`;
+  }
+  if (options.workspaceId) {
+    params.push(options.workspaceId);
+    sql += ` AND workspace_id = $${params.length}`;
+  }
+
+  const goalsResult = await query(`${sql} ORDER BY workspace_id, end_date`, params);
+
+  const summary = {
+    evaluated: 0,
+    skipped: 0,
+    completed: 0,
+    failed: 0,
+    notified: 0,
+    errors: 0,
+    results: [],
+  };
+
+  for (const goal of goalsResult.rows) {
+    try {
+      const result = await evaluateGoal(goal, options);
+      summary.results.push(result);
+
+      if (result.status === 'not_started') {
+        summary.skipped++;
+        continue;
+      }
+
+      summary.evaluated++;
+      if (result.closed === 'completed') summary.completed++;
+      if (result.closed === 'failed') summary.failed++;
+      summary.notified += result.notified.length;
+    } catch (error) {
+      summary.errors++;
+      summary.results.push({ goalId: goal.id, error: error.message });
+      console.error(`Goal evaluation failed for goal ${goal.id}:`, error.message);
+
+      // Keep the reason on the goal; a failure to do so must not stop the run
+      await query(
+        `UPDATE campaign_goals SET evaluation_error = $1, last_evaluated_at = NOW() WHERE id = $2`,
+        [error.message, goal.id]
+      ).catch(updateError => console.error(`Could not record the evaluation error of goal ${goal.id}:`, updateError.message));
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  LOWER_IS_BETTER,
+  goalPlatform,
+  isLowerBetter,
+  isHit,
+  progressOf,
+  resolveScope,
+  loadScopeSeries,
+  valueFromTotals,
+  projectGoal,
+  forecastGoal,
+  evaluateGoal,
+  runEvaluation,
+};
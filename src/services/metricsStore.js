@@ -0,0 +1,337 @@
+/**
+ * Metrics Store
+ * Reads synced daily metrics for ad accounts from the local database
+ * (ad_metrics, falling back to unified_campaigns)
+ */
+
+const { query } = require('../config/database');
+
+/**
+ * Metrics that can be derived from the stored daily totals
+ */
+const BASE_METRICS = ['impressions', 'clicks', 'spend', 'conversions', 'revenue', 'reach'];
+const DERIVED_METRICS = ['ctr', 'cpc', 'cpm', 'cpa', 'roas'];
+const SUPPORTED_METRICS = [...BASE_METRICS, ...DERIVED_METRICS];
+
+/**
+ * Add ratio metrics (ctr, cpc, cpm, cpa, roas) to a row of daily totals
+ *
+ * @param {Object} row - Row with impressions, clicks, spend, conversions, revenue
+ * @returns {Object} Row including derived metrics
+ */
+function deriveMetrics(row) {
+  const impressions = parseFloat(row.impressions) || 0;
+  const clicks = parseFloat(row.clicks) || 0;
+  const spend = parseFloat(row.spend) || 0;
+  const conversions = parseFloat(row.conversions) || 0;
+  const revenue = parseFloat(row.revenue) || 0;
+
+  return {
+    ...row,
+    impressions,
+    clicks,
+    spend,
+    conversions,
+    revenue,
+    reach: parseFloat(row.reach) || 0,
+    ctr: impressions > 0 ? (clicks / impressions) * 100 : 0,
+    cpc: clicks > 0 ? spend / clicks : 0,
+    cpm: impressions > 0 ? (spend / impressions) * 1000 : 0,
+    cpa: conversions > 0 ? spend / conversions : 0,
+    roas: spend > 0 ? revenue / spend : 0,
+  };
+}
+
+/**
+ * Get the daily metric series for an ad account
+ * Account-level ad_metrics rows (campaign_id IS NULL) take precedence; when an
+ * account only has campaign-level rows those are summed instead.
+ *
+ * @param {Object} account - Ad account row (id, workspace_id, platform)
+ * @param {string} since - Start date (YYYY-MM-DD, inclusive)
+ * @param {string} until - End date (YYYY-MM-DD, inclusive)
+ * @returns {Promise<Object[]>} Daily rows ordered by date
+ */
+async function getAccountDailySeries(account, since, until) {
+  const result = await query(
+    `SELECT to_char(metric_date, 'YYYY-MM-DD') as date,
+            CASE WHEN bool_or(campaign_id IS NULL)
+              THEN SUM(impressions) FILTER (WHERE campaign_id IS NULL) ELSE SUM(impressions) END as impressions,
+            CASE WHEN bool_or(campaign_id IS NULL)
+              THEN SUM(clicks) FILTER (WHERE campaign_id IS NULL) ELSE SUM(clicks) END as clicks,
+            CASE WHEN bool_or(campaign_id IS NULL)
+              THEN SUM(spend) FILTER (WHERE campaign_id IS NULL) ELSE SUM(spend) END as spend,
+            CASE WHEN bool_or(campaign_id IS NULL)
+              THEN SUM(conversions) FILTER (WHERE campaign_id IS NULL) ELSE SUM(conversions) END as conversions,
+            CASE WHEN bool_or(campaign_id IS NULL)
+              THEN SUM(conversion_value) FILTER (WHERE campaign_id IS NULL) ELSE SUM(conversion_value) END as revenue,
+            CASE WHEN bool_or(campaign_id IS NULL)
+              THEN SUM(reach) FILTER (WHERE campaign_id IS NULL) ELSE SUM(reach) END as reach
+     FROM ad_metrics
+     WHERE ad_account_id = $1
+       AND metric_date BETWEEN $2 AND $3
+       AND metric_hour IS NULL
+       AND ad_set_id IS NULL
+       AND ad_id IS NULL
+     GROUP BY metric_date
+     ORDER BY metric_date ASC`,
+    [account.id, since, until]
+  );
+
+  if (result.rows.length > 0) {
+    return result.rows.map(deriveMetrics);
+  }
+
+  // Platforms synced only into unified_campaigns (e.g. TikTok, LinkedIn)
+  const unifiedResult = await query(
+    `SELECT to_char(date, 'YYYY-MM-DD') as date,
+            SUM(impressions) as impressions,
+            SUM(clicks) as clicks,
+            SUM(spend) as spend,
+            SUM(conversions) as conversions,
+            SUM(revenue) as revenue,
+            0 as reach
+     FROM unified_campaigns
+     WHERE workspace_id = $1
+       AND platform = $2
+       AND (metadata->>'ad_account_id' = $3 OR metadata->>'ad_account_id' IS NULL)
+       AND date BETWEEN $4 AND $5
+     GROUP BY date
+     ORDER BY date ASC`,
+    [account.workspace_id, account.platform, String(account.id), since, until]
+  );
+
+  return unifiedResult.rows.map(deriveMetrics);
+}
+
+/**
+ * Get ad accounts in a workspace, optionally filtered by platform or account IDs
+ *
+ * @param {string} workspaceId - Workspace UUID
+ * @param {Object} [filters]
+ * @param {string|string[]} [filters.platform] - Platform name(s)
+ * @param {string[]} [filters.adAccountIds] - Ad account UUIDs
+ * @returns {Promise<Object[]>} Ad account rows
+ */
+async function getWorkspaceAccounts(workspaceId, filters = {}) {
+  let sql = `
+    SELECT id, workspace_id, platform, account_id, account_name, currency, timezone
+    FROM ad_accounts
+    WHERE workspace_id = $1
+      AND status = 'active'
+      AND platform <> 'search_console'
+  `;
+  const params = [workspaceId];
+
+  if (filters.platform) {
+    params.push(Array.isArray(filters.platform) ? filters.platform : [filters.platform]);
+    sql += ` AND platform = ANY($${params.length})`;
+  }
+
+  if (filters.adAccountIds && filters.adAccountIds.length > 0) {
+    params.push(filters.adAccountIds);
+    sql += ` AND id = ANY($${params.length})`;
+  }
+
+  const result = await query(sql, params);
+  return result.rows;
+}
+
+/**
+ * Merge several daily series into one, summing base metrics per date
+ *
+ * @param {Object[][]} seriesList - Daily series to merge
+ * @returns {Object[]} Merged daily rows ordered by date
+ */
+function mergeSeries(seriesList) {
+  const byDate = new Map();
+
+  for (const series of seriesList) {
+    for (const day of series) {
+      const totals = byDate.get(day.date)
+        || BASE_METRICS.reduce((acc, metric) => ({ ...acc, [metric]: 0 }), { date: day.date });
+      for (const metric of BASE_METRICS) {
+        totals[metric] += parseFloat(day[metric]) || 0;
+      }
+      byDate.set(day.date, totals);
+    }
+  }
+
+  return [...byDate.values()]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(deriveMetrics);
+}
+
+/**
+ * Get the combined daily metric series for a workspace
+ *
+ * @param {string} workspaceId - Workspace UUID
+ * @param {string} since - Start date (YYYY-MM-DD, inclusive)
+ * @param {string} until - End date (YYYY-MM-DD, inclusive)
+ * @param {Object} [filters] - Same as getWorkspaceAccounts
+ * @returns {Promise<Object[]>} Daily rows ordered by date
+ */
+async function getWorkspaceDailySeries(workspaceId, since, until, filters = {}) {
+  const accounts = await getWorkspaceAccounts(workspaceId, filters);
+  const seriesList = [];
+
+  for (const account of accounts) {
+    seriesList.push(await getAccountDailySeries(account, since, until));
+  }
+
+  return mergeSeries(seriesList);
+}
+
+/**
+ * Sum a daily series into period totals (ratio metrics are recomputed, not averaged)
+ *
+ * @param {Object[]} series - Daily rows from getAccountDailySeries
+ * @returns {Object} Period totals including derived metrics
+ */
+function summarizeSeries(series) {
+  const totals = BASE_METRICS.reduce((acc, metric) => ({ ...acc, [metric]: 0 }), {});
+
+  for (const day of series) {
+    for (const metric of BASE_METRICS) {
+      totals[metric] += parseFloat(day[metric]) || 0;
+    }
+  }
+
+  return deriveMetrics(totals);
+}
+
+/**
+ * Get per-campaign totals for an ad account over a date range
+ * Campaign-level ad_metrics rows are used when present, otherwise unified_campaigns.
+ *
+ * @param {Object} account - Ad account row (id, workspace_id, platform)
+ * @param {string} since - Start date (YYYY-MM-DD, inclusive)
+ * @param {string} until - End date (YYYY-MM-DD, inclusive)
+ * @returns {Promise<Object[]>} Rows with campaign_id, campaign_name, status and derived metrics
+ */
+async function getCampaignTotals(account, since, until) {
+  const result = await query(
+    `SELECT c.campaign_id, c.campaign_name, c.status,
+            SUM(m.impressions) as impressions,
+            SUM(m.clicks) as clicks,
+            SUM(m.spend) as spend,
+            SUM(m.conversions) as conversions,
+            SUM(m.conversion_value) as revenue,
+            SUM(m.reach) as reach
+     FROM ad_metrics m
+     JOIN campaigns c ON c.id = m.campaign_id
+     WHERE m.ad_account_id = $1
+       AND m.metric_date BETWEEN $2 AND $3
+       AND m.metric_hour IS NULL
+       AND m.ad_set_id IS NULL
+       AND m.ad_id IS NULL
+     GROUP BY c.campaign_id, c.campaign_name, c.status`,
+    [account.id, since, until]
+  );
+
+  if (result.rows.length > 0) {
+    return result.rows.map(deriveMetrics);
+  }
+
+  const unifiedResult = await query(
+    `SELECT platform_campaign_id as campaign_id,
+            (array_agg(campaign_name ORDER BY date DESC))[1] as campaign_name,
+            (array_agg(status ORDER BY date DESC))[1] as status,
+            SUM(impressions) as impressions,
+            SUM(clicks) as clicks,
+            SUM(spend) as spend,
+            SUM(conversions) as conversions,
+            SUM(revenue) as revenue,
+            0 as reach
+     FROM unified_campaigns
+     WHERE workspace_id = $1
+       AND platform = $2
+       AND (metadata->>'ad_account_id' = $3 OR metadata->>'ad_account_id' IS NULL)
+       AND date BETWEEN $4 AND $5
+     GROUP BY platform_campaign_id`,
+    [account.workspace_id, account.platform, String(account.id), since, until]
+  );
+
+  return unifiedResult.rows.map(deriveMetrics);
+}
+
+/**
+ * Get the daily metric series of one campaign from its campaign-level ad_metrics rows
+ *
+ * @param {string} campaignId - campaigns row UUID
+ * @param {string} since - Start date (YYYY-MM-DD, inclusive)
+ * @param {string} until - End date (YYYY-MM-DD, inclusive)
+ * @returns {Promise<Object[]>} Daily rows ordered by date
+ */
+async function getCampaignDailySeries(campaignId, since, until) {
+  const result = await query(
+    `SELECT to_char(metric_date, 'YYYY-MM-DD') as date,
+            SUM(impressions) as impressions,
+            SUM(clicks) as clicks,
+            SUM(spend) as spend,
+            SUM(conversions) as conversions,
+            SUM(conversion_value) as revenue,
+            SUM(reach) as reach
+     FROM ad_metrics
+     WHERE campaign_id = $1
+       AND metric_date BETWEEN $2 AND $3
+       AND metric_hour IS NULL
+       AND ad_set_id IS NULL
+       AND ad_id IS NULL
+     GROUP BY metric_date
+     ORDER BY metric_date ASC`,
+    [campaignId, since, until]
+  );
+
+  return result.rows.map(deriveMetrics);
+}
+
+/**
+ * Get the most recent date with stored metrics for an account
+ *
+ * @param {string} adAccountId - Ad account UUID
+ * @returns {Promise<string|null>} Date (YYYY-MM-DD) or null when nothing is stored
+ */
+async function getLatestMetricDate(adAccountId) {
+  const result = await query(
+    `SELECT to_char(MAX(metric_date), 'YYYY-MM-DD') as latest_date
+     FROM ad_metrics
+     WHERE ad_account_id = $1`,
+    [adAccountId]
+  );
+
+  return result.rows[0]?.latest_date || null;
+}
+
+/**
+ * Format a Date as YYYY-MM-DD (UTC)
+ */
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Shift a YYYY-MM-DD date by a number of days
+ */
+function addDays(dateString, days) {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDateString(date);
+}
+
+module.exports = {
+  BASE_METRICS,
+  DERIVED_METRICS,
+  SUPPORTED_METRICS,
+  deriveMetrics,
+  getAccountDailySeries,
+  getWorkspaceAccounts,
+  getCampaignTotals,
+  getCampaignDailySeries,
+  getWorkspaceDailySeries,
+  mergeSeries,
+  summarizeSeries,
+  getLatestMetricDate,
+  toDateString,
+  addDays,
+};
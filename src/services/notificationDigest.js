@@ -0,0 +1,263 @@
+/**
+ * Notification Digest Service
+ * Summarises unread notifications per user and workspace into daily/weekly
+ * digest emails (and optional Slack posts) for users who opted in via their
+ * notification preferences
+ */
+
+const { query, transaction } = require('../config/database');
+const emailService = require('./emailService');
+const notificationDispatcher = require('./notificationDispatcher');
+const { SEVERITY_ORDER } = require('./notificationPreferences');
+
+const TYPE_LABELS = {
+  anomaly: 'Anomalies',
+  budget_alert: 'Budget alerts',
+  custom_alert: 'Custom alerts',
+  goal: 'Goals',
+  campaign_status: 'Campaign status',
+  system: 'System',
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Items shown per group; everything pending is still marked as included
+const MAX_ITEMS_PER_GROUP = 10;
+const MAX_PENDING_AGE_DAYS = 30;
+
+// Minimum gap between digests, slightly under the period so an hourly job never skips a slot
+const MIN_INTERVAL_HOURS = {
+  daily: 20,
+  weekly: 6 * 24,
+};
+
+class NotificationDigestService {
+  /**
+   * Get users with an active digest subscription
+   */
+  async getSubscribers() {
+    const result = await query(
+      `SELECT np.user_id, np.workspace_id, np.threshold_settings->'digest' as digest,
+              u.email, u.username, w.name as workspace_name,
+              (SELECT MAX(nd.sent_at) FROM notification_digests nd
+               WHERE nd.user_id = np.user_id AND nd.workspace_id = np.workspace_id) as last_sent_at
+       FROM notification_preferences np
+       JOIN users u ON u.id = np.user_id
+       JOIN workspaces w ON w.id = np.workspace_id
+       JOIN workspace_members wm ON wm.workspace_id = np.workspace_id AND wm.user_id = np.user_id
+       WHERE np.notification_type = 'all'
+         AND np.threshold_settings->'digest'->>'frequency' IN ('daily', 'weekly')`
+    );
+    return result.rows;
+  }
+
+  /**
+   * Whether a subscriber's digest is due at this moment
+   * Daily digests go out at the configured local hour; weekly ones also need the configured weekday.
+   */
+  isDue(digest, lastSentAt, now = new Date()) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: digest.timezone || 'UTC',
+      hour: '2-digit',
+      weekday: 'short',
+      hourCycle: 'h23',
+    }).formatToParts(now);
+    const hour = parseInt(parts.find(p => p.type === 'hour').value);
+    const weekday = WEEKDAYS.indexOf(parts.find(p => p.type === 'weekday').value);
+
+    if (hour !== (digest.hour ?? 8)) return false;
+    if (digest.frequency === 'weekly' && weekday !== (digest.day_of_week ?? 1)) return false;
+
+    if (!lastSentAt) return true;
+    return now - new Date(lastSentAt) >= MIN_INTERVAL_HOURS[digest.frequency] * 3600000;
+  }
+
+  /**
+   * Claim the subscriber's pending notifications for a new digest
+   * Every API instance runs the digest job: replicas queue on the subscriber's
+   * preference row, a digest already sent in this slot ends the claim, and
+   * notifications are taken with digest_id IS NULL, so each is sent once.
+   *
+   * @returns {Promise<Object|null>} { digest, notifications } or null when there is nothing to send
+   */
+  async claimNotifications(subscriber) {
+    const frequency = subscriber.digest.frequency;
+
+    return transaction(async (client) => {
+      await client.query(
+        `SELECT id FROM notification_preferences
+         WHERE user_id = $1 AND workspace_id = $2 AND notification_type = 'all'
+         FOR UPDATE`,
+        [subscriber.user_id, subscriber.workspace_id]
+      );
+
+      const recent = await client.query(
+        `SELECT 1 FROM notification_digests
+         WHERE user_id = $1 AND workspace_id = $2 AND sent_at > NOW() - $3 * INTERVAL '1 hour'
+         LIMIT 1`,
+        [subscriber.user_id, subscriber.workspace_id, MIN_INTERVAL_HOURS[frequency]]
+      );
+      if (recent.rows.length > 0) return null;
+
+      const digestResult = await client.query(
+        `INSERT INTO notification_digests (user_id, workspace_id, frequency)
+         VALUES ($1, $2, $3)
+         RETURNING *`,
+        [subscriber.user_id, subscriber.workspace_id, frequency]
+      );
+      const digest = digestResult.rows[0];
+
+      const claimed = await client.query(
+        `UPDATE notifications SET digest_id = $1
+         WHERE user_id = $2
+           AND workspace_id = $3
+           AND is_read = FALSE
+           AND digest_id IS NULL
+           AND created_at > NOW() - INTERVAL '${MAX_PENDING_AGE_DAYS} days'
+         RETURNING id, notification_type, title, message, severity, action_url, created_at`,
+        [digest.id, subscriber.user_id, subscriber.workspace_id]
+      );
+
+      if (claimed.rows.length === 0) {
+        await client.query(`DELETE FROM notification_digests WHERE id = $1`, [digest.id]);
+        return null;
+      }
+
+      const notifications = claimed.rows.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+      return { digest, notifications };
+    });
+  }
+
+  /**
+   * Group notifications by type and severity, most severe groups first
+   *
+   * @returns {Object[]} [{ type, severity, label, total, items }]
+   */
+  groupNotifications(notifications) {
+    const groups = new Map();
+
+    for (const notification of notifications) {
+      const key = `${notification.notification_type}:${notification.severity}`;
+      if (!groups.has(key)) {
+        const typeLabel = TYPE_LABELS[notification.notification_type] || notification.notification_type;
+        groups.set(key, {
+          type: notification.notification_type,
+          severity: notification.severity,
+          label: `${typeLabel} · ${notification.severity}`,
+          total: 0,
+          items: [],
+        });
+      }
+
+      const group = groups.get(key);
+      group.total++;
+      if (group.items.length < MAX_ITEMS_PER_GROUP) {
+        group.items.push({
+          title: notification.title,
+          message: notification.message,
+          severity: notification.severity,
+          actionUrl: notificationDispatcher.absoluteUrl(notification.action_url),
+        });
+      }
+    }
+
+    return [...groups.values()].sort((a, b) =>
+      (SEVERITY_ORDER[b.severity] ?? 0) - (SEVERITY_ORDER[a.severity] ?? 0)
+      || a.type.localeCompare(b.type));
+  }
+
+  /**
+   * Claim, build and send one subscriber's digest, then record how it was delivered
+   * A failed send releases the claimed notifications for the next run.
+   *
+   * @returns {Promise<Object|null>} Digest row, or null when there was nothing to send
+   */
+  async sendDigest(subscriber) {
+    const claim = await this.claimNotifications(subscriber);
+    if (!claim) return null;
+
+    const { notifications } = claim;
+    const { digest } = subscriber;
+    const groups = this.groupNotifications(notifications);
+    const period = digest.frequency === 'weekly' ? 'Weekly' : 'Daily';
+    const title = `${period} digest for ${subscriber.workspace_name}`;
+    const intro = `You have ${notifications.length} unread notification${notifications.length === 1 ? '' : 's'}`
+      + ` in ${subscriber.workspace_name}.`;
+    const inboxUrl = notificationDispatcher.absoluteUrl(`/dashboard?workspaceId=${subscriber.workspace_id}&notifications=open`);
+
+    const channels = [];
+
+    try {
+      await emailService.sendDigestEmail({
+        to: [subscriber.email],
+        subject: `${title} - ${notifications.length} notification${notifications.length === 1 ? '' : 's'}`,
+        title,
+        intro,
+        groups,
+        actionUrl: inboxUrl,
+      });
+      channels.push({ type: 'email', success: true });
+    } catch (error) {
+      // Deleting the digest sets digest_id back to NULL on its notifications
+      await query(`DELETE FROM notification_digests WHERE id = $1`, [claim.digest.id]);
+      throw error;
+    }
+
+    if (digest.slack_webhook_url) {
+      const outcome = await notificationDispatcher.sendWithRetry('slack', { webhook_url: digest.slack_webhook_url }, {
+        eventType: 'digest',
+        workspaceId: subscriber.workspace_id,
+        title,
+        message: intro,
+        severity: groups[0].severity,
+        actionUrl: inboxUrl,
+        fields: groups.map(group => ({ label: group.label, value: String(group.total) })),
+      });
+      channels.push({ type: 'slack', ...outcome });
+    }
+
+    const summary = groups.reduce((acc, group) => {
+      acc[group.type] = acc[group.type] || {};
+      acc[group.type][group.severity] = group.total;
+      return acc;
+    }, {});
+
+    const result = await query(
+      `UPDATE notification_digests
+       SET notification_count = $2, summary = $3, channels = $4, sent_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [claim.digest.id, notifications.length, JSON.stringify(summary), JSON.stringify(channels)]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Send every digest that is due
+   */
+  async runDueDigests(now = new Date()) {
+    const subscribers = await this.getSubscribers();
+    const summary = { subscribers: subscribers.length, sent: 0, empty: 0, failed: 0 };
+
+    for (const subscriber of subscribers) {
+      if (!this.isDue(subscriber.digest, subscriber.last_sent_at, now)) continue;
+
+      try {
+        const digest = await this.sendDigest(subscriber);
+        if (digest) {
+          summary.sent++;
+        } else {
+          summary.empty++;
+        }
+      } catch (error) {
+        summary.failed++;
+        console.error(`Digest for user ${subscriber.user_id} in workspace ${subscriber.workspace_id} failed:`, error.message);
+      }
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new NotificationDigestService();
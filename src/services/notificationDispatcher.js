@@ -0,0 +1,278 @@
+/**
+ * Notification Dispatcher Service
+ * Single delivery path for alert-producing subsystems: creates in-app notifications
+ * and fans out to the workspace's configured channels (Slack, Teams, webhook, email)
+ * with retries and a dead-letter table for deliveries that keep failing
+ */
+
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const { notifyWorkspaceMembers } = require('./notificationService');
+const { SEVERITY_ORDER } = require('./notificationPreferences');
+const { getChannelAdapter } = require('./channels');
+
+const MAX_ATTEMPTS = 3;
+const BASE_RETRY_DELAY_MS = 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class NotificationDispatcher {
+  constructor() {
+    this.retryDelayMs = BASE_RETRY_DELAY_MS;
+  }
+
+  /**
+   * Compare two severities
+   * @returns {boolean} True when severity is at least minSeverity
+   */
+  meetsSeverity(severity, minSeverity) {
+    return (SEVERITY_ORDER[severity] ?? 0) >= (SEVERITY_ORDER[minSeverity] ?? 0);
+  }
+
+  /**
+   * Turn an app-relative link into an absolute URL for external channels
+   */
+  absoluteUrl(url) {
+    if (!url || /^https?:\/\//.test(url)) return url;
+    return `${process.env.APP_URL || 'http://localhost:3000'}${url}`;
+  }
+
+  /**
+   * Normalize an event passed by a producer
+   */
+  buildEvent(workspaceId, event) {
+    return {
+      id: event.id || crypto.randomUUID(),
+      workspaceId,
+      eventType: event.type,
+      title: event.title,
+      message: event.message,
+      severity: event.severity || 'info',
+      actionUrl: this.absoluteUrl(event.actionUrl),
+      fields: event.fields || [],
+      data: event.data || {},
+    };
+  }
+
+  /**
+   * Get active workspace channels subscribed to an event type and severity
+   */
+  async getWorkspaceChannels(workspaceId, eventType, severity) {
+    const result = await query(
+      `SELECT * FROM notification_channels
+       WHERE workspace_id = $1
+         AND is_active = TRUE
+         AND (cardinality(event_types) = 0 OR $2 = ANY(event_types))
+       ORDER BY created_at ASC`,
+      [workspaceId, eventType]
+    );
+
+    return result.rows.filter(channel => this.meetsSeverity(severity, channel.min_severity));
+  }
+
+  /**
+   * Whether a failed delivery is worth retrying (network errors, 408, 429, 5xx)
+   */
+  isRetryable(error) {
+    const status = error.response?.status;
+    if (!status) return true;
+    return status === 408 || status === 429 || status >= 500;
+  }
+
+  /**
+   * Send through one adapter, retrying with exponential backoff
+   *
+   * @returns {Promise<{ success: boolean, attempts: number, error?: string }>}
+   */
+  async sendWithRetry(type, config, event) {
+    const Adapter = getChannelAdapter(type);
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      try {
+        await Adapter.send(config, event);
+        return { success: true, attempts: attempt };
+      } catch (error) {
+        lastError = error;
+        if (attempt === MAX_ATTEMPTS || !this.isRetryable(error)) {
+          return {
+            success: false,
+            attempts: attempt,
+            error: error.response ? `HTTP ${error.response.status}: ${error.message}` : error.message,
+          };
+        }
+        await sleep(this.retryDelayMs * 2 ** (attempt - 1));
+      }
+    }
+
+    return { success: false, attempts: MAX_ATTEMPTS, error: lastError?.message };
+  }
+
+  /**
+   * Record a delivery that failed after all retries
+   */
+  async deadLetter(event, channel, outcome) {
+    await query(
+      `INSERT INTO notification_dead_letters (
+        workspace_id, channel_id, channel_type, channel_config, event_type, payload, attempts, last_error
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [
+        event.workspaceId,
+        channel.id || null,
+        channel.type,
+        JSON.stringify(channel.id ? {} : channel.config),
+        event.eventType,
+        JSON.stringify(event),
+        outcome.attempts,
+        outcome.error,
+      ]
+    );
+  }
+
+  /**
+   * Deliver an event to a single channel and record the outcome
+   *
+   * @param {Object} event - Normalized event
+   * @param {Object} channel - { id?, type, config, name? }
+   */
+  async deliverToChannel(event, channel) {
+    const outcome = await this.sendWithRetry(channel.type, channel.config || {}, event);
+
+    if (channel.id) {
+      await query(
+        `UPDATE notification_channels
+         SET last_delivery_at = CASE WHEN $2 THEN NOW() ELSE last_delivery_at END,
+             last_error = $3
+         WHERE id = $1`,
+        [channel.id, outcome.success, outcome.success ? null : outcome.error]
+      );
+    }
+
+    if (!outcome.success) {
+      console.error(`Notification delivery via ${channel.type} failed after ${outcome.attempts} attempt(s):`, outcome.error);
+      await this.deadLetter(event, channel, outcome);
+    }
+
+    return {
+      type: channel.type,
+      channelId: channel.id || null,
+      name: channel.name || null,
+      ...outcome,
+    };
+  }
+
+  /**
+   * Dispatch a notification event
+   *
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} event
+   * @param {string} event.type - Event / notification type (anomaly, budget_alert, custom_alert, alert, goal, system)
+   * @param {string} event.title - Short title
+   * @param {string} event.message - Body text
+   * @param {string} [event.severity] - info, low, medium, high, critical
+   * @param {string} [event.actionUrl] - App link (relative links are made absolute for external channels)
+   * @param {Object[]} [event.fields] - Detail rows ({ label, value }) for rich channels
+   * @param {Object} [event.data] - Machine-readable payload for webhooks
+   * @param {string} [event.relatedEntityType] - For in-app notifications
+   * @param {string} [event.relatedEntityId] - For in-app notifications
+   * @param {Object} [options]
+   * @param {boolean} [options.inApp=true] - Create in-app notifications for workspace members
+   * @param {string[]} [options.roles] - Restrict in-app notifications to these member roles
+   * @param {Object[]} [options.channels] - Extra inline channels ({ type, config }) e.g. from a rule
+   * @param {boolean} [options.workspaceChannels=true] - Also deliver to the workspace's configured channels
+   * @returns {Promise<Object>} { notifications, deliveries }
+   */
+  async dispatch(workspaceId, event, options = {}) {
+    const { inApp = true, roles = null, channels = [], workspaceChannels = true } = options;
+    const normalized = this.buildEvent(workspaceId, event);
+
+    let notifications = [];
+    if (inApp) {
+      notifications = await notifyWorkspaceMembers(workspaceId, {
+        type: event.type,
+        title: event.title,
+        message: event.message,
+        severity: normalized.severity,
+        relatedEntityType: event.relatedEntityType,
+        relatedEntityId: event.relatedEntityId,
+        actionUrl: event.actionUrl,
+      }, { roles });
+    }
+
+    const targets = [...channels];
+    if (workspaceChannels) {
+      const configured = await this.getWorkspaceChannels(workspaceId, normalized.eventType, normalized.severity);
+      targets.push(...configured.map(row => ({
+        id: row.id,
+        type: row.channel_type,
+        name: row.name,
+        config: row.config,
+      })));
+    }
+
+    const deliveries = [];
+    for (const channel of targets) {
+      try {
+        deliveries.push(await this.deliverToChannel(normalized, channel));
+      } catch (error) {
+        console.error(`Notification dispatch to ${channel.type} failed:`, error.message);
+        deliveries.push({ type: channel.type, channelId: channel.id || null, success: false, error: error.message });
+      }
+    }
+
+    return { notifications, deliveries };
+  }
+
+  /**
+   * Send a test message to a saved channel
+   */
+  async sendTest(channel) {
+    const event = this.buildEvent(channel.workspace_id, {
+      type: 'system',
+      title: 'Test notification',
+      message: `This is a test message for the "${channel.name}" channel.`,
+      severity: 'info',
+      actionUrl: '/dashboard',
+    });
+
+    return this.sendWithRetry(channel.channel_type, channel.config, event);
+  }
+
+  /**
+   * Retry a dead-lettered delivery
+   *
+   * @param {Object} deadLetter - notification_dead_letters row
+   * @returns {Promise<Object>} Delivery outcome
+   */
+  async retryDeadLetter(deadLetter) {
+    let config = deadLetter.channel_config;
+
+    if (deadLetter.channel_id) {
+      const channelResult = await query(
+        `SELECT config FROM notification_channels WHERE id = $1`,
+        [deadLetter.channel_id]
+      );
+      if (channelResult.rows.length === 0) {
+        throw new Error('Channel no longer exists');
+      }
+      config = channelResult.rows[0].config;
+    }
+
+    const outcome = await this.sendWithRetry(deadLetter.channel_type, config, deadLetter.payload);
+
+    await query(
+      `UPDATE notification_dead_letters
+       SET attempts = attempts + $2,
+           last_error = $3,
+           status = CASE WHEN $4 THEN 'resolved' ELSE status END,
+           last_attempt_at = NOW()
+       WHERE id = $1`,
+      [deadLetter.id, outcome.attempts, outcome.success ? null : outcome.error, outcome.success]
+    );
+
+    return outcome;
+  }
+}
+
+module.exports = new NotificationDispatcher();
+module.exports.SEVERITY_ORDER = SEVERITY_ORDER;
@@ -0,0 +1,390 @@
+/**
+ * Notification Preferences
+ * Reads notification_preferences and decides whether a user should receive
+ * a notification on a given channel (in-app or email)
+ *
+ * Rows are per user, workspace and notification_type. A row with
+ * notification_type 'all' acts as the user's workspace-wide default.
+ * threshold_settings holds:
+ *   { min_severity: 'medium', quiet_hours: { enabled, start: '22:00', end: '07:00', timezone, allow_critical } }
+ * The 'all' row may also hold a digest subscription, which replaces per-event emails:
+ *   { digest: { frequency: 'daily' | 'weekly', hour: 8, day_of_week: 1, timezone, slack_webhook_url } }
+ */
+
+const { query } = require('../config/database');
+
+const SEVERITY_ORDER = {
+  info: 0,
+  low: 1,
+  medium: 2,
+  high: 3,
+  critical: 4,
+};
+
+const NOTIFICATION_TYPES = ['anomaly', 'budget_alert', 'custom_alert', 'goal', 'campaign_status', 'system'];
+const DEFAULT_TYPE = 'all';
+const DIGEST_FREQUENCIES = ['daily', 'weekly'];
+
+const DEFAULT_PREFERENCE = {
+  email_enabled: true,
+  in_app_enabled: true,
+  min_severity: 'info',
+  quiet_hours: null,
+  digest: null,
+};
+
+/**
+ * Flatten a notification_preferences row into a preference object
+ * Fields a row leaves NULL are left out, so they inherit from the 'all' row
+ * (or the defaults) in resolvePreference.
+ */
+function rowToPreference(row) {
+  const settings = row.threshold_settings || {};
+  const preference = { notification_type: row.notification_type };
+
+  if (row.email_enabled !== null && row.email_enabled !== undefined) preference.email_enabled = row.email_enabled;
+  if (row.in_app_enabled !== null && row.in_app_enabled !== undefined) preference.in_app_enabled = row.in_app_enabled;
+  if (settings.min_severity) preference.min_severity = settings.min_severity;
+  if (settings.quiet_hours) preference.quiet_hours = settings.quiet_hours;
+  if (settings.digest) preference.digest = settings.digest;
+
+  return preference;
+}
+
+/**
+ * Load preferences for several users at once
+ *
+ * @param {string[]} userIds - User UUIDs
+ * @param {string} workspaceId - Workspace UUID
+ * @returns {Promise<Map<string, Object>>} userId -> { [notification_type]: preference }
+ */
+async function loadPreferences(userIds, workspaceId) {
+  const byUser = new Map(userIds.map(id => [id, {}]));
+  if (userIds.length === 0) return byUser;
+
+  const result = await query(
+    `SELECT * FROM notification_preferences
+     WHERE user_id = ANY($1) AND workspace_id = $2`,
+    [userIds, workspaceId]
+  );
+
+  for (const row of result.rows) {
+    byUser.get(row.user_id)[row.notification_type] = rowToPreference(row);
+  }
+
+  return byUser;
+}
+
+/**
+ * Resolve the preference that applies to a notification type
+ * (type-specific row, then the user's 'all' row, then defaults)
+ */
+function resolvePreference(userPreferences, type) {
+  return {
+    ...DEFAULT_PREFERENCE,
+    ...(userPreferences[DEFAULT_TYPE] || {}),
+    ...(userPreferences[type] || {}),
+    // Digest subscriptions are workspace-wide, only stored on the 'all' row
+    digest: userPreferences[DEFAULT_TYPE]?.digest || null,
+    notification_type: type,
+  };
+}
+
+/**
+ * Convert 'HH:MM' to minutes after midnight
+ */
+function parseTime(value) {
+  const match = String(value || '').match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  const hours = parseInt(match[1]);
+  const minutes = parseInt(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+/**
+ * Whether a moment falls inside a quiet hours window (windows may wrap midnight)
+ *
+ * @param {Object} quietHours - { enabled, start, end, timezone }
+ * @param {Date} [now]
+ */
+function isInQuietHours(quietHours, now = new Date()) {
+  if (!quietHours || !quietHours.enabled) return false;
+
+  const start = parseTime(quietHours.start);
+  const end = parseTime(quietHours.end);
+  if (start === null || end === null || start === end) return false;
+
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: quietHours.timezone || 'UTC',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(now);
+  const hour = parseInt(parts.find(p => p.type === 'hour').value);
+  const minute = parseInt(parts.find(p => p.type === 'minute').value);
+  const current = hour * 60 + minute;
+
+  return start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+}
+
+/**
+ * Whether a digest subscription is active
+ */
+function isDigestEnabled(digest) {
+  return Boolean(digest && DIGEST_FREQUENCIES.includes(digest.frequency));
+}
+
+/**
+ * Decide whether a notification should be delivered to a user on a channel
+ *
+ * @param {Object} preference - Resolved preference
+ * @param {Object} notification
+ * @param {string} notification.channel - 'in_app' or 'email'
+ * @param {string} [notification.severity] - Notification severity
+ * @param {Date} [notification.now]
+ * @returns {boolean}
+ */
+function shouldDeliver(preference, { channel, severity = 'info', now = new Date() }) {
+  if (channel === 'email' && !preference.email_enabled) return false;
+  if (channel === 'in_app' && !preference.in_app_enabled) return false;
+
+  if ((SEVERITY_ORDER[severity] ?? 0) < (SEVERITY_ORDER[preference.min_severity] ?? 0)) {
+    return false;
+  }
+
+  // Digest subscribers get non-critical items in their daily/weekly summary instead
+  if (channel === 'email' && isDigestEnabled(preference.digest) && severity !== 'critical') {
+    return false;
+  }
+
+  // Quiet hours hold back email; the in-app inbox is passive and still fills up
+  if (channel === 'email' && isInQuietHours(preference.quiet_hours, now)) {
+    const allowCritical = preference.quiet_hours.allow_critical !== false;
+    return allowCritical && severity === 'critical';
+  }
+
+  return true;
+}
+
+/**
+ * Filter users down to those whose preferences allow a notification
+ *
+ * @param {string} workspaceId - Workspace UUID
+ * @param {string[]} userIds - Candidate recipients
+ * @param {Object} notification - { type, severity, channel }
+ * @returns {Promise<Set<string>>} Allowed user IDs
+ */
+async function filterAllowedUsers(workspaceId, userIds, { type, severity, channel }) {
+  const preferences = await loadPreferences(userIds, workspaceId);
+  const allowed = new Set();
+
+  for (const userId of userIds) {
+    const preference = resolvePreference(preferences.get(userId), type);
+    if (shouldDeliver(preference, { channel, severity })) {
+      allowed.add(userId);
+    }
+  }
+
+  return allowed;
+}
+
+/**
+ * Filter email addresses by the preferences of the workspace members they belong to
+ * Addresses that do not belong to a workspace member are kept as-is.
+ *
+ * @param {string} workspaceId - Workspace UUID
+ * @param {string[]} addresses - Email addresses
+ * @param {Object} notification - { type, severity }
+ * @returns {Promise<string[]>} Addresses that should receive the email
+ */
+async function filterEmailRecipients(workspaceId, addresses, { type, severity }) {
+  if (addresses.length === 0) return [];
+
+  const result = await query(
+    `SELECT u.id, LOWER(u.email) as email
+     FROM workspace_members wm
+     JOIN users u ON u.id = wm.user_id
+     WHERE wm.workspace_id = $1 AND LOWER(u.email) = ANY($2)`,
+    [workspaceId, addresses.map(address => address.toLowerCase())]
+  );
+
+  const members = new Map(result.rows.map(row => [row.email, row.id]));
+  const allowed = await filterAllowedUsers(workspaceId, [...members.values()], {
+    type,
+    severity,
+    channel: 'email',
+  });
+
+  return addresses.filter(address => {
+    const userId = members.get(address.toLowerCase());
+    return !userId || allowed.has(userId);
+  });
+}
+
+/**
+ * Get a user's preferences for a workspace, with defaults for unset types
+ *
+ * @returns {Promise<Object[]>} One entry per notification type, including 'all'
+ */
+async function getUserPreferences(userId, workspaceId) {
+  const preferences = (await loadPreferences([userId], workspaceId)).get(userId);
+
+  return [DEFAULT_TYPE, ...NOTIFICATION_TYPES].map(type => ({
+    ...(type === DEFAULT_TYPE
+      ? { ...DEFAULT_PREFERENCE, ...(preferences[DEFAULT_TYPE] || {}) }
+      : resolvePreference(preferences, type)),
+    notification_type: type,
+    is_default: !preferences[type],
+  }));
+}
+
+/**
+ * Validate a preference update
+ *
+ * @returns {string|null} Error message, or null when valid
+ */
+function validatePreference(input) {
+  const type = input.notification_type || input.notificationType;
+  if (![DEFAULT_TYPE, ...NOTIFICATION_TYPES].includes(type)) {
+    return `notification_type must be one of: ${[DEFAULT_TYPE, ...NOTIFICATION_TYPES].join(', ')}`;
+  }
+
+  const minSeverity = input.min_severity ?? input.minSeverity;
+  if (minSeverity !== undefined && minSeverity !== null && !(minSeverity in SEVERITY_ORDER)) {
+    return `min_severity must be one of: ${Object.keys(SEVERITY_ORDER).join(', ')}`;
+  }
+
+  const quietHours = input.quiet_hours ?? input.quietHours;
+  if (quietHours) {
+    if (parseTime(quietHours.start) === null || parseTime(quietHours.end) === null) {
+      return 'quiet_hours.start and quiet_hours.end must be HH:MM';
+    }
+    try {
+      new Intl.DateTimeFormat('en-GB', { timeZone: quietHours.timezone || 'UTC' });
+    } catch (error) {
+      return `Invalid quiet_hours.timezone "${quietHours.timezone}"`;
+    }
+  }
+
+  const digest = input.digest;
+  if (digest) {
+    if (type !== DEFAULT_TYPE) {
+      return `digest can only be set on the "${DEFAULT_TYPE}" preference`;
+    }
+    if (![...DIGEST_FREQUENCIES, 'off'].includes(digest.frequency)) {
+      return `digest.frequency must be one of: ${[...DIGEST_FREQUENCIES, 'off'].join(', ')}`;
+    }
+    const hour = digest.hour ?? 8;
+    if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+      return 'digest.hour must be an integer between 0 and 23';
+    }
+    const dayOfWeek = digest.day_of_week ?? digest.dayOfWeek ?? 1;
+    if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+      return 'digest.day_of_week must be an integer between 0 (Sunday) and 6';
+    }
+    try {
+      new Intl.DateTimeFormat('en-GB', { timeZone: digest.timezone || 'UTC' });
+    } catch (error) {
+      return `Invalid digest.timezone "${digest.timezone}"`;
+    }
+    const slackUrl = digest.slack_webhook_url ?? digest.slackWebhookUrl;
+    if (slackUrl && !/^https:\/\/hooks\.slack\.com\//.test(slackUrl)) {
+      return 'digest.slack_webhook_url must start with https://hooks.slack.com/';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Create or update one preference row
+ * Only the fields provided are stored; the others keep their stored value. On
+ * a type row, null (or a field never set) inherits from the 'all' row, so later
+ * changes to the workspace-wide default still reach that type.
+ *
+ * @returns {Promise<Object>} Saved preference
+ */
+async function savePreference(userId, workspaceId, input) {
+  const type = input.notification_type || input.notificationType;
+
+  const existingResult = await query(
+    `SELECT * FROM notification_preferences
+     WHERE user_id = $1 AND workspace_id = $2 AND notification_type = $3`,
+    [userId, workspaceId, type]
+  );
+  const existing = existingResult.rows[0] || {};
+  const provided = (...keys) => keys.some(key => input[key] !== undefined);
+  const valueOf = (...keys) => keys.map(key => input[key]).find(value => value !== undefined) ?? null;
+
+  const emailEnabled = provided('email_enabled', 'emailEnabled')
+    ? valueOf('email_enabled', 'emailEnabled')
+    : existing.email_enabled ?? null;
+  const inAppEnabled = provided('in_app_enabled', 'inAppEnabled')
+    ? valueOf('in_app_enabled', 'inAppEnabled')
+    : existing.in_app_enabled ?? null;
+
+  const thresholdSettings = { ...(existing.threshold_settings || {}) };
+
+  if (provided('min_severity', 'minSeverity')) {
+    thresholdSettings.min_severity = valueOf('min_severity', 'minSeverity');
+  }
+
+  if (provided('quiet_hours', 'quietHours')) {
+    const quietHours = valueOf('quiet_hours', 'quietHours');
+    thresholdSettings.quiet_hours = quietHours
+      ? {
+        enabled: quietHours.enabled !== false,
+        start: quietHours.start,
+        end: quietHours.end,
+        timezone: quietHours.timezone || 'UTC',
+        allow_critical: quietHours.allow_critical ?? quietHours.allowCritical ?? true,
+      }
+      : null;
+  }
+
+  if (type === DEFAULT_TYPE && input.digest !== undefined) {
+    const digest = input.digest;
+    thresholdSettings.digest = isDigestEnabled(digest)
+      ? {
+        frequency: digest.frequency,
+        hour: digest.hour ?? 8,
+        day_of_week: digest.day_of_week ?? digest.dayOfWeek ?? 1,
+        timezone: digest.timezone || 'UTC',
+        slack_webhook_url: digest.slack_webhook_url ?? digest.slackWebhookUrl ?? null,
+      }
+      : null;
+  }
+
+  const result = await query(
+    `INSERT INTO notification_preferences (
+      user_id, workspace_id, notification_type, email_enabled, in_app_enabled, threshold_settings
+    ) VALUES ($1, $2, $3, $4, $5, $6)
+    ON CONFLICT (user_id, workspace_id, notification_type)
+    DO UPDATE SET
+      email_enabled = EXCLUDED.email_enabled,
+      in_app_enabled = EXCLUDED.in_app_enabled,
+      threshold_settings = EXCLUDED.threshold_settings
+    RETURNING *`,
+    [userId, workspaceId, type, emailEnabled, inAppEnabled, JSON.stringify(thresholdSettings)]
+  );
+
+  return rowToPreference(result.rows[0]);
+}
+
+module.exports = {
+  SEVERITY_ORDER,
+  NOTIFICATION_TYPES,
+  DIGEST_FREQUENCIES,
+  DEFAULT_PREFERENCE,
+  isInQuietHours,
+  isDigestEnabled,
+  shouldDeliver,
+  filterAllowedUsers,
+  filterEmailRecipients,
+  getUserPreferences,
+  validatePreference,
+  savePreference,
+};
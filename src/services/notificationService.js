@@ -0,0 +1,118 @@
+/**
+ * Notification Service
+ * Creates in-app notifications (notifications table) for workspace members
+ */
+
+const { query } = require('../config/database');
+const { filterAllowedUsers } = require('./notificationPreferences');
+
+/**
+ * Create a notification for a single user, unless their notification preferences
+ * (in-app disabled or below their minimum severity) suppress it
+ *
+ * @param {Object} notification
+ * @param {string} notification.userId - Recipient user ID
+ * @param {string} notification.workspaceId - Workspace ID
+ * @param {string} notification.type - notification_type (anomaly, budget_alert, custom_alert, goal, system, campaign_status)
+ * @param {string} notification.title - Short title
+ * @param {string} notification.message - Notification body
+ * @param {string} [notification.severity] - info, low, medium, high, critical
+ * @param {string} [notification.relatedEntityType] - e.g. 'anomaly'
+ * @param {string} [notification.relatedEntityId] - UUID of the related entity
+ * @param {string} [notification.actionUrl] - Link for the notification
+ * @param {Object} [options]
+ * @param {boolean} [options.checkPreferences=true] - Skip when the caller already filtered recipients
+ * @returns {Promise<Object|null>} Created notification row, or null when suppressed
+ */
+async function createNotification({
+  userId,
+  workspaceId,
+  type,
+  title,
+  message,
+  severity = 'info',
+  relatedEntityType = null,
+  relatedEntityId = null,
+  actionUrl = null,
+}, options = {}) {
+  if (options.checkPreferences !== false) {
+    const allowed = await filterAllowedUsers(workspaceId, [userId], { type, severity, channel: 'in_app' });
+    if (!allowed.has(userId)) return null;
+  }
+
+  const result = await query(
+    `INSERT INTO notifications (
+      user_id, workspace_id, notification_type, title, message, severity,
+      related_entity_type, related_entity_id, action_url
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    RETURNING *`,
+    [userId, workspaceId, type, title, message, severity, relatedEntityType, relatedEntityId, actionUrl]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Get workspace members that should receive a notification
+ *
+ * @param {string} workspaceId - Workspace ID
+ * @param {string[]} [roles] - Restrict to these member roles (e.g. ['owner', 'admin'])
+ * @returns {Promise<Object[]>} Members with user_id, email, username and role
+ */
+async function getRecipients(workspaceId, roles = null) {
+  let sql = `
+    SELECT wm.user_id, wm.role, u.email, u.username
+    FROM workspace_members wm
+    JOIN users u ON u.id = wm.user_id
+    WHERE wm.workspace_id = $1
+  `;
+  const params = [workspaceId];
+
+  if (roles && roles.length > 0) {
+    sql += ' AND wm.role = ANY($2)';
+    params.push(roles);
+  }
+
+  const result = await query(sql, params);
+  return result.rows;
+}
+
+/**
+ * Create the same notification for every member of a workspace whose preferences allow it
+ *
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} notification - Same fields as createNotification, without userId/workspaceId
+ * @param {Object} [options]
+ * @param {string[]} [options.roles] - Only notify members with these roles
+ * @returns {Promise<Object[]>} Created notification rows
+ */
+async function notifyWorkspaceMembers(workspaceId, notification, options = {}) {
+  const recipients = await getRecipients(workspaceId, options.roles);
+  const allowed = await filterAllowedUsers(workspaceId, recipients.map(r => r.user_id), {
+    type: notification.type,
+    severity: notification.severity || 'info',
+    channel: 'in_app',
+  });
+  const created = [];
+
+  for (const recipient of recipients.filter(r => allowed.has(r.user_id))) {
+    try {
+      const row = await createNotification({
+        ...notification,
+        userId: recipient.user_id,
+        workspaceId,
+      }, { checkPreferences: false });
+      created.push(row);
+    } catch (error) {
+      console.error(`Failed to create notification for user ${recipient.user_id}:`, error.message);
+    }
+  }
+
+  return created;
+}
+
+module.exports = {
+  createNotification,
+  getRecipients,
+  notifyWorkspaceMembers,
+};
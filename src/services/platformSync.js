@@ -0,0 +1,773 @@
+/**
+ * Platform Sync Service
+ * Pulls the campaign / ad set / ad hierarchy and daily metrics of connected ad
+ * accounts through the platform services, upserts them into campaigns, ad_sets,
+ * ads, ad_metrics and unified_campaigns, and records each run in sync_jobs
+ */
+
+const { query, transaction } = require('../config/database');
+const config = require('../config/config');
+const { getPlatformService } = require('./platforms');
+const conversions = require('./platforms/conversions');
+const { deriveMetrics, getLatestMetricDate, addDays } = require('./metricsStore');
+const { getZonedParts, isValidTimeZone } = require('./reportSchedule');
+const tokenManager = require('./tokenManager');
+
+const JOB_TYPES = ['full', 'incremental', 'realtime'];
+const SYNCABLE_PLATFORMS = ['meta', 'google', 'tiktok', 'linkedin'];
+
+// Days of history pulled by a full sync
+const FULL_SYNC_DAYS = 90;
+// Platforms keep restating recent days as conversions get attributed
+const INCREMENTAL_LOOKBACK_DAYS = 3;
+// Longest date range requested at once (TikTok's daily reports allow 30 days)
+const MAX_WINDOW_DAYS = 30;
+// A job still 'running' after this long belongs to a process that died mid-sync
+const STALE_JOB_MINUTES = 120;
+
+const NIL_UUID = '00000000-0000-0000-0000-000000000000';
+// Must match idx_ad_metrics_grain (migration 025)
+const METRICS_CONFLICT_TARGET = `(
+  ad_account_id,
+  (COALESCE(campaign_id, '${NIL_UUID}'::uuid)),
+  (COALESCE(ad_set_id, '${NIL_UUID}'::uuid)),
+  (COALESCE(ad_id, '${NIL_UUID}'::uuid)),
+  metric_date,
+  (COALESCE(metric_hour, -1))
+)`;
+
+/**
+ * Today's date (YYYY-MM-DD) in the ad account's timezone, which is the day
+ * boundary the platforms report in
+ */
+function getAccountToday(account, now = new Date()) {
+  const timeZone = isValidTimeZone(account.timezone) ? account.timezone : 'UTC';
+  const { year, month, day } = getZonedParts(now, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Date range a sync job covers
+ *
+ * @param {Object} account - ad_accounts row
+ * @param {string} jobType - full, incremental or realtime
+ * @param {Object} [options] - Explicit startDate / endDate override the defaults
+ * @returns {Promise<{ startDate: string, endDate: string }>}
+ */
+async function getSyncRange(account, jobType, options = {}) {
+  const today = getAccountToday(account);
+  const endDate = options.endDate || today;
+
+  if (options.startDate) {
+    return { startDate: options.startDate, endDate };
+  }
+
+  if (jobType === 'realtime') {
+    return { startDate: today, endDate };
+  }
+
+  const fullStart = addDays(today, -(FULL_SYNC_DAYS - 1));
+
+  if (jobType === 'incremental') {
+    const latestDate = await getLatestMetricDate(account.id);
+    if (latestDate) {
+      const startDate = addDays(latestDate, -INCREMENTAL_LOOKBACK_DAYS);
+      return { startDate: startDate > fullStart ? startDate : fullStart, endDate };
+    }
+  }
+
+  return { startDate: fullStart, endDate };
+}
+
+/**
+ * Split a date range into consecutive windows of at most MAX_WINDOW_DAYS
+ */
+function splitRange(startDate, endDate) {
+  const windows = [];
+  let since = startDate;
+
+  while (since <= endDate) {
+    const windowEnd = addDays(since, MAX_WINDOW_DAYS - 1);
+    const until = windowEnd < endDate ? windowEnd : endDate;
+    windows.push({ since, until });
+    since = addDays(until, 1);
+  }
+
+  return windows;
+}
+
+/**
+ * Create a running sync job for an account
+ *
+ * @returns {Promise<Object|null>} sync_jobs row, or null when the account is already syncing
+ */
+async function startJob(account, jobType, range) {
+  await query(
+    `UPDATE sync_jobs
+     SET status = 'failed', error_message = 'Sync interrupted', completed_at = CURRENT_TIMESTAMP
+     WHERE ad_account_id = $1
+       AND status = 'running'
+       AND started_at < CURRENT_TIMESTAMP - make_interval(mins => $2)`,
+    [account.id, STALE_JOB_MINUTES]
+  );
+
+  try {
+    const result = await query(
+      `INSERT INTO sync_jobs (ad_account_id, job_type, status, start_date, end_date, started_at)
+       VALUES ($1, $2, 'running', $3, $4, CURRENT_TIMESTAMP)
+       RETURNING *`,
+      [account.id, jobType, range.startDate, range.endDate]
+    );
+
+    await query(
+      `UPDATE ad_accounts SET sync_status = 'syncing' WHERE id = $1`,
+      [account.id]
+    );
+
+    return result.rows[0];
+  } catch (error) {
+    // idx_sync_jobs_running: another process is syncing this account
+    if (error.code === '23505') return null;
+    throw error;
+  }
+}
+
+async function updateJobProgress(jobId, progress, recordsProcessed, recordsFailed) {
+  await query(
+    `UPDATE sync_jobs
+     SET progress = $2, records_processed = $3, records_failed = $4
+     WHERE id = $1`,
+    [jobId, JSON.stringify(progress), recordsProcessed, recordsFailed]
+  );
+}
+
+async function completeJob(job, account, progress, recordsProcessed, recordsFailed) {
+  await query(
+    `UPDATE sync_jobs
+     SET status = 'completed', progress = $2, records_processed = $3, records_failed = $4,
+         completed_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [job.id, JSON.stringify(progress), recordsProcessed, recordsFailed]
+  );
+
+  await query(
+    `UPDATE ad_accounts
+     SET sync_status = 'completed', sync_error = NULL, last_sync_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [account.id]
+  );
+}
+
+async function failJob(job, account, progress, recordsProcessed, recordsFailed, error) {
+  await query(
+    `UPDATE sync_jobs
+     SET status = 'failed', progress = $2, records_processed = $3, records_failed = $4,
+         error_message = $5, completed_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [job.id, JSON.stringify(progress), recordsProcessed, recordsFailed, error.message]
+  );
+
+  await query(
+    `UPDATE ad_accounts SET sync_status = 'failed', sync_error = $2 WHERE id = $1`,
+    [account.id, error.message]
+  );
+}
+
+/**
+ * Upsert the account's campaigns
+ *
+ * @returns {Promise<Map>} Platform campaign ID -> campaigns row
+ */
+async function syncCampaigns(account, campaigns) {
+  return transaction(async (client) => {
+    const byPlatformId = new Map();
+
+    for (const campaign of campaigns) {
+      const result = await client.query(
+        `INSERT INTO campaigns (ad_account_id, platform, campaign_id, campaign_name, objective, status,
+                                start_date, end_date, budget_amount, budget_type, bid_strategy, metadata)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+         ON CONFLICT (ad_account_id, platform, campaign_id) DO UPDATE SET
+           campaign_name = EXCLUDED.campaign_name,
+           objective = EXCLUDED.objective,
+           status = EXCLUDED.status,
+           start_date = EXCLUDED.start_date,
+           end_date = EXCLUDED.end_date,
+           budget_amount = EXCLUDED.budget_amount,
+           budget_type = EXCLUDED.budget_type,
+           bid_strategy = EXCLUDED.bid_strategy,
+           metadata = EXCLUDED.metadata
+         RETURNING id, campaign_id, campaign_name, objective, status, budget_amount`,
+        [
+          account.id, account.platform, campaign.campaignId, campaign.name, campaign.objective,
+          campaign.status, campaign.startDate, campaign.endDate, campaign.budgetAmount,
+          campaign.budgetType, campaign.bidStrategy, JSON.stringify(campaign.metadata || {}),
+        ]
+      );
+      byPlatformId.set(campaign.campaignId, result.rows[0]);
+    }
+
+    return byPlatformId;
+  });
+}
+
+/**
+ * Upsert ad sets under their campaigns; ad sets of unknown campaigns are skipped
+ *
+ * @returns {Promise<{ byPlatformId: Map, skipped: number }>}
+ */
+async function syncAdSets(account, adSets, campaignsById) {
+  return transaction(async (client) => {
+    const byPlatformId = new Map();
+    let skipped = 0;
+
+    for (const adSet of adSets) {
+      const campaign = campaignsById.get(adSet.campaignId);
+      if (!campaign) {
+        skipped++;
+        continue;
+      }
+
+      const result = await client.query(
+        `INSERT INTO ad_sets (campaign_id, platform, ad_set_id, ad_set_name, status, targeting, placement,
+                              budget_amount, bid_amount, start_date, end_date, metadata)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+         ON CONFLICT (campaign_id, platform, ad_set_id) DO UPDATE SET
+           ad_set_name = EXCLUDED.ad_set_name,
+           status = EXCLUDED.status,
+           targeting = EXCLUDED.targeting,
+           placement = EXCLUDED.placement,
+           budget_amount = EXCLUDED.budget_amount,
+           bid_amount = EXCLUDED.bid_amount,
+           start_date = EXCLUDED.start_date,
+           end_date = EXCLUDED.end_date,
+           metadata = EXCLUDED.metadata
+         RETURNING id`,
+        [
+          campaign.id, account.platform, adSet.adSetId, adSet.name, adSet.status,
+          JSON.stringify(adSet.targeting || {}), JSON.stringify(adSet.placement || {}),
+          adSet.budgetAmount, adSet.bidAmount, adSet.startDate, adSet.endDate,
+          JSON.stringify(adSet.metadata || {}),
+        ]
+      );
+      byPlatformId.set(adSet.adSetId, result.rows[0]);
+    }
+
+    return { byPlatformId, skipped };
+  });
+}
+
+/**
+ * Upsert ads under their ad sets; ads of unknown ad sets are skipped
+ *
+ * @returns {Promise<{ synced: number, skipped: number }>}
+ */
+async function syncAds(account, ads, adSetsById) {
+  return transaction(async (client) => {
+    let synced = 0;
+    let skipped = 0;
+
+    for (const ad of ads) {
+      const adSet = adSetsById.get(ad.adSetId);
+      if (!adSet) {
+        skipped++;
+        continue;
+      }
+
+      await client.query(
+        `INSERT INTO ads (ad_set_id, platform, ad_id, ad_name, status, creative_type, headline, description,
+                          call_to_action, image_url, video_url, destination_url, metadata)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+         ON CONFLICT (ad_set_id, platform, ad_id) DO UPDATE SET
+           ad_name = EXCLUDED.ad_name,
+           status = EXCLUDED.status,
+           creative_type = EXCLUDED.creative_type,
+           headline = EXCLUDED.headline,
+           description = EXCLUDED.description,
+           call_to_action = EXCLUDED.call_to_action,
+           image_url = EXCLUDED.image_url,
+           video_url = EXCLUDED.video_url,
+           destination_url = EXCLUDED.destination_url,
+           metadata = EXCLUDED.metadata`,
+        [
+          adSet.id, account.platform, ad.adId, ad.name, ad.status, ad.creativeType, ad.headline,
+          ad.description, ad.callToAction, ad.imageUrl, ad.videoUrl, ad.destinationUrl,
+          JSON.stringify(ad.metadata || {}),
+        ]
+      );
+      synced++;
+    }
+
+    return { synced, skipped };
+  });
+}
+
+/**
+ * Upsert one daily ad_metrics row at the grain of its entity: no IDs for the
+ * account rollup, campaign_id for campaigns, plus ad_set_id and ad_id below
+ *
+ * @param {Object} entity - { campaignId, adSetId, adId } row UUIDs
+ */
+async function upsertDailyMetrics(client, account, entity, row) {
+  const derived = deriveMetrics({ ...row, revenue: row.conversionValue });
+
+  await client.query(
+    `INSERT INTO ad_metrics (ad_account_id, campaign_id, ad_set_id, ad_id, platform, metric_date, impressions,
+                             clicks, spend, conversions, conversion_value, ctr, cpc, cpm, cpa, roas, reach,
+                             frequency, video_views, additional_metrics)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
+     ON CONFLICT ${METRICS_CONFLICT_TARGET} DO UPDATE SET
+       impressions = EXCLUDED.impressions,
+       clicks = EXCLUDED.clicks,
+       spend = EXCLUDED.spend,
+       conversions = EXCLUDED.conversions,
+       conversion_value = EXCLUDED.conversion_value,
+       ctr = EXCLUDED.ctr,
+       cpc = EXCLUDED.cpc,
+       cpm = EXCLUDED.cpm,
+       cpa = EXCLUDED.cpa,
+       roas = EXCLUDED.roas,
+       reach = EXCLUDED.reach,
+       frequency = EXCLUDED.frequency,
+       video_views = EXCLUDED.video_views,
+       additional_metrics = EXCLUDED.additional_metrics`,
+    [
+      account.id, entity.campaignId || null, entity.adSetId || null, entity.adId || null,
+      account.platform, row.date, derived.impressions, derived.clicks,
+      derived.spend, Math.round(derived.conversions), derived.revenue, derived.ctr, derived.cpc,
+      derived.cpm, derived.cpa, derived.roas, row.reach, row.frequency, row.videoViews,
+      // Google reports fractional (data-driven) conversions; keep the exact figure
+      JSON.stringify({ conversions: derived.conversions }),
+    ]
+  );
+
+  return derived;
+}
+
+/**
+ * Upsert one campaign-day into unified_campaigns for cross-platform reporting
+ */
+async function upsertUnifiedCampaign(client, account, campaign, derived, date) {
+  await client.query(
+    `INSERT INTO unified_campaigns (workspace_id, platform, platform_campaign_id, campaign_name, status,
+                                    objective, budget, spend, impressions, clicks, conversions, revenue,
+                                    ctr, cpc, cpm, roas, date, metadata)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+     ON CONFLICT (workspace_id, platform, platform_campaign_id, date) DO UPDATE SET
+       campaign_name = EXCLUDED.campaign_name,
+       status = EXCLUDED.status,
+       objective = EXCLUDED.objective,
+       budget = EXCLUDED.budget,
+       spend = EXCLUDED.spend,
+       impressions = EXCLUDED.impressions,
+       clicks = EXCLUDED.clicks,
+       conversions = EXCLUDED.conversions,
+       revenue = EXCLUDED.revenue,
+       ctr = EXCLUDED.ctr,
+       cpc = EXCLUDED.cpc,
+       cpm = EXCLUDED.cpm,
+       roas = EXCLUDED.roas,
+       metadata = EXCLUDED.metadata,
+       updated_at = NOW()`,
+    [
+      account.workspace_id, account.platform, campaign.campaign_id, campaign.campaign_name,
+      campaign.status, campaign.objective, campaign.budget_amount, derived.spend, derived.impressions,
+      derived.clicks, Math.round(derived.conversions), derived.revenue, derived.ctr, derived.cpc,
+      derived.cpm, derived.roas, date,
+      JSON.stringify({ ad_account_id: account.id, account_id: account.account_id, campaign_id: campaign.id }),
+    ]
+  );
+}
+
+/**
+ * Stored ad sets and ads of an account by platform ID, with the row UUIDs of
+ * their parents, for attaching ad set and ad metrics to the hierarchy
+ *
+ * @returns {Promise<{ adSets: Map, ads: Map }>}
+ */
+async function getStoredEntities(account) {
+  const [adSetsResult, adsResult] = await Promise.all([
+    query(
+      `SELECT s.id, s.ad_set_id, s.campaign_id
+       FROM ad_sets s
+       JOIN campaigns c ON c.id = s.campaign_id
+       WHERE c.ad_account_id = $1`,
+      [account.id]
+    ),
+    query(
+      `SELECT a.id, a.ad_id, a.ad_set_id, s.campaign_id
+       FROM ads a
+       JOIN ad_sets s ON s.id = a.ad_set_id
+       JOIN campaigns c ON c.id = s.campaign_id
+       WHERE c.ad_account_id = $1`,
+      [account.id]
+    ),
+  ]);
+
+  return {
+    adSets: new Map(adSetsResult.rows.map(row => [row.ad_set_id, { campaignId: row.campaign_id, adSetId: row.id }])),
+    ads: new Map(adsResult.rows.map(row => [row.ad_id, { campaignId: row.campaign_id, adSetId: row.ad_set_id, adId: row.id }])),
+  };
+}
+
+/**
+ * Pull and upsert daily metrics for a date range: account and campaign rows on
+ * every run, ad set and ad rows unless the run only refreshes today's numbers
+ *
+ * @param {Object} [options] - { entityLevels: false } skips the ad set and ad rows
+ * @returns {Promise<{ accountRows: number, campaignRows: number, adSetRows: number, adRows: number, skipped: number }>}
+ */
+async function syncMetrics(account, service, campaignsById, range, options = {}) {
+  const totals = { accountRows: 0, campaignRows: 0, adSetRows: 0, adRows: 0, skipped: 0 };
+  // Conversions are stored as counted by the account's conversion definition
+  const fetchOptions = { conversions: conversions.fromAccount(account) };
+  const entityLevels = options.entityLevels !== false;
+  const entities = entityLevels ? await getStoredEntities(account) : null;
+
+  const fetchLevel = (level, since, until) => tokenManager.withAccessToken(account, accessToken =>
+    service.fetchDailyInsights(account.account_id, accessToken, level, since, until, config, fetchOptions));
+
+  for (const { since, until } of splitRange(range.startDate, range.endDate)) {
+    const accountRows = await fetchLevel('account', since, until);
+    const campaignRows = await fetchLevel('campaign', since, until);
+    const adSetRows = entityLevels && entities.adSets.size > 0 ? await fetchLevel('ad_set', since, until) : [];
+    const adRows = entityLevels && entities.ads.size > 0 ? await fetchLevel('ad', since, until) : [];
+
+    await transaction(async (client) => {
+      for (const row of accountRows) {
+        await upsertDailyMetrics(client, account, {}, row);
+        totals.accountRows++;
+      }
+
+      for (const row of campaignRows) {
+        const campaign = campaignsById.get(row.campaignId);
+        if (!campaign) {
+          totals.skipped++;
+          continue;
+        }
+
+        const derived = await upsertDailyMetrics(client, account, { campaignId: campaign.id }, row);
+        await upsertUnifiedCampaign(client, account, campaign, derived, row.date);
+        totals.campaignRows++;
+      }
+
+      for (const row of adSetRows) {
+        const entity = entities.adSets.get(row.adSetId);
+        if (!entity) {
+          totals.skipped++;
+          continue;
+        }
+        await upsertDailyMetrics(client, account, entity, row);
+        totals.adSetRows++;
+      }
+
+      for (const row of adRows) {
+        const entity = entities.ads.get(row.adId);
+        if (!entity) {
+          totals.skipped++;
+          continue;
+        }
+        await upsertDailyMetrics(client, account, entity, row);
+        totals.adRows++;
+      }
+    });
+  }
+
+  return totals;
+}
+
+/**
+ * Sync one ad account
+ *
+ * @param {Object} account - ad_accounts row
+ * @param {Object} [options]
+ * @param {string} [options.jobType='incremental'] - full, incremental or realtime
+ * @param {string} [options.startDate] - Override the range start (YYYY-MM-DD)
+ * @param {string} [options.endDate] - Override the range end (YYYY-MM-DD)
+ * @returns {Promise<Object>} { adAccountId, jobId, jobType, status, startDate, endDate, progress, recordsProcessed, recordsFailed, error }
+ */
+async function syncAccount(account, options = {}) {
+  let jobType = options.jobType || 'incremental';
+  if (!JOB_TYPES.includes(jobType)) {
+    throw new Error(`Unknown sync job type: ${jobType}`);
+  }
+
+  // Nothing stored yet: an incremental sync has nothing to continue from
+  if (jobType === 'incremental' && !options.startDate && !(await getLatestMetricDate(account.id))) {
+    jobType = 'full';
+  }
+
+  const range = await getSyncRange(account, jobType, options);
+  const job = await startJob(account, jobType, range);
+
+  if (!job) {
+    return { adAccountId: account.id, jobType, status: 'skipped', reason: 'Sync already running' };
+  }
+
+  console.log(`🔄 Syncing ${account.platform} account ${account.account_id} (${jobType}, ${range.startDate} → ${range.endDate})`);
+
+  const progress = {};
+  let recordsProcessed = 0;
+  let recordsFailed = 0;
+
+  try {
+    const service = getPlatformService(account.platform);
+    // Refreshes the token when it is about to expire and retries once on a 401
+    const fetchWithToken = method => tokenManager.withAccessToken(account, accessToken =>
+      service[method](account.account_id, accessToken, config));
+
+    const campaigns = await fetchWithToken('fetchCampaigns');
+    const campaignsById = await syncCampaigns(account, campaigns);
+    progress.campaigns = campaignsById.size;
+    recordsProcessed += campaignsById.size;
+    await updateJobProgress(job.id, progress, recordsProcessed, recordsFailed);
+
+    // Realtime runs only refresh today's numbers; the hierarchy below changes rarely
+    if (jobType !== 'realtime') {
+      const adSets = await fetchWithToken('fetchAdSets');
+      const adSetResult = await syncAdSets(account, adSets, campaignsById);
+      progress.ad_sets = adSetResult.byPlatformId.size;
+      recordsProcessed += adSetResult.byPlatformId.size;
+      recordsFailed += adSetResult.skipped;
+      await updateJobProgress(job.id, progress, recordsProcessed, recordsFailed);
+
+      const ads = await fetchWithToken('fetchAds');
+      const adResult = await syncAds(account, ads, adSetResult.byPlatformId);
+      progress.ads = adResult.synced;
+      recordsProcessed += adResult.synced;
+      recordsFailed += adResult.skipped;
+      await updateJobProgress(job.id, progress, recordsProcessed, recordsFailed);
+    }
+
+    const metrics = await syncMetrics(account, service, campaignsById, range, { entityLevels: jobType !== 'realtime' });
+    progress.account_metrics = metrics.accountRows;
+    progress.campaign_metrics = metrics.campaignRows;
+    progress.ad_set_metrics = metrics.adSetRows;
+    progress.ad_metrics = metrics.adRows;
+    recordsProcessed += metrics.accountRows + metrics.campaignRows + metrics.adSetRows + metrics.adRows;
+    recordsFailed += metrics.skipped;
+
+    await completeJob(job, account, progress, recordsProcessed, recordsFailed);
+    console.log(`✅ Synced ${account.platform} account ${account.account_id}: ${recordsProcessed} records`);
+
+    return {
+      adAccountId: account.id,
+      jobId: job.id,
+      jobType,
+      status: 'completed',
+      startDate: range.startDate,
+      endDate: range.endDate,
+      progress,
+      recordsProcessed,
+      recordsFailed,
+    };
+  } catch (error) {
+    const message = error.response?.data?.error?.message || error.message;
+    console.error(`❌ Sync failed for ${account.platform} account ${account.account_id}:`, message);
+    await failJob(job, account, progress, recordsProcessed, recordsFailed, new Error(message));
+
+    return {
+      adAccountId: account.id,
+      jobId: job.id,
+      jobType,
+      status: 'failed',
+      startDate: range.startDate,
+      endDate: range.endDate,
+      progress,
+      recordsProcessed,
+      recordsFailed,
+      error: message,
+    };
+  }
+}
+
+/**
+ * Active, syncable ad accounts, optionally limited to a workspace / platform
+ */
+async function getSyncableAccounts(filters = {}) {
+  let sql = `
+    SELECT * FROM ad_accounts
+    WHERE status = 'active'
+      AND needs_reauth = FALSE
+      AND platform = ANY($1)
+  `;
+  const params = [SYNCABLE_PLATFORMS];
+
+  if (filters.workspaceId) {
+    params.push(filters.workspaceId);
+    sql += ` AND workspace_id = $${params.length}`;
+  }
+
+  if (filters.platform) {
+    params.push(filters.platform);
+    sql += ` AND platform = $${params.length}`;
+  }
+
+  if (filters.adAccountId) {
+    params.push(filters.adAccountId);
+    sql += ` AND id = $${params.length}`;
+  }
+
+  const result = await query(`${sql} ORDER BY last_sync_at ASC NULLS FIRST`, params);
+  return result.rows;
+}
+
+/**
+ * Sync every matching account one after another
+ *
+ * @param {Object} [filters] - { workspaceId, platform, adAccountId }
+ * @param {Object} [options] - Passed to syncAccount
+ * @returns {Promise<Object>} { accounts, completed, failed, skipped, results }
+ */
+async function syncAccounts(filters = {}, options = {}) {
+  const accounts = await getSyncableAccounts(filters);
+  const summary = { accounts: accounts.length, completed: 0, failed: 0, skipped: 0, results: [] };
+
+  for (const account of accounts) {
+    const result = await syncAccount(account, options);
+    summary[result.status]++;
+    summary.results.push(result);
+  }
+
+  return summary;
+}
+
+/**
+ * Create or update ad_accounts for a TikTok / LinkedIn connection stored in
+ * platform_credentials, so the pipeline can sync them like OAuth accounts
+ *
+ * @returns {Promise<Object[]>} The workspace's ad_accounts rows for the platform
+ */
+async function registerCredentialAccounts(workspaceId, platform) {
+  const credResult = await query(
+    `SELECT id, credentials FROM platform_credentials
+     WHERE workspace_id = $1 AND platform = $2 AND is_active = true`,
+    [workspaceId, platform]
+  );
+
+  const credential = credResult.rows[0];
+  if (!credential) return [];
+
+  const service = getPlatformService(platform);
+  const { access_token: accessToken, advertiser_ids: advertiserIds = [] } = credential.credentials;
+  let accounts = await service.fetchAdAccounts(accessToken, config);
+
+  // TikTok's advertiser listing needs app credentials; the IDs granted at connect time suffice
+  if (accounts.length === 0 && advertiserIds.length > 0) {
+    accounts = advertiserIds.map(advertiserId => ({
+      accountId: String(advertiserId),
+      accountName: `Advertiser ${advertiserId}`,
+      currency: null,
+      timezone: 'UTC',
+      status: 'active',
+    }));
+  }
+
+  for (const account of accounts) {
+    await query(
+      `INSERT INTO ad_accounts (workspace_id, platform_credential_id, platform, account_id,
+                                account_name, currency, timezone, status)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (workspace_id, platform, account_id) DO UPDATE SET
+         platform_credential_id = EXCLUDED.platform_credential_id,
+         needs_reauth = FALSE,
+         account_name = EXCLUDED.account_name,
+         currency = COALESCE(EXCLUDED.currency, ad_accounts.currency),
+         timezone = EXCLUDED.timezone,
+         status = EXCLUDED.status,
+         updated_at = CURRENT_TIMESTAMP`,
+      [workspaceId, credential.id, platform, String(account.accountId), account.accountName,
+        account.currency, account.timezone, account.status]
+    );
+  }
+
+  const result = await query(
+    `SELECT * FROM ad_accounts WHERE workspace_id = $1 AND platform = $2`,
+    [workspaceId, platform]
+  );
+  return result.rows;
+}
+
+/**
+ * Register and sync the accounts of a platform_credentials connection
+ * When a platform_sync_history row is given it is completed with the outcome.
+ *
+ * @param {string} workspaceId - Workspace UUID
+ * @param {string} platform - tiktok or linkedin
+ * @param {Object} [options] - syncAccount options plus syncHistoryId
+ * @returns {Promise<Object>} syncAccounts summary
+ */
+async function syncCredentialPlatform(workspaceId, platform, options = {}) {
+  const { syncHistoryId, ...syncOptions } = options;
+  const startedAt = Date.now();
+  let summary = null;
+  let errorMessage = null;
+
+  try {
+    await registerCredentialAccounts(workspaceId, platform);
+    summary = await syncAccounts({ workspaceId, platform }, syncOptions);
+    const failures = summary.results.filter(r => r.status === 'failed');
+    if (failures.length > 0) {
+      errorMessage = failures.map(r => r.error).join('; ');
+    }
+  } catch (error) {
+    errorMessage = error.message;
+  }
+
+  const recordsSynced = (summary?.results || []).reduce((sum, r) => sum + (r.recordsProcessed || 0), 0);
+  const recordsFailed = (summary?.results || []).reduce((sum, r) => sum + (r.recordsFailed || 0), 0);
+  const status = errorMessage ? 'failed' : 'completed';
+
+  if (syncHistoryId) {
+    await query(
+      `UPDATE platform_sync_history
+       SET status = $2, records_synced = $3, records_failed = $4, error_message = $5,
+           completed_at = NOW(), duration_seconds = $6
+       WHERE id = $1`,
+      [syncHistoryId, status, recordsSynced, recordsFailed, errorMessage, Math.round((Date.now() - startedAt) / 1000)]
+    );
+  }
+
+  await query(
+    `UPDATE platform_credentials
+     SET last_sync_at = NOW(), sync_status = $3, error_message = $4, updated_at = NOW()
+     WHERE workspace_id = $1 AND platform = $2`,
+    [workspaceId, platform, status, errorMessage]
+  );
+
+  if (!summary) {
+    throw new Error(errorMessage);
+  }
+
+  return summary;
+}
+
+/**
+ * Recent sync jobs of an ad account
+ */
+async function getSyncJobs(adAccountId, limit = 20) {
+  const result = await query(
+    `SELECT id, job_type, status, start_date, end_date, records_processed, records_failed,
+            progress, error_message, started_at, completed_at, created_at
+     FROM sync_jobs
+     WHERE ad_account_id = $1
+     ORDER BY created_at DESC
+     LIMIT $2`,
+    [adAccountId, limit]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  JOB_TYPES,
+  SYNCABLE_PLATFORMS,
+  getAccountToday,
+  getSyncRange,
+  splitRange,
+  syncAccount,
+  syncAccounts,
+  getSyncableAccounts,
+  registerCredentialAccounts,
+  syncCredentialPlatform,
+  getSyncJobs,
+};
@@ -0,0 +1,431 @@
+/**
+ * Breakdowns
+ * Dimensions every platform service can split an account's performance by
+ * (fetchBreakdown) and the widget table built from the resulting rows
+ */
+
+const { ValidationError } = require('../../utils/errors');
+
+const BREAKDOWN_DIMENSIONS = ['device', 'country', 'campaign', 'ad_set', 'ad', 'placement', 'age', 'gender'];
+
+const DIMENSION_LABELS = {
+  device: 'Device',
+  country: 'Country',
+  campaign: 'Campaign',
+  ad_set: 'Ad Set',
+  ad: 'Ad',
+  placement: 'Placement',
+  age: 'Age',
+  gender: 'Gender',
+};
+
+const METRIC_LABELS = {
+  spend: 'Spend',
+  impressions: 'Impressions',
+  clicks: 'Clicks',
+  conversions: 'Conversions',
+  conversion_value: 'Conversion Value',
+  reach: 'Reach',
+  ctr: 'CTR',
+  cpc: 'CPC',
+  cpm: 'CPM',
+  cost_per_conversion: 'Cost/Conversion',
+  roas: 'ROAS',
+};
+
+// Metrics shown as whole numbers
+const COUNT_METRICS = ['impressions', 'clicks', 'conversions', 'reach'];
+
+// Country code to name mapping
+const COUNTRY_NAMES = {
+  'US': 'United States',
+  'GB': 'United Kingdom',
+  'CA': 'Canada',
+  'AU': 'Australia',
+  'DE': 'Germany',
+  'FR': 'France',
+  'IT': 'Italy',
+  'ES': 'Spain',
+  'NL': 'Netherlands',
+  'BE': 'Belgium',
+  'CH': 'Switzerland',
+  'AT': 'Austria',
+  'SE': 'Sweden',
+  'NO': 'Norway',
+  'DK': 'Denmark',
+  'FI': 'Finland',
+  'IE': 'Ireland',
+  'PT': 'Portugal',
+  'PL': 'Poland',
+  'CZ': 'Czech Republic',
+  'RO': 'Romania',
+  'GR': 'Greece',
+  'HU': 'Hungary',
+  'BG': 'Bulgaria',
+  'SK': 'Slovakia',
+  'SI': 'Slovenia',
+  'HR': 'Croatia',
+  'LT': 'Lithuania',
+  'LV': 'Latvia',
+  'EE': 'Estonia',
+  'TR': 'Turkey',
+  'RU': 'Russia',
+  'UA': 'Ukraine',
+  'BY': 'Belarus',
+  'RS': 'Serbia',
+  'BA': 'Bosnia',
+  'MK': 'North Macedonia',
+  'AL': 'Albania',
+  'ME': 'Montenegro',
+  'IS': 'Iceland',
+  'BR': 'Brazil',
+  'MX': 'Mexico',
+  'AR': 'Argentina',
+  'CO': 'Colombia',
+  'CL': 'Chile',
+  'PE': 'Peru',
+  'VE': 'Venezuela',
+  'EC': 'Ecuador',
+  'BO': 'Bolivia',
+  'PY': 'Paraguay',
+  'UY': 'Uruguay',
+  'CN': 'China',
+  'JP': 'Japan',
+  'KR': 'South Korea',
+  'IN': 'India',
+  'ID': 'Indonesia',
+  'TH': 'Thailand',
+  'MY': 'Malaysia',
+  'SG': 'Singapore',
+  'PH': 'Philippines',
+  'VN': 'Vietnam',
+  'PK': 'Pakistan',
+  'BD': 'Bangladesh',
+  'LK': 'Sri Lanka',
+  'NP': 'Nepal',
+  'MM': 'Myanmar',
+  'KH': 'Cambodia',
+  'LA': 'Laos',
+  'HK': 'Hong Kong',
+  'TW': 'Taiwan',
+  'MO': 'Macau',
+  'AE': 'UAE',
+  'SA': 'Saudi Arabia',
+  'IL': 'Israel',
+  'EG': 'Egypt',
+  'ZA': 'South Africa',
+  'NG': 'Nigeria',
+  'KE': 'Kenya',
+  'GH': 'Ghana',
+  'MA': 'Morocco',
+  'DZ': 'Algeria',
+  'TN': 'Tunisia',
+  'LY': 'Libya',
+  'SD': 'Sudan',
+  'ET': 'Ethiopia',
+  'UG': 'Uganda',
+  'TZ': 'Tanzania',
+  'AO': 'Angola',
+  'MZ': 'Mozambique',
+  'ZW': 'Zimbabwe',
+  'ZM': 'Zambia',
+  'BW': 'Botswana',
+  'NA': 'Namibia',
+  'SN': 'Senegal',
+  'CI': 'Ivory Coast',
+  'CM': 'Cameroon',
+  'NZ': 'New Zealand',
+  'AZ': 'Azerbaijan',
+  'GE': 'Georgia',
+  'AM': 'Armenia',
+  'KZ': 'Kazakhstan',
+  'UZ': 'Uzbekistan',
+  'KG': 'Kyrgyzstan',
+  'TJ': 'Tajikistan',
+  'TM': 'Turkmenistan',
+  'IQ': 'Iraq',
+  'IR': 'Iran',
+  'SY': 'Syria',
+  'JO': 'Jordan',
+  'LB': 'Lebanon',
+  'KW': 'Kuwait',
+  'OM': 'Oman',
+  'QA': 'Qatar',
+  'BH': 'Bahrain',
+  'YE': 'Yemen'};
+
+/**
+ * Check a dimension against the ones a platform reports
+ *
+ * @param {string} platformName - Shown in the error (e.g. 'LinkedIn')
+ * @param {string} dimension - Requested dimension
+ * @param {string[]} [supported=BREAKDOWN_DIMENSIONS] - Dimensions the platform reports
+ * @throws {ValidationError} For an unknown or unsupported dimension
+ */
+function assertDimension(platformName, dimension, supported = BREAKDOWN_DIMENSIONS) {
+  if (!BREAKDOWN_DIMENSIONS.includes(dimension)) {
+    throw new ValidationError(`Invalid breakdown dimension. Must be one of: ${BREAKDOWN_DIMENSIONS.join(', ')}`);
+  }
+  if (!supported.includes(dimension)) {
+    throw new ValidationError(`${platformName} does not report a ${DIMENSION_LABELS[dimension].toLowerCase()} breakdown`);
+  }
+}
+
+/**
+ * Normalized breakdown row
+ *
+ * @param {Object} row - { key, name, campaign?, adSet?, spend, impressions, clicks,
+ *   conversions, conversionValue, reach }
+ * @returns {Object} { key, name, campaign, adSet, metrics: { spend, impressions, clicks,
+ *   conversions, conversion_value, reach } }
+ */
+function breakdownRow(row) {
+  return {
+    key: String(row.key),
+    name: row.name || String(row.key),
+    campaign: row.campaign || null,
+    adSet: row.adSet || null,
+    metrics: {
+      spend: parseFloat(row.spend) || 0,
+      impressions: parseFloat(row.impressions) || 0,
+      clicks: parseFloat(row.clicks) || 0,
+      conversions: parseFloat(row.conversions) || 0,
+      conversion_value: parseFloat(row.conversionValue) || 0,
+      reach: parseFloat(row.reach) || 0,
+    },
+  };
+}
+
+/**
+ * Merge rows sharing a key (platforms report some segments per ad group or
+ * per sub-value), summing their metrics
+ */
+function mergeRows(rows) {
+  const merged = new Map();
+
+  for (const row of rows) {
+    const existing = merged.get(row.key);
+    if (!existing) {
+      merged.set(row.key, { ...row, metrics: { ...row.metrics } });
+      continue;
+    }
+    for (const [metric, value] of Object.entries(row.metrics)) {
+      existing.metrics[metric] = (existing.metrics[metric] || 0) + value;
+    }
+  }
+
+  return [...merged.values()];
+}
+
+/**
+ * Value of a metric for a breakdown row; rates are derived from the row's totals
+ */
+function breakdownValue(row, metric) {
+  const { spend, impressions, clicks, conversions, conversion_value: conversionValue } = row.metrics;
+
+  switch (metric) {
+    case 'ctr':
+      return impressions > 0 ? (clicks / impressions) * 100 : 0;
+    case 'cpc':
+      return clicks > 0 ? spend / clicks : 0;
+    case 'cpm':
+      return impressions > 0 ? (spend / impressions) * 1000 : 0;
+    case 'cost_per_conversion':
+      return conversions > 0 ? spend / conversions : 0;
+    case 'roas':
+      return spend > 0 ? conversionValue / spend : 0;
+    default:
+      return row.metrics[metric] || 0;
+  }
+}
+
+/**
+ * Title-case a platform enum value ('MOBILE_APP' -> 'Mobile App')
+ */
+function formatSegmentName(value) {
+  if (!value) return 'Unknown';
+  return String(value)
+    .toLowerCase()
+    .split(/[_\s]+/)
+    .filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+function countryName(code) {
+  const upper = String(code || '').toUpperCase();
+  return COUNTRY_NAMES[upper] || upper || 'Unknown';
+}
+
+// Data keys follow the column labels ('Ad Set Name' -> ad_set_name)
+function columnKey(label) {
+  return label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+function roundValue(metric, value) {
+  return COUNT_METRICS.includes(metric) ? Math.round(value) : Math.round(value * 100) / 100;
+}
+
+function formatMoney(value, currency) {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(value);
+  } catch (error) {
+    return `${value.toFixed(2)} ${currency}`;
+  }
+}
+
+// Row field a breakdown filter matches against
+function filterValues(row, field, dimension) {
+  if (field === dimension) return [row.key, row.name];
+  if (field === 'campaign') return [row.campaign];
+  if (field === 'ad_set') return [row.adSet];
+  return [];
+}
+
+/**
+ * Rows matching every filter ({ campaign: ['Brand'], device: 'mobile' });
+ * values compare case-insensitively against the row's key or name
+ */
+function filterRows(rows, dimension, filters = {}) {
+  const entries = Object.entries(filters)
+    .map(([field, value]) => [field, (Array.isArray(value) ? value : [value]).map(item => String(item).toLowerCase())]);
+  if (entries.length === 0) return rows;
+
+  return rows.filter(row => entries.every(([field, values]) =>
+    filterValues(row, field, dimension).some(value => value != null && values.includes(String(value).toLowerCase()))
+  ));
+}
+
+/**
+ * Widget table of a breakdown
+ * Ad sets and ads get a performance table with one row per entity; every other
+ * dimension a table of the dimension and its metrics, suitable for pie charts
+ * when there is one metric.
+ *
+ * @param {Object} breakdown - fetchBreakdown result
+ * @param {string} metric - Metric to rank (and, for segments, show) rows by
+ * @param {Object} [options] - From the widget data config
+ * @param {string[]} [options.metrics] - Segment metrics to show (default: [metric])
+ * @param {Object} [options.sort] - { by: metric or 'name', direction: 'asc' | 'desc' }
+ * @param {number} [options.limit] - Rows to keep (default 50 entities, 10 segments;
+ *   devices ranked by the metric keep the main ones and group the rest into "Other")
+ * @param {Object} [options.filters] - See filterRows
+ * @returns {Object} { type: 'table', columns, data, dimension, metric, dateRange }
+ */
+function buildBreakdownTable(breakdown, metric, options = {}) {
+  const { dimension, rows = [], currency = 'USD' } = breakdown;
+  const { limit = null, filters = {} } = options;
+  const metrics = options.metrics?.length > 0 ? options.metrics : [metric];
+  const sortBy = options.sort?.by || metric;
+  const direction = options.sort?.direction === 'asc' ? 1 : -1;
+  const label = DIMENSION_LABELS[dimension] || 'Segment';
+
+  const ranked = filterRows(rows, dimension, filters)
+    .map(row => ({ row, value: breakdownValue(row, metric) }))
+    .sort((a, b) => direction * (sortBy === 'name'
+      ? a.row.name.localeCompare(b.row.name)
+      : breakdownValue(a.row, sortBy) - breakdownValue(b.row, sortBy)));
+
+  const table = (columns, data) => ({
+    type: 'table',
+    columns,
+    data,
+    dimension,
+    metric,
+    dateRange: breakdown.dateRange,
+  });
+
+  if (dimension === 'ad_set' || dimension === 'ad') {
+    const columns = [
+      `${label} Name`,
+      ...(dimension === 'ad' ? ['Ad Set'] : []),
+      'Campaign', 'Spend', 'Impressions', 'Clicks', 'CTR', 'CPC', 'Conversions', 'Conv. Rate', 'Cost/Conversion', 'ROAS',
+    ];
+
+    return table(columns, ranked.slice(0, limit || 50).map(({ row }) => {
+      const { spend, impressions, clicks, conversions } = row.metrics;
+      const cpc = breakdownValue(row, 'cpc');
+      const costPerConversion = breakdownValue(row, 'cost_per_conversion');
+      const roas = breakdownValue(row, 'roas');
+
+      return {
+        [columnKey(`${label} Name`)]: row.name,
+        ...(dimension === 'ad' ? { ad_set: row.adSet || 'N/A' } : {}),
+        campaign: row.campaign || 'N/A',
+        spend: formatMoney(spend, currency),
+        impressions: Math.round(impressions).toLocaleString(),
+        clicks: Math.round(clicks).toLocaleString(),
+        ctr: breakdownValue(row, 'ctr').toFixed(2) + '%',
+        cpc: cpc > 0 ? formatMoney(cpc, currency) : '-',
+        conversions: Math.round(conversions).toLocaleString(),
+        conv_rate: clicks > 0 ? ((conversions / clicks) * 100).toFixed(2) + '%' : '0%',
+        cost_conversion: costPerConversion > 0 ? formatMoney(costPerConversion, currency) : '-',
+        roas: roas > 0 ? roas.toFixed(2) + 'x' : '-',
+      };
+    }));
+  }
+
+  const metricLabels = metrics.map(name => METRIC_LABELS[name] || name);
+  const dimensionKey = columnKey(label);
+  let segments = ranked.filter(({ value }) => value > 0).map(({ row }) => row);
+
+  if (limit) {
+    segments = segments.slice(0, limit);
+  } else if (dimension === 'device' && sortBy === metric && direction === -1) {
+    // Keep the top 3 devices and any device above 2%, group the rest into "Other"
+    const total = segments.reduce((sum, row) => sum + breakdownValue(row, metric), 0);
+    const main = segments.filter((row, index) => index < 3 || breakdownValue(row, metric) >= total * 0.02);
+    const rest = segments.slice(main.length);
+    segments = rest.length > 0
+      ? [...main, { ...mergeRows(rest.map(row => ({ ...row, key: 'other' })))[0], name: 'Other' }]
+      : main;
+  } else {
+    segments = segments.slice(0, 10);
+  }
+
+  const metricValues = row => Object.fromEntries(metrics.map((name, index) =>
+    [columnKey(metricLabels[index]), roundValue(name, breakdownValue(row, name))]
+  ));
+
+  if (dimension === 'country') {
+    const isSingleCountry = segments.length === 1;
+    return table([label, ...metricLabels, 'Code'], segments.map(row => ({
+      [dimensionKey]: isSingleCountry ? `${row.name} (Only market)` : row.name,
+      ...metricValues(row),
+      code: row.key,
+    })));
+  }
+
+  return table([label, ...metricLabels], segments.map(row => ({
+    [dimensionKey]: row.name,
+    ...metricValues(row),
+  })));
+}
+
+/**
+ * Table returned when a breakdown could not be fetched
+ */
+function emptyBreakdownTable(dimension, metric, error) {
+  return {
+    type: 'table',
+    columns: [DIMENSION_LABELS[dimension] || 'Segment', METRIC_LABELS[metric] || metric],
+    data: [],
+    dimension,
+    metric,
+    error,
+  };
+}
+
+module.exports = {
+  BREAKDOWN_DIMENSIONS,
+  DIMENSION_LABELS,
+  assertDimension,
+  breakdownRow,
+  mergeRows,
+  filterRows,
+  breakdownValue,
+  formatSegmentName,
+  countryName,
+  buildBreakdownTable,
+  emptyBreakdownTable,
+};
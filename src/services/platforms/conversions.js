@@ -0,0 +1,203 @@
+/**
+ * Conversion Definitions
+ * Which conversion actions an ad account counts and over which attribution
+ * windows. Settings are stored per account (ad_accounts.conversion_actions,
+ * click_attribution_days, view_attribution_days; NULL = platform default) and
+ * passed to the platform services as options.conversions.
+ *
+ * What can be chosen differs per platform:
+ * - Meta: any action type; click and view windows are insights parameters
+ * - Google Ads: conversion action names; the click window is applied through
+ *   the conversion lag of each conversion, view-through is never counted
+ * - TikTok: the report event metrics to sum; windows are ad group settings
+ * - LinkedIn: website conversions and/or lead form submissions; view-through
+ *   conversions can be excluded, windows are conversion rule settings
+ */
+
+const { ValidationError } = require('../../utils/errors');
+
+// Action type / conversion action name format accepted for free-form platforms
+const ACTION_PATTERN = /^[\w.:\- ]{1,200}$/;
+const MAX_ACTIONS = 50;
+
+const CONVERSION_PLATFORMS = {
+  meta: {
+    actionsLabel: 'Action types',
+    defaultActions: ['purchase', 'lead', 'complete_registration'],
+    actions: null,
+    clickWindows: [1, 7, 28],
+    viewWindows: [0, 1, 7],
+    defaultWindows: { click: 7, view: 1 },
+  },
+  google: {
+    actionsLabel: 'Conversion actions',
+    defaultActions: null,
+    actions: null,
+    clickWindows: [1, 7, 14, 21, 30, 45, 60, 90],
+    viewWindows: null,
+    defaultWindows: null,
+  },
+  tiktok: {
+    actionsLabel: 'Events',
+    defaultActions: ['conversion'],
+    actions: ['conversion', 'complete_payment', 'on_web_order', 'form', 'user_registration', 'on_web_subscribe', 'contact'],
+    clickWindows: null,
+    viewWindows: null,
+    defaultWindows: null,
+  },
+  linkedin: {
+    actionsLabel: 'Conversion types',
+    defaultActions: ['website'],
+    actions: ['website', 'lead_gen'],
+    clickWindows: null,
+    viewWindows: [0],
+    defaultWindows: null,
+  },
+};
+
+/**
+ * Conversion settings a platform supports, or null when it reports no conversions
+ */
+function getConversionOptions(platform) {
+  return CONVERSION_PLATFORMS[platform] || null;
+}
+
+/**
+ * The conversion definition of an ad account, as passed to the platform services
+ *
+ * @param {Object} account - ad_accounts row
+ * @returns {Object} { actions, clickDays, viewDays }; null values use the platform default
+ */
+function fromAccount(account) {
+  const actions = Array.isArray(account?.conversion_actions) && account.conversion_actions.length > 0
+    ? account.conversion_actions
+    : null;
+  const days = value => (value === null || value === undefined ? null : parseInt(value, 10));
+
+  return {
+    actions,
+    clickDays: days(account?.click_attribution_days),
+    viewDays: days(account?.view_attribution_days),
+  };
+}
+
+/**
+ * Whether a definition differs from what the platform reports by default
+ */
+function isCustom(definition) {
+  return Boolean(definition && (definition.actions || definition.clickDays !== null || definition.viewDays !== null));
+}
+
+/**
+ * Attribution windows of a definition, with the platform defaults filled in
+ * where the platform needs both (Meta replaces its defaults once any window is set)
+ *
+ * @returns {Object|null} { click, view } or null when the platform default applies
+ */
+function resolveWindows(platform, definition) {
+  const options = getConversionOptions(platform);
+  if (!options || !definition || (definition.clickDays === null && definition.viewDays === null)) return null;
+
+  const defaults = options.defaultWindows || {};
+  return {
+    click: definition.clickDays ?? defaults.click ?? null,
+    view: definition.viewDays ?? defaults.view ?? null,
+  };
+}
+
+/**
+ * Validate conversion settings for an account's platform
+ *
+ * @param {string} platform - Account platform
+ * @param {Object} input - { conversionActions, clickAttributionDays, viewAttributionDays }; null resets to the default
+ * @returns {Object} { conversionActions, clickAttributionDays, viewAttributionDays } ready to store
+ * @throws {ValidationError} When the platform or a value is not supported
+ */
+function validateConversionSettings(platform, input = {}) {
+  const options = getConversionOptions(platform);
+  if (!options) {
+    throw new ValidationError(`${platform} accounts have no conversion settings`);
+  }
+
+  const errors = [];
+  let conversionActions = null;
+
+  if (input.conversionActions !== undefined && input.conversionActions !== null) {
+    const actions = Array.isArray(input.conversionActions) ? input.conversionActions : [input.conversionActions];
+    conversionActions = [...new Set(actions.map(action => String(action).trim()).filter(Boolean))];
+
+    if (conversionActions.length > MAX_ACTIONS) {
+      errors.push(`At most ${MAX_ACTIONS} conversion actions can be selected`);
+    }
+    for (const action of conversionActions) {
+      if (options.actions ? !options.actions.includes(action) : !ACTION_PATTERN.test(action)) {
+        errors.push(options.actions
+          ? `Unsupported conversion action "${action}" (allowed: ${options.actions.join(', ')})`
+          : `Invalid conversion action "${action}"`);
+      }
+    }
+    if (conversionActions.length === 0) conversionActions = null;
+  }
+
+  const windowDays = (value, allowed, name) => {
+    if (value === undefined || value === null || value === '') return null;
+    const days = Number(value);
+    if (!allowed) {
+      errors.push(`The ${name} attribution window of ${platform} accounts is set on the platform and cannot be changed here`);
+    } else if (!allowed.includes(days)) {
+      errors.push(`${name.charAt(0).toUpperCase()}${name.slice(1)} attribution window must be one of: ${allowed.join(', ')} days`);
+    }
+    return days;
+  };
+
+  const clickAttributionDays = windowDays(input.clickAttributionDays, options.clickWindows, 'click');
+  const viewAttributionDays = windowDays(input.viewAttributionDays, options.viewWindows, 'view');
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid conversion settings', errors);
+  }
+
+  return { conversionActions, clickAttributionDays, viewAttributionDays };
+}
+
+const windowLabel = (days, kind) => (days === 0 ? `no ${kind}-through` : `${days}-day ${kind}`);
+
+/**
+ * Describe the conversion definition of an account for labelling reports
+ *
+ * @param {string} platform - Account platform
+ * @param {Object} definition - As returned by fromAccount
+ * @returns {Object|null} { actions, actionsSource, clickWindowDays, viewWindowDays, attributionSource, label }
+ */
+function describeConversions(platform, definition) {
+  const options = getConversionOptions(platform);
+  if (!options) return null;
+
+  const actions = definition?.actions || options.defaultActions;
+  const windows = resolveWindows(platform, definition);
+
+  const actionsText = actions ? actions.join(', ') : `all primary ${options.actionsLabel.toLowerCase()}`;
+  const windowsText = windows
+    ? [windows.click !== null && windowLabel(windows.click, 'click'), windows.view !== null && windowLabel(windows.view, 'view')]
+      .filter(Boolean).join(', ')
+    : 'platform attribution settings';
+
+  return {
+    actions: actions || null,
+    actionsSource: definition?.actions ? 'account' : 'platform_default',
+    clickWindowDays: windows?.click ?? null,
+    viewWindowDays: windows?.view ?? null,
+    attributionSource: windows ? 'account' : 'platform_default',
+    label: `${actionsText} · ${windowsText}`,
+  };
+}
+
+module.exports = {
+  CONVERSION_PLATFORMS,
+  getConversionOptions,
+  fromAccount,
+  isCustom,
+  resolveWindows,
+  validateConversionSettings,
+  describeConversions,
+};
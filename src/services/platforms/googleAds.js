@@ -4,6 +4,65 @@
  */
 
 const axios = require('axios');
+const { getComparisonRange, getFetchWindows, buildDailyMetricResults } = require('../comparisonPeriod');
+const { assertDimension, breakdownRow, mergeRows, formatSegmentName } = require('./breakdowns');
+const { isCustom } = require('./conversions');
+
+const API_URL = 'https://googleads.googleapis.com/v14';
+
+// GAQL field of each metric
+const METRIC_FIELDS = {
+  spend: 'metrics.cost_micros',
+  impressions: 'metrics.impressions',
+  clicks: 'metrics.clicks',
+  ctr: 'metrics.ctr',
+  cpc: 'metrics.average_cpc',
+  cpm: 'metrics.average_cpm',
+  conversions: 'metrics.conversions',
+  cost_per_conversion: 'metrics.cost_per_conversion',
+};
+// Period and comparison are queried together up to this span (covers last-year comparisons)
+const MAX_QUERY_DAYS = 800;
+// GAQL resource and segment fields of each breakdown dimension
+const BREAKDOWN_QUERIES = {
+  device: { resource: 'customer', fields: ['segments.device'] },
+  country: { resource: 'user_location_view', fields: ['user_location_view.country_criterion_id'] },
+  campaign: { resource: 'campaign', fields: ['campaign.id', 'campaign.name'] },
+  ad_set: { resource: 'ad_group', fields: ['ad_group.id', 'ad_group.name', 'campaign.name'] },
+  ad: { resource: 'ad_group_ad', fields: ['ad_group_ad.ad.id', 'ad_group_ad.ad.name', 'ad_group.name', 'campaign.name'] },
+  placement: { resource: 'customer', fields: ['segments.ad_network_type'] },
+  age: { resource: 'age_range_view', fields: ['ad_group_criterion.age_range.type'] },
+  gender: { resource: 'gender_view', fields: ['ad_group_criterion.gender.type'] },
+};
+// GAQL resource and ID field of each daily insights level
+const DAILY_LEVELS = {
+  account: { resource: 'customer', idField: null, idOf: () => null },
+  campaign: { resource: 'campaign', idField: 'campaign.id', idOf: result => String(result.campaign.id) },
+  ad_set: { resource: 'ad_group', idField: 'ad_group.id', idOf: result => String(result.adGroup.id) },
+  ad: { resource: 'ad_group_ad', idField: 'ad_group_ad.ad.id', idOf: result => String(result.adGroupAd.ad.id) },
+};
+// Last day after the click each conversion lag bucket covers (click attribution windows)
+const CONVERSION_LAG_BUCKET_DAYS = {
+  LESS_THAN_ONE_DAY: 1,
+  ONE_TO_TWO_DAYS: 2,
+  TWO_TO_THREE_DAYS: 3,
+  THREE_TO_FOUR_DAYS: 4,
+  FOUR_TO_FIVE_DAYS: 5,
+  FIVE_TO_SIX_DAYS: 6,
+  SIX_TO_SEVEN_DAYS: 7,
+  SEVEN_TO_EIGHT_DAYS: 8,
+  EIGHT_TO_NINE_DAYS: 9,
+  NINE_TO_TEN_DAYS: 10,
+  TEN_TO_ELEVEN_DAYS: 11,
+  ELEVEN_TO_TWELVE_DAYS: 12,
+  TWELVE_TO_THIRTEEN_DAYS: 13,
+  THIRTEEN_TO_FOURTEEN_DAYS: 14,
+  FOURTEEN_TO_TWENTY_ONE_DAYS: 21,
+  TWENTY_ONE_TO_THIRTY_DAYS: 30,
+  THIRTY_TO_FORTY_FIVE_DAYS: 45,
+  FORTY_FIVE_TO_SIXTY_DAYS: 60,
+  SIXTY_TO_NINETY_DAYS: 90,
+};
 
 class GoogleAdsService {
   /**
@@ -116,11 +175,11 @@ class GoogleAdsService {
             });
           }
         } catch (err) {
-          // Customer might not be accessible
+          // Customer might not be accessible; its currency is unknown until it is
           accounts.push({
             accountId: customerId,
             accountName: `Account ${customerId}`,
-            currency: 'USD',
+            currency: null,
             timezone: 'America/New_York',
             status: 'active',
           });
@@ -136,80 +195,450 @@ class GoogleAdsService {
 
   /**
    * Fetch metrics for a Google Ads account
+   *
+   * @param {Object} [options]
+   * @param {string|Object} [options.comparison] - previous_period (default), same_period_last_year
+   *   or { mode: 'custom', startDate, endDate }
+   * @param {string} [options.currency] - The account's stored currency, reported on the result
+   * @param {Object} [options.conversions] - The account's conversion definition (see ./conversions)
    */
-  static async fetchMetrics(accountId, accessToken, metric, since, until, config) {
+  static async fetchMetrics(accountId, accessToken, metric, since, until, config, options = {}) {
     try {
-      const metricFieldMap = {
-        spend: 'metrics.cost_micros',
-        impressions: 'metrics.impressions',
-        clicks: 'metrics.clicks',
-        ctr: 'metrics.ctr',
-        cpc: 'metrics.average_cpc',
-        cpm: 'metrics.average_cpm',
-        conversions: 'metrics.conversions',
-        cost_per_conversion: 'metrics.cost_per_conversion',
+      const batch = await this.fetchMetricsBatch(accountId, accessToken, [metric], since, until, config, options);
+      return batch.metrics[metric];
+    } catch (error) {
+      console.error('Error fetching Google Ads metrics:', error);
+      return {
+        value: 0,
+        label: metric,
+        error: error.message,
       };
+    }
+  }
 
-      const field = metricFieldMap[metric] || 'metrics.cost_micros';
+  /**
+   * Fetch several metrics at once: a single GAQL query selects every metric
+   * over a window covering the comparison period too
+   *
+   * @param {string[]} metrics - Metric names (spend, impressions, clicks, ...)
+   * @param {Object} [options] - { comparison, currency, conversions } as for fetchMetrics
+   * @returns {Promise<Object>} { metrics: { [metric]: fetchMetrics result } }
+   */
+  static async fetchMetricsBatch(accountId, accessToken, metrics, since, until, config, options = {}) {
+    const range = { since, until };
+    const comparisonRange = getComparisonRange(since, until, options.comparison);
+    // Conversion metrics of a custom definition come from a separate conversion query
+    const customConversions = isCustom(options.conversions)
+      && metrics.some(metric => ['conversions', 'cost_per_conversion'].includes(metric));
+    const fields = [...new Set([
+      ...metrics.map(metric => METRIC_FIELDS[metric] || 'metrics.cost_micros'),
+      ...(customConversions ? ['metrics.cost_micros'] : []),
+    ])];
 
-      // Build GAQL query
-      const query = `
+    const results = [];
+    const conversionsByDate = new Map();
+    for (const window of getFetchWindows(range, comparisonRange, MAX_QUERY_DAYS)) {
+      results.push(...await this.searchStream(accountId, accessToken, `
         SELECT
-          ${field},
+          ${fields.join(',\n          ')},
           segments.date
         FROM customer
-        WHERE segments.date BETWEEN '${since}' AND '${until}'
+        WHERE segments.date BETWEEN '${window.since}' AND '${window.until}'
         ORDER BY segments.date
-      `;
+      `, config));
 
-      const response = await axios.post(
-        `https://googleads.googleapis.com/v14/customers/${accountId}/googleAds:searchStream`,
-        { query },
-        {
-          headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'developer-token': config?.google?.developerToken || '',
-          },
-        }
-      );
+      if (customConversions) {
+        const totals = await this.fetchConversionTotals(accountId, accessToken, 'customer', ['segments.date'],
+          window.since, window.until, config, options.conversions, result => result.segments.date);
+        totals.forEach((value, date) => conversionsByDate.set(date, value));
+      }
+    }
 
-      // Parse response
-      let totalValue = 0;
-      const timeSeries = [];
-
-      if (response.data) {
-        for (const batch of response.data) {
-          for (const result of batch.results || []) {
-            const value = this.parseGoogleMetricValue(result.metrics, metric);
-            totalValue += value;
-            timeSeries.push({
-              date: result.segments.date,
-              value,
-            });
-          }
-        }
+    const dailyRows = results.map(result => {
+      const metricsOfDay = customConversions
+        ? this.withConversions(result.metrics, conversionsByDate.get(result.segments.date))
+        : result.metrics;
+      return {
+        date: result.segments.date,
+        values: Object.fromEntries(metrics.map(metric => [metric, this.parseGoogleMetricValue(metricsOfDay, metric)])),
+      };
+    });
+
+    const metricResults = buildDailyMetricResults(dailyRows, metrics, range, comparisonRange);
+    for (const metric of metrics) {
+      metricResults[metric].currency = options.currency || 'USD';
+    }
+
+    return { metrics: metricResults };
+  }
+
+  /**
+   * Fetch a breakdown of a customer account's performance
+   * Placements are ad networks (Search, Search Partners, Display, YouTube).
+   *
+   * @param {string} dimension - One of BREAKDOWN_DIMENSIONS (see ./breakdowns)
+   * @param {string} metric - Requested metric; every row carries the base metrics
+   * @param {Object} [config] - App config
+   * @param {Object} [options] - { currency, conversions }: the account's stored currency, reported on
+   *   the result, and its conversion definition (see ./conversions)
+   * @returns {Promise<Object>} { dimension, metric, dateRange, currency, rows }
+   * @throws {ValidationError} For an unsupported dimension
+   */
+  static async fetchBreakdown(dimension, accountId, accessToken, metric, since, until, config, options = {}) {
+    assertDimension('Google Ads', dimension);
+
+    const { resource, fields } = BREAKDOWN_QUERIES[dimension];
+    const results = await this.searchStream(accountId, accessToken, `
+      SELECT
+        ${fields.join(',\n        ')},
+        metrics.cost_micros,
+        metrics.impressions,
+        metrics.clicks,
+        metrics.conversions,
+        metrics.conversions_value
+      FROM ${resource}
+      WHERE segments.date BETWEEN '${since}' AND '${until}'
+    `, config);
+
+    const countries = dimension === 'country'
+      ? await this.fetchCountryNames(accountId, accessToken, results.map(result => result.userLocationView?.countryCriterionId), config)
+      : {};
+
+    const conversionTotals = isCustom(options.conversions)
+      ? await this.fetchConversionTotals(accountId, accessToken, resource, fields, since, until, config,
+        options.conversions, result => this.breakdownSegment(dimension, result, countries).key)
+      : null;
+
+    const rows = results.map((result) => {
+      const segment = this.breakdownSegment(dimension, result, countries);
+      const metrics = conversionTotals
+        ? this.withConversions(result.metrics, conversionTotals.get(segment.key))
+        : result.metrics || {};
+      return breakdownRow({
+        ...segment,
+        spend: this.fromMicros(metrics.costMicros),
+        impressions: metrics.impressions,
+        clicks: metrics.clicks,
+        conversions: metrics.conversions,
+        conversionValue: metrics.conversionsValue,
+      });
+    });
+
+    return {
+      dimension,
+      metric,
+      dateRange: { since, until },
+      currency: options.currency || 'USD',
+      rows: mergeRows(rows),
+    };
+  }
+
+  /**
+   * Key and display name of a GAQL row for a breakdown dimension
+   */
+  static breakdownSegment(dimension, result, countries) {
+    switch (dimension) {
+      case 'device':
+        return { key: result.segments?.device, name: formatSegmentName(result.segments?.device) };
+      case 'country': {
+        const country = countries[result.userLocationView?.countryCriterionId] || {};
+        return { key: country.code || result.userLocationView?.countryCriterionId, name: country.name };
+      }
+      case 'campaign':
+        return { key: result.campaign.id, name: result.campaign.name || `Campaign ${result.campaign.id}` };
+      case 'ad_set':
+        return { key: result.adGroup.id, name: result.adGroup.name || `Ad group ${result.adGroup.id}`, campaign: result.campaign?.name };
+      case 'ad': {
+        const ad = result.adGroupAd?.ad || {};
+        return { key: ad.id, name: ad.name || `Ad ${ad.id}`, adSet: result.adGroup?.name, campaign: result.campaign?.name };
       }
+      case 'placement':
+        return { key: result.segments?.adNetworkType, name: formatSegmentName(result.segments?.adNetworkType) };
+      case 'age': {
+        // AGE_RANGE_25_34 -> 25-34, AGE_RANGE_65_UP -> 65+
+        const type = result.adGroupCriterion?.ageRange?.type || 'UNDETERMINED';
+        const name = type.replace('AGE_RANGE_', '').replace('_UP', '+').replace('_', '-');
+        return { key: type, name: name === 'UNDETERMINED' ? 'Unknown' : name };
+      }
+      default: {
+        const type = result.adGroupCriterion?.gender?.type || 'UNDETERMINED';
+        return { key: type, name: type === 'UNDETERMINED' ? 'Unknown' : formatSegmentName(type) };
+      }
+    }
+  }
+
+  /**
+   * Country code and name of geo target constants
+   *
+   * @param {string[]} criterionIds - Geo target constant ids
+   * @returns {Promise<Object>} { [criterionId]: { code, name } }
+   */
+  static async fetchCountryNames(accountId, accessToken, criterionIds, config) {
+    const ids = [...new Set(criterionIds.filter(Boolean))];
+    if (ids.length === 0) return {};
+
+    const results = await this.searchStream(accountId, accessToken, `
+      SELECT
+        geo_target_constant.id,
+        geo_target_constant.country_code,
+        geo_target_constant.name
+      FROM geo_target_constant
+      WHERE geo_target_constant.id IN (${ids.join(', ')})
+    `, config);
+
+    return Object.fromEntries(results.map(({ geoTargetConstant }) => [
+      String(geoTargetConstant.id),
+      { code: geoTargetConstant.countryCode, name: geoTargetConstant.name },
+    ]));
+  }
+
+  /**
+   * Fetch all campaigns of a customer account
+   */
+  static async fetchCampaigns(accountId, accessToken, config) {
+    const results = await this.searchStream(accountId, accessToken, `
+      SELECT
+        campaign.id,
+        campaign.name,
+        campaign.status,
+        campaign.advertising_channel_type,
+        campaign.bidding_strategy_type,
+        campaign.start_date,
+        campaign.end_date,
+        campaign_budget.amount_micros,
+        campaign_budget.total_amount_micros
+      FROM campaign
+      WHERE campaign.status != 'REMOVED'
+    `, config);
+
+    return results.map(({ campaign, campaignBudget = {} }) => ({
+      campaignId: String(campaign.id),
+      name: campaign.name || `Campaign ${campaign.id}`,
+      objective: campaign.advertisingChannelType || null,
+      status: this.normalizeStatus(campaign.status),
+      startDate: campaign.startDate || null,
+      endDate: campaign.endDate && !campaign.endDate.startsWith('2037') ? campaign.endDate : null,
+      budgetAmount: this.fromMicros(campaignBudget.amountMicros || campaignBudget.totalAmountMicros),
+      budgetType: campaignBudget.totalAmountMicros ? 'lifetime' : (campaignBudget.amountMicros ? 'daily' : null),
+      bidStrategy: campaign.biddingStrategyType || null,
+      metadata: {},
+    }));
+  }
+
+  /**
+   * Fetch all ad groups of a customer account
+   */
+  static async fetchAdSets(accountId, accessToken, config) {
+    const results = await this.searchStream(accountId, accessToken, `
+      SELECT
+        ad_group.id,
+        ad_group.name,
+        ad_group.status,
+        ad_group.type,
+        ad_group.cpc_bid_micros,
+        campaign.id
+      FROM ad_group
+      WHERE ad_group.status != 'REMOVED'
+    `, config);
 
-      // Calculate previous period (simplified)
-      const daysDiff = Math.ceil((new Date(until) - new Date(since)) / (1000 * 60 * 60 * 24));
-      const changePercent = 0; // Would need another API call for previous period
+    return results.map(({ adGroup, campaign }) => ({
+      adSetId: String(adGroup.id),
+      campaignId: String(campaign.id),
+      name: adGroup.name || `Ad group ${adGroup.id}`,
+      status: this.normalizeStatus(adGroup.status),
+      targeting: {},
+      placement: {},
+      budgetAmount: null,
+      bidAmount: this.fromMicros(adGroup.cpcBidMicros),
+      startDate: null,
+      endDate: null,
+      metadata: { ad_group_type: adGroup.type },
+    }));
+  }
 
+  /**
+   * Fetch all ads of a customer account
+   */
+  static async fetchAds(accountId, accessToken, config) {
+    const results = await this.searchStream(accountId, accessToken, `
+      SELECT
+        ad_group_ad.ad.id,
+        ad_group_ad.ad.name,
+        ad_group_ad.ad.type,
+        ad_group_ad.ad.final_urls,
+        ad_group_ad.ad.responsive_search_ad.headlines,
+        ad_group_ad.ad.responsive_search_ad.descriptions,
+        ad_group_ad.status,
+        ad_group.id
+      FROM ad_group_ad
+      WHERE ad_group_ad.status != 'REMOVED'
+    `, config);
+
+    return results.map(({ adGroupAd, adGroup }) => {
+      const ad = adGroupAd.ad || {};
+      const responsiveAd = ad.responsiveSearchAd || {};
       return {
-        value: totalValue,
-        previousValue: 0,
-        changePercent,
-        label: metric,
-        dateRange: { since, until },
-        currency: 'USD',
-        timeSeries,
+        adId: String(ad.id),
+        adSetId: String(adGroup.id),
+        name: ad.name || `Ad ${ad.id}`,
+        status: this.normalizeStatus(adGroupAd.status),
+        creativeType: ad.type || null,
+        headline: responsiveAd.headlines?.[0]?.text || null,
+        description: responsiveAd.descriptions?.[0]?.text || null,
+        callToAction: null,
+        imageUrl: null,
+        videoUrl: null,
+        destinationUrl: ad.finalUrls?.[0] || null,
+        metadata: {},
       };
-    } catch (error) {
-      console.error('Error fetching Google Ads metrics:', error);
+    });
+  }
+
+  /**
+   * Fetch daily performance rows for a customer account
+   *
+   * @param {string} level - 'account', 'campaign', 'ad_set' (ad groups) or 'ad'
+   * @param {Object} [config] - App config
+   * @param {Object} [options] - { conversions } the account's conversion definition (see ./conversions)
+   * @returns {Promise<Object[]>} [{ date, campaignId, adSetId, adId, impressions, clicks, spend, conversions, conversionValue, reach, frequency, videoViews }];
+   *   only the ID of the requested level is set
+   */
+  static async fetchDailyInsights(accountId, accessToken, level, since, until, config, options = {}) {
+    const dailyLevel = DAILY_LEVELS[level] || DAILY_LEVELS.account;
+    const { resource, idField } = dailyLevel;
+    const rowKey = result => `${result.segments.date}|${dailyLevel.idOf(result) || ''}`;
+    const conversionTotals = isCustom(options.conversions)
+      ? await this.fetchConversionTotals(accountId, accessToken, resource,
+        idField ? [idField, 'segments.date'] : ['segments.date'], since, until, config, options.conversions, rowKey)
+      : null;
+
+    const results = await this.searchStream(accountId, accessToken, `
+      SELECT
+        ${idField ? `${idField},` : ''}
+        segments.date,
+        metrics.impressions,
+        metrics.clicks,
+        metrics.cost_micros,
+        metrics.conversions,
+        metrics.conversions_value,
+        metrics.video_views
+      FROM ${resource}
+      WHERE segments.date BETWEEN '${since}' AND '${until}'
+    `, config);
+
+    return results.map((result) => {
+      const { segments } = result;
+      const entityId = dailyLevel.idOf(result);
+      const metrics = conversionTotals
+        ? this.withConversions(result.metrics, conversionTotals.get(rowKey(result)))
+        : result.metrics || {};
       return {
-        value: 0,
-        label: metric,
-        error: error.message,
+        date: segments.date,
+        campaignId: level === 'campaign' ? entityId : null,
+        adSetId: level === 'ad_set' ? entityId : null,
+        adId: level === 'ad' ? entityId : null,
+        impressions: parseInt(metrics.impressions, 10) || 0,
+        clicks: parseInt(metrics.clicks, 10) || 0,
+        spend: this.fromMicros(metrics.costMicros) || 0,
+        conversions: parseFloat(metrics.conversions) || 0,
+        conversionValue: parseFloat(metrics.conversionsValue) || 0,
+        reach: null,
+        frequency: null,
+        videoViews: parseInt(metrics.videoViews, 10) || 0,
       };
+    });
+  }
+
+  /**
+   * Conversions and conversion value of a custom conversion definition, summed
+   * per row key. Selected conversion actions count through all_conversions (they
+   * need not be primary actions); a click window keeps the conversions whose lag
+   * bucket ends within it (an unknown lag is kept).
+   *
+   * @param {string} resource - GAQL resource of the rows
+   * @param {string[]} fields - Attribute and segment fields identifying a row
+   * @param {Object} definition - options.conversions (see ./conversions)
+   * @param {Function} keyOf - GAQL row => key
+   * @returns {Promise<Map<string, Object>>} key => { conversions, conversionsValue }
+   */
+  static async fetchConversionTotals(accountId, accessToken, resource, fields, since, until, config, definition, keyOf) {
+    const metricFields = definition.actions
+      ? ['metrics.all_conversions', 'metrics.all_conversions_value']
+      : ['metrics.conversions', 'metrics.conversions_value'];
+    const lagField = definition.clickDays ? ['segments.conversion_lag_bucket'] : [];
+    const actionFilter = definition.actions
+      ? ` AND segments.conversion_action_name IN (${definition.actions.map(name => `'${name.replace(/'/g, "\\'")}'`).join(', ')})`
+      : '';
+
+    const results = await this.searchStream(accountId, accessToken, `
+      SELECT
+        ${[...fields, ...lagField, ...metricFields].join(',\n        ')}
+      FROM ${resource}
+      WHERE segments.date BETWEEN '${since}' AND '${until}'${actionFilter}
+    `, config);
+
+    const totals = new Map();
+    for (const result of results) {
+      const lagDays = CONVERSION_LAG_BUCKET_DAYS[result.segments?.conversionLagBucket];
+      if (definition.clickDays && lagDays && lagDays > definition.clickDays) continue;
+
+      const metrics = result.metrics || {};
+      const key = keyOf(result);
+      const total = totals.get(key) || { conversions: 0, conversionsValue: 0 };
+      total.conversions += parseFloat(definition.actions ? metrics.allConversions : metrics.conversions) || 0;
+      total.conversionsValue += parseFloat(definition.actions ? metrics.allConversionsValue : metrics.conversionsValue) || 0;
+      totals.set(key, total);
+    }
+
+    return totals;
+  }
+
+  /**
+   * GAQL metrics with the conversion figures replaced by a custom definition's
+   */
+  static withConversions(metrics = {}, totals = { conversions: 0, conversionsValue: 0 }) {
+    const costMicros = parseFloat(metrics.costMicros) || 0;
+    return {
+      ...metrics,
+      conversions: totals.conversions,
+      conversionsValue: totals.conversionsValue,
+      costPerConversion: totals.conversions > 0 ? costMicros / totals.conversions : 0,
+    };
+  }
+
+  /**
+   * Run a GAQL query and return the rows of every streamed batch
+   */
+  static async searchStream(accountId, accessToken, query, config) {
+    const response = await axios.post(
+      `${API_URL}/customers/${accountId}/googleAds:searchStream`,
+      { query },
+      {
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'developer-token': config?.google?.developerToken || '',
+        },
+      }
+    );
+
+    return (response.data || []).flatMap(batch => batch.results || []);
+  }
+
+  static fromMicros(value) {
+    return value ? parseFloat(value) / 1000000 : null;
+  }
+
+  /**
+   * Map Google Ads entity statuses onto active / paused / deleted
+   */
+  static normalizeStatus(status) {
+    switch (status) {
+      case 'ENABLED':
+        return 'active';
+      case 'REMOVED':
+        return 'deleted';
+      default:
+        return 'paused';
     }
   }
 
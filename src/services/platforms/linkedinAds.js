@@ -4,9 +4,49 @@
  */
 
 const axios = require('axios');
+const { getComparisonRange, getFetchWindows, buildDailyMetricResults } = require('../comparisonPeriod');
+const { assertDimension, breakdownRow, mergeRows, formatSegmentName } = require('./breakdowns');
+const { CONVERSION_PLATFORMS } = require('./conversions');
 
 const BASE_URL = 'https://api.linkedin.com/v2';
 
+// Analytics field of each metric
+const METRIC_FIELDS = {
+  spend: 'costInLocalCurrency',
+  impressions: 'impressions',
+  clicks: 'clicks',
+  ctr: 'clickThroughRate',
+  cpc: 'costPerClick',
+  cpm: 'costPerMille',
+  reach: 'uniqueImpressions',
+  conversions: 'externalWebsiteConversions',
+  cost_per_conversion: 'costPerExternalWebsiteConversion',
+};
+// Analytics fields of each conversion type: all conversions, and post-click only
+const CONVERSION_TYPE_FIELDS = {
+  website: { all: 'externalWebsiteConversions', postClick: 'externalWebsitePostClickConversions' },
+  lead_gen: { all: 'oneClickLeads', postClick: 'oneClickLeads' },
+};
+// Period and comparison are requested together up to this span (covers last-year comparisons)
+const MAX_QUERY_DAYS = 800;
+// Analytics pivot of each breakdown dimension (LinkedIn reports no age or gender)
+const BREAKDOWN_PIVOTS = {
+  campaign: 'CAMPAIGN_GROUP',
+  ad_set: 'CAMPAIGN',
+  ad: 'CREATIVE',
+  device: 'IMPRESSION_DEVICE_TYPE',
+  country: 'MEMBER_COUNTRY_V2',
+  placement: 'PLACEMENT_NAME',
+};
+// Analytics pivot of each daily insights level (campaign groups are stored as
+// campaigns, campaigns as ad sets and creatives as ads)
+const DAILY_PIVOTS = {
+  account: 'ACCOUNT',
+  campaign: 'CAMPAIGN_GROUP',
+  ad_set: 'CAMPAIGN',
+  ad: 'CREATIVE',
+};
+
 class LinkedInAdsService {
   /**
    * Get OAuth configuration
@@ -120,87 +160,427 @@ class LinkedInAdsService {
 
   /**
    * Fetch metrics for a LinkedIn ad account
+   *
+   * @param {Object} [options]
+   * @param {string|Object} [options.comparison] - previous_period (default), same_period_last_year
+   *   or { mode: 'custom', startDate, endDate }
+   * @param {string} [options.currency] - The account's stored currency, reported on the result
+   * @param {Object} [options.conversions] - The account's conversion definition (see ./conversions)
    */
-  static async fetchMetrics(accountId, accessToken, metric, since, until) {
+  static async fetchMetrics(accountId, accessToken, metric, since, until, config, options = {}) {
     try {
-      const metricFieldMap = {
-        spend: 'costInLocalCurrency',
-        impressions: 'impressions',
-        clicks: 'clicks',
-        ctr: 'clickThroughRate',
-        cpc: 'costPerClick',
-        cpm: 'costPerMille',
-        reach: 'uniqueImpressions',
-        conversions: 'externalWebsiteConversions',
-        cost_per_conversion: 'costPerExternalWebsiteConversion',
+      const batch = await this.fetchMetricsBatch(accountId, accessToken, [metric], since, until, config, options);
+      return batch.metrics[metric];
+    } catch (error) {
+      console.error('Error fetching LinkedIn metrics:', error);
+      return {
+        value: 0,
+        label: metric,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Fetch several metrics at once: one analytics request returns every field
+   * over a window covering the comparison period too
+   *
+   * @param {string[]} metrics - Metric names (spend, impressions, clicks, ...)
+   * @param {Object} [options] - { comparison, currency, conversions } as for fetchMetrics
+   * @returns {Promise<Object>} { metrics: { [metric]: fetchMetrics result } }
+   */
+  static async fetchMetricsBatch(accountId, accessToken, metrics, since, until, config, options = {}) {
+    const range = { since, until };
+    const comparisonRange = getComparisonRange(since, until, options.comparison);
+    const conversionFields = this.conversionFields(options.conversions);
+    // Conversion metrics are computed from the fields of the conversion definition
+    const fieldsFor = (metric) => {
+      if (metric === 'conversions') return conversionFields;
+      if (metric === 'cost_per_conversion') return ['costInLocalCurrency', ...conversionFields];
+      return [METRIC_FIELDS[metric] || 'costInLocalCurrency'];
+    };
+    const fields = [...new Set(metrics.flatMap(fieldsFor))];
+
+    const rows = [];
+    for (const window of getFetchWindows(range, comparisonRange, MAX_QUERY_DAYS)) {
+      rows.push(...await this.fetchDailyAnalytics(accountId, accessToken, fields, window.since, window.until));
+    }
+
+    const valueOf = (values, metric) => {
+      const conversions = this.sumFields(values, conversionFields);
+      if (metric === 'conversions') return conversions;
+      if (metric === 'cost_per_conversion') {
+        return conversions > 0 ? (parseFloat(values.costInLocalCurrency) || 0) / conversions : 0;
+      }
+      return parseFloat(values[METRIC_FIELDS[metric] || 'costInLocalCurrency']) || 0;
+    };
+
+    const dailyRows = rows.map(row => ({
+      date: row.date,
+      values: Object.fromEntries(metrics.map(metric => [metric, valueOf(row.values, metric)])),
+    }));
+
+    const results = buildDailyMetricResults(dailyRows, metrics, range, comparisonRange);
+    for (const metric of metrics) {
+      results[metric].currency = options.currency || 'USD';
+    }
+
+    return { metrics: results };
+  }
+
+  /**
+   * Daily account-level analytics
+   *
+   * @param {string[]} fields - Analytics field names
+   * @returns {Promise<Object[]>} [{ date, values: { [field]: value } }]
+   */
+  static async fetchDailyAnalytics(accountId, accessToken, fields, since, until) {
+    const [startYear, startMonth, startDay] = since.split('-').map(Number);
+    const [endYear, endMonth, endDay] = until.split('-').map(Number);
+
+    const elements = await this.fetchAllElements('/adAnalyticsV2', accessToken, {
+      q: 'analytics',
+      pivot: 'ACCOUNT',
+      timeGranularity: 'DAILY',
+      'dateRange.start.year': startYear,
+      'dateRange.start.month': startMonth,
+      'dateRange.start.day': startDay,
+      'dateRange.end.year': endYear,
+      'dateRange.end.month': endMonth,
+      'dateRange.end.day': endDay,
+      'accounts[0]': `urn:li:sponsoredAccount:${accountId}`,
+      fields: ['dateRange', ...fields].join(','),
+    });
+
+    return elements.map(row => {
+      const start = row.dateRange?.start || {};
+      return {
+        date: `${start.year}-${String(start.month).padStart(2, '0')}-${String(start.day).padStart(2, '0')}`,
+        values: row,
+      };
+    });
+  }
+
+  /**
+   * Fetch a breakdown of an ad account's performance
+   * Campaign groups, campaigns and creatives are reported as campaigns, ad sets
+   * and ads, like the synced hierarchy.
+   *
+   * @param {string} dimension - One of BREAKDOWN_DIMENSIONS except age and gender
+   * @param {string} metric - Requested metric; every row carries the base metrics
+   * @param {Object} [config] - App config
+   * @param {Object} [options] - { currency, conversions }: the account's stored currency, reported on
+   *   the result, and its conversion definition (see ./conversions)
+   * @returns {Promise<Object>} { dimension, metric, dateRange, currency, rows }
+   * @throws {ValidationError} For an unsupported dimension
+   */
+  static async fetchBreakdown(dimension, accountId, accessToken, metric, since, until, config, options = {}) {
+    assertDimension('LinkedIn', dimension, Object.keys(BREAKDOWN_PIVOTS));
+
+    const conversionFields = this.conversionFields(options.conversions);
+
+    const [startYear, startMonth, startDay] = since.split('-').map(Number);
+    const [endYear, endMonth, endDay] = until.split('-').map(Number);
+
+    const elements = await this.fetchAllElements('/adAnalyticsV2', accessToken, {
+      q: 'analytics',
+      pivot: BREAKDOWN_PIVOTS[dimension],
+      timeGranularity: 'ALL',
+      'dateRange.start.year': startYear,
+      'dateRange.start.month': startMonth,
+      'dateRange.start.day': startDay,
+      'dateRange.end.year': endYear,
+      'dateRange.end.month': endMonth,
+      'dateRange.end.day': endDay,
+      'accounts[0]': `urn:li:sponsoredAccount:${accountId}`,
+      fields: [
+        'pivotValue', 'impressions', 'clicks', 'costInLocalCurrency', 'conversionValueInLocalCurrency',
+        'approximateUniqueImpressions', ...conversionFields,
+      ].join(','),
+    });
+
+    const names = await this.fetchBreakdownNames(dimension, accountId, accessToken, elements.map(row => row.pivotValue));
+
+    const rows = elements.map(row => {
+      const key = ['device', 'placement'].includes(dimension) ? row.pivotValue : this.idFromUrn(row.pivotValue);
+      return breakdownRow({
+        key: key || 'unknown',
+        ...(names[key] || { name: formatSegmentName(key) }),
+        spend: row.costInLocalCurrency,
+        impressions: row.impressions,
+        clicks: row.clicks,
+        conversions: this.sumFields(row, conversionFields),
+        conversionValue: row.conversionValueInLocalCurrency,
+        reach: row.approximateUniqueImpressions,
+      });
+    });
+
+    return {
+      dimension,
+      metric,
+      dateRange: { since, until },
+      currency: options.currency || 'USD',
+      rows: mergeRows(rows),
+    };
+  }
+
+  /**
+   * Display names of breakdown pivot values
+   * Entities are named from the account's hierarchy and countries from the geo
+   * API; a failed geo lookup leaves the ids as names.
+   *
+   * @returns {Promise<Object>} { [id]: { name, campaign?, adSet? } }
+   */
+  static async fetchBreakdownNames(dimension, accountId, accessToken, pivotValues) {
+    if (dimension === 'country') {
+      const ids = [...new Set(pivotValues.map(urn => this.idFromUrn(urn)).filter(Boolean))];
+      if (ids.length === 0) return {};
+
+      try {
+        const response = await axios.get(`${BASE_URL}/geo?ids=List(${ids.join(',')})`, {
+          headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            'X-Restli-Protocol-Version': '2.0.0',
+          },
+        });
+        return Object.fromEntries(Object.entries(response.data.results || {}).map(([id, geo]) => [
+          id,
+          { name: geo.defaultLocalizedName?.value || id },
+        ]));
+      } catch (error) {
+        console.error('Error fetching LinkedIn geo names:', error.message);
+        return {};
+      }
+    }
+
+    if (!['campaign', 'ad_set', 'ad'].includes(dimension)) return {};
+
+    const groups = await this.fetchCampaigns(accountId, accessToken);
+    const groupNames = Object.fromEntries(groups.map(group => [group.campaignId, group.name]));
+    if (dimension === 'campaign') {
+      return Object.fromEntries(groups.map(group => [group.campaignId, { name: group.name }]));
+    }
+
+    const campaigns = await this.fetchAdSets(accountId, accessToken);
+    if (dimension === 'ad_set') {
+      return Object.fromEntries(campaigns.map(campaign => [
+        campaign.adSetId,
+        { name: campaign.name, campaign: groupNames[campaign.campaignId] },
+      ]));
+    }
+
+    const campaignsById = Object.fromEntries(campaigns.map(campaign => [campaign.adSetId, campaign]));
+    const creatives = await this.fetchAds(accountId, accessToken);
+    return Object.fromEntries(creatives.map(creative => {
+      const campaign = campaignsById[creative.adSetId] || {};
+      return [creative.adId, { name: creative.name, adSet: campaign.name, campaign: groupNames[campaign.campaignId] }];
+    }));
+  }
+
+  /**
+   * Fetch the campaign groups of an ad account
+   * LinkedIn's hierarchy is campaign group > campaign > creative, which maps
+   * onto our campaign > ad set > ad.
+   */
+  static async fetchCampaigns(accountId, accessToken) {
+    const groups = await this.fetchAllElements('/adCampaignGroupsV2', accessToken, {
+      q: 'search',
+      'search.account.values[0]': `urn:li:sponsoredAccount:${accountId}`,
+    });
+
+    return groups.map(group => ({
+      campaignId: String(group.id),
+      name: group.name || `Campaign group ${group.id}`,
+      objective: null,
+      status: this.normalizeStatus(group.status),
+      startDate: this.fromEpoch(group.runSchedule?.start),
+      endDate: this.fromEpoch(group.runSchedule?.end),
+      budgetAmount: parseFloat(group.totalBudget?.amount) || null,
+      budgetType: group.totalBudget ? 'lifetime' : null,
+      bidStrategy: null,
+      metadata: {},
+    }));
+  }
+
+  /**
+   * Fetch the campaigns of an ad account (stored as ad sets)
+   */
+  static async fetchAdSets(accountId, accessToken) {
+    const campaigns = await this.fetchAllElements('/adCampaignsV2', accessToken, {
+      q: 'search',
+      'search.account.values[0]': `urn:li:sponsoredAccount:${accountId}`,
+    });
+
+    return campaigns.map(campaign => ({
+      adSetId: String(campaign.id),
+      campaignId: this.idFromUrn(campaign.campaignGroup),
+      name: campaign.name || `Campaign ${campaign.id}`,
+      status: this.normalizeStatus(campaign.status),
+      targeting: campaign.targetingCriteria || {},
+      placement: { offsite_delivery: Boolean(campaign.offsiteDeliveryEnabled) },
+      budgetAmount: parseFloat(campaign.dailyBudget?.amount || campaign.totalBudget?.amount) || null,
+      bidAmount: parseFloat(campaign.unitCost?.amount) || null,
+      startDate: this.fromEpoch(campaign.runSchedule?.start),
+      endDate: this.fromEpoch(campaign.runSchedule?.end),
+      metadata: { objective: campaign.objectiveType, cost_type: campaign.costType, type: campaign.type },
+    }));
+  }
+
+  /**
+   * Fetch the creatives of an ad account (stored as ads)
+   */
+  static async fetchAds(accountId, accessToken) {
+    const campaigns = await this.fetchAdSets(accountId, accessToken);
+    const ads = [];
+
+    for (const campaign of campaigns) {
+      const creatives = await this.fetchAllElements('/adCreativesV2', accessToken, {
+        q: 'search',
+        'search.campaign.values[0]': `urn:li:sponsoredCampaign:${campaign.adSetId}`,
+      });
+
+      for (const creative of creatives) {
+        ads.push({
+          adId: String(creative.id),
+          adSetId: campaign.adSetId,
+          name: creative.name || `Creative ${creative.id}`,
+          status: this.normalizeStatus(creative.status),
+          creativeType: creative.type || null,
+          headline: null,
+          description: null,
+          callToAction: null,
+          imageUrl: null,
+          videoUrl: null,
+          destinationUrl: creative.variables?.clickUri || null,
+          metadata: { reference: creative.reference },
+        });
+      }
+    }
+
+    return ads;
+  }
+
+  /**
+   * Fetch daily performance rows for an ad account
+   *
+   * @param {string} level - 'account', 'campaign' (campaign groups), 'ad_set' (campaigns) or 'ad' (creatives)
+   * @param {Object} [config] - App config
+   * @param {Object} [options] - { conversions } the account's conversion definition (see ./conversions)
+   * @returns {Promise<Object[]>} [{ date, campaignId, adSetId, adId, impressions, clicks, spend, conversions, conversionValue, reach, frequency, videoViews }];
+   *   only the ID of the requested level is set
+   */
+  static async fetchDailyInsights(accountId, accessToken, level, since, until, config, options = {}) {
+    const conversionFields = this.conversionFields(options.conversions);
+    const [startYear, startMonth, startDay] = since.split('-').map(Number);
+    const [endYear, endMonth, endDay] = until.split('-').map(Number);
+
+    const elements = await this.fetchAllElements('/adAnalyticsV2', accessToken, {
+      q: 'analytics',
+      pivot: DAILY_PIVOTS[level] || DAILY_PIVOTS.account,
+      timeGranularity: 'DAILY',
+      'dateRange.start.year': startYear,
+      'dateRange.start.month': startMonth,
+      'dateRange.start.day': startDay,
+      'dateRange.end.year': endYear,
+      'dateRange.end.month': endMonth,
+      'dateRange.end.day': endDay,
+      'accounts[0]': `urn:li:sponsoredAccount:${accountId}`,
+      fields: [
+        'dateRange', 'pivotValue', 'impressions', 'clicks', 'costInLocalCurrency', 'conversionValueInLocalCurrency',
+        'approximateUniqueImpressions', 'videoViews', ...conversionFields,
+      ].join(','),
+    });
+
+    return elements.map(row => {
+      const start = row.dateRange?.start || {};
+      return {
+        date: `${start.year}-${String(start.month).padStart(2, '0')}-${String(start.day).padStart(2, '0')}`,
+        campaignId: level === 'campaign' ? this.idFromUrn(row.pivotValue) : null,
+        adSetId: level === 'ad_set' ? this.idFromUrn(row.pivotValue) : null,
+        adId: level === 'ad' ? this.idFromUrn(row.pivotValue) : null,
+        impressions: parseInt(row.impressions, 10) || 0,
+        clicks: parseInt(row.clicks, 10) || 0,
+        spend: parseFloat(row.costInLocalCurrency) || 0,
+        conversions: this.sumFields(row, conversionFields),
+        conversionValue: parseFloat(row.conversionValueInLocalCurrency) || 0,
+        reach: parseInt(row.approximateUniqueImpressions, 10) || 0,
+        frequency: null,
+        videoViews: parseInt(row.videoViews, 10) || 0,
       };
+    });
+  }
 
-      const field = metricFieldMap[metric] || 'costInLocalCurrency';
+  /**
+   * Analytics fields counted as conversions: website conversions and/or lead form
+   * submissions, post-click only when view-through is excluded (view window 0).
+   * Attribution windows themselves are conversion rule settings on LinkedIn.
+   *
+   * @param {Object} [definition] - options.conversions (see ./conversions)
+   */
+  static conversionFields(definition) {
+    const types = definition?.actions || CONVERSION_PLATFORMS.linkedin.defaultActions;
+    const variant = definition?.viewDays === 0 ? 'postClick' : 'all';
+    return [...new Set(types.map(type => CONVERSION_TYPE_FIELDS[type][variant]))];
+  }
+
+  /**
+   * Sum analytics fields of a row
+   */
+  static sumFields(row, fields) {
+    return fields.reduce((sum, field) => sum + (parseFloat(row[field]) || 0), 0);
+  }
 
-      // Format dates for LinkedIn API (timestamp in milliseconds)
-      const startDate = new Date(since).getTime();
-      const endDate = new Date(until).getTime();
+  /**
+   * Page through a Rest.li finder and return every element
+   */
+  static async fetchAllElements(path, accessToken, params) {
+    const elements = [];
+    const count = 500;
+    let start = 0;
+    let total = 0;
 
-      // Fetch analytics
-      const response = await axios.get(`${BASE_URL}/adAnalyticsV2`, {
+    do {
+      const response = await axios.get(`${BASE_URL}${path}`, {
         headers: {
           'Authorization': `Bearer ${accessToken}`,
           'X-Restli-Protocol-Version': '2.0.0',
         },
-        params: {
-          q: 'analytics',
-          pivot: 'ACCOUNT',
-          dateRange: {
-            start: {
-              day: new Date(since).getDate(),
-              month: new Date(since).getMonth() + 1,
-              year: new Date(since).getFullYear(),
-            },
-            end: {
-              day: new Date(until).getDate(),
-              month: new Date(until).getMonth() + 1,
-              year: new Date(until).getFullYear(),
-            },
-          },
-          timeGranularity: 'DAILY',
-          accounts: [`urn:li:sponsoredAccount:${accountId}`],
-          fields: field,
-        },
+        params: { ...params, start, count },
       });
 
-      const reportData = response.data.elements || [];
+      const page = response.data.elements || [];
+      elements.push(...page);
+      total = response.data.paging?.total ?? 0;
+      start += count;
+      if (page.length < count) break;
+    } while (start < total);
 
-      // Parse time-series data
-      const timeSeries = reportData.map(row => {
-        const dateRange = row.dateRange || {};
-        const startDay = dateRange.start || {};
-        const date = `${startDay.year}-${String(startDay.month).padStart(2, '0')}-${String(startDay.day).padStart(2, '0')}`;
+    return elements;
+  }
 
-        return {
-          date,
-          value: parseFloat(row[field]) || 0,
-        };
-      });
+  static idFromUrn(urn) {
+    return urn ? String(urn).split(':').pop() : null;
+  }
 
-      // Calculate total
-      const totalValue = timeSeries.reduce((sum, day) => sum + day.value, 0);
+  static fromEpoch(timestamp) {
+    return timestamp ? new Date(timestamp).toISOString().split('T')[0] : null;
+  }
 
-      return {
-        value: totalValue,
-        previousValue: 0,
-        changePercent: 0,
-        label: metric,
-        dateRange: { since, until },
-        currency: 'USD',
-        timeSeries,
-      };
-    } catch (error) {
-      console.error('Error fetching LinkedIn metrics:', error);
-      return {
-        value: 0,
-        label: metric,
-        error: error.message,
-      };
+  /**
+   * Map LinkedIn statuses onto active / paused / archived / deleted
+   */
+  static normalizeStatus(status) {
+    switch (status) {
+      case 'ACTIVE':
+        return 'active';
+      case 'ARCHIVED':
+      case 'COMPLETED':
+        return 'archived';
+      case 'CANCELED':
+      case 'REMOVED':
+        return 'deleted';
+      default:
+        return 'paused';
     }
   }
 }
@@ -4,9 +4,58 @@
  */
 
 const axios = require('axios');
+const { getComparisonRange, buildComparison } = require('../comparisonPeriod');
+const { assertDimension, breakdownRow, mergeRows, formatSegmentName, countryName } = require('./breakdowns');
+const { CONVERSION_PLATFORMS, isCustom, resolveWindows } = require('./conversions');
 
 const BASE_URL = 'https://graph.facebook.com/v18.0';
 
+// Action types counted as conversions (and their action_values as revenue) unless
+// the account defines its own conversion actions
+const CONVERSION_ACTION_TYPES = CONVERSION_PLATFORMS.meta.defaultActions;
+const REVENUE_ACTION_TYPES = ['purchase'];
+
+// Insights field of each metric
+const METRIC_FIELDS = {
+  spend: 'spend',
+  impressions: 'impressions',
+  clicks: 'clicks',
+  ctr: 'ctr',
+  cpc: 'cpc',
+  cpm: 'cpm',
+  reach: 'reach',
+  frequency: 'frequency',
+  conversions: 'actions',
+  cost_per_conversion: 'actions',
+  roas: 'purchase_roas',
+};
+// Further fields a metric is computed from
+const DEPENDENT_FIELDS = {
+  cost_per_conversion: ['spend'],
+  roas: ['spend', 'action_values'],
+};
+// Insights breakdowns of each dimension
+const BREAKDOWN_FIELDS = {
+  device: 'impression_device',
+  country: 'country',
+  age: 'age',
+  gender: 'gender',
+  placement: 'publisher_platform,platform_position',
+};
+// Insights level and name fields of each entity dimension
+const ENTITY_LEVELS = {
+  campaign: { level: 'campaign', fields: ['campaign_id', 'campaign_name'] },
+  ad_set: { level: 'adset', fields: ['adset_id', 'adset_name', 'campaign_name'] },
+  ad: { level: 'ad', fields: ['ad_id', 'ad_name', 'adset_name', 'campaign_name'] },
+};
+// Insights level and ID field of each daily insights level
+const DAILY_LEVELS = {
+  account: { level: 'account', idField: null },
+  campaign: { level: 'campaign', idField: 'campaign_id' },
+  ad_set: { level: 'adset', idField: 'adset_id' },
+  ad: { level: 'ad', idField: 'ad_id' },
+};
+
 class MetaAdsService {
   /**
    * Get OAuth configuration
@@ -62,6 +111,27 @@ class MetaAdsService {
     };
   }
 
+  /**
+   * Re-exchange a still-valid long-lived token for a fresh one
+   * Meta issues no refresh tokens; a long-lived token (60 days) has to be
+   * exchanged again before it expires.
+   */
+  static async exchangeLongLivedToken(config, accessToken) {
+    const response = await axios.get(`${BASE_URL}/oauth/access_token`, {
+      params: {
+        grant_type: 'fb_exchange_token',
+        client_id: config.meta.appId,
+        client_secret: config.meta.appSecret,
+        fb_exchange_token: accessToken,
+      },
+    });
+
+    return {
+      accessToken: response.data.access_token,
+      expiresIn: response.data.expires_in || 5184000,
+    };
+  }
+
   /**
    * Fetch ad accounts for the user
    */
@@ -84,119 +154,650 @@ class MetaAdsService {
 
   /**
    * Fetch metrics for an ad account
+   *
+   * @param {Object} [options]
+   * @param {string|Object} [options.comparison] - previous_period (default), same_period_last_year
+   *   or { mode: 'custom', startDate, endDate }
+   * @param {Object} [options.conversions] - The account's conversion definition (see ./conversions)
    */
-  static async fetchMetrics(accountId, accessToken, metric, since, until) {
-    const metricFieldMap = {
-      spend: 'spend',
-      impressions: 'impressions',
-      clicks: 'clicks',
-      ctr: 'ctr',
-      cpc: 'cpc',
-      cpm: 'cpm',
-      reach: 'reach',
-      frequency: 'frequency',
-      conversions: 'actions',
-      cost_per_conversion: 'cost_per_action_type',
-    };
+  static async fetchMetrics(accountId, accessToken, metric, since, until, config, options = {}) {
+    try {
+      const batch = await this.fetchMetricsBatch(accountId, accessToken, [metric], since, until, config, options);
+      return batch.metrics[metric];
+    } catch (error) {
+      console.error('Error fetching Meta metrics:', error);
+      return {
+        value: 0,
+        label: metric,
+        error: error.message,
+      };
+    }
+  }
 
-    const field = metricFieldMap[metric] || 'spend';
+  /**
+   * Fetch several metrics and breakdowns in one Graph API batch request:
+   * totals and daily rows of the period and of its comparison period, plus one
+   * insights query per breakdown dimension
+   *
+   * @param {string[]} metrics - Metric names (spend, impressions, clicks, ...)
+   * @param {Object} [options]
+   * @param {string|Object} [options.comparison] - As for fetchMetrics
+   * @param {string[]} [options.breakdowns] - Dimensions: device, country, age, gender, placement
+   * @param {string} [options.currency] - The account's stored currency, used when insights omit it
+   * @param {Object} [options.conversions] - As for fetchMetrics
+   * @returns {Promise<Object>} { metrics: { [metric]: fetchMetrics result },
+   *   breakdowns: { [dimension]: [{ key, values: { [metric]: number } }] } }
+   */
+  static async fetchMetricsBatch(accountId, accessToken, metrics, since, until, config, options = {}) {
+    const range = { since, until };
+    const comparisonRange = getComparisonRange(since, until, options.comparison);
+    const conversion = this.conversionQuery(options.conversions);
+    const fieldFor = metric => METRIC_FIELDS[metric] || 'spend';
+    const dependentFields = metrics.flatMap(metric => DEPENDENT_FIELDS[metric] || []);
+    const fields = [...new Set([...metrics.map(fieldFor), ...dependentFields, 'account_currency'])].join(',');
+    const breakdowns = (options.breakdowns || []).filter(dimension => BREAKDOWN_FIELDS[dimension]);
+    const attribution = conversion.windows
+      ? `&action_attribution_windows=${encodeURIComponent(JSON.stringify(conversion.windows))}`
+      : '';
 
-    try {
-      // Fetch aggregate data
-      const aggregateUrl = `${BASE_URL}/act_${accountId}/insights?fields=${field}&time_range={"since":"${since}","until":"${until}"}&access_token=${accessToken}`;
-      const aggregateResponse = await fetch(aggregateUrl);
-      const aggregateData = await aggregateResponse.json();
-
-      // Fetch time-series data
-      const timeSeriesUrl = `${BASE_URL}/act_${accountId}/insights?fields=${field}&time_range={"since":"${since}","until":"${until}"}&time_increment=1&access_token=${accessToken}`;
-      const timeSeriesResponse = await fetch(timeSeriesUrl);
-      const timeSeriesData = await timeSeriesResponse.json();
-
-      // Calculate previous period
-      const daysDiff = Math.ceil((new Date(until) - new Date(since)) / (1000 * 60 * 60 * 24));
-      const prevUntil = new Date(since);
-      prevUntil.setDate(prevUntil.getDate() - 1);
-      const prevSince = new Date(prevUntil);
-      prevSince.setDate(prevSince.getDate() - daysDiff);
-
-      const prevUrl = `${BASE_URL}/act_${accountId}/insights?fields=${field}&time_range={"since":"${prevSince.toISOString().split('T')[0]}","until":"${prevUntil.toISOString().split('T')[0]}"}&access_token=${accessToken}`;
-      const prevResponse = await fetch(prevUrl);
-      const prevData = await prevResponse.json();
-
-      if (aggregateData.error) {
-        return {
-          value: 0,
-          label: metric,
-          error: aggregateData.error.message,
-        };
-      }
+    const insightsUrl = (period, extra = '') => `act_${accountId}/insights?fields=${fields}`
+      + `&time_range=${encodeURIComponent(JSON.stringify({ since: period.since, until: period.until }))}${attribution}${extra}`;
+
+    const [totals, daily, previousTotals, previousDaily, ...breakdownRows] = await this.graphBatch(accessToken, [
+      insightsUrl(range),
+      insightsUrl(range, '&time_increment=1&limit=500'),
+      insightsUrl(comparisonRange),
+      insightsUrl(comparisonRange, '&time_increment=1&limit=500'),
+      ...breakdowns.map(dimension => insightsUrl(range, `&breakdowns=${BREAKDOWN_FIELDS[dimension]}&limit=500`)),
+    ]);
 
-      // Parse values
-      let value = 0;
-      let currency = 'USD';
+    const currency = totals[0]?.account_currency || options.currency || 'USD';
+    const valueOf = (row, metric) => (row ? parseFloat(this.parseMetricValue(row, fieldFor(metric), metric, conversion)) || 0 : 0);
+    const seriesOf = (rows, metric) => rows.map(day => ({ date: day.date_start, value: valueOf(day, metric) }));
 
-      if (aggregateData.data && aggregateData.data.length > 0) {
-        const insights = aggregateData.data[0];
-        value = this.parseMetricValue(insights, field, metric);
-        currency = insights.account_currency || 'USD';
+    const results = {};
+    for (const metric of metrics) {
+      const value = valueOf(totals[0], metric);
+      const previousValue = valueOf(previousTotals[0], metric);
+
+      results[metric] = {
+        value,
+        ...buildComparison(value, previousValue, seriesOf(previousDaily, metric), range, comparisonRange),
+        label: metric,
+        dateRange: { since, until },
+        // A zero ROAS means conversion tracking is not set up on the account
+        currency: metric === 'roas' && value === 0 ? 'SETUP_REQUIRED' : currency,
+        timeSeries: seriesOf(daily, metric),
+      };
+    }
+
+    const breakdownResults = {};
+    breakdowns.forEach((dimension, index) => {
+      const keys = BREAKDOWN_FIELDS[dimension].split(',');
+      breakdownResults[dimension] = breakdownRows[index].map(row => ({
+        key: keys.map(key => row[key]).filter(Boolean).join(' / ') || 'unknown',
+        values: Object.fromEntries(metrics.map(metric => [metric, valueOf(row, metric)])),
+      }));
+    });
+
+    return { metrics: results, breakdowns: breakdownResults };
+  }
+
+  /**
+   * Run several Graph API GET requests in one HTTP call
+   *
+   * @param {string[]} relativeUrls - Paths relative to the API version, with query string
+   * @returns {Promise<Object[][]>} The data rows of each response, in request order
+   * @throws {Error} When any request fails (the Graph error is attached as error.response)
+   */
+  static async graphBatch(accessToken, relativeUrls) {
+    const response = await axios.post(BASE_URL, new URLSearchParams({
+      access_token: accessToken,
+      include_headers: 'false',
+      batch: JSON.stringify(relativeUrls.map(relativeUrl => ({ method: 'GET', relative_url: relativeUrl }))),
+    }));
+
+    return response.data.map((item, index) => {
+      const body = item?.body ? JSON.parse(item.body) : {};
+      if (!item || item.code !== 200) {
+        const error = new Error(body.error?.message || `Graph API batch request ${index} failed`);
+        error.response = { status: item?.code, data: body };
+        throw error;
       }
+      return body.data || [];
+    });
+  }
+
+  /**
+   * Fetch a breakdown of an ad account's performance
+   * Segments (device, country, placement, age, gender) come from insights
+   * breakdowns, entities (campaign, ad set, ad) from insights at that level.
+   *
+   * @param {string} dimension - One of BREAKDOWN_DIMENSIONS (see ./breakdowns)
+   * @param {string} metric - Requested metric; every row carries the base metrics
+   * @param {Object} [config] - App config
+   * @param {Object} [options] - { currency, conversions }: the account's stored currency, used when
+   *   insights omit it, and its conversion definition (see ./conversions)
+   * @returns {Promise<Object>} { dimension, metric, dateRange, currency, rows }
+   * @throws {ValidationError} For an unsupported dimension
+   */
+  static async fetchBreakdown(dimension, accountId, accessToken, metric, since, until, config, options = {}) {
+    assertDimension('Meta', dimension);
+
+    const entity = ENTITY_LEVELS[dimension];
+    const conversion = this.conversionQuery(options.conversions);
+    const fields = ['impressions', 'clicks', 'spend', 'reach', 'actions', 'action_values', 'account_currency'];
+
+    const insights = await this.fetchAllPages(`${BASE_URL}/act_${accountId}/insights`, {
+      access_token: accessToken,
+      fields: [...(entity ? entity.fields : []), ...fields].join(','),
+      time_range: JSON.stringify({ since, until }),
+      limit: 500,
+      ...(entity ? { level: entity.level } : { breakdowns: BREAKDOWN_FIELDS[dimension] }),
+      ...(conversion.windows && { action_attribution_windows: JSON.stringify(conversion.windows) }),
+    });
 
-      let previousValue = 0;
-      if (prevData.data && prevData.data.length > 0) {
-        previousValue = this.parseMetricValue(prevData.data[0], field, metric);
+    const rows = insights.map(row => breakdownRow({
+      ...this.breakdownSegment(dimension, row),
+      spend: row.spend,
+      impressions: row.impressions,
+      clicks: row.clicks,
+      conversions: this.sumActions(row.actions, conversion.actionTypes, conversion.windows),
+      conversionValue: this.sumActions(row.action_values, conversion.revenueTypes, conversion.windows),
+      reach: row.reach,
+    }));
+
+    return {
+      dimension,
+      metric,
+      dateRange: { since, until },
+      currency: insights[0]?.account_currency || options.currency || 'USD',
+      rows: mergeRows(rows),
+    };
+  }
+
+  /**
+   * Key and display name of an insights row for a breakdown dimension
+   */
+  static breakdownSegment(dimension, row) {
+    switch (dimension) {
+      case 'campaign':
+        return { key: row.campaign_id, name: row.campaign_name };
+      case 'ad_set':
+        return { key: row.adset_id, name: row.adset_name, campaign: row.campaign_name };
+      case 'ad':
+        return { key: row.ad_id, name: row.ad_name, adSet: row.adset_name, campaign: row.campaign_name };
+      case 'device': {
+        // Devices are merged by display name (mobile app and mobile web are both "Mobile")
+        const name = this.formatDeviceName(row.impression_device);
+        return { key: name, name };
       }
+      case 'country':
+        return { key: row.country || 'unknown', name: countryName(row.country) };
+      case 'placement':
+        return {
+          key: `${row.publisher_platform}/${row.platform_position}`,
+          name: `${formatSegmentName(row.publisher_platform)} / ${formatSegmentName(row.platform_position)}`,
+        };
+      case 'age':
+        return { key: row.age || 'unknown', name: row.age || 'Unknown' };
+      default:
+        return { key: row.gender || 'unknown', name: formatSegmentName(row.gender) };
+    }
+  }
+
+  /**
+   * Clean and standardize impression_device names
+   */
+  static formatDeviceName(device) {
+    switch (device) {
+      case 'desktop':
+        return 'Desktop';
+      case 'mobile_app':
+      case 'mobile_web':
+      case 'android_smartphone':
+        return 'Mobile';
+      case 'iphone':
+        return 'iPhone';
+      case 'ipad':
+      case 'android_tablet':
+        return 'Tablet';
+      case 'ig_android_app':
+      case 'ig_ios_app':
+        return 'Instagram';
+      case 'ipod':
+        return 'iPod';
+      default:
+        return device ? device.charAt(0).toUpperCase() + device.slice(1).replace(/_/g, ' ') : 'Unknown';
+    }
+  }
+
+  /**
+   * Compare the creatives of an ad account (Meta only: type, engagement and
+   * video completion per ad)
+   *
+   * @returns {Promise<Object>} Widget table sorted by spend
+   */
+  static async fetchCreativeComparison(accountId, accessToken, since, until) {
+    const insightFields = [
+      'spend', 'impressions', 'clicks', 'ctr', 'cpc', 'cpm', 'reach', 'frequency', 'actions', 'cost_per_action_type',
+      'purchase_roas', 'video_play_actions', 'video_p25_watched_actions', 'video_p50_watched_actions',
+      'video_p75_watched_actions', 'video_p100_watched_actions', 'engagement', 'post_engagement', 'link_url_clicks',
+      'post_reactions', 'post_shares', 'post_comments',
+    ];
+
+    // Fetch ads with comprehensive creative information and engagement metrics
+    const response = await axios.get(`${BASE_URL}/act_${accountId}/ads`, {
+      params: {
+        access_token: accessToken,
+        fields: 'name,status,adset{name,campaign{name}},'
+          + 'creative{object_story_spec,image_url,image_hash,video_id,thumbnail_url,effective_object_story_id},'
+          + `insights.time_range(${JSON.stringify({ since, until })}){${insightFields.join(',')}}`,
+        limit: 100,
+      },
+    });
+    const data = response.data;
+
+    const creatives = [];
+    const creativeGroups = {}; // Group by creative hash for comparison
+
+    if (data.data && data.data.length > 0) {
+      for (const ad of data.data) {
+        if (ad.insights && ad.insights.data && ad.insights.data.length > 0) {
+          const insight = ad.insights.data[0];
+          const creative = ad.creative || {};
+
+          // Determine creative type and ID
+          let creativeType = 'Unknown';
+          let creativeId = creative.image_hash || creative.video_id || creative.effective_object_story_id || ad.id;
+
+          if (creative.video_id) {
+            creativeType = 'Video';
+          } else if (creative.image_url || creative.image_hash) {
+            creativeType = 'Image';
+          } else if (creative.object_story_spec) {
+            const spec = creative.object_story_spec;
+            if (spec.link_data && spec.link_data.child_attachments) {
+              creativeType = 'Carousel';
+            } else if (spec.video_data) {
+              creativeType = 'Video';
+            } else {
+              creativeType = 'Link/Post';
+            }
+          }
+
+          // Calculate conversions
+          let conversions = 0;
+          if (insight.actions) {
+            conversions = insight.actions.reduce((sum, action) => sum + parseFloat(action.value || 0), 0);
+          }
+
+          // Calculate cost per conversion
+          let costPerConversion = 0;
+          if (insight.cost_per_action_type && insight.cost_per_action_type.length > 0) {
+            costPerConversion = insight.cost_per_action_type.reduce((sum, a) => sum + parseFloat(a.value || 0), 0) / insight.cost_per_action_type.length;
+          } else if (conversions > 0) {
+            costPerConversion = parseFloat(insight.spend || 0) / conversions;
+          }
+
+          // Get ROAS
+          let roas = 0;
+          if (insight.purchase_roas && insight.purchase_roas.length > 0) {
+            roas = parseFloat(insight.purchase_roas[0].value || 0);
+          }
 
-      // Parse time-series
-      const timeSeries = [];
-      if (timeSeriesData.data && timeSeriesData.data.length > 0) {
-        for (const day of timeSeriesData.data) {
-          timeSeries.push({
-            date: day.date_start,
-            value: parseFloat(this.parseMetricValue(day, field, metric)) || 0,
-          });
+          // Get video completion rate (100% views)
+          let video100 = 0;
+          if (insight.video_p100_watched_actions && insight.video_p100_watched_actions.length > 0) {
+            video100 = insight.video_p100_watched_actions.reduce((sum, v) => sum + parseFloat(v.value || 0), 0);
+          }
+
+          // Calculate video completion rate percentage
+          let videoCompletionRate = 0;
+          const videoPlays = insight.video_play_actions && insight.video_play_actions.length > 0
+            ? insight.video_play_actions.reduce((sum, v) => sum + parseFloat(v.value || 0), 0)
+            : 0;
+          if (videoPlays > 0 && video100 > 0) {
+            videoCompletionRate = (video100 / videoPlays) * 100;
+          }
+
+          // Get engagement metrics
+          let engagement = 0;
+          if (insight.post_engagement) {
+            engagement = parseInt(insight.post_engagement || 0);
+          } else if (insight.engagement) {
+            engagement = parseInt(insight.engagement || 0);
+          }
+
+          // Get link clicks
+          let linkClicks = 0;
+          if (insight.link_url_clicks) {
+            linkClicks = parseInt(insight.link_url_clicks || 0);
+          }
+
+          // Get ad set and campaign names
+          const adSetName = ad.adset ? ad.adset.name : 'N/A';
+          const campaignName = ad.adset && ad.adset.campaign ? ad.adset.campaign.name : 'N/A';
+
+          const creativeData = {
+            name: ad.name,
+            creativeId: creativeId,
+            type: creativeType,
+            campaign: campaignName,
+            adSet: adSetName,
+            status: ad.status || 'UNKNOWN',
+            spend: parseFloat(insight.spend || 0),
+            impressions: parseInt(insight.impressions || 0),
+            clicks: parseInt(insight.clicks || 0),
+            ctr: parseFloat(insight.ctr || 0),
+            cpc: parseFloat(insight.cpc || 0),
+            cpm: parseFloat(insight.cpm || 0),
+            reach: parseInt(insight.reach || 0),
+            frequency: parseFloat(insight.frequency || 0),
+            conversions: conversions,
+            costPerConversion: costPerConversion,
+            roas: roas,
+            video100: video100,
+            videoCompletionRate: videoCompletionRate,
+            engagement: engagement,
+            linkClicks: linkClicks
+          };
+
+          creatives.push(creativeData);
+
+          // Group creatives by creative ID for comparison
+          if (!creativeGroups[creativeId]) {
+            creativeGroups[creativeId] = [];
+          }
+          creativeGroups[creativeId].push(creativeData);
         }
       }
+    }
 
-      const changePercent = previousValue > 0
-        ? ((parseFloat(value) - parseFloat(previousValue)) / parseFloat(previousValue) * 100).toFixed(1)
-        : 0;
+    // Sort by spend (highest first)
+    creatives.sort((a, b) => b.spend - a.spend);
 
-      return {
-        value: parseFloat(value) || 0,
-        previousValue: parseFloat(previousValue) || 0,
-        changePercent: parseFloat(changePercent),
-        label: metric,
-        dateRange: { since, until },
-        previousDateRange: {
-          since: prevSince.toISOString().split('T')[0],
-          until: prevUntil.toISOString().split('T')[0],
-        },
-        currency,
-        timeSeries,
-      };
-    } catch (error) {
-      console.error('Error fetching Meta metrics:', error);
-      return {
-        value: 0,
-        label: metric,
-        error: error.message,
-      };
+    return {
+      type: 'table',
+      columns: ['Creative/Ad Name', 'Type', 'Campaign', 'Ad Set', 'Status', 'Quality Score', 'Budget Spent', 'People Reached', 'Total Impressions', 'Link Clicks', 'Click Rate', 'Cost/Click', 'Engagement Rate', 'Total Engagement', 'Conversions', 'Conv. Rate', 'Cost/Conv.', 'ROAS', 'Video Completion'],
+      data: creatives.slice(0, 50).map(c => {
+        // Calculate conversion rate
+        const conversionRate = c.clicks > 0 ? (c.conversions / c.clicks) * 100 : 0;
+
+        // Calculate engagement rate
+        const engagementRate = c.impressions > 0 ? (c.engagement / c.impressions) * 100 : 0;
+
+        // Calculate quality score based on CTR, engagement, and completion
+        const ctrScore = (c.ctr * 100) * 15; // CTR weight
+        const engagementScore = engagementRate * 10; // Engagement weight
+        const videoScore = c.videoCompletionRate * 5; // Video completion weight
+        const qualityScore = Math.round(ctrScore + engagementScore + videoScore);
+
+        // Format status with visual indicator
+        let statusDisplay = c.status;
+        if (c.status === 'ACTIVE') {
+          statusDisplay = '● Active';
+        } else if (c.status === 'PAUSED') {
+          statusDisplay = '○ Paused';
+        } else if (c.status === 'ARCHIVED') {
+          statusDisplay = '□ Archived';
+        }
+
+        // Format creative type with icon
+        let typeDisplay = c.type;
+        if (c.type === 'Video') {
+          typeDisplay = '▶ Video';
+        } else if (c.type === 'Image') {
+          typeDisplay = '◼ Image';
+        } else if (c.type === 'Carousel') {
+          typeDisplay = '⊞ Carousel';
+        } else if (c.type === 'Link/Post') {
+          typeDisplay = '◈ Link/Post';
+        }
+
+        return {
+          creative_ad_name: c.name,
+          type: typeDisplay,
+          campaign: c.campaign,
+          ad_set: c.adSet,
+          status: statusDisplay,
+          quality_score: qualityScore.toLocaleString(),
+          budget_spent: '$' + c.spend.toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2}),
+          people_reached: c.reach.toLocaleString(),
+          total_impressions: c.impressions.toLocaleString(),
+          link_clicks: c.clicks.toLocaleString(),
+          click_rate: (c.ctr * 100).toFixed(2) + '%',
+          cost_click: '$' + c.cpc.toFixed(2),
+          engagement_rate: engagementRate > 0 ? engagementRate.toFixed(2) + '%' : '0%',
+          total_engagement: c.engagement > 0 ? c.engagement.toLocaleString() : '0',
+          conversions: c.conversions.toLocaleString(),
+          conv_rate: conversionRate > 0 ? conversionRate.toFixed(2) + '%' : '0%',
+          cost_conv: c.costPerConversion > 0 ? '$' + c.costPerConversion.toFixed(2) : 'No Conv.',
+          roas: c.roas > 0 ? c.roas.toFixed(2) + 'x' : 'No Data',
+          video_completion: c.video100 > 0 ? c.video100.toLocaleString() + ' (' + c.videoCompletionRate.toFixed(1) + '%)' : 'N/A'
+        };
+      }),
+      _creativeGroups: Object.keys(creativeGroups).length, // For future grouped view
+    };
+  }
+
+  /**
+   * Fetch all campaigns of an ad account
+   */
+  static async fetchCampaigns(accountId, accessToken) {
+    const campaigns = await this.fetchAllPages(`${BASE_URL}/act_${accountId}/campaigns`, {
+      access_token: accessToken,
+      fields: 'id,name,objective,status,effective_status,start_time,stop_time,daily_budget,lifetime_budget,bid_strategy',
+      limit: 500,
+    });
+
+    return campaigns.map(campaign => ({
+      campaignId: campaign.id,
+      name: campaign.name || `Campaign ${campaign.id}`,
+      objective: campaign.objective || null,
+      status: this.normalizeStatus(campaign.effective_status || campaign.status),
+      startDate: campaign.start_time ? campaign.start_time.split('T')[0] : null,
+      endDate: campaign.stop_time ? campaign.stop_time.split('T')[0] : null,
+      budgetAmount: this.parseBudget(campaign.daily_budget || campaign.lifetime_budget),
+      budgetType: campaign.daily_budget ? 'daily' : (campaign.lifetime_budget ? 'lifetime' : null),
+      bidStrategy: campaign.bid_strategy || null,
+      metadata: { effective_status: campaign.effective_status },
+    }));
+  }
+
+  /**
+   * Fetch all ad sets of an ad account
+   */
+  static async fetchAdSets(accountId, accessToken) {
+    const adSets = await this.fetchAllPages(`${BASE_URL}/act_${accountId}/adsets`, {
+      access_token: accessToken,
+      fields: 'id,name,campaign_id,status,effective_status,targeting,daily_budget,lifetime_budget,bid_amount,start_time,end_time,optimization_goal',
+      limit: 500,
+    });
+
+    return adSets.map(adSet => ({
+      adSetId: adSet.id,
+      campaignId: adSet.campaign_id,
+      name: adSet.name || `Ad set ${adSet.id}`,
+      status: this.normalizeStatus(adSet.effective_status || adSet.status),
+      targeting: adSet.targeting || {},
+      placement: {
+        publisher_platforms: adSet.targeting?.publisher_platforms || [],
+        positions: adSet.targeting?.facebook_positions || [],
+      },
+      budgetAmount: this.parseBudget(adSet.daily_budget || adSet.lifetime_budget),
+      bidAmount: this.parseBudget(adSet.bid_amount),
+      startDate: adSet.start_time ? adSet.start_time.split('T')[0] : null,
+      endDate: adSet.end_time ? adSet.end_time.split('T')[0] : null,
+      metadata: { optimization_goal: adSet.optimization_goal },
+    }));
+  }
+
+  /**
+   * Fetch all ads of an ad account
+   */
+  static async fetchAds(accountId, accessToken) {
+    const ads = await this.fetchAllPages(`${BASE_URL}/act_${accountId}/ads`, {
+      access_token: accessToken,
+      fields: 'id,name,adset_id,status,effective_status,creative{object_type,title,body,call_to_action_type,image_url,video_id,link_url}',
+      limit: 500,
+    });
+
+    return ads.map(ad => ({
+      adId: ad.id,
+      adSetId: ad.adset_id,
+      name: ad.name || `Ad ${ad.id}`,
+      status: this.normalizeStatus(ad.effective_status || ad.status),
+      creativeType: ad.creative?.object_type || null,
+      headline: ad.creative?.title || null,
+      description: ad.creative?.body || null,
+      callToAction: ad.creative?.call_to_action_type || null,
+      imageUrl: ad.creative?.image_url || null,
+      videoUrl: ad.creative?.video_id ? `https://www.facebook.com/${ad.creative.video_id}` : null,
+      destinationUrl: ad.creative?.link_url || null,
+      metadata: {},
+    }));
+  }
+
+  /**
+   * Fetch daily performance rows for an ad account
+   *
+   * @param {string} level - 'account', 'campaign', 'ad_set' or 'ad'
+   * @param {Object} [config] - App config
+   * @param {Object} [options] - { conversions } the account's conversion definition (see ./conversions)
+   * @returns {Promise<Object[]>} [{ date, campaignId, adSetId, adId, impressions, clicks, spend, conversions, conversionValue, reach, frequency, videoViews }];
+   *   only the ID of the requested level is set
+   */
+  static async fetchDailyInsights(accountId, accessToken, level, since, until, config, options = {}) {
+    const dailyLevel = DAILY_LEVELS[level] || DAILY_LEVELS.account;
+    const conversion = this.conversionQuery(options.conversions);
+    const fields = ['impressions', 'clicks', 'spend', 'reach', 'frequency', 'actions', 'action_values', 'video_play_actions'];
+    if (dailyLevel.idField) fields.unshift(dailyLevel.idField);
+
+    const rows = await this.fetchAllPages(`${BASE_URL}/act_${accountId}/insights`, {
+      access_token: accessToken,
+      level: dailyLevel.level,
+      fields: fields.join(','),
+      time_range: JSON.stringify({ since, until }),
+      time_increment: 1,
+      limit: 500,
+      ...(conversion.windows && { action_attribution_windows: JSON.stringify(conversion.windows) }),
+    });
+
+    return rows.map(row => ({
+      date: row.date_start,
+      campaignId: level === 'campaign' ? row.campaign_id : null,
+      adSetId: level === 'ad_set' ? row.adset_id : null,
+      adId: level === 'ad' ? row.ad_id : null,
+      impressions: parseInt(row.impressions, 10) || 0,
+      clicks: parseInt(row.clicks, 10) || 0,
+      spend: parseFloat(row.spend) || 0,
+      conversions: this.sumActions(row.actions, conversion.actionTypes, conversion.windows),
+      conversionValue: this.sumActions(row.action_values, conversion.revenueTypes, conversion.windows),
+      reach: parseInt(row.reach, 10) || 0,
+      frequency: parseFloat(row.frequency) || 0,
+      videoViews: this.sumActions(row.video_play_actions),
+    }));
+  }
+
+  /**
+   * Follow Graph API cursor pagination and return every row
+   */
+  static async fetchAllPages(url, params) {
+    const rows = [];
+    let response = await axios.get(url, { params });
+
+    while (true) {
+      rows.push(...(response.data.data || []));
+      const next = response.data.paging?.next;
+      if (!next) break;
+      response = await axios.get(next);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Action types, revenue action types and attribution windows of a conversion
+   * definition; configured actions also count as revenue actions
+   *
+   * @param {Object} [definition] - options.conversions (see ./conversions)
+   * @returns {Object} { actionTypes, revenueTypes, windows, custom }; windows are
+   *   action_attribution_windows values, or null for the account's default attribution
+   */
+  static conversionQuery(definition) {
+    const windows = resolveWindows('meta', definition);
+    return {
+      actionTypes: definition?.actions || CONVERSION_ACTION_TYPES,
+      revenueTypes: definition?.actions || REVENUE_ACTION_TYPES,
+      windows: windows
+        ? [`${windows.click}d_click`, ...(windows.view > 0 ? [`${windows.view}d_view`] : [])]
+        : null,
+      custom: isCustom(definition),
+    };
+  }
+
+  /**
+   * Sum action values, optionally only for the given action types
+   * With attribution windows requested, each action carries one value per window
+   * (e.g. 7d_click, 1d_view) and those are summed instead of the default value.
+   */
+  static sumActions(actions, actionTypes = null, windows = null) {
+    const valueOf = action => (windows
+      ? windows.reduce((sum, window) => sum + (parseFloat(action[window]) || 0), 0)
+      : parseFloat(action.value) || 0);
+
+    return (actions || [])
+      .filter(action => !actionTypes || actionTypes.includes(action.action_type))
+      .reduce((sum, action) => sum + valueOf(action), 0);
+  }
+
+  /**
+   * Budgets and bids are returned in the account currency's minor unit
+   */
+  static parseBudget(value) {
+    return value ? parseFloat(value) / 100 : null;
+  }
+
+  /**
+   * Map Meta delivery statuses onto active / paused / archived / deleted
+   */
+  static normalizeStatus(status) {
+    switch (status) {
+      case 'ACTIVE':
+      case 'IN_PROCESS':
+      case 'WITH_ISSUES':
+        return 'active';
+      case 'ARCHIVED':
+        return 'archived';
+      case 'DELETED':
+        return 'deleted';
+      default:
+        return 'paused';
     }
   }
 
   /**
    * Parse metric value from API response
+   * Conversion metrics count the actions of the conversion definition
+   *
+   * @param {Object} [conversion] - As returned by conversionQuery
    */
-  static parseMetricValue(data, field, metric) {
+  static parseMetricValue(data, field, metric, conversion = this.conversionQuery()) {
     let value = data[field];
+    const spend = parseFloat(data.spend || 0);
+    const conversions = () => this.sumActions(data.actions, conversion.actionTypes, conversion.windows);
 
-    if (metric === 'conversions' && data.actions) {
-      value = data.actions.reduce((sum, action) => sum + parseFloat(action.value || 0), 0);
-    } else if (metric === 'cost_per_conversion' && data.cost_per_action_type) {
-      const actions = data.cost_per_action_type;
-      value = actions.length > 0
-        ? actions.reduce((sum, a) => sum + parseFloat(a.value || 0), 0) / actions.length
-        : 0;
+    if (metric === 'roas') {
+      // Meta's purchase_roas only matches the default purchase definition
+      value = data.purchase_roas?.length > 0 && !conversion.custom
+        ? parseFloat(data.purchase_roas[0].value || 0)
+        : (spend > 0 ? this.sumActions(data.action_values, conversion.revenueTypes, conversion.windows) / spend : 0);
+    } else if (metric === 'conversions') {
+      value = conversions();
+    } else if (metric === 'cost_per_conversion') {
+      const count = conversions();
+      value = count > 0 ? spend / count : 0;
     }
 
     return value || 0;
@@ -4,6 +4,13 @@
  */
 
 const axios = require('axios');
+const { getComparisonRange, buildComparison, getFetchWindows, sliceTimeSeries } = require('../comparisonPeriod');
+const { assertDimension, breakdownRow, formatSegmentName, countryName } = require('./breakdowns');
+
+// Metrics returned as tables rather than a single value
+const TABLE_METRICS = ['top_queries', 'top_pages', 'device_breakdown', 'country_breakdown'];
+// Search Console keeps 16 months of data; both periods are queried together up to this span
+const MAX_QUERY_DAYS = 480;
 
 class SearchConsoleService {
   /**
@@ -140,8 +147,12 @@ class SearchConsoleService {
 
   /**
    * Fetch metrics for dashboard widgets
+   *
+   * @param {Object} [options]
+   * @param {string|Object} [options.comparison] - previous_period (default), same_period_last_year
+   *   or { mode: 'custom', startDate, endDate }; applies to single-value metrics
    */
-  static async fetchMetrics(siteUrl, accessToken, metric, since, until, config) {
+  static async fetchMetrics(siteUrl, accessToken, metric, since, until, config, options = {}) {
     try {
       // Handle table-based metrics
       if (metric === 'top_queries') {
@@ -228,46 +239,86 @@ class SearchConsoleService {
       }
 
       // Standard single-value metrics
+      const batch = await this.fetchMetricsBatch(siteUrl, accessToken, [metric], since, until, config, options);
+      return batch.metrics[metric];
+    } catch (error) {
+      console.error('Error fetching Search Console metrics:', error);
+      return {
+        value: 0,
+        label: metric,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Fetch several metrics at once: clicks, impressions, CTR and position come
+   * from one date-dimension query covering the comparison period too
+   * (table metrics such as top_queries are fetched individually)
+   *
+   * @param {string[]} metrics - Metric names
+   * @param {Object} [options] - { comparison } as for fetchMetrics
+   * @returns {Promise<Object>} { metrics: { [metric]: fetchMetrics result } }
+   */
+  static async fetchMetricsBatch(siteUrl, accessToken, metrics, since, until, config, options = {}) {
+    const results = {};
+
+    for (const metric of metrics.filter(metric => TABLE_METRICS.includes(metric))) {
+      results[metric] = await this.fetchMetrics(siteUrl, accessToken, metric, since, until, config, options);
+    }
+
+    const valueMetrics = metrics.filter(metric => !TABLE_METRICS.includes(metric));
+    if (valueMetrics.length === 0) {
+      return { metrics: results };
+    }
+
+    const range = { since, until };
+    const comparisonRange = getComparisonRange(since, until, options.comparison);
+
+    // Separate windows may overlap; each day counts once
+    const rowsByDate = new Map();
+    for (const window of getFetchWindows(range, comparisonRange, MAX_QUERY_DAYS)) {
       const rows = await this.fetchSearchAnalytics(siteUrl, accessToken, {
-        startDate: since,
-        endDate: until,
+        startDate: window.since,
+        endDate: window.until,
         dimensions: ['date'],
       });
-
-      // Aggregate metrics
-      let totalValue = 0;
-      const timeSeries = [];
-
       for (const row of rows) {
-        const value = this.extractMetricValue(row, metric);
-        totalValue += value;
-        timeSeries.push({
-          date: row.keys[0],
-          value,
-        });
-      }
-
-      // For CTR and position, calculate averages
-      if (metric === 'ctr' || metric === 'position') {
-        totalValue = rows.length > 0 ? totalValue / rows.length : 0;
+        if (!rowsByDate.has(row.keys[0])) rowsByDate.set(row.keys[0], row);
       }
-
-      return {
-        value: totalValue,
-        previousValue: 0,
-        changePercent: 0,
+    }
+    const rows = [...rowsByDate.values()];
+
+    for (const metric of valueMetrics) {
+      const series = rows.map(row => ({ date: row.keys[0], value: this.extractMetricValue(row, metric) }));
+      const timeSeries = sliceTimeSeries(series, range);
+      const previousTimeSeries = sliceTimeSeries(series, comparisonRange);
+      const value = this.aggregateDailyValues(timeSeries, metric);
+      const previousValue = this.aggregateDailyValues(previousTimeSeries, metric);
+
+      results[metric] = {
+        value,
+        ...buildComparison(value, previousValue, previousTimeSeries, range, comparisonRange),
         label: metric,
         dateRange: { since, until },
         timeSeries,
       };
-    } catch (error) {
-      console.error('Error fetching Search Console metrics:', error);
-      return {
-        value: 0,
-        label: metric,
-        error: error.message,
-      };
     }
+
+    return { metrics: results };
+  }
+
+  /**
+   * Period value of a daily series (CTR and position are averaged)
+   */
+  static aggregateDailyValues(timeSeries, metric) {
+    const total = timeSeries.reduce((sum, day) => sum + day.value, 0);
+
+    if (metric === 'ctr' || metric === 'position') {
+      return timeSeries.length > 0 ? total / timeSeries.length : 0;
+    }
+
+    return total;
   }
 
   /**
@@ -288,6 +339,44 @@ class SearchConsoleService {
     }
   }
 
+  /**
+   * Fetch a breakdown of a property's search performance
+   * Search Console reports device and country only; rows carry clicks and
+   * impressions (no spend or conversions).
+   *
+   * @param {string} dimension - device or country
+   * @param {string} metric - Requested metric (clicks, impressions, ctr)
+   * @returns {Promise<Object>} { dimension, metric, dateRange, rows }
+   * @throws {ValidationError} For an unsupported dimension
+   */
+  static async fetchBreakdown(dimension, siteUrl, accessToken, metric, since, until) {
+    assertDimension('Search Console', dimension, ['device', 'country']);
+
+    const analyticsRows = await this.fetchSearchAnalytics(siteUrl, accessToken, {
+      startDate: since,
+      endDate: until,
+      dimensions: [dimension],
+    });
+
+    const rows = analyticsRows.map(row => {
+      const key = row.keys[0];
+      return breakdownRow({
+        key,
+        // Countries are ISO 3166-1 alpha-3 codes
+        name: dimension === 'country' ? countryName(key) : formatSegmentName(key),
+        clicks: row.clicks,
+        impressions: row.impressions,
+      });
+    });
+
+    return {
+      dimension,
+      metric,
+      dateRange: { since, until },
+      rows,
+    };
+  }
+
   /**
    * Get top queries (keywords)
    */
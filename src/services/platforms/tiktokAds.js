@@ -4,9 +4,46 @@
  */
 
 const axios = require('axios');
+const { getComparisonRange, getFetchWindows, buildDailyMetricResults } = require('../comparisonPeriod');
+const { assertDimension, breakdownRow, mergeRows, formatSegmentName, countryName } = require('./breakdowns');
+const { CONVERSION_PLATFORMS } = require('./conversions');
 
 const BASE_URL = 'https://business-api.tiktok.com/open_api/v1.3';
 
+// Report field of each metric
+const METRIC_FIELDS = {
+  spend: 'spend',
+  impressions: 'impressions',
+  clicks: 'clicks',
+  ctr: 'ctr',
+  cpc: 'cpc',
+  cpm: 'cpm',
+  reach: 'reach',
+  conversions: 'conversion',
+  cost_per_conversion: 'cost_per_conversion',
+};
+// Longest date range of a daily (stat_time_day) report
+const MAX_REPORT_DAYS = 30;
+// Report settings of each breakdown dimension: entities come from basic reports
+// at their level, segments from audience reports
+const BREAKDOWN_REPORTS = {
+  campaign: { reportType: 'BASIC', dataLevel: 'AUCTION_CAMPAIGN', dimension: 'campaign_id', names: ['campaign_name'] },
+  ad_set: { reportType: 'BASIC', dataLevel: 'AUCTION_ADGROUP', dimension: 'adgroup_id', names: ['adgroup_name', 'campaign_name'] },
+  ad: { reportType: 'BASIC', dataLevel: 'AUCTION_AD', dimension: 'ad_id', names: ['ad_name', 'adgroup_name', 'campaign_name'] },
+  device: { reportType: 'AUDIENCE', dataLevel: 'AUCTION_ADVERTISER', dimension: 'platform' },
+  country: { reportType: 'AUDIENCE', dataLevel: 'AUCTION_ADVERTISER', dimension: 'country_code' },
+  placement: { reportType: 'AUDIENCE', dataLevel: 'AUCTION_ADVERTISER', dimension: 'placement' },
+  age: { reportType: 'AUDIENCE', dataLevel: 'AUCTION_ADVERTISER', dimension: 'age' },
+  gender: { reportType: 'AUDIENCE', dataLevel: 'AUCTION_ADVERTISER', dimension: 'gender' },
+};
+// Report data level and ID dimension of each daily insights level
+const DAILY_LEVELS = {
+  account: { dataLevel: 'AUCTION_ADVERTISER', dimension: null },
+  campaign: { dataLevel: 'AUCTION_CAMPAIGN', dimension: 'campaign_id' },
+  ad_set: { dataLevel: 'AUCTION_ADGROUP', dimension: 'adgroup_id' },
+  ad: { dataLevel: 'AUCTION_AD', dimension: 'ad_id' },
+};
+
 class TikTokAdsService {
   /**
    * Get OAuth configuration
@@ -82,70 +119,362 @@ class TikTokAdsService {
 
   /**
    * Fetch metrics for a TikTok advertiser
+   *
+   * @param {Object} [options]
+   * @param {string|Object} [options.comparison] - previous_period (default), same_period_last_year
+   *   or { mode: 'custom', startDate, endDate }
+   * @param {string} [options.currency] - The account's stored currency, reported on the result
+   * @param {Object} [options.conversions] - The account's conversion definition (see ./conversions)
    */
-  static async fetchMetrics(accountId, accessToken, metric, since, until) {
+  static async fetchMetrics(accountId, accessToken, metric, since, until, config, options = {}) {
     try {
-      const metricFieldMap = {
-        spend: 'spend',
-        impressions: 'impressions',
-        clicks: 'clicks',
-        ctr: 'ctr',
-        cpc: 'cpc',
-        cpm: 'cpm',
-        reach: 'reach',
-        conversions: 'conversion',
-        cost_per_conversion: 'cost_per_conversion',
+      const batch = await this.fetchMetricsBatch(accountId, accessToken, [metric], since, until, config, options);
+      return batch.metrics[metric];
+    } catch (error) {
+      console.error('Error fetching TikTok metrics:', error);
+      return {
+        value: 0,
+        label: metric,
+        error: error.message,
       };
+    }
+  }
+
+  /**
+   * Fetch several metrics at once: one report request covers every metric and,
+   * when the two fit in one 30-day report, the comparison period as well
+   *
+   * @param {string[]} metrics - Metric names (spend, impressions, clicks, ...)
+   * @param {Object} [options] - { comparison, currency, conversions } as for fetchMetrics
+   * @returns {Promise<Object>} { metrics: { [metric]: fetchMetrics result } }
+   */
+  static async fetchMetricsBatch(accountId, accessToken, metrics, since, until, config, options = {}) {
+    const range = { since, until };
+    const comparisonRange = getComparisonRange(since, until, options.comparison);
+    const events = this.conversionEvents(options.conversions);
+    // Conversion metrics are computed from the events of the conversion definition
+    const fieldsFor = (metric) => {
+      if (metric === 'conversions') return events;
+      if (metric === 'cost_per_conversion') return ['spend', ...events];
+      return [METRIC_FIELDS[metric] || 'spend'];
+    };
+    const fields = [...new Set(metrics.flatMap(fieldsFor))];
+
+    const rows = [];
+    for (const window of getFetchWindows(range, comparisonRange, MAX_REPORT_DAYS)) {
+      rows.push(...await this.fetchDailyReport(accountId, accessToken, fields, window.since, window.until));
+    }
+
+    const valueOf = (values, metric) => {
+      const conversions = this.sumEvents(values, events);
+      if (metric === 'conversions') return conversions;
+      if (metric === 'cost_per_conversion') return conversions > 0 ? (parseFloat(values.spend) || 0) / conversions : 0;
+      return parseFloat(values[METRIC_FIELDS[metric] || 'spend']) || 0;
+    };
+
+    const dailyRows = rows.map(row => ({
+      date: row.date,
+      values: Object.fromEntries(metrics.map(metric => [metric, valueOf(row.metrics, metric)])),
+    }));
 
-      const field = metricFieldMap[metric] || 'spend';
+    const results = buildDailyMetricResults(dailyRows, metrics, range, comparisonRange);
+    for (const metric of metrics) {
+      results[metric].currency = options.currency || 'USD';
+    }
+
+    return { metrics: results };
+  }
 
-      // Fetch aggregate report
-      const response = await axios.get(`${BASE_URL}/report/integrated/get/`, {
+  /**
+   * Daily report rows of an advertiser
+   *
+   * @param {string[]} fields - Report metric names
+   * @returns {Promise<Object[]>} [{ date, metrics: { [field]: value } }]
+   */
+  static async fetchDailyReport(accountId, accessToken, fields, since, until) {
+    const response = await axios.get(`${BASE_URL}/report/integrated/get/`, {
+      headers: {
+        'Access-Token': accessToken,
+      },
+      params: {
+        advertiser_id: accountId,
+        report_type: 'BASIC',
+        dimensions: '["stat_time_day"]',
+        metrics: JSON.stringify(fields),
+        data_level: 'AUCTION_ADVERTISER',
+        start_date: since,
+        end_date: until,
+        page_size: 365,
+      },
+    });
+
+    if (response.data.code !== undefined && response.data.code !== 0) {
+      throw new Error(response.data.message || `TikTok API error ${response.data.code}`);
+    }
+
+    return (response.data.data?.list || []).map(row => ({
+      date: String(row.dimensions?.stat_time_day || '').split(' ')[0],
+      metrics: row.metrics || {},
+    }));
+  }
+
+  /**
+   * Fetch a breakdown of an advertiser's performance
+   *
+   * @param {string} dimension - One of BREAKDOWN_DIMENSIONS (see ./breakdowns)
+   * @param {string} metric - Requested metric; every row carries the base metrics
+   * @param {Object} [config] - App config
+   * @param {Object} [options] - { currency, conversions }: the account's stored currency, reported on
+   *   the result, and its conversion definition (see ./conversions)
+   * @returns {Promise<Object>} { dimension, metric, dateRange, currency, rows }
+   * @throws {ValidationError} For an unsupported dimension
+   */
+  static async fetchBreakdown(dimension, accountId, accessToken, metric, since, until, config, options = {}) {
+    assertDimension('TikTok', dimension);
+
+    const report = BREAKDOWN_REPORTS[dimension];
+    const isEntity = report.reportType === 'BASIC';
+    const events = this.conversionEvents(options.conversions);
+    const metrics = [...new Set(['spend', 'impressions', 'clicks', ...events])];
+    if (isEntity) metrics.push('reach', 'complete_payment', 'value_per_complete_payment', ...report.names);
+
+    const reportRows = await this.fetchAllPages('/report/integrated/get/', accountId, accessToken, {
+      report_type: report.reportType,
+      data_level: report.dataLevel,
+      dimensions: JSON.stringify(isEntity ? [report.dimension] : ['advertiser_id', report.dimension]),
+      metrics: JSON.stringify(metrics),
+      start_date: since,
+      end_date: until,
+    });
+
+    const rows = reportRows.map(({ dimensions: rowDimensions = {}, metrics: values = {} }) => breakdownRow({
+      ...this.breakdownSegment(dimension, rowDimensions[report.dimension], values),
+      spend: values.spend,
+      impressions: values.impressions,
+      clicks: values.clicks,
+      conversions: this.sumEvents(values, events),
+      conversionValue: (parseFloat(values.complete_payment) || 0) * (parseFloat(values.value_per_complete_payment) || 0),
+      reach: values.reach,
+    }));
+
+    return {
+      dimension,
+      metric,
+      dateRange: { since, until },
+      currency: options.currency || 'USD',
+      rows: mergeRows(rows),
+    };
+  }
+
+  /**
+   * Key and display name of a report row for a breakdown dimension
+   */
+  static breakdownSegment(dimension, value, metrics) {
+    switch (dimension) {
+      case 'campaign':
+        return { key: value, name: metrics.campaign_name || `Campaign ${value}` };
+      case 'ad_set':
+        return { key: value, name: metrics.adgroup_name || `Ad group ${value}`, campaign: metrics.campaign_name };
+      case 'ad':
+        return { key: value, name: metrics.ad_name || `Ad ${value}`, adSet: metrics.adgroup_name, campaign: metrics.campaign_name };
+      case 'country':
+        return { key: value || 'unknown', name: countryName(value) };
+      case 'age':
+        // AGE_25_34 -> 25-34, AGE_55_100 -> 55+
+        return {
+          key: value || 'unknown',
+          name: value ? value.replace('AGE_', '').replace('_100', '+').replace('_', '-') : 'Unknown',
+        };
+      case 'placement':
+        return { key: value || 'unknown', name: formatSegmentName(String(value || '').replace('PLACEMENT_', '')) };
+      default:
+        return { key: value || 'unknown', name: formatSegmentName(value) };
+    }
+  }
+
+  /**
+   * Fetch all campaigns of an advertiser
+   */
+  static async fetchCampaigns(accountId, accessToken) {
+    const campaigns = await this.fetchAllPages('/campaign/get/', accountId, accessToken);
+
+    return campaigns.map(campaign => ({
+      campaignId: String(campaign.campaign_id),
+      name: campaign.campaign_name || `Campaign ${campaign.campaign_id}`,
+      objective: campaign.objective_type || null,
+      status: this.normalizeStatus(campaign.operation_status),
+      startDate: null,
+      endDate: null,
+      budgetAmount: parseFloat(campaign.budget) || null,
+      budgetType: this.normalizeBudgetMode(campaign.budget_mode),
+      bidStrategy: null,
+      metadata: { secondary_status: campaign.secondary_status },
+    }));
+  }
+
+  /**
+   * Fetch all ad groups of an advertiser
+   */
+  static async fetchAdSets(accountId, accessToken) {
+    const adGroups = await this.fetchAllPages('/adgroup/get/', accountId, accessToken);
+
+    return adGroups.map(adGroup => ({
+      adSetId: String(adGroup.adgroup_id),
+      campaignId: String(adGroup.campaign_id),
+      name: adGroup.adgroup_name || `Ad group ${adGroup.adgroup_id}`,
+      status: this.normalizeStatus(adGroup.operation_status),
+      targeting: {
+        location_ids: adGroup.location_ids || [],
+        age_groups: adGroup.age_groups || [],
+        gender: adGroup.gender || null,
+        languages: adGroup.languages || [],
+      },
+      placement: { placements: adGroup.placements || [] },
+      budgetAmount: parseFloat(adGroup.budget) || null,
+      bidAmount: parseFloat(adGroup.bid_price) || null,
+      startDate: adGroup.schedule_start_time ? adGroup.schedule_start_time.slice(0, 10) : null,
+      endDate: adGroup.schedule_end_time ? adGroup.schedule_end_time.slice(0, 10) : null,
+      metadata: { optimization_goal: adGroup.optimization_goal },
+    }));
+  }
+
+  /**
+   * Fetch all ads of an advertiser
+   */
+  static async fetchAds(accountId, accessToken) {
+    const ads = await this.fetchAllPages('/ad/get/', accountId, accessToken);
+
+    return ads.map(ad => ({
+      adId: String(ad.ad_id),
+      adSetId: String(ad.adgroup_id),
+      name: ad.ad_name || `Ad ${ad.ad_id}`,
+      status: this.normalizeStatus(ad.operation_status),
+      creativeType: ad.ad_format || null,
+      headline: null,
+      description: ad.ad_text || null,
+      callToAction: ad.call_to_action || null,
+      imageUrl: null,
+      videoUrl: null,
+      destinationUrl: ad.landing_page_url || null,
+      metadata: { video_id: ad.video_id, image_ids: ad.image_ids || [] },
+    }));
+  }
+
+  /**
+   * Fetch daily performance rows for an advertiser
+   *
+   * @param {string} level - 'account', 'campaign', 'ad_set' (ad groups) or 'ad'
+   * @param {Object} [config] - App config
+   * @param {Object} [options] - { conversions } the account's conversion definition (see ./conversions)
+   * @returns {Promise<Object[]>} [{ date, campaignId, adSetId, adId, impressions, clicks, spend, conversions, conversionValue, reach, frequency, videoViews }];
+   *   only the ID of the requested level is set
+   */
+  static async fetchDailyInsights(accountId, accessToken, level, since, until, config, options = {}) {
+    const dailyLevel = DAILY_LEVELS[level] || DAILY_LEVELS.account;
+    const dimensions = dailyLevel.dimension ? [dailyLevel.dimension, 'stat_time_day'] : ['stat_time_day'];
+    const events = this.conversionEvents(options.conversions);
+    const rows = await this.fetchAllPages('/report/integrated/get/', accountId, accessToken, {
+      report_type: 'BASIC',
+      data_level: dailyLevel.dataLevel,
+      dimensions: JSON.stringify(dimensions),
+      metrics: JSON.stringify([...new Set([
+        'spend', 'impressions', 'clicks', 'reach', 'frequency',
+        'video_play_actions', 'complete_payment', 'value_per_complete_payment', ...events,
+      ])]),
+      start_date: since,
+      end_date: until,
+    });
+
+    return rows.map(({ dimensions: rowDimensions = {}, metrics = {} }) => ({
+      date: String(rowDimensions.stat_time_day).slice(0, 10),
+      campaignId: level === 'campaign' ? String(rowDimensions.campaign_id) : null,
+      adSetId: level === 'ad_set' ? String(rowDimensions.adgroup_id) : null,
+      adId: level === 'ad' ? String(rowDimensions.ad_id) : null,
+      impressions: parseInt(metrics.impressions, 10) || 0,
+      clicks: parseInt(metrics.clicks, 10) || 0,
+      spend: parseFloat(metrics.spend) || 0,
+      conversions: this.sumEvents(metrics, events),
+      conversionValue: (parseFloat(metrics.complete_payment) || 0) * (parseFloat(metrics.value_per_complete_payment) || 0),
+      reach: parseInt(metrics.reach, 10) || 0,
+      frequency: parseFloat(metrics.frequency) || 0,
+      videoViews: parseInt(metrics.video_play_actions, 10) || 0,
+    }));
+  }
+
+  /**
+   * Report metrics counted as conversions: the account's events, or the
+   * optimization event ("conversion") by default. Attribution windows are ad
+   * group settings on TikTok and are not selectable in reports.
+   *
+   * @param {Object} [definition] - options.conversions (see ./conversions)
+   */
+  static conversionEvents(definition) {
+    return definition?.actions || CONVERSION_PLATFORMS.tiktok.defaultActions;
+  }
+
+  /**
+   * Sum the report values of conversion events
+   */
+  static sumEvents(values, events) {
+    return events.reduce((sum, event) => sum + (parseFloat(values[event]) || 0), 0);
+  }
+
+  /**
+   * Page through a Business API list endpoint and return every row
+   * The API answers errors with HTTP 200 and a non-zero code, so those are thrown here.
+   */
+  static async fetchAllPages(path, accountId, accessToken, params = {}) {
+    const rows = [];
+    let page = 1;
+    let totalPages = 1;
+
+    do {
+      const response = await axios.get(`${BASE_URL}${path}`, {
         headers: {
           'Access-Token': accessToken,
         },
         params: {
           advertiser_id: accountId,
-          report_type: 'BASIC',
-          dimensions: '["stat_time_day"]',
-          metrics: `["${field}"]`,
-          data_level: 'AUCTION_ADVERTISER',
-          start_date: since,
-          end_date: until,
-          page_size: 100,
+          page,
+          page_size: 1000,
+          ...params,
         },
       });
 
-      const reportData = response.data.data?.list || [];
+      if (response.data.code !== 0) {
+        throw new Error(response.data.message || `TikTok API error ${response.data.code}`);
+      }
 
-      // Parse time-series data
-      const timeSeries = reportData.map(row => ({
-        date: row.dimensions?.stat_time_day,
-        value: parseFloat(row.metrics?.[field]) || 0,
-      }));
+      rows.push(...(response.data.data?.list || []));
+      totalPages = response.data.data?.page_info?.total_page || 1;
+      page++;
+    } while (page <= totalPages);
 
-      // Calculate total
-      const totalValue = timeSeries.reduce((sum, day) => sum + day.value, 0);
+    return rows;
+  }
 
-      // For change percent, we'd need another API call for previous period
-      const changePercent = 0;
+  /**
+   * Map TikTok operation statuses onto active / paused / deleted
+   */
+  static normalizeStatus(status) {
+    switch (status) {
+      case 'ENABLE':
+        return 'active';
+      case 'DELETE':
+        return 'deleted';
+      default:
+        return 'paused';
+    }
+  }
 
-      return {
-        value: totalValue,
-        previousValue: 0,
-        changePercent,
-        label: metric,
-        dateRange: { since, until },
-        currency: 'USD',
-        timeSeries,
-      };
-    } catch (error) {
-      console.error('Error fetching TikTok metrics:', error);
-      return {
-        value: 0,
-        label: metric,
-        error: error.message,
-      };
+  static normalizeBudgetMode(budgetMode) {
+    switch (budgetMode) {
+      case 'BUDGET_MODE_DAY':
+        return 'daily';
+      case 'BUDGET_MODE_TOTAL':
+        return 'lifetime';
+      default:
+        return null;
     }
   }
 }
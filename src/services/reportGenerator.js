@@ -1,17 +1,66 @@
 /**
  * Report Generator Service
  * Generates report data for scheduled reports
+ * Money is reported in the workspace reporting currency; per-account figures
+ * also carry their native currency values.
  */
 
 const { query } = require('../config/database');
 const { getPlatformService } = require('./platforms');
+const conversions = require('./platforms/conversions');
+const metricsStore = require('./metricsStore');
+const calculatedMetrics = require('./calculatedMetrics');
+const currency = require('./currency');
+const tokenManager = require('./tokenManager');
+const { ReauthRequiredError } = require('../utils/errors');
+
+// Metrics requested from platform APIs when the local store is stale
+const LIVE_FETCH_METRICS = ['spend', 'impressions', 'clicks', 'conversions'];
+const LIVE_FETCH_PLATFORMS = ['meta', 'google', 'tiktok', 'linkedin'];
+
+// Section types a custom report can be built from, in the order they are usually shown
+const SECTION_TYPES = [
+  'kpi',
+  'trend',
+  'platform_comparison',
+  'top_campaigns',
+  'goal_progress',
+  'anomalies',
+  'budget_pacing',
+  'commentary',
+];
+
+const DEFAULT_SECTION_METRICS = {
+  kpi: ['spend', 'impressions', 'clicks', 'conversions'],
+  trend: ['spend'],
+  platform_comparison: ['spend', 'impressions', 'clicks', 'ctr', 'cpc', 'conversions'],
+  top_campaigns: ['spend', 'conversions', 'cpa', 'roas'],
+};
+
+const SECTION_TITLES = {
+  kpi: 'Key Metrics',
+  trend: 'Trend',
+  platform_comparison: 'Platform Comparison',
+  top_campaigns: 'Top Campaigns',
+  goal_progress: 'Goal Progress',
+  anomalies: 'Anomalies',
+  budget_pacing: 'Budget Pacing',
+  commentary: 'Commentary',
+};
+
+const DEFAULT_SECTION_LIMIT = 10;
+const MAX_SECTION_LIMIT = 50;
 
 class ReportGenerator {
   /**
    * Generate report data based on scheduled report configuration
    * @param {Object} reportConfig - Scheduled report configuration
+   * @param {Object} [options]
+   * @param {Date} [options.referenceDate] - Moment the report is for (e.g. a missed schedule slot);
+   *   relative date ranges are resolved against it
    */
-  async generateReport(reportConfig) {
+  async generateReport(reportConfig, options = {}) {
+    const referenceDate = options.referenceDate || new Date();
     const {
       workspace_id,
       report_type,
@@ -21,7 +70,7 @@ class ReportGenerator {
       date_range,
     } = reportConfig;
 
-    const { startDate, endDate } = this.getDateRangeFromConfig(date_range);
+    const { startDate, endDate } = this.getDateRangeFromConfig(date_range, referenceDate);
 
     let reportData = {
       dateRange: this.formatDateRange(startDate, endDate, date_range),
@@ -56,6 +105,9 @@ class ReportGenerator {
           endDate
         );
         break;
+      case 'custom':
+        reportData = await this.generateCustomReport(reportConfig, startDate, endDate, referenceDate);
+        break;
       default:
         reportData = await this.generatePerformanceSummary(
           workspace_id,
@@ -73,6 +125,9 @@ class ReportGenerator {
 
   /**
    * Generate performance summary report
+   * Totals come from synced metrics (ad_metrics / unified_campaigns), with a live
+   * platform fetch for accounts whose local data does not cover the period yet.
+   * Changes compare against the previous window of equal length.
    */
   async generatePerformanceSummary(workspaceId, accountIds, platforms, startDate, endDate, requestedMetrics) {
     // Get ad accounts for the workspace
@@ -82,75 +137,626 @@ class ReportGenerator {
       return this.getEmptyReport();
     }
 
-    // For demo purposes, generate sample data
-    // In production, this would fetch real metrics from the platform APIs
-    const summary = {
-      totalSpend: 0,
-      totalImpressions: 0,
-      totalClicks: 0,
-      totalConversions: 0,
-      averageCTR: 0,
-      averageCPC: 0,
-      spendChange: 0,
-      impressionsChange: 0,
-      clicksChange: 0,
-      ctrChange: 0,
-    };
+    const { previousStartDate, previousEndDate } = this.getPreviousPeriod(startDate, endDate);
+    const converter = await currency.createConverter(
+      workspaceId, accounts.map(account => account.currency), previousStartDate, endDate);
 
     const platformData = [];
-    const topPerformers = [];
+    const currentSeries = [];
+    const previousSeries = [];
+    const campaigns = [];
+    const dataSources = {};
 
-    // Generate summary data for each platform
     for (const account of accounts) {
-      const platformMetrics = this.generateDemoMetrics(account.platform);
+      const current = await this.getAccountSeries(account, startDate, endDate);
+      const previous = await this.getAccountSeries(account, previousStartDate, previousEndDate);
+      const series = currency.convertSeries(current.series, account.currency, converter);
+      const previousSeriesConverted = currency.convertSeries(previous.series, account.currency, converter);
 
-      summary.totalSpend += platformMetrics.spend;
-      summary.totalImpressions += platformMetrics.impressions;
-      summary.totalClicks += platformMetrics.clicks;
-      summary.totalConversions += platformMetrics.conversions;
+      currentSeries.push(series);
+      previousSeries.push(previousSeriesConverted);
+      dataSources[account.id] = current.source;
+
+      const totals = metricsStore.summarizeSeries(series);
+      const previousTotals = metricsStore.summarizeSeries(previousSeriesConverted);
+      const nativeTotals = metricsStore.summarizeSeries(current.series);
 
       platformData.push({
         platform: account.platform,
         account_name: account.account_name,
-        spend: platformMetrics.spend,
-        impressions: platformMetrics.impressions,
-        clicks: platformMetrics.clicks,
-        conversions: platformMetrics.conversions,
-        ctr: (platformMetrics.clicks / platformMetrics.impressions) * 100,
-        cpc: platformMetrics.spend / platformMetrics.clicks,
-        roas: platformMetrics.revenue / platformMetrics.spend,
+        currency: converter.currency,
+        native: {
+          currency: account.currency,
+          spend: nativeTotals.spend,
+          revenue: nativeTotals.revenue,
+          cpc: nativeTotals.cpc,
+        },
+        spend: totals.spend,
+        impressions: totals.impressions,
+        clicks: totals.clicks,
+        conversions: totals.conversions,
+        revenue: totals.revenue,
+        ctr: totals.ctr,
+        cpc: totals.cpc,
+        roas: totals.roas,
+        spendChange: this.calculateChange(totals.spend, previousTotals.spend),
+        conversionsChange: this.calculateChange(totals.conversions, previousTotals.conversions),
+        conversionDefinition: conversions.describeConversions(account.platform, conversions.fromAccount(account)),
+        dataSource: current.source,
       });
 
-      // Add top campaigns for this account
-      topPerformers.push({
-        name: `${account.account_name} - Campaign ${Math.floor(Math.random() * 100)}`,
-        platform: account.platform,
-        spend: platformMetrics.spend * 0.3,
-        conversions: platformMetrics.conversions * 0.4,
-        roas: (platformMetrics.revenue / platformMetrics.spend) * 1.2,
-      });
+      const accountCampaigns = await metricsStore.getCampaignTotals(account, startDate, endDate);
+      campaigns.push(...accountCampaigns.map(campaign => ({
+        ...currency.convertTotals(campaign, account.currency, converter, startDate, endDate),
+        account,
+      })));
     }
 
-    // Calculate averages
-    summary.averageCTR = (summary.totalClicks / summary.totalImpressions) * 100;
-    summary.averageCPC = summary.totalSpend / summary.totalClicks;
+    const mergedSeries = metricsStore.mergeSeries(currentSeries);
+    const totals = metricsStore.summarizeSeries(mergedSeries);
+    const previousTotals = metricsStore.summarizeSeries(metricsStore.mergeSeries(previousSeries));
 
-    // Generate comparison changes (demo data)
-    summary.spendChange = (Math.random() - 0.5) * 30;
-    summary.impressionsChange = (Math.random() - 0.5) * 40;
-    summary.clicksChange = (Math.random() - 0.5) * 35;
-    summary.ctrChange = (Math.random() - 0.5) * 20;
-
-    // Sort top performers by ROAS
-    topPerformers.sort((a, b) => b.roas - a.roas);
+    const summary = {
+      totalSpend: totals.spend,
+      totalImpressions: totals.impressions,
+      totalClicks: totals.clicks,
+      totalConversions: totals.conversions,
+      totalRevenue: totals.revenue,
+      averageCTR: totals.ctr,
+      averageCPC: totals.cpc,
+      averageCPA: totals.cpa,
+      roas: totals.roas,
+      spendChange: this.calculateChange(totals.spend, previousTotals.spend),
+      impressionsChange: this.calculateChange(totals.impressions, previousTotals.impressions),
+      clicksChange: this.calculateChange(totals.clicks, previousTotals.clicks),
+      conversionsChange: this.calculateChange(totals.conversions, previousTotals.conversions),
+      ctrChange: this.calculateChange(totals.ctr, previousTotals.ctr),
+      cpcChange: this.calculateChange(totals.cpc, previousTotals.cpc),
+      roasChange: this.calculateChange(totals.roas, previousTotals.roas),
+    };
 
     return {
       summary,
+      currency: converter.currency,
+      fx: converter.describe(),
+      previousPeriod: { startDate: previousStartDate, endDate: previousEndDate },
       platforms: platformData,
-      topPerformers: topPerformers.slice(0, 5),
+      topPerformers: this.getTopPerformers(campaigns, 5),
+      timeSeries: mergedSeries.map(day => ({
+        date: day.date,
+        spend: day.spend,
+        impressions: day.impressions,
+        clicks: day.clicks,
+        conversions: day.conversions,
+      })),
+      dataSources,
+    };
+  }
+
+  /**
+   * Generate a custom report from the report's ordered section definitions
+   * Each section can override the report's metrics, date range and filters; a
+   * failing section carries an error instead of failing the whole report.
+   */
+  async generateCustomReport(reportConfig, startDate, endDate, referenceDate = new Date()) {
+    const sections = Array.isArray(reportConfig.sections) ? reportConfig.sections : [];
+    const context = {
+      reportConfig,
+      savedFilters: new Map(),
+      seriesCache: new Map(),
+      converters: new Map(),
+    };
+
+    const results = [];
+    for (const [index, section] of sections.entries()) {
+      const range = section.date_range
+        ? this.getDateRangeFromConfig(section.date_range, referenceDate)
+        : { startDate, endDate };
+
+      const base = {
+        id: section.id || `section-${index + 1}`,
+        type: section.type,
+        title: section.title || SECTION_TITLES[section.type] || section.type,
+        dateRange: this.formatDateRange(range.startDate, range.endDate, section.date_range || reportConfig.date_range),
+        startDate: range.startDate,
+        endDate: range.endDate,
+      };
+
+      try {
+        const data = await this.buildSection(section, range, context);
+        results.push({ ...base, ...data });
+      } catch (error) {
+        console.error(`Custom report section ${base.id} (${section.type}) failed:`, error.message);
+        results.push({ ...base, error: error.message });
+      }
+    }
+
+    const converters = await Promise.all(context.converters.values());
+    return {
+      sections: results,
+      currency: await currency.getReportingCurrency(reportConfig.workspace_id),
+      fx: {
+        missingRates: [...new Set(converters.flatMap(converter => converter.missingRates))],
+      },
+    };
+  }
+
+  /**
+   * Build the data for one custom report section
+   */
+  async buildSection(section, range, context) {
+    if (section.type === 'commentary') {
+      return { text: section.text || '' };
+    }
+
+    const filters = await this.resolveSectionFilters(section, context);
+    const accounts = await this.getSectionAccounts(context.reportConfig.workspace_id, filters);
+    const metrics = section.metrics && section.metrics.length > 0
+      ? section.metrics
+      : DEFAULT_SECTION_METRICS[section.type] || [];
+    const limit = Math.min(parseInt(section.limit) || DEFAULT_SECTION_LIMIT, MAX_SECTION_LIMIT);
+
+    switch (section.type) {
+      case 'kpi':
+        return this.buildKpiSection(accounts, metrics, range, context);
+      case 'trend':
+        return this.buildTrendSection(accounts, metrics, range, context);
+      case 'platform_comparison':
+        return this.buildPlatformComparisonSection(accounts, metrics, range, context);
+      case 'top_campaigns':
+        return this.buildTopCampaignsSection(accounts, metrics, range, filters, section.sort_by, limit, context);
+      case 'goal_progress':
+        return this.buildGoalProgressSection(context.reportConfig.workspace_id, filters, range, limit);
+      case 'anomalies':
+        return this.buildAnomaliesSection(accounts, range, limit);
+      case 'budget_pacing':
+        if (accounts.length === 0) return { summary: null, accounts: [] };
+        return this.generateBudgetReport(
+          context.reportConfig.workspace_id,
+          accounts.map(account => account.id),
+          range.startDate,
+          range.endDate
+        );
+      default:
+        throw new Error(`Unsupported section type: ${section.type}`);
+    }
+  }
+
+  /**
+   * Combine the report's account/platform selection with the section's saved
+   * filter (saved_filters.filter_config) and inline filters, later ones winning
+   *
+   * @returns {Promise<Object>} { platforms, adAccountIds, campaignName, campaignStatus }
+   */
+  async resolveSectionFilters(section, context) {
+    const { reportConfig } = context;
+    let savedConfig = {};
+
+    if (section.filter_id) {
+      if (!context.savedFilters.has(section.filter_id)) {
+        const result = await query(
+          `SELECT filter_config FROM saved_filters WHERE id = $1 AND workspace_id = $2`,
+          [section.filter_id, reportConfig.workspace_id]
+        );
+        if (result.rows.length === 0) {
+          throw new Error('Saved filter not found');
+        }
+        context.savedFilters.set(section.filter_id, result.rows[0].filter_config || {});
+      }
+      savedConfig = context.savedFilters.get(section.filter_id);
+    }
+
+    const normalize = (config = {}) => ({
+      platforms: config.platforms || (config.platform ? [config.platform] : undefined),
+      adAccountIds: config.ad_account_ids || config.adAccountIds || config.accountIds,
+      campaignName: config.campaign_name || config.campaignName || config.search,
+      campaignStatus: config.status || config.campaignStatus,
+    });
+
+    const merged = {
+      platforms: reportConfig.platforms,
+      adAccountIds: reportConfig.ad_account_ids,
+    };
+    for (const layer of [normalize(savedConfig), normalize(section.filters)]) {
+      for (const [key, value] of Object.entries(layer)) {
+        if (value !== undefined && value !== null && value !== '') merged[key] = value;
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * Get the active ad accounts a section reports on
+   */
+  async getSectionAccounts(workspaceId, filters) {
+    const accounts = await this.getAdAccounts(workspaceId, filters.adAccountIds, filters.platforms);
+    return accounts.filter(account => account.platform !== 'search_console');
+  }
+
+  /**
+   * Get an account's series, in the reporting currency, once per custom report generation
+   */
+  async getCachedAccountSeries(account, startDate, endDate, context) {
+    const key = `${account.id}:${startDate}:${endDate}`;
+    if (!context.seriesCache.has(key)) {
+      context.seriesCache.set(key, (async () => {
+        const { series, source } = await this.getAccountSeries(account, startDate, endDate);
+        const converter = await this.getCachedConverter(account.currency, startDate, endDate, context);
+        return { series: currency.convertSeries(series, account.currency, converter), source };
+      })());
+    }
+    return context.seriesCache.get(key);
+  }
+
+  /**
+   * Get a converter from a currency for a period once per custom report generation
+   */
+  getCachedConverter(fromCurrency, startDate, endDate, context) {
+    const key = `${fromCurrency}:${startDate}:${endDate}`;
+    if (!context.converters.has(key)) {
+      context.converters.set(key, currency.createConverter(
+        context.reportConfig.workspace_id, [fromCurrency], startDate, endDate));
+    }
+    return context.converters.get(key);
+  }
+
+  async getMergedSeries(accounts, startDate, endDate, context) {
+    const seriesList = [];
+    for (const account of accounts) {
+      const { series } = await this.getCachedAccountSeries(account, startDate, endDate, context);
+      seriesList.push(series);
+    }
+    return metricsStore.mergeSeries(seriesList);
+  }
+
+  /**
+   * Totals and daily values of the calculated metrics (calc:<key>) among a
+   * section's metrics, over the section's accounts
+   */
+  async getCalculatedValues(accounts, metrics, startDate, endDate, context) {
+    const calculated = metrics.filter(calculatedMetrics.isCalculatedMetric);
+    if (calculated.length === 0) return { totals: {}, series: [] };
+
+    return calculatedMetrics.computeMetrics(context.reportConfig.workspace_id, calculated, startDate, endDate, {
+      accounts,
+      getSeries: async account => (await this.getCachedAccountSeries(account, startDate, endDate, context)).series,
+    });
+  }
+
+  /**
+   * KPI block: totals with change vs the previous period of equal length
+   */
+  async buildKpiSection(accounts, metrics, range, context) {
+    const { previousStartDate, previousEndDate } = this.getPreviousPeriod(range.startDate, range.endDate);
+    const current = {
+      ...metricsStore.summarizeSeries(await this.getMergedSeries(accounts, range.startDate, range.endDate, context)),
+      ...(await this.getCalculatedValues(accounts, metrics, range.startDate, range.endDate, context)).totals,
+    };
+    const previous = {
+      ...metricsStore.summarizeSeries(await this.getMergedSeries(accounts, previousStartDate, previousEndDate, context)),
+      ...(await this.getCalculatedValues(accounts, metrics, previousStartDate, previousEndDate, context)).totals,
+    };
+
+    return {
+      metrics: metrics.map(metric => ({
+        metric,
+        value: current[metric] ?? 0,
+        previousValue: previous[metric] ?? 0,
+        change: this.calculateChange(current[metric] ?? 0, previous[metric] ?? 0),
+      })),
+      previousPeriod: { startDate: previousStartDate, endDate: previousEndDate },
+    };
+  }
+
+  /**
+   * Trend chart: daily values of the section's metrics
+   */
+  async buildTrendSection(accounts, metrics, range, context) {
+    const series = await this.getMergedSeries(accounts, range.startDate, range.endDate, context);
+    const calculated = await this.getCalculatedValues(accounts, metrics, range.startDate, range.endDate, context);
+    const calculatedByDate = new Map(calculated.series.map(day => [day.date, day]));
+
+    return {
+      metrics,
+      series: series.map(day => metrics.reduce(
+        (point, metric) => ({ ...point, [metric]: { ...day, ...calculatedByDate.get(day.date) }[metric] ?? 0 }),
+        { date: day.date }
+      )),
+    };
+  }
+
+  /**
+   * Platform comparison table: the section's metrics per platform
+   */
+  async buildPlatformComparisonSection(accounts, metrics, range, context) {
+    const byPlatform = new Map();
+    for (const account of accounts) {
+      const { series } = await this.getCachedAccountSeries(account, range.startDate, range.endDate, context);
+      if (!byPlatform.has(account.platform)) byPlatform.set(account.platform, { accounts: [], seriesList: [] });
+      byPlatform.get(account.platform).accounts.push(account);
+      byPlatform.get(account.platform).seriesList.push(series);
+    }
+
+    const rows = [];
+    for (const [platform, group] of byPlatform) {
+      const totals = {
+        ...metricsStore.summarizeSeries(metricsStore.mergeSeries(group.seriesList)),
+        ...(await this.getCalculatedValues(group.accounts, metrics, range.startDate, range.endDate, context)).totals,
+      };
+      rows.push(metrics.reduce(
+        (row, metric) => ({ ...row, [metric]: totals[metric] ?? 0 }),
+        { platform, ctr: totals.ctr, roas: totals.roas }
+      ));
+    }
+
+    return {
+      metrics,
+      rows,
+      insights: this.generatePlatformInsights(rows),
+    };
+  }
+
+  /**
+   * Top-N campaigns ranked by one metric (lower is better for cost metrics)
+   * Calculated metrics are evaluated on each campaign's totals; those that need
+   * custom data or a single platform's totals have no campaign value (null).
+   */
+  async buildTopCampaignsSection(accounts, metrics, range, filters, sortBy, limit, context) {
+    const rankBy = sortBy || metrics[0] || 'spend';
+    const compiled = await calculatedMetrics.compileMetrics(
+      context.reportConfig.workspace_id,
+      [...new Set([...metrics, rankBy])].filter(calculatedMetrics.isCalculatedMetric)
+    );
+    const ascending = ['cpc', 'cpm', 'cpa'].includes(rankBy);
+    const nameFilter = filters.campaignName ? String(filters.campaignName).toLowerCase() : null;
+    const statusFilter = filters.campaignStatus
+      ? [].concat(filters.campaignStatus).map(status => String(status).toLowerCase())
+      : null;
+
+    const campaigns = [];
+    for (const account of accounts) {
+      const converter = await this.getCachedConverter(account.currency, range.startDate, range.endDate, context);
+      const rows = (await metricsStore.getCampaignTotals(account, range.startDate, range.endDate))
+        .map(row => currency.convertTotals(row, account.currency, converter, range.startDate, range.endDate));
+      campaigns.push(...rows.map(row => ({ ...row, ...calculatedMetrics.evaluateRow(compiled, row), account })));
+    }
+
+    const ranked = campaigns
+      .filter(campaign => campaign.spend > 0)
+      .filter(campaign => !nameFilter
+        || String(campaign.campaign_name || '').toLowerCase().includes(nameFilter))
+      .filter(campaign => !statusFilter
+        || statusFilter.includes(String(campaign.status || '').toLowerCase()))
+      .filter(campaign => campaign[rankBy] !== null)
+      .sort((a, b) => (ascending ? a[rankBy] - b[rankBy] : b[rankBy] - a[rankBy]))
+      .slice(0, limit);
+
+    return {
+      metrics,
+      sortBy: rankBy,
+      campaigns: ranked.map(campaign => metrics.reduce(
+        (row, metric) => ({ ...row, [metric]: campaign[metric] ?? 0 }),
+        {
+          name: campaign.campaign_name || campaign.campaign_id,
+          platform: campaign.account.platform,
+          account_name: campaign.account.account_name,
+          status: campaign.status,
+        }
+      )),
+    };
+  }
+
+  /**
+   * Goal progress: workspace goals that overlap the section's date range
+   */
+  async buildGoalProgressSection(workspaceId, filters, range, limit) {
+    const result = await query(
+      `SELECT id, goal_name, goal_type, target_value, current_value, status, platform,
+              to_char(start_date, 'YYYY-MM-DD') as start_date,
+              to_char(end_date, 'YYYY-MM-DD') as end_date
+       FROM campaign_goals
+       WHERE workspace_id = $1
+         AND start_date <= $3
+         AND end_date >= $2
+       ORDER BY end_date ASC
+       LIMIT $4`,
+      [workspaceId, range.startDate, range.endDate, limit]
+    );
+
+    const platforms = filters.platforms && filters.platforms.length > 0 ? filters.platforms : null;
+
+    return {
+      goals: result.rows
+        .filter(goal => !platforms || !goal.platform
+          || platforms.some(platform => goal.platform.startsWith(platform)))
+        .map(goal => {
+          const target = parseFloat(goal.target_value) || 0;
+          const current = parseFloat(goal.current_value) || 0;
+          return {
+            id: goal.id,
+            name: goal.goal_name,
+            goalType: goal.goal_type,
+            platform: goal.platform,
+            targetValue: target,
+            currentValue: current,
+            progress: target > 0 ? Math.round((current / target) * 1000) / 10 : 0,
+            status: goal.status,
+            startDate: goal.start_date,
+            endDate: goal.end_date,
+          };
+        }),
+    };
+  }
+
+  /**
+   * Anomalies detected for the section's accounts in its date range, most severe first
+   */
+  async buildAnomaliesSection(accounts, range, limit) {
+    if (accounts.length === 0) return { anomalies: [] };
+
+    const result = await query(
+      `SELECT a.id, to_char(a.detection_date, 'YYYY-MM-DD') as detection_date, a.metric,
+              a.current_value, a.baseline_value, a.deviation_percent, a.severity,
+              a.anomaly_type, a.status, a.description,
+              aa.platform, aa.account_name
+       FROM anomalies a
+       JOIN ad_accounts aa ON aa.id = a.ad_account_id
+       WHERE a.ad_account_id = ANY($1)
+         AND a.detection_date BETWEEN $2 AND $3
+         AND a.status <> 'false_positive'
+       ORDER BY CASE a.severity WHEN 'critical' THEN 4 WHEN 'high' THEN 3 WHEN 'medium' THEN 2 ELSE 1 END DESC,
+                a.detection_date DESC
+       LIMIT $4`,
+      [accounts.map(account => account.id), range.startDate, range.endDate, limit]
+    );
+
+    return {
+      anomalies: result.rows.map(row => ({
+        id: row.id,
+        date: row.detection_date,
+        metric: row.metric,
+        currentValue: parseFloat(row.current_value),
+        baselineValue: parseFloat(row.baseline_value),
+        deviationPercent: parseFloat(row.deviation_percent),
+        severity: row.severity,
+        anomalyType: row.anomaly_type,
+        status: row.status,
+        description: row.description,
+        platform: row.platform,
+        account_name: row.account_name,
+      })),
+    };
+  }
+
+  /**
+   * Get an account's daily series for a period
+   * Uses the local store unless it is stale for the period, in which case
+   * metrics are fetched live from the platform API.
+   *
+   * @returns {Promise<{ series: Object[], source: 'local' | 'live' }>}
+   */
+  async getAccountSeries(account, startDate, endDate) {
+    const series = await metricsStore.getAccountDailySeries(account, startDate, endDate);
+    const latestDate = series.length > 0 ? series[series.length - 1].date : null;
+
+    if ((latestDate && latestDate >= endDate) || !this.isStoreStale(account, endDate)) {
+      return { series, source: 'local' };
+    }
+
+    try {
+      const liveSeries = await this.fetchLiveSeries(account, startDate, endDate);
+      if (liveSeries) {
+        return { series: liveSeries, source: 'live' };
+      }
+    } catch (error) {
+      console.warn(`Live metrics fetch failed for account ${account.id}, using stored data:`, error.message);
+    }
+
+    return { series, source: 'local' };
+  }
+
+  /**
+   * Whether the local store may be missing data up to endDate
+   * (the account has not synced since the end of the period)
+   */
+  isStoreStale(account, endDate) {
+    if (!account.last_sync_at) return true;
+    return metricsStore.toDateString(new Date(account.last_sync_at)) <= endDate;
+  }
+
+  /**
+   * Fetch an account's daily series directly from the platform API
+   * Revenue is not exposed by fetchMetrics, so live series carry spend, impressions,
+   * clicks and conversions only.
+   *
+   * @returns {Promise<Object[]|null>} Daily rows, or null when no usable token exists
+   */
+  async fetchLiveSeries(account, startDate, endDate) {
+    if (!LIVE_FETCH_PLATFORMS.includes(account.platform) || account.needs_reauth) {
+      return null;
+    }
+
+    const PlatformService = getPlatformService(account.platform);
+    const byDate = new Map();
+
+    for (const metric of LIVE_FETCH_METRICS) {
+      let result;
+      try {
+        result = await tokenManager.withAccessToken(account, accessToken =>
+          PlatformService.fetchMetrics(
+            account.account_id,
+            accessToken,
+            metric,
+            startDate,
+            endDate,
+            { platform: account.platform },
+            { currency: account.currency, conversions: conversions.fromAccount(account) }
+          )
+        );
+      } catch (error) {
+        if (error instanceof ReauthRequiredError) return null;
+        throw error;
+      }
+
+      if (result.error) {
+        throw new Error(result.error);
+      }
+
+      // Without a daily breakdown, attribute the period total to the last day
+      const points = result.timeSeries && result.timeSeries.length > 0
+        ? result.timeSeries
+        : [{ date: endDate, value: result.value }];
+
+      for (const point of points) {
+        const date = String(point.date).split('T')[0];
+        if (!byDate.has(date)) byDate.set(date, { date });
+        byDate.get(date)[metric] = parseFloat(point.value) || 0;
+      }
+    }
+
+    return metricsStore.mergeSeries([[...byDate.values()]]);
+  }
+
+  /**
+   * Get the previous window of equal length
+   */
+  getPreviousPeriod(startDate, endDate) {
+    const days = Math.round((new Date(endDate) - new Date(startDate)) / 86400000) + 1;
+    return {
+      previousStartDate: metricsStore.addDays(startDate, -days),
+      previousEndDate: metricsStore.addDays(startDate, -1),
     };
   }
 
+  /**
+   * Percent change, 0 when there is no previous value
+   */
+  calculateChange(current, previous) {
+    if (!previous) return 0;
+    return Math.round(((current - previous) / Math.abs(previous)) * 10000) / 100;
+  }
+
+  /**
+   * Rank campaigns with spend by ROAS, falling back to conversions and then spend
+   */
+  getTopPerformers(campaigns, limit) {
+    return campaigns
+      .filter(campaign => campaign.spend > 0)
+      .sort((a, b) => (b.roas - a.roas) || (b.conversions - a.conversions) || (b.spend - a.spend))
+      .slice(0, limit)
+      .map(campaign => ({
+        name: campaign.campaign_name || campaign.campaign_id,
+        platform: campaign.account.platform,
+        account_name: campaign.account.account_name,
+        spend: campaign.spend,
+        conversions: campaign.conversions,
+        revenue: campaign.revenue,
+        cpa: campaign.cpa,
+        roas: campaign.roas,
+      }));
+  }
+
   /**
    * Generate platform comparison report
    */
@@ -172,36 +778,59 @@ class ReportGenerator {
 
   /**
    * Generate budget report
+   * Uses each account's monthly_budget and spend for the budget month containing endDate.
+   * Accounts are reported in their own currency and, under converted, in the
+   * reporting currency at the rate of endDate; the summary totals the converted values.
    */
   async generateBudgetReport(workspaceId, accountIds, startDate, endDate) {
     const accounts = await this.getAdAccounts(workspaceId, accountIds, null);
-
-    const budgetData = accounts.map(account => {
-      const spent = Math.random() * 5000;
-      const budget = spent / (0.6 + Math.random() * 0.4); // 60-100% spent
-
-      return {
+    const monthStart = `${endDate.slice(0, 8)}01`;
+    const end = new Date(`${endDate}T00:00:00Z`);
+    const daysInMonth = new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth() + 1, 0)).getUTCDate();
+    const daysElapsed = end.getUTCDate();
+
+    const converter = await currency.createConverter(workspaceId, accounts.map(a => a.currency), endDate, endDate);
+    const budgetData = [];
+
+    for (const account of accounts.filter(a => a.monthly_budget)) {
+      const { series } = await this.getAccountSeries(account, monthStart, endDate);
+      const spent = metricsStore.summarizeSeries(series).spend;
+      const budget = parseFloat(account.monthly_budget);
+      const projectedSpend = (spent / daysElapsed) * daysInMonth;
+      const convert = amount => converter.convert(amount, account.currency, endDate);
+
+      budgetData.push({
         platform: account.platform,
         account_name: account.account_name,
+        currency: account.currency,
         budget,
         spent,
         remaining: budget - spent,
-        pacing: (spent / budget) * 100,
-        daysRemaining: 7,
-        projectedSpend: spent * 1.15,
-      };
-    });
+        pacing: budget > 0 ? (spent / budget) * 100 : 0,
+        daysRemaining: daysInMonth - daysElapsed,
+        projectedSpend,
+        converted: {
+          currency: converter.currency,
+          budget: convert(budget),
+          spent: convert(spent),
+          remaining: convert(budget - spent),
+          projectedSpend: convert(projectedSpend),
+        },
+      });
+    }
 
-    const totalBudget = budgetData.reduce((sum, d) => sum + d.budget, 0);
-    const totalSpent = budgetData.reduce((sum, d) => sum + d.spent, 0);
+    const totalBudget = budgetData.reduce((sum, d) => sum + d.converted.budget, 0);
+    const totalSpent = budgetData.reduce((sum, d) => sum + d.converted.spent, 0);
 
     return {
       summary: {
+        currency: converter.currency,
         totalBudget,
         totalSpent,
         totalRemaining: totalBudget - totalSpent,
-        overallPacing: (totalSpent / totalBudget) * 100,
+        overallPacing: totalBudget > 0 ? (totalSpent / totalBudget) * 100 : 0,
       },
+      fx: converter.describe(),
       accounts: budgetData,
     };
   }
@@ -211,7 +840,9 @@ class ReportGenerator {
    */
   async getAdAccounts(workspaceId, accountIds, platforms) {
     let sql = `
-      SELECT id, platform, account_id, account_name, currency, timezone
+      SELECT id, workspace_id, oauth_token_id, platform_credential_id, needs_reauth, platform, account_id, account_name,
+             currency, timezone, last_sync_at, monthly_budget,
+             conversion_actions, click_attribution_days, view_attribution_days
       FROM ad_accounts
       WHERE workspace_id = $1
     `;
@@ -234,35 +865,12 @@ class ReportGenerator {
     return result.rows;
   }
 
-  /**
-   * Generate demo metrics for a platform (replace with real API calls)
-   */
-  generateDemoMetrics(platform) {
-    const baseMetrics = {
-      facebook: { spend: 2500, impressions: 150000, clicks: 4500, conversions: 120, revenue: 6000 },
-      google: { spend: 3500, impressions: 200000, clicks: 6000, conversions: 180, revenue: 9000 },
-      meta: { spend: 2800, impressions: 170000, clicks: 5100, conversions: 140, revenue: 7200 },
-      linkedin: { spend: 1200, impressions: 50000, clicks: 1500, conversions: 45, revenue: 2500 },
-      twitter: { spend: 800, impressions: 80000, clicks: 2400, conversions: 60, revenue: 1800 },
-    };
-
-    const base = baseMetrics[platform] || baseMetrics.google;
-
-    // Add some randomness to make it look realistic
-    return {
-      spend: base.spend * (0.8 + Math.random() * 0.4),
-      impressions: base.impressions * (0.8 + Math.random() * 0.4),
-      clicks: base.clicks * (0.8 + Math.random() * 0.4),
-      conversions: base.conversions * (0.8 + Math.random() * 0.4),
-      revenue: base.revenue * (0.8 + Math.random() * 0.4),
-    };
-  }
-
   /**
    * Generate platform insights
    */
   generatePlatformInsights(platformData) {
     const insights = [];
+    if (!platformData || platformData.length === 0) return insights;
 
     // Find best performing platform by ROAS
     const bestROAS = platformData.reduce((best, p) =>
@@ -280,8 +888,16 @@ class ReportGenerator {
   /**
    * Get date range from configuration
    */
-  getDateRangeFromConfig(dateRangeConfig) {
-    const now = new Date();
+  getDateRangeFromConfig(dateRangeConfig, referenceDate = new Date()) {
+    // Fixed ranges, e.g. from a custom report section: { start_date, end_date }
+    if (dateRangeConfig && typeof dateRangeConfig === 'object') {
+      return {
+        startDate: dateRangeConfig.start_date,
+        endDate: dateRangeConfig.end_date,
+      };
+    }
+
+    const now = new Date(referenceDate);
     let startDate, endDate;
 
     switch (dateRangeConfig) {
@@ -369,3 +985,4 @@ class ReportGenerator {
 }
 
 module.exports = new ReportGenerator();
+module.exports.SECTION_TYPES = SECTION_TYPES;
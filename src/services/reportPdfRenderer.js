@@ -0,0 +1,264 @@
+/**
+ * Report PDF Renderer
+ * Renders scheduled report data into a branded PDF using puppeteer; the
+ * scheduler stores the file on its execution so it can be downloaded later
+ */
+
+const puppeteer = require('puppeteer');
+const emailService = require('./emailService');
+
+const BRAND_COLOR = '#b7fa31';
+const CHART_COLORS = ['#1a1a1a', '#b7fa31', '#3b82f6', '#f59e0b', '#10b981', '#ef4444', '#8b5cf6'];
+
+const CHART_WIDTH = 700;
+const CHART_HEIGHT = 220;
+const CHART_PADDING = { top: 20, right: 20, bottom: 30, left: 60 };
+
+class ReportPdfRenderer {
+  constructor() {
+    this.timeout = 60000;
+  }
+
+  /**
+   * Render a report to a named PDF file
+   *
+   * @param {Object} options
+   * @param {Object} options.report - scheduled_reports row
+   * @param {Object} options.reportData - Output of reportGenerator.generateReport
+   * @param {string} options.executionId - report_executions ID, used for the file name
+   * @returns {Promise<{ fileName: string, buffer: Buffer }>}
+   */
+  async renderToFile({ report, reportData, executionId }) {
+    const buffer = await this.renderPdf(report.name, reportData, report.include_charts !== false);
+    const fileName = `${this.slugify(report.name)}-${executionId}.pdf`;
+
+    return { fileName, buffer };
+  }
+
+  /**
+   * Render report data to a PDF buffer
+   */
+  async renderPdf(reportName, reportData, includeCharts) {
+    const html = this.generatePdfHTML(reportName, reportData, includeCharts);
+    let browser = null;
+
+    try {
+      const launchOptions = {
+        headless: 'new',
+        args: [
+          '--no-sandbox',
+          '--disable-setuid-sandbox',
+          '--disable-dev-shm-usage',
+          '--disable-gpu',
+          '--disable-extensions',
+          '--no-first-run',
+        ],
+        timeout: this.timeout,
+      };
+
+      // On Heroku, use the Chrome binary provided by buildpack
+      if (process.env.PUPPETEER_EXECUTABLE_PATH || process.env.CHROME_BIN) {
+        launchOptions.executablePath = process.env.PUPPETEER_EXECUTABLE_PATH || process.env.CHROME_BIN;
+      }
+
+      browser = await puppeteer.launch(launchOptions);
+      const page = await browser.newPage();
+      await page.setContent(html, { waitUntil: 'load', timeout: this.timeout });
+
+      const pdf = await page.pdf({
+        format: 'A4',
+        printBackground: true,
+        margin: { top: '16mm', right: '12mm', bottom: '16mm', left: '12mm' },
+        displayHeaderFooter: true,
+        headerTemplate: '<span></span>',
+        footerTemplate: `
+          <div style="width: 100%; font-size: 8px; color: #666; padding: 0 12mm; display: flex; justify-content: space-between;">
+            <span>AdsData Platform · ${this.escapeHtml(reportName)}</span>
+            <span>Page <span class="pageNumber"></span> of <span class="totalPages"></span></span>
+          </div>
+        `,
+      });
+
+      return Buffer.from(pdf);
+    } finally {
+      if (browser) {
+        await browser.close();
+      }
+    }
+  }
+
+  /**
+   * Build the HTML document printed to PDF
+   * Reuses the email report sections and adds SVG charts, which print reliably
+   * without loading any external chart library.
+   */
+  generatePdfHTML(reportName, reportData, includeCharts) {
+    const html = emailService.generateReportHTML(this.escapeHtml(reportName), reportData, includeCharts);
+    const charts = includeCharts ? this.generateChartsSection(reportData) : '';
+    const printStyles = `
+      <style>
+        body { background-color: #ffffff; max-width: none; padding: 0; }
+        .container { box-shadow: none; padding: 0; }
+        .summary-grid { grid-template-columns: repeat(4, 1fr); }
+        .section, .chart { page-break-inside: avoid; }
+        .chart { margin-bottom: 24px; }
+        .chart-title { font-size: 14px; font-weight: 600; color: #666; margin-bottom: 8px; }
+        .generated-at { color: #666; font-size: 12px; }
+      </style>
+    `;
+
+    return html
+      .replace('</head>', `${printStyles}</head>`)
+      .replace('<div class="footer">', `${charts}<div class="footer">`)
+      .replace('</h1>', `</h1><div class="generated-at">Generated ${new Date(reportData.generatedAt || Date.now()).toUTCString()}</div>`);
+  }
+
+  /**
+   * Charts section: daily spend trend and spend by platform, or one chart per
+   * trend metric for custom reports
+   */
+  generateChartsSection(reportData) {
+    const charts = [];
+
+    for (const section of reportData.sections || []) {
+      if (section.type !== 'trend' || section.error || section.series.length < 2) continue;
+      for (const metric of section.metrics) {
+        charts.push(this.renderChart(
+          `${this.escapeHtml(section.title)} · ${emailService.formatMetricLabel(metric)}`,
+          this.generateLineChart(section.series, metric)
+        ));
+      }
+    }
+
+    if (Array.isArray(reportData.timeSeries) && reportData.timeSeries.length > 1) {
+      charts.push(this.renderChart('Daily Spend', this.generateLineChart(reportData.timeSeries, 'spend')));
+      charts.push(this.renderChart('Daily Clicks', this.generateLineChart(reportData.timeSeries, 'clicks')));
+    }
+
+    if (Array.isArray(reportData.platforms) && reportData.platforms.length > 0) {
+      const bars = reportData.platforms.map(p => ({
+        label: p.account_name || emailService.formatPlatformName(p.platform),
+        value: parseFloat(p.spend) || 0,
+      }));
+      charts.push(this.renderChart('Spend by Account', this.generateBarChart(bars, reportData.currency)));
+    }
+
+    if (charts.length === 0) return '';
+
+    return `
+      <div class="section">
+        <h2 class="section-title">Charts</h2>
+        ${charts.join('')}
+      </div>
+    `;
+  }
+
+  renderChart(title, svg) {
+    return `
+      <div class="chart">
+        <div class="chart-title">${title}</div>
+        ${svg}
+      </div>
+    `;
+  }
+
+  /**
+   * Line chart for one metric of a daily series
+   */
+  generateLineChart(series, metric) {
+    const { top, right, bottom, left } = CHART_PADDING;
+    const plotWidth = CHART_WIDTH - left - right;
+    const plotHeight = CHART_HEIGHT - top - bottom;
+    const values = series.map(day => parseFloat(day[metric]) || 0);
+    const max = Math.max(...values, 0) || 1;
+
+    const x = (index) => left + (index / (series.length - 1)) * plotWidth;
+    const y = (value) => top + plotHeight - (value / max) * plotHeight;
+
+    const points = values.map((value, index) => `${x(index).toFixed(1)},${y(value).toFixed(1)}`).join(' ');
+    const area = `${left},${top + plotHeight} ${points} ${x(values.length - 1).toFixed(1)},${top + plotHeight}`;
+
+    const gridLines = [0, 0.5, 1].map(ratio => {
+      const gridY = top + plotHeight - ratio * plotHeight;
+      return `
+        <line x1="${left}" y1="${gridY}" x2="${left + plotWidth}" y2="${gridY}" stroke="#e5e7eb" stroke-width="1" />
+        <text x="${left - 8}" y="${gridY + 4}" font-size="10" fill="#666" text-anchor="end">${this.formatAxisValue(max * ratio)}</text>
+      `;
+    }).join('');
+
+    // Label at most ~7 dates so they do not overlap
+    const labelEvery = Math.max(1, Math.ceil(series.length / 7));
+    const dateLabels = series.map((day, index) => (index % labelEvery === 0 || index === series.length - 1)
+      ? `<text x="${x(index)}" y="${CHART_HEIGHT - 8}" font-size="10" fill="#666" text-anchor="middle">${day.date.slice(5)}</text>`
+      : '').join('');
+
+    return `
+      <svg width="${CHART_WIDTH}" height="${CHART_HEIGHT}" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" xmlns="http://www.w3.org/2000/svg">
+        ${gridLines}
+        <polygon points="${area}" fill="${BRAND_COLOR}" fill-opacity="0.25" />
+        <polyline points="${points}" fill="none" stroke="#1a1a1a" stroke-width="2" />
+        ${dateLabels}
+      </svg>
+    `;
+  }
+
+  /**
+   * Horizontal bar chart
+   *
+   * @param {Object[]} bars - [{ label, value }]
+   * @param {string} [currency] - Currency of the values
+   */
+  generateBarChart(bars, currency) {
+    const rowHeight = 28;
+    const labelWidth = 180;
+    const valueWidth = 90;
+    const height = bars.length * rowHeight + 10;
+    const barArea = CHART_WIDTH - labelWidth - valueWidth;
+    const max = Math.max(...bars.map(bar => bar.value), 0) || 1;
+
+    const rows = bars.map((bar, index) => {
+      const rowY = 5 + index * rowHeight;
+      const barWidth = Math.max(2, (bar.value / max) * barArea);
+      return `
+        <text x="0" y="${rowY + 17}" font-size="11" fill="#1a1a1a">${this.escapeHtml(this.truncate(bar.label, 28))}</text>
+        <rect x="${labelWidth}" y="${rowY + 4}" width="${barWidth.toFixed(1)}" height="18" rx="3" fill="${CHART_COLORS[index % CHART_COLORS.length]}" />
+        <text x="${labelWidth + barWidth + 6}" y="${rowY + 17}" font-size="11" fill="#666">${emailService.formatMoney(bar.value, currency)}</text>
+      `;
+    }).join('');
+
+    return `
+      <svg width="${CHART_WIDTH}" height="${height}" viewBox="0 0 ${CHART_WIDTH} ${height}" xmlns="http://www.w3.org/2000/svg">
+        ${rows}
+      </svg>
+    `;
+  }
+
+  formatAxisValue(value) {
+    if (value >= 1000000) return `${(value / 1000000).toFixed(1)}M`;
+    if (value >= 1000) return `${(value / 1000).toFixed(1)}K`;
+    return value.toFixed(value < 10 ? 1 : 0);
+  }
+
+  truncate(text, length) {
+    const value = String(text || '');
+    return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+  }
+
+  slugify(text) {
+    return String(text || 'report')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 60) || 'report';
+  }
+
+  escapeHtml(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+module.exports = new ReportPdfRenderer();
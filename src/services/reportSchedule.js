@@ -0,0 +1,193 @@
+/**
+ * Report Schedule
+ * Computes scheduled report run times in the report's IANA timezone, handling
+ * DST transitions and months shorter than the configured day_of_month
+ */
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const MISSED_RUN_POLICIES = ['skip', 'run_once', 'run_all'];
+
+const DAY_MS = 86400000;
+// Far enough ahead to always contain the next daily, weekly or monthly slot
+const MAX_LOOKAHEAD_DAYS = 62;
+
+const formatters = new Map();
+
+/**
+ * Cached Intl formatter for a timezone
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Whether a string is a timezone name Intl understands (e.g. 'Europe/Berlin')
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ *
+ * @returns {Object} { year, month (1-12), day, hour, minute, second }
+ */
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  for (const part of getFormatter(timeZone).formatToParts(date)) {
+    if (part.type !== 'literal') parts[part.type] = parseInt(part.value, 10);
+  }
+  return parts;
+}
+
+/**
+ * Offset of a timezone from UTC at an instant, in milliseconds
+ */
+function getTimeZoneOffset(timestamp, timeZone) {
+  const parts = getZonedParts(new Date(timestamp), timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a UTC instant
+ * Ambiguous times (DST fall-back) resolve to the earlier occurrence; times that
+ * do not exist (DST spring-forward gap) move forward by the size of the gap.
+ *
+ * @param {Object} local - { year, month (1-12), day, hour, minute, second }
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date}
+ */
+function zonedTimeToUtc(local, timeZone) {
+  const wallClock = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second || 0);
+
+  // Offsets in effect around that wall-clock time cover both sides of any transition
+  const offsets = new Set([
+    getTimeZoneOffset(wallClock, timeZone),
+    getTimeZoneOffset(wallClock - DAY_MS, timeZone),
+    getTimeZoneOffset(wallClock + DAY_MS, timeZone),
+  ]);
+  offsets.add(getTimeZoneOffset(wallClock - [...offsets][0], timeZone));
+
+  const candidates = [...offsets]
+    .map(offset => wallClock - offset)
+    .filter(instant => getTimeZoneOffset(instant, timeZone) === wallClock - instant);
+
+  if (candidates.length > 0) {
+    return new Date(Math.min(...candidates));
+  }
+
+  // In a gap: interpret the time with the pre-transition (smaller) offset
+  return new Date(wallClock - Math.min(...offsets));
+}
+
+/**
+ * Parse 'HH:MM' or 'HH:MM:SS'
+ */
+function parseTimeOfDay(timeOfDay) {
+  const [hour = 9, minute = 0, second = 0] = String(timeOfDay || '09:00:00')
+    .split(':')
+    .map(value => parseInt(value, 10));
+  return { hour, minute, second };
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Whether a local calendar date is a run day for the schedule
+ * Monthly schedules on a day the month does not have run on its last day.
+ */
+function isRunDay(schedule, date) {
+  switch (schedule.frequency) {
+    case 'weekly': {
+      const dayOfWeek = parseInt(schedule.day_of_week, 10);
+      return new Date(Date.UTC(date.year, date.month - 1, date.day)).getUTCDay()
+        === (Number.isNaN(dayOfWeek) ? 1 : dayOfWeek);
+    }
+    case 'monthly': {
+      const dayOfMonth = parseInt(schedule.day_of_month, 10) || 1;
+      return date.day === Math.min(dayOfMonth, daysInMonth(date.year, date.month));
+    }
+    default:
+      return true;
+  }
+}
+
+/**
+ * First scheduled run strictly after a given instant
+ *
+ * @param {Object} schedule - scheduled_reports row (frequency, day_of_week, day_of_month, time_of_day, timezone)
+ * @param {Date} [after=new Date()]
+ * @returns {Date|null} Next run, or null for an unknown frequency
+ */
+function computeNextRun(schedule, after = new Date()) {
+  if (!FREQUENCIES.includes(schedule.frequency)) return null;
+
+  const timeZone = isValidTimeZone(schedule.timezone) ? schedule.timezone : 'UTC';
+  const time = parseTimeOfDay(schedule.time_of_day);
+  const start = getZonedParts(after, timeZone);
+  const startDay = Date.UTC(start.year, start.month - 1, start.day);
+
+  for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+    const day = new Date(startDay + offset * DAY_MS);
+    const date = { year: day.getUTCFullYear(), month: day.getUTCMonth() + 1, day: day.getUTCDate() };
+    if (!isRunDay(schedule, date)) continue;
+
+    const run = zonedTimeToUtc({ ...date, ...time }, timeZone);
+    if (run > after) return run;
+  }
+
+  return null;
+}
+
+/**
+ * Scheduled runs in [from, until], oldest first
+ *
+ * @param {Object} schedule - scheduled_reports row
+ * @param {Date} from - Inclusive start
+ * @param {Date} until - Inclusive end
+ * @param {number} [limit=100] - Maximum runs returned (the most recent ones are kept)
+ * @returns {Date[]}
+ */
+function getRunsBetween(schedule, from, until, limit = 100) {
+  const runs = [];
+  let run = computeNextRun(schedule, new Date(new Date(from).getTime() - 1));
+
+  while (run && run <= until) {
+    runs.push(run);
+    if (runs.length > limit) runs.shift();
+    run = computeNextRun(schedule, run);
+  }
+
+  return runs;
+}
+
+module.exports = {
+  FREQUENCIES,
+  MISSED_RUN_POLICIES,
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  computeNextRun,
+  getRunsBetween,
+};
@@ -1,17 +1,34 @@
 /**
  * Report Scheduler Service
  * Handles scheduling and execution of automated reports using node-cron
+ *
+ * Every API replica polls; a report is processed only by the replica holding its
+ * lease (scheduled_reports.locked_by / locked_until), and each schedule slot is
+ * executed at most once (unique report_executions.scheduled_for).
  */
 
+const os = require('os');
 const cron = require('node-cron');
 const { query } = require('../config/database');
 const emailService = require('./emailService');
 const reportGenerator = require('./reportGenerator');
+const reportPdfRenderer = require('./reportPdfRenderer');
+const reportSchedule = require('./reportSchedule');
+
+const PDF_FORMATS = ['pdf', 'both'];
+
+// Lease length; renewed before each slot so long catch-ups keep their lock
+const LOCK_TTL_MINUTES = 10;
+// A slot this late is treated as missed (the scheduler polls every minute)
+const ON_TIME_GRACE_MS = 15 * 60 * 1000;
+// Upper bound on slots sent or recorded as skipped in one catch-up
+const MAX_CATCH_UP_RUNS = 31;
 
 class ReportScheduler {
   constructor() {
     this.jobs = new Map();
     this.isRunning = false;
+    this.instanceId = `${os.hostname()}:${process.pid}`;
   }
 
   /**
@@ -27,9 +44,17 @@ class ReportScheduler {
     // Check for reports to send every minute
     this.mainJob = cron.schedule('* * * * *', async () => {
       await this.checkAndProcessReports();
+    }, {
+      scheduled: true,
+      timezone: 'UTC',
     });
 
     this.isRunning = true;
+
+    this.initializeSchedules().catch(error => {
+      console.error('Error initializing report schedules:', error);
+    });
+
     console.log('Report scheduler started - checking for pending reports every minute');
   }
 
@@ -55,7 +80,7 @@ class ReportScheduler {
         console.log(`Found ${pendingReports.length} reports to process`);
 
         for (const report of pendingReports) {
-          await this.processReport(report);
+          await this.processDueReport(report.id);
         }
       }
     } catch (error) {
@@ -64,32 +89,157 @@ class ReportScheduler {
   }
 
   /**
-   * Get reports that are due to be sent
+   * Compute next_scheduled_at for active reports that do not have one yet
+   */
+  async initializeSchedules() {
+    const result = await query(
+      `SELECT id, frequency, day_of_week, day_of_month, time_of_day, timezone
+       FROM scheduled_reports
+       WHERE is_active = true AND next_scheduled_at IS NULL`
+    );
+
+    for (const report of result.rows) {
+      await query(
+        `UPDATE scheduled_reports SET next_scheduled_at = $1 WHERE id = $2`,
+        [reportSchedule.computeNextRun(report), report.id]
+      );
+    }
+  }
+
+  /**
+   * Get reports that are due to be sent and not leased by another instance
    */
   async getPendingReports() {
     const result = await query(
-      `SELECT sr.*, u.email as user_email
-       FROM scheduled_reports sr
-       JOIN users u ON u.id = sr.user_id
-       WHERE sr.is_active = true
-         AND sr.next_scheduled_at <= NOW()
-         AND (sr.last_sent_at IS NULL OR sr.last_sent_at < sr.next_scheduled_at)
-       ORDER BY sr.next_scheduled_at ASC`,
+      `SELECT id, name, next_scheduled_at
+       FROM scheduled_reports
+       WHERE is_active = true
+         AND next_scheduled_at <= NOW()
+         AND (locked_until IS NULL OR locked_until < NOW())
+       ORDER BY next_scheduled_at ASC`,
       []
     );
 
     return result.rows;
   }
 
+  /**
+   * Take (or renew) the lease on a due report
+   * The conditional update is atomic, so only one instance can win it.
+   *
+   * @returns {Promise<Object|null>} Fresh report row, or null when another instance holds it
+   */
+  async claimReport(reportId) {
+    const result = await query(
+      `UPDATE scheduled_reports
+       SET locked_by = $2,
+           locked_until = NOW() + INTERVAL '${LOCK_TTL_MINUTES} minutes'
+       WHERE id = $1
+         AND is_active = true
+         AND next_scheduled_at <= NOW()
+         AND (locked_until IS NULL OR locked_until < NOW() OR locked_by = $2)
+       RETURNING *`,
+      [reportId, this.instanceId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Move the report to its next slot and release the lease
+   */
+  async releaseReport(report, now = new Date()) {
+    await query(
+      `UPDATE scheduled_reports
+       SET next_scheduled_at = $2,
+           locked_by = NULL,
+           locked_until = NULL
+       WHERE id = $1 AND locked_by = $3`,
+      [report.id, reportSchedule.computeNextRun(report, now), this.instanceId]
+    );
+  }
+
+  /**
+   * Decide which due slots to send, applying the report's missed-run policy
+   * Slots older than the grace period were missed while no scheduler was running.
+   *
+   * @returns {{ run: Date[], skip: Date[] }}
+   */
+  planRuns(report, now = new Date()) {
+    let slots = reportSchedule.getRunsBetween(report, report.next_scheduled_at, now, MAX_CATCH_UP_RUNS);
+
+    // next_scheduled_at set by an older schedule may not fall on a current slot
+    if (slots.length === 0) {
+      slots = [new Date(report.next_scheduled_at)];
+    }
+
+    const latest = slots[slots.length - 1];
+    const latestOnTime = now - latest <= ON_TIME_GRACE_MS;
+
+    switch (report.missed_run_policy) {
+      case 'skip':
+        return latestOnTime
+          ? { run: [latest], skip: slots.slice(0, -1) }
+          : { run: [], skip: slots };
+      case 'run_all':
+        return { run: slots, skip: [] };
+      default:
+        return { run: [latest], skip: slots.slice(0, -1) };
+    }
+  }
+
+  /**
+   * Claim a due report, send its due slot(s) and schedule the next run
+   */
+  async processDueReport(reportId) {
+    const report = await this.claimReport(reportId);
+    if (!report) return;
+
+    try {
+      const now = new Date();
+      const plan = this.planRuns(report, now);
+
+      if (plan.skip.length > 0) {
+        console.log(`Report ${report.name}: skipping ${plan.skip.length} missed run(s) (policy: ${report.missed_run_policy})`);
+        for (const slot of plan.skip) {
+          await this.recordSkippedRun(report.id, slot);
+        }
+      }
+
+      for (const slot of plan.run) {
+        if (plan.run.length > 1) {
+          await this.claimReport(report.id);
+        }
+        await this.processReport(report, { scheduledFor: slot });
+      }
+
+      await this.releaseReport(report, now);
+    } catch (error) {
+      console.error(`Error scheduling report ${report.name}:`, error);
+      await this.releaseReport(report);
+    }
+  }
+
   /**
    * Process a single report
+   *
+   * @param {Object} report - scheduled_reports row
+   * @param {Object} [options]
+   * @param {Date} [options.scheduledFor] - Schedule slot being sent; null for manual triggers.
+   *   The report's date range is computed relative to this slot.
    */
-  async processReport(report) {
+  async processReport(report, options = {}) {
+    const { scheduledFor = null } = options;
     let execution = null;
 
     try {
       // Create execution record
-      execution = await this.createExecution(report.id);
+      execution = await this.createExecution(report.id, scheduledFor);
+
+      if (!execution) {
+        console.log(`Report ${report.name} already ran for ${scheduledFor.toISOString()}, skipping`);
+        return;
+      }
 
       console.log(`Processing report: ${report.name} (${report.id})`);
 
@@ -97,7 +247,31 @@ class ReportScheduler {
       await this.updateExecutionStatus(execution.id, 'processing');
 
       // Generate report data
-      const reportData = await reportGenerator.generateReport(report);
+      const reportData = await reportGenerator.generateReport(report, {
+        referenceDate: scheduledFor || new Date(),
+      });
+
+      // Render the PDF copy when the report is delivered as 'pdf' or 'both'
+      const format = report.email_format || 'html';
+      const attachments = [];
+      let deliveryFormat = format;
+
+      if (PDF_FORMATS.includes(format)) {
+        try {
+          const pdf = await reportPdfRenderer.renderToFile({ report, reportData, executionId: execution.id });
+          await this.updateExecutionFile(execution.id, pdf);
+          attachments.push({
+            filename: pdf.fileName,
+            content: pdf.buffer,
+            contentType: 'application/pdf',
+          });
+        } catch (error) {
+          // A PDF-only report cannot be delivered without its attachment
+          if (format === 'pdf') throw error;
+          console.error(`PDF rendering failed for report ${report.name}, sending HTML only:`, error.message);
+          deliveryFormat = 'html';
+        }
+      }
 
       // Send email
       await emailService.sendScheduledReport({
@@ -106,6 +280,8 @@ class ReportScheduler {
         reportName: report.name,
         reportData,
         includeCharts: report.include_charts,
+        format: deliveryFormat,
+        attachments,
       });
 
       // Update execution status to sent
@@ -126,16 +302,33 @@ class ReportScheduler {
 
   /**
    * Create a report execution record
+   *
+   * @returns {Promise<Object|null>} Execution, or null when the slot already has one
    */
-  async createExecution(reportId) {
+  async createExecution(reportId, scheduledFor = null) {
     const result = await query(
-      `INSERT INTO report_executions (scheduled_report_id, status)
-       VALUES ($1, 'pending')
-       RETURNING id, scheduled_report_id, status, started_at`,
-      [reportId]
+      `INSERT INTO report_executions (scheduled_report_id, status, scheduled_for)
+       VALUES ($1, 'pending', $2)
+       ON CONFLICT (scheduled_report_id, scheduled_for) WHERE scheduled_for IS NOT NULL
+         DO NOTHING
+       RETURNING id, scheduled_report_id, status, started_at, scheduled_for`,
+      [reportId, scheduledFor]
     );
 
-    return result.rows[0];
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Record a slot that was not sent because of the missed-run policy
+   */
+  async recordSkippedRun(reportId, scheduledFor) {
+    await query(
+      `INSERT INTO report_executions (scheduled_report_id, status, scheduled_for, completed_at, error_message)
+       VALUES ($1, 'skipped', $2, NOW(), 'Missed while the scheduler was not running')
+       ON CONFLICT (scheduled_report_id, scheduled_for) WHERE scheduled_for IS NOT NULL
+         DO NOTHING`,
+      [reportId, scheduledFor]
+    );
   }
 
   /**
@@ -153,12 +346,54 @@ class ReportScheduler {
     );
   }
 
+  /**
+   * Store an execution's rendered file on its row, so any replica can serve it
+   */
+  async updateExecutionFile(executionId, { fileName, buffer }) {
+    await query(
+      `UPDATE report_executions
+       SET file_name = $1, file_content_type = 'application/pdf', file_data = $2
+       WHERE id = $3`,
+      [fileName, buffer, executionId]
+    );
+  }
+
+  /**
+   * Get a single execution of a report
+   */
+  async getExecution(reportId, executionId) {
+    const result = await query(
+      `SELECT id, scheduled_report_id, status, started_at, completed_at, error_message,
+              file_name, file_content_type, file_data IS NOT NULL as has_file
+       FROM report_executions
+       WHERE id = $1 AND scheduled_report_id = $2`,
+      [executionId, reportId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get the stored file of an execution
+   *
+   * @returns {Promise<Object|null>} { file_name, file_content_type, file_data } or null without a file
+   */
+  async getExecutionFile(reportId, executionId) {
+    const result = await query(
+      `SELECT file_name, file_content_type, file_data
+       FROM report_executions
+       WHERE id = $1 AND scheduled_report_id = $2 AND file_data IS NOT NULL`,
+      [executionId, reportId]
+    );
+
+    return result.rows[0] || null;
+  }
+
   /**
    * Update report after successful sending
+   * next_scheduled_at is advanced separately by releaseReport.
    */
   async updateReportAfterSending(reportId) {
-    // Update last_sent_at to NOW
-    // The trigger will automatically update next_scheduled_at based on frequency
     await query(
       `UPDATE scheduled_reports
        SET last_sent_at = NOW()
@@ -192,7 +427,8 @@ class ReportScheduler {
    */
   async getExecutionHistory(reportId, limit = 10) {
     const result = await query(
-      `SELECT id, scheduled_report_id, status, started_at, completed_at, error_message
+      `SELECT id, scheduled_report_id, status, scheduled_for, started_at, completed_at, error_message,
+              file_data IS NOT NULL as has_file
        FROM report_executions
        WHERE scheduled_report_id = $1
        ORDER BY started_at DESC
@@ -210,6 +446,7 @@ class ReportScheduler {
     return {
       isRunning: this.isRunning,
       activeJobs: this.jobs.size,
+      instanceId: this.instanceId,
     };
   }
 }
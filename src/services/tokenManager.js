@@ -0,0 +1,369 @@
+/**
+ * Token Manager
+ * Hands out valid platform access tokens: refreshes OAuth tokens shortly before
+ * they expire (and once more when a platform answers 401), re-exchanges Meta
+ * long-lived tokens ahead of their 60-day expiry, and flags connections that can
+ * no longer be refreshed so workspace admins are asked to reconnect
+ */
+
+const { query } = require('../config/database');
+const config = require('../config/config');
+const { getPlatformService, MetaAdsService } = require('./platforms');
+const notificationDispatcher = require('./notificationDispatcher');
+const { ReauthRequiredError } = require('../utils/errors');
+
+// Short-lived tokens (Google: 1 hour) are refreshed this long before expiry
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+// 60-day tokens (Meta, LinkedIn) are renewed this long before expiry, so a
+// missed scheduler run or a few failed attempts do not let them lapse
+const LONG_LIVED_REFRESH_MARGIN_MS = 7 * 24 * 60 * 60 * 1000;
+const LONG_LIVED_PLATFORMS = ['meta', 'linkedin'];
+
+// Platform error messages that mean the token itself was rejected
+const AUTH_ERROR_PATTERN = /\b401\b|unauthori[sz]ed|unauthenticated|invalid[_ ]?(access[_ ]?)?token|expired[_ ]?token|token.*(expired|invalid|revoked)|session has expired|OAuthException|error validating access token/i;
+
+const PLATFORM_NAMES = {
+  meta: 'Meta Ads',
+  google: 'Google Ads',
+  tiktok: 'TikTok Ads',
+  linkedin: 'LinkedIn Ads',
+  search_console: 'Google Search Console',
+  google_sheets: 'Google Sheets',
+};
+
+class TokenManager {
+  constructor() {
+    // Token ID -> in-flight refresh, so concurrent callers share one refresh
+    this.pendingRefreshes = new Map();
+  }
+
+  /**
+   * Whether an error (or a fetchMetrics-style error message) means the platform
+   * rejected the access token
+   */
+  isAuthError(error) {
+    if (!error) return false;
+    if (typeof error === 'string') return AUTH_ERROR_PATTERN.test(error);
+
+    const status = error.response?.status || error.status;
+    if (status === 401) return true;
+
+    // Meta reports invalid tokens as code 190 (often with HTTP 400)
+    const platformError = error.response?.data?.error;
+    if (platformError?.code === 190) return true;
+
+    return AUTH_ERROR_PATTERN.test(platformError?.message || error.message || '');
+  }
+
+  /**
+   * Whether a token is inside its refresh window
+   */
+  needsRefresh(token, now = Date.now()) {
+    if (!token.expires_at) return false;
+    const margin = LONG_LIVED_PLATFORMS.includes(token.platform)
+      ? LONG_LIVED_REFRESH_MARGIN_MS
+      : REFRESH_MARGIN_MS;
+    return new Date(token.expires_at).getTime() - now <= margin;
+  }
+
+  isExpired(token, now = Date.now()) {
+    return Boolean(token.expires_at) && new Date(token.expires_at).getTime() <= now;
+  }
+
+  async getToken(tokenId) {
+    const result = await query(`SELECT * FROM oauth_tokens WHERE id = $1`, [tokenId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Ask the platform for a new access token
+   *
+   * @returns {Promise<{ accessToken: string, refreshToken?: string, expiresIn: number }>}
+   */
+  async requestNewToken(token) {
+    const platformName = PLATFORM_NAMES[token.platform] || token.platform;
+
+    if (token.platform === 'meta') {
+      if (this.isExpired(token)) {
+        throw new ReauthRequiredError(platformName, 'Token expired before it could be re-exchanged');
+      }
+      return MetaAdsService.exchangeLongLivedToken(config, token.access_token);
+    }
+
+    const Service = getPlatformService(token.platform);
+    if (typeof Service.refreshAccessToken !== 'function') {
+      throw new ReauthRequiredError(platformName, 'Tokens for this platform cannot be refreshed');
+    }
+    if (!token.refresh_token) {
+      throw new ReauthRequiredError(platformName, 'No refresh token stored for this connection');
+    }
+
+    return Service.refreshAccessToken(config, token.refresh_token);
+  }
+
+  /**
+   * Refresh a token and store the result; concurrent calls share one request
+   *
+   * @param {Object} token - oauth_tokens row
+   * @param {Object} [options]
+   * @param {boolean} [options.rejected=false] - The platform has already rejected the current token
+   * @returns {Promise<Object>} Updated oauth_tokens row
+   * @throws {ReauthRequiredError} When the platform refuses to refresh a token that
+   *   has expired or was rejected; other errors (network, platform outage, a refused
+   *   renewal ahead of expiry) leave the token untouched for a later retry
+   */
+  async refreshToken(token, options = {}) {
+    if (this.pendingRefreshes.has(token.id)) {
+      return this.pendingRefreshes.get(token.id);
+    }
+
+    const refresh = (async () => {
+      let refreshed;
+      try {
+        refreshed = await this.requestNewToken(token);
+      } catch (error) {
+        const status = error.response?.status;
+        const refused = error instanceof ReauthRequiredError || (status >= 400 && status < 500);
+        if (!refused && !this.isExpired(token)) throw error;
+
+        const reason = error.response?.data?.error_description
+          || error.response?.data?.error?.message
+          || error.message;
+
+        // Renewal is attempted days ahead of expiry (60-day tokens); until the
+        // token actually lapses it keeps working, so the connection stays in use
+        if (!options.rejected && !this.isExpired(token)) {
+          throw new Error(`Renewal refused ahead of expiry (${token.expires_at ? new Date(token.expires_at).toISOString() : 'unknown'}): ${reason}`);
+        }
+
+        await this.markNeedsReauth(token, reason);
+        throw error instanceof ReauthRequiredError
+          ? error
+          : new ReauthRequiredError(PLATFORM_NAMES[token.platform] || token.platform, reason);
+      }
+
+      const expiresAt = new Date(Date.now() + (refreshed.expiresIn || 3600) * 1000);
+      const result = await query(
+        `UPDATE oauth_tokens
+         SET access_token = $2, refresh_token = COALESCE($3, refresh_token), expires_at = $4,
+             needs_reauth = FALSE, reauth_reason = NULL, last_refreshed_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [token.id, refreshed.accessToken, refreshed.refreshToken || null, expiresAt]
+      );
+
+      await query(
+        `UPDATE ad_accounts SET needs_reauth = FALSE WHERE oauth_token_id = $1 AND needs_reauth = TRUE`,
+        [token.id]
+      );
+
+      console.log(`🔑 Refreshed ${token.platform} token ${token.id} (expires ${expiresAt.toISOString()})`);
+      return result.rows[0];
+    })();
+
+    this.pendingRefreshes.set(token.id, refresh);
+    try {
+      return await refresh;
+    } finally {
+      this.pendingRefreshes.delete(token.id);
+    }
+  }
+
+  /**
+   * Get a usable access token for an ad account
+   *
+   * @param {Object} account - ad_accounts row (oauth_token_id or platform_credential_id)
+   * @param {Object} [options]
+   * @param {boolean} [options.forceRefresh=false] - Refresh even if the token looks valid (after a 401)
+   * @returns {Promise<string>} Access token
+   * @throws {ReauthRequiredError} When the connection has to be re-authorized
+   */
+  async getAccessToken(account, options = {}) {
+    const platformName = PLATFORM_NAMES[account.platform] || account.platform;
+
+    if (account.oauth_token_id) {
+      let token = await this.getToken(account.oauth_token_id);
+
+      if (token) {
+        if (token.needs_reauth && !options.forceRefresh) {
+          throw new ReauthRequiredError(platformName, token.reauth_reason || undefined);
+        }
+
+        if (options.forceRefresh || this.needsRefresh(token)) {
+          try {
+            token = await this.refreshToken(token, { rejected: Boolean(options.forceRefresh) });
+          } catch (error) {
+            // After a transient failure a token that has not expired yet is still usable
+            if (error instanceof ReauthRequiredError || options.forceRefresh || this.isExpired(token)) throw error;
+            console.warn(`⚠️  Could not renew ${token.platform} token ${token.id} ahead of expiry:`, error.message);
+          }
+        }
+
+        return token.access_token;
+      }
+    }
+
+    if (account.platform_credential_id) {
+      const result = await query(
+        `SELECT credentials->>'access_token' as access_token
+         FROM platform_credentials
+         WHERE id = $1 AND is_active = true`,
+        [account.platform_credential_id]
+      );
+
+      if (result.rows[0]?.access_token) {
+        if (options.forceRefresh) {
+          // These connections store no refresh token
+          await this.markAccountNeedsReauth(account, 'Access token was rejected');
+          throw new ReauthRequiredError(platformName);
+        }
+        return result.rows[0].access_token;
+      }
+    }
+
+    throw new ReauthRequiredError(platformName, 'No access token stored for this account');
+  }
+
+  /**
+   * Run a platform call with the account's token, refreshing and retrying once
+   * when the platform rejects the token. Works with calls that throw and with
+   * fetchMetrics-style calls that resolve to { error }.
+   *
+   * @param {Object} account - ad_accounts row
+   * @param {Function} fn - async (accessToken) => result
+   * @returns {Promise<*>} Result of fn
+   */
+  async withAccessToken(account, fn) {
+    const accessToken = await this.getAccessToken(account);
+
+    try {
+      const result = await fn(accessToken);
+      if (!this.isAuthError(result?.error)) return result;
+    } catch (error) {
+      if (!this.isAuthError(error)) throw error;
+    }
+
+    console.log(`🔑 ${account.platform} rejected the token for account ${account.account_id || account.id}, refreshing and retrying`);
+    const retryToken = await this.getAccessToken(account, { forceRefresh: true });
+
+    try {
+      const result = await fn(retryToken);
+      if (this.isAuthError(result?.error)) {
+        await this.markAccountNeedsReauth(account, result.error);
+      }
+      return result;
+    } catch (error) {
+      if (this.isAuthError(error)) {
+        await this.markAccountNeedsReauth(account, error.message);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Flag a token (and every account using it) as needing reconnection, and
+   * notify workspace admins the first time it happens
+   */
+  async markNeedsReauth(token, reason) {
+    const result = await query(
+      `UPDATE oauth_tokens
+       SET needs_reauth = TRUE, reauth_reason = $2
+       WHERE id = $1 AND needs_reauth = FALSE
+       RETURNING id`,
+      [token.id, reason]
+    );
+
+    await query(
+      `UPDATE ad_accounts SET needs_reauth = TRUE WHERE oauth_token_id = $1`,
+      [token.id]
+    );
+
+    if (result.rows.length > 0) {
+      await this.notifyAdmins(token.workspace_id, token.platform, reason);
+    }
+  }
+
+  /**
+   * Flag one account (and its oauth token, if any) as needing reconnection
+   */
+  async markAccountNeedsReauth(account, reason) {
+    if (account.oauth_token_id) {
+      await this.markNeedsReauth({
+        id: account.oauth_token_id,
+        workspace_id: account.workspace_id,
+        platform: account.platform,
+      }, reason);
+      return;
+    }
+
+    const result = await query(
+      `UPDATE ad_accounts SET needs_reauth = TRUE WHERE id = $1 AND needs_reauth = FALSE RETURNING id`,
+      [account.id]
+    );
+
+    if (result.rows.length > 0) {
+      await this.notifyAdmins(account.workspace_id, account.platform, reason);
+    }
+  }
+
+  /**
+   * Tell workspace owners and admins that a platform has to be reconnected
+   */
+  async notifyAdmins(workspaceId, platform, reason) {
+    const platformName = PLATFORM_NAMES[platform] || platform;
+
+    try {
+      await notificationDispatcher.dispatch(workspaceId, {
+        type: 'system',
+        title: `Reconnect ${platformName}`,
+        message: `The ${platformName} connection could not be refreshed, so its data has stopped updating. Reconnect the account to resume syncing.`,
+        severity: 'high',
+        actionUrl: `/dashboard?workspaceId=${workspaceId}&reconnect=${platform}`,
+        fields: [
+          { label: 'Platform', value: platformName },
+          { label: 'Reason', value: reason || 'Token expired or revoked' },
+        ],
+        data: { platform, reason },
+      }, { roles: ['owner', 'admin'] });
+    } catch (error) {
+      console.error(`Failed to notify admins about ${platform} reauthorization:`, error.message);
+    }
+  }
+
+  /**
+   * Renew every 60-day token inside its refresh window (run by the scheduler so
+   * dormant workspaces do not let Meta tokens lapse; short-lived tokens are
+   * refreshed on use)
+   *
+   * @returns {Promise<Object>} { checked, refreshed, failed }
+   */
+  async refreshExpiringTokens() {
+    const result = await query(
+      `SELECT * FROM oauth_tokens
+       WHERE needs_reauth = FALSE
+         AND platform = ANY($1)
+         AND expires_at IS NOT NULL
+         AND expires_at <= CURRENT_TIMESTAMP + make_interval(secs => $2)
+       ORDER BY expires_at ASC`,
+      [LONG_LIVED_PLATFORMS, LONG_LIVED_REFRESH_MARGIN_MS / 1000]
+    );
+
+    const summary = { checked: 0, refreshed: 0, failed: 0 };
+
+    for (const token of result.rows) {
+      summary.checked++;
+
+      try {
+        await this.refreshToken(token);
+        summary.refreshed++;
+      } catch (error) {
+        summary.failed++;
+        console.error(`❌ Token refresh failed for ${token.platform} token ${token.id}:`, error.message);
+      }
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new TokenManager();
@@ -5,21 +5,35 @@
  */
 
 const { query } = require('../config/database');
+const config = require('../config/config');
 const { getPlatformService } = require('./platforms');
+const tokenManager = require('./tokenManager');
+const { getComparisonRange } = require('./comparisonPeriod');
+const { getWidgetConfig } = require('./widgetRegistry');
+const calculatedMetrics = require('./calculatedMetrics');
+const currency = require('./currency');
+const { buildBreakdownTable, emptyBreakdownTable } = require('./platforms/breakdowns');
+const conversions = require('./platforms/conversions');
+const { ReauthRequiredError } = require('../utils/errors');
 const CustomDataSource = require('../models/CustomDataSource');
 const { getCache, setCache, isAvailable: isRedisAvailable } = require('../config/redis');
 const crypto = require('crypto');
 
+// Metrics whose value depends on the account's conversion definition
+const CONVERSION_METRICS = ['conversions', 'cost_per_conversion', 'cpa', 'conversion_value', 'revenue', 'roas'];
+
 /**
  * Generate cache key for widget data
  * @param {Object} dataSource - Data source configuration
  * @param {Object} dateRange - Date range
+ * @param {Object} widgetConfig - Resolved widget data config
  * @returns {String} Cache key
  */
-function generateCacheKey(dataSource, dateRange) {
+function generateCacheKey(dataSource, dateRange, widgetConfig) {
   const keyData = {
     dataSource,
     dateRange,
+    widgetConfig,
   };
   const hash = crypto
     .createHash('md5')
@@ -37,9 +51,10 @@ function generateCacheKey(dataSource, dateRange) {
  */
 async function fetchWidgetData(widget, dateRange = null) {
   const dataSource = widget.data_source || {};
+  const widgetConfig = getWidgetConfig(widget);
 
   // Generate cache key
-  const cacheKey = generateCacheKey(dataSource, dateRange);
+  const cacheKey = generateCacheKey(dataSource, dateRange, widgetConfig);
 
   // Try to get from cache if Redis is available
   if (isRedisAvailable()) {
@@ -54,10 +69,12 @@ async function fetchWidgetData(widget, dateRange = null) {
 
   // Determine source type and fetch data
   let data;
-  if (dataSource.type === 'custom_data') {
+  if (widgetConfig.metrics.some(calculatedMetrics.isCalculatedMetric)) {
+    data = await fetchCalculatedWidgetData(widget, widgetConfig, dateRange);
+  } else if (dataSource.type === 'custom_data') {
     data = await fetchCustomData(dataSource, dateRange);
   } else if (dataSource.type === 'platform' || dataSource.adAccountId) {
-    data = await fetchPlatformData(dataSource, dateRange);
+    data = await fetchPlatformWidgetData(dataSource, widgetConfig, dateRange);
   } else if (dataSource.type === 'mixed') {
     data = await fetchMixedData(dataSource, dateRange);
   } else {
@@ -158,13 +175,14 @@ async function fetchCustomData(dataSource, dateRange) {
 
   const totalValue = timeSeries.reduce((sum, item) => sum + item.value, 0);
 
-  // Calculate previous period for comparison
+  // Calculate the comparison period value (previous period unless the widget picks another)
+  const comparisonRange = getComparisonRange(startDate, endDate, dataSource.comparison);
   const previousValue = await fetchPreviousPeriodValue(
     customSourceId,
     metric,
     aggregation,
-    startDate,
-    endDate,
+    comparisonRange.since,
+    comparisonRange.until,
     actualDateColumn,
     filters
   );
@@ -177,6 +195,8 @@ async function fetchCustomData(dataSource, dateRange) {
     value: totalValue,
     previousValue,
     changePercent,
+    comparison: comparisonRange.mode,
+    previousDateRange: { startDate: comparisonRange.since, endDate: comparisonRange.until },
     label: metric,
     dateRange: { startDate, endDate },
     timeSeries,
@@ -195,18 +215,106 @@ async function fetchCustomData(dataSource, dateRange) {
  * @returns {Object} Platform data
  */
 async function fetchPlatformData(dataSource, dateRange) {
-  const { adAccountId, metric, platform = 'meta' } = dataSource;
+  const { adAccountId, metric } = dataSource;
 
   if (!adAccountId || !metric) {
     throw new Error('adAccountId and metric are required for platform data source');
   }
 
-  // Get ad account details
+  // Parse date range
+  const { startDate, endDate } = parseDateRange(dateRange);
+
+  const { account, metrics } = await fetchAccountMetrics(
+    adAccountId,
+    [metric],
+    startDate,
+    endDate,
+    dataSource.comparison
+  );
+
+  return withPlatformMetadata(metrics[metric], account);
+}
+
+/**
+ * Fetch the data of a platform widget as its data config describes it:
+ * a breakdown table when it has a dimension, otherwise its metrics
+ * @param {Object} dataSource - Data source configuration
+ * @param {Object} widgetConfig - Resolved widget data config
+ * @param {Object} dateRange - Date range
+ * @returns {Object} Platform data
+ */
+async function fetchPlatformWidgetData(dataSource, widgetConfig, dateRange) {
+  const { adAccountId } = dataSource;
+  const { metrics: metricNames, dimension } = widgetConfig;
+
+  if (!adAccountId || (metricNames.length === 0 && !dimension)) {
+    throw new Error('adAccountId and metric are required for platform data source');
+  }
+
+  const { startDate, endDate } = parseDateRange(dateRange);
+
+  if (dimension) {
+    const account = await findAdAccount(adAccountId);
+    const table = await fetchPlatformBreakdown(account, dimension, metricNames[0], startDate, endDate, widgetConfig);
+    return withPlatformMetadata(table, account);
+  }
+
+  const { account, metrics } = await fetchAccountMetrics(adAccountId, metricNames, startDate, endDate, widgetConfig.comparison);
+  return widgetMetricsData(metrics, metricNames, account);
+}
+
+/**
+ * Fetch the data of a widget showing calculated metrics (calc:<key>)
+ * Formulas are evaluated over the workspace's synced metrics and custom data;
+ * a data source ad account or platform narrows the accounts they read.
+ * @param {Object} widget - Widget from dashboard_widgets table
+ * @param {Object} widgetConfig - Resolved widget data config
+ * @param {Object} dateRange - Date range
+ * @returns {Object} Metric data, with every metric under metrics when there are several
+ */
+async function fetchCalculatedWidgetData(widget, widgetConfig, dateRange) {
+  const dataSource = widget.data_source || {};
+
+  if (widgetConfig.dimension) {
+    throw new Error('Calculated metrics cannot be broken down by a dimension');
+  }
+
+  let workspaceId = widget.workspace_id;
+  if (!workspaceId) {
+    const dashboardResult = await query(
+      `SELECT workspace_id FROM dashboards WHERE id = $1`,
+      [widget.dashboard_id]
+    );
+    workspaceId = dashboardResult.rows[0]?.workspace_id;
+  }
+
+  const { startDate, endDate } = parseDateRange(dateRange);
+  const metricNames = widgetConfig.metrics;
+  const metrics = await calculatedMetrics.fetchMetricResults(workspaceId, metricNames, startDate, endDate, {
+    comparison: widgetConfig.comparison,
+    filters: {
+      platform: dataSource.platform,
+      adAccountIds: dataSource.adAccountId ? [dataSource.adAccountId] : undefined,
+    },
+  });
+
+  const data = {
+    ...metrics[metricNames[0]],
+    metadata: { sourceType: 'calculated' },
+  };
+  if (metricNames.length === 1) return data;
+
+  return { ...data, metrics };
+}
+
+/**
+ * Get an ad account row
+ * @param {string} adAccountId - ad_accounts.id
+ * @returns {Object} Ad account
+ */
+async function findAdAccount(adAccountId) {
   const accountResult = await query(
-    `SELECT a.*, o.access_token, o.refresh_token, o.expires_at
-     FROM ad_accounts a
-     JOIN oauth_tokens o ON a.oauth_token_id = o.id
-     WHERE a.id = $1`,
+    `SELECT * FROM ad_accounts WHERE id = $1`,
     [adAccountId]
   );
 
@@ -214,32 +322,211 @@ async function fetchPlatformData(dataSource, dateRange) {
     throw new Error('Ad account not found');
   }
 
-  const account = accountResult.rows[0];
+  return accountResult.rows[0];
+}
 
-  // Check if token needs refresh
-  const now = new Date();
-  const expiresAt = new Date(account.expires_at);
-  if (expiresAt <= now) {
-    // TODO: Implement token refresh
-    throw new Error('Access token expired. Please reconnect your account.');
-  }
+/**
+ * Fetch several metrics of one ad account in a single upstream request
+ * Falls back to one fetchMetrics call per metric for connectors without a
+ * batch API. A failed request is reported per metric, like fetchMetrics does.
+ * Monetary metrics are converted into the workspace reporting currency, with
+ * the account's own figures under native.
+ * @param {string} adAccountId - ad_accounts.id
+ * @param {string[]} metricNames - Metric names
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @param {string|Object} [comparison] - Comparison period setting
+ * @returns {Object} { account, metrics: { [metric]: platform data } }
+ */
+async function fetchAccountMetrics(adAccountId, metricNames, startDate, endDate, comparison) {
+  const account = await findAdAccount(adAccountId);
 
   // Get platform service
   const PlatformService = getPlatformService(account.platform);
 
-  // Parse date range
-  const { startDate, endDate } = parseDateRange(dateRange);
+  // Fetch metrics from platform (refreshing the token when it expires or is rejected)
+  try {
+    const batch = await tokenManager.withAccessToken(account, async accessToken => {
+      if (PlatformService.fetchMetricsBatch) {
+        return PlatformService.fetchMetricsBatch(
+          account.account_id,
+          accessToken,
+          metricNames,
+          startDate,
+          endDate,
+          config,
+          platformOptions(account, { comparison })
+        );
+      }
+
+      const results = await Promise.all(metricNames.map(metric =>
+        PlatformService.fetchMetrics(account.account_id, accessToken, metric, startDate, endDate, config, platformOptions(account, { comparison }))
+      ));
+      return { metrics: Object.fromEntries(metricNames.map((metric, i) => [metric, results[i]])) };
+    });
 
-  // Fetch metrics from platform
-  const platformData = await PlatformService.fetchMetrics(
-    account.account_id,
-    account.access_token,
+    return { account, metrics: labelConversions(account, await convertAccountMetrics(account, batch.metrics, startDate, endDate)) };
+  } catch (error) {
+    if (error instanceof ReauthRequiredError) throw error;
+
+    console.error(`Error fetching ${account.platform} metrics for account ${adAccountId}:`, error);
+    const message = error.response?.data?.error?.message || error.message;
+    return {
+      account,
+      metrics: Object.fromEntries(metricNames.map(metric => [metric, { value: 0, label: metric, error: message }])),
+    };
+  }
+}
+
+/**
+ * Options every platform service request of an account carries: its stored
+ * currency and its conversion definition
+ * @param {Object} account - Ad account
+ * @param {Object} [extra] - Further request options (e.g. comparison)
+ * @returns {Object} Platform service options
+ */
+function platformOptions(account, extra = {}) {
+  return {
+    ...extra,
+    currency: account.currency,
+    conversions: conversions.fromAccount(account),
+  };
+}
+
+/**
+ * Label the conversion metric results of an account with the conversion
+ * definition they were counted with
+ * @param {Object} account - Ad account
+ * @param {Object} metrics - { [metric]: platform data }
+ * @returns {Object} { [metric]: platform data }
+ */
+function labelConversions(account, metrics) {
+  const definition = conversions.describeConversions(account.platform, conversions.fromAccount(account));
+  if (!definition) return metrics;
+
+  return Object.fromEntries(Object.entries(metrics).map(([metric, result]) => [
     metric,
-    startDate,
-    endDate,
-    { platform: account.platform }
-  );
+    CONVERSION_METRICS.includes(metric) && result && !result.error ? { ...result, conversionDefinition: definition } : result,
+  ]));
+}
+
+/**
+ * Convert the monetary metric results of an account into the workspace reporting currency
+ * @param {Object} account - Ad account
+ * @param {Object} metrics - { [metric]: platform data }
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @returns {Object} { [metric]: platform data }
+ */
+async function convertAccountMetrics(account, metrics, startDate, endDate) {
+  const monetary = Object.keys(metrics).filter(currency.isMonetaryMetric);
+  if (monetary.length === 0 || account.platform === 'search_console') return metrics;
+
+  // Rates have to cover the comparison period too
+  const since = Object.values(metrics)
+    .map(result => result?.previousDateRange?.since)
+    .filter(Boolean)
+    .reduce((earliest, date) => (date < earliest ? date : earliest), startDate);
+  const converter = await currency.createConverter(account.workspace_id, [account.currency], since, endDate);
+
+  const converted = { ...metrics };
+  for (const metric of monetary) {
+    const result = currency.convertMetricResult(metric, metrics[metric], metrics[metric]?.currency || account.currency, converter);
+    converted[metric] = result?.native ? { ...result, fx: converter.describe() } : result;
+  }
+  return converted;
+}
+
+/**
+ * Fetch a breakdown table from an ad account's platform
+ * Creative comparisons are Meta-only; other platforms show their ads instead.
+ * A failed fetch gives an empty table with { error }.
+ * @param {Object} account - Ad account
+ * @param {string} dimension - Breakdown dimension (see widgetRegistry.WIDGET_DIMENSIONS)
+ * @param {string} [metric] - Metric to rank by (default: clicks for devices and countries, spend otherwise)
+ * @param {string} since - Start date (YYYY-MM-DD)
+ * @param {string} until - End date (YYYY-MM-DD)
+ * @param {Object} [options] - { metrics, sort, limit, filters } from the widget data config
+ * @returns {Object} Widget table
+ */
+async function fetchPlatformBreakdown(account, dimension, metric, since, until, options = {}) {
+  if (dimension === 'creative' && account.platform === 'meta') {
+    return fetchCreativeComparison(account, since, until);
+  }
+
+  const breakdownDimension = dimension === 'creative' ? 'ad' : dimension;
+  const selectedMetric = metric || (['device', 'country'].includes(breakdownDimension) ? 'clicks' : 'spend');
+  const PlatformService = getPlatformService(account.platform);
+  const accountId = account.platform === 'search_console'
+    ? decodeURIComponent(account.account_id)
+    : account.account_id;
+
+  try {
+    const breakdown = await tokenManager.withAccessToken(account, accessToken =>
+      PlatformService.fetchBreakdown(breakdownDimension, accountId, accessToken, selectedMetric, since, until, config,
+        platformOptions(account))
+    );
+    if (account.platform === 'search_console' || !account.workspace_id) {
+      return buildBreakdownTable(breakdown, selectedMetric, options);
+    }
+
+    const converter = await currency.createConverter(
+      account.workspace_id, [breakdown.currency || account.currency], since, until);
+    const converted = currency.convertBreakdown(breakdown, breakdown.currency || account.currency, converter);
+    return {
+      ...buildBreakdownTable(converted, selectedMetric, options),
+      currency: converter.currency,
+      ...(converted.native ? { native: converted.native, fx: converter.describe() } : {}),
+    };
+  } catch (error) {
+    if (error instanceof ReauthRequiredError) throw error;
+
+    console.error(`Error fetching ${account.platform} ${breakdownDimension} breakdown:`, error.response?.data || error.message);
+    return emptyBreakdownTable(breakdownDimension, selectedMetric, error.message);
+  }
+}
+
+/**
+ * Fetch the Meta creative comparison table
+ */
+async function fetchCreativeComparison(account, since, until) {
+  const MetaAdsService = getPlatformService('meta');
+
+  try {
+    return await tokenManager.withAccessToken(account, accessToken =>
+      MetaAdsService.fetchCreativeComparison(account.account_id, accessToken, since, until)
+    );
+  } catch (error) {
+    if (error instanceof ReauthRequiredError) throw error;
+
+    console.error('Error fetching Meta creative comparison:', error.response?.data || error.message);
+    return {
+      type: 'table',
+      columns: [],
+      data: [],
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Data of a metrics widget: its first metric's result, plus every metric's
+ * result under metrics when it shows several
+ */
+function widgetMetricsData(metrics, metricNames, account) {
+  const data = withPlatformMetadata(metrics[metricNames[0]], account);
+  if (metricNames.length === 1) return data;
 
+  return {
+    ...data,
+    metrics: Object.fromEntries(metricNames.map(metric => [metric, metrics[metric]])),
+  };
+}
+
+/**
+ * Attach platform source metadata to a metric result
+ */
+function withPlatformMetadata(platformData, account) {
   return {
     ...platformData,
     metadata: {
@@ -250,6 +537,110 @@ async function fetchPlatformData(dataSource, dateRange) {
   };
 }
 
+/**
+ * Fetch data for all widgets of a dashboard
+ * Platform metric widgets on the same ad account, date range and comparison
+ * period are fetched together, so a dashboard load issues one upstream request
+ * per account instead of one per widget. Breakdown, calculated, custom and
+ * mixed widgets are fetched one by one.
+ * @param {Object[]} widgets - Widgets from dashboard_widgets table
+ * @param {Object|string} [dateRange] - Date range overriding each widget's own
+ * @returns {Object} Widget data by widget id; a widget that failed has { error }
+ */
+async function fetchWidgetsData(widgets, dateRange = null) {
+  const results = {};
+  const groups = new Map();
+  const individual = [];
+
+  for (const widget of widgets) {
+    const dataSource = widget.data_source || {};
+    const widgetConfig = getWidgetConfig(widget);
+    const widgetDateRange = dateRange || dataSource.dateRange || null;
+    const cacheKey = generateCacheKey(dataSource, widgetDateRange, widgetConfig);
+
+    if (isRedisAvailable()) {
+      const cachedData = await getCache(cacheKey);
+      if (cachedData) {
+        results[widget.id] = { ...cachedData, cached: true };
+        continue;
+      }
+    }
+
+    const isPlatform = dataSource.type !== 'custom_data' && dataSource.type !== 'mixed'
+      && (dataSource.type === 'platform' || dataSource.adAccountId);
+
+    if (!isPlatform || !dataSource.adAccountId || widgetConfig.metrics.length === 0 || widgetConfig.dimension
+      || widgetConfig.metrics.some(calculatedMetrics.isCalculatedMetric)) {
+      individual.push({ widget, dateRange: widgetDateRange });
+      continue;
+    }
+
+    const { startDate, endDate } = parseDateRange(widgetDateRange);
+    const groupKey = JSON.stringify([dataSource.adAccountId, startDate, endDate, widgetConfig.comparison]);
+
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, {
+        adAccountId: dataSource.adAccountId,
+        startDate,
+        endDate,
+        comparison: widgetConfig.comparison,
+        widgets: [],
+      });
+    }
+    groups.get(groupKey).widgets.push({ widget, widgetConfig, cacheKey });
+  }
+
+  const groupRequests = [...groups.values()].map(async group => {
+    const metricNames = [...new Set(group.widgets.flatMap(({ widgetConfig }) => widgetConfig.metrics))];
+
+    try {
+      const { account, metrics } = await fetchAccountMetrics(
+        group.adAccountId,
+        metricNames,
+        group.startDate,
+        group.endDate,
+        group.comparison
+      );
+
+      for (const { widget, widgetConfig, cacheKey } of group.widgets) {
+        const data = widgetMetricsData(metrics, widgetConfig.metrics, account);
+        results[widget.id] = data;
+
+        // Failed fetches are not cached so the next load retries them
+        if (isRedisAvailable() && !data.error) {
+          await setCache(cacheKey, data, 300); // 5 minutes
+        }
+      }
+    } catch (error) {
+      for (const { widget } of group.widgets) {
+        results[widget.id] = widgetError(error);
+      }
+    }
+  });
+
+  const individualRequests = individual.map(async ({ widget, dateRange: widgetDateRange }) => {
+    try {
+      results[widget.id] = await fetchWidgetData(widget, widgetDateRange);
+    } catch (error) {
+      results[widget.id] = widgetError(error);
+    }
+  });
+
+  await Promise.all([...groupRequests, ...individualRequests]);
+
+  return results;
+}
+
+/**
+ * Error entry for a widget that could not be fetched
+ */
+function widgetError(error) {
+  if (error instanceof ReauthRequiredError) {
+    return { error: error.message, needsReauth: true, platform: error.platform };
+  }
+  return { error: error.message };
+}
+
 /**
  * Fetch and mix data from multiple sources (platform + custom)
  * @param {Object} dataSource - Data source configuration
@@ -322,28 +713,18 @@ function buildAggregationExpression(metric, aggregation) {
 }
 
 /**
- * Fetch previous period value for comparison
+ * Fetch the value of the comparison period
  * @param {string} sourceId - Custom data source ID
  * @param {string} metric - Metric name
  * @param {string} aggregation - Aggregation type
- * @param {string} startDate - Current period start date
- * @param {string} endDate - Current period end date
+ * @param {string} startDate - Comparison period start date
+ * @param {string} endDate - Comparison period end date
  * @param {string} dateColumn - Date column name
  * @param {Object} filters - Dimension filters
- * @returns {number} Previous period value
+ * @returns {number} Comparison period value
  */
 async function fetchPreviousPeriodValue(sourceId, metric, aggregation, startDate, endDate, dateColumn, filters = {}) {
   try {
-    // Calculate previous period dates
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    const daysDiff = Math.ceil((end - start) / (1000 * 60 * 60 * 24));
-
-    const prevEnd = new Date(start);
-    prevEnd.setDate(prevEnd.getDate() - 1);
-    const prevStart = new Date(prevEnd);
-    prevStart.setDate(prevStart.getDate() - daysDiff);
-
     // Build query
     let baseQuery = `
       SELECT ${buildAggregationExpression(metric, aggregation)} as value
@@ -353,7 +734,7 @@ async function fetchPreviousPeriodValue(sourceId, metric, aggregation, startDate
         AND ${dateColumn} <= $3
     `;
 
-    const params = [sourceId, prevStart.toISOString().split('T')[0], prevEnd.toISOString().split('T')[0]];
+    const params = [sourceId, startDate, endDate];
     let paramIndex = 4;
 
     // Add filters
@@ -594,8 +975,12 @@ async function invalidateAllWidgetCache() {
 
 module.exports = {
   fetchWidgetData,
+  fetchWidgetsData,
   fetchCustomData,
   fetchPlatformData,
+  fetchPlatformBreakdown,
+  fetchAccountMetrics,
+  platformOptions,
   fetchMixedData,
   queryCustomData,
   parseDateRange,
@@ -0,0 +1,208 @@
+/**
+ * Widget Registry
+ * Widget types and the data shapes they accept, plus the declarative data
+ * contract stored in dashboard_widgets.data_config:
+ *
+ *   {
+ *     metrics: ['spend', 'clicks'],        // first metric is the primary one
+ *     dimension: 'device' | null,          // breakdown dimension, null for totals / time series
+ *     sort: { by: 'spend', direction: 'desc' },
+ *     limit: 10 | null,                    // breakdown rows, null for the widget default
+ *     comparison: 'previous_period' | { mode: 'custom', startDate, endDate } | null,
+ *     filters: { campaign: ['Brand'] }     // breakdown rows to keep, by dimension
+ *   }
+ */
+
+const { ValidationError } = require('../utils/errors');
+const { BREAKDOWN_DIMENSIONS } = require('./platforms/breakdowns');
+const { normalizeComparison } = require('./comparisonPeriod');
+
+// value: a total with its comparison, time_series: daily values, breakdown: rows per dimension value
+const WIDGET_TYPES = {
+  kpi_card: { description: 'Single metric with change vs the comparison period', shapes: ['value'], minMetrics: 1, maxMetrics: 1 },
+  gauge: { description: 'Progress of a single metric', shapes: ['value'], minMetrics: 1, maxMetrics: 1 },
+  comparison: { description: 'Metric against its comparison period', shapes: ['value'], minMetrics: 1, maxMetrics: 1 },
+  funnel: { description: 'Metrics as successive funnel steps', shapes: ['value'], minMetrics: 2, maxMetrics: 8 },
+  line_chart: { description: 'Daily values of up to 5 metrics', shapes: ['time_series'], minMetrics: 1, maxMetrics: 5 },
+  area_chart: { description: 'Daily values of up to 5 metrics', shapes: ['time_series'], minMetrics: 1, maxMetrics: 5 },
+  heatmap: { description: 'Daily values of one metric', shapes: ['time_series'], minMetrics: 1, maxMetrics: 1 },
+  bar_chart: { description: 'Daily values, or a metric split by a dimension', shapes: ['time_series', 'breakdown'], minMetrics: 1, maxMetrics: 5 },
+  pie_chart: { description: 'One metric split by a dimension', shapes: ['breakdown'], minMetrics: 1, maxMetrics: 1, defaultDimension: 'device' },
+  table: { description: 'Metrics split by a dimension, or daily rows', shapes: ['breakdown', 'time_series'], minMetrics: 1, maxMetrics: 12 },
+};
+
+// Meta also compares creatives (shown as ads on other platforms)
+const WIDGET_DIMENSIONS = [...BREAKDOWN_DIMENSIONS, 'creative'];
+// Filters a breakdown accepts besides its own dimension
+const PARENT_FILTERS = {
+  ad_set: ['campaign'],
+  ad: ['campaign', 'ad_set'],
+  creative: ['campaign', 'ad_set'],
+};
+const SORT_DIRECTIONS = ['asc', 'desc'];
+const MAX_LIMIT = 500;
+
+/**
+ * Data shape a widget config produces
+ */
+function getWidgetShape(widgetType, dataConfig) {
+  if (dataConfig.dimension) return 'breakdown';
+  const { shapes } = WIDGET_TYPES[widgetType] || WIDGET_TYPES.kpi_card;
+  return shapes.find(shape => shape !== 'breakdown') || 'breakdown';
+}
+
+/**
+ * Config of widgets saved without one, from the fields data_source has always
+ * carried (metric, comparison, breakdown)
+ */
+function legacyConfig(dataSource = {}) {
+  return {
+    metrics: dataSource.metric ? [dataSource.metric] : [],
+    dimension: dataSource.breakdown || null,
+    comparison: dataSource.comparison || null,
+  };
+}
+
+/**
+ * Validate and normalize a widget data config
+ *
+ * @param {string} widgetType - One of WIDGET_TYPES
+ * @param {Object} dataConfig - Data contract (see above)
+ * @returns {Object} Config with defaults applied
+ * @throws {ValidationError} Listing every problem in error.errors
+ */
+function validateWidgetConfig(widgetType, dataConfig) {
+  const type = WIDGET_TYPES[widgetType];
+  if (!type) {
+    throw new ValidationError(`Invalid widget type. Must be one of: ${Object.keys(WIDGET_TYPES).join(', ')}`);
+  }
+  if (!dataConfig || typeof dataConfig !== 'object' || Array.isArray(dataConfig)) {
+    throw new ValidationError('Widget data config must be an object');
+  }
+
+  const errors = [];
+  const metrics = dataConfig.metrics;
+  const dimension = dataConfig.dimension || (type.shapes.length === 1 && type.defaultDimension) || null;
+
+  if (!Array.isArray(metrics) || metrics.some(metric => typeof metric !== 'string' || !metric.trim())) {
+    errors.push('metrics must be a list of metric names');
+  } else if (metrics.length < type.minMetrics || metrics.length > type.maxMetrics) {
+    errors.push(type.minMetrics === type.maxMetrics
+      ? `${widgetType} widgets take exactly ${type.minMetrics} metric${type.minMetrics === 1 ? '' : 's'}`
+      : `${widgetType} widgets take ${type.minMetrics} to ${type.maxMetrics} metrics`);
+  }
+
+  if (dimension && !WIDGET_DIMENSIONS.includes(dimension)) {
+    errors.push(`dimension must be one of: ${WIDGET_DIMENSIONS.join(', ')}`);
+  } else if (dimension && !type.shapes.includes('breakdown')) {
+    errors.push(`${widgetType} widgets do not accept a dimension`);
+  } else if (!dimension && !type.shapes.some(shape => shape !== 'breakdown')) {
+    errors.push(`${widgetType} widgets need a dimension`);
+  }
+
+  const sort = dataConfig.sort || {};
+  if (typeof sort !== 'object' || Array.isArray(sort)) {
+    errors.push('sort must be an object ({ by, direction })');
+  } else {
+    if (sort.by && sort.by !== 'name' && Array.isArray(metrics) && !metrics.includes(sort.by)) {
+      errors.push('sort.by must be one of the widget metrics or "name"');
+    }
+    if (sort.direction && !SORT_DIRECTIONS.includes(sort.direction)) {
+      errors.push('sort.direction must be asc or desc');
+    }
+  }
+
+  const limit = dataConfig.limit ?? null;
+  if (limit !== null && (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT)) {
+    errors.push(`limit must be a whole number from 1 to ${MAX_LIMIT}`);
+  }
+
+  if (dataConfig.comparison) {
+    try {
+      normalizeComparison(dataConfig.comparison);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  const filters = dataConfig.filters || {};
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    errors.push('filters must be an object');
+  } else {
+    const allowed = dimension ? [dimension, ...(PARENT_FILTERS[dimension] || [])] : [];
+    for (const [field, value] of Object.entries(filters)) {
+      const values = Array.isArray(value) ? value : [value];
+      if (!allowed.includes(field)) {
+        errors.push(allowed.length > 0
+          ? `filters.${field} is not supported; filter by ${allowed.join(', ')}`
+          : 'filters need a dimension');
+      } else if (values.length === 0 || values.some(item => !['string', 'number'].includes(typeof item))) {
+        errors.push(`filters.${field} must be a value or a list of values`);
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(`Invalid widget data config: ${errors.join('; ')}`, errors);
+  }
+
+  return {
+    metrics,
+    dimension,
+    sort: { by: sort.by || metrics[0], direction: sort.direction || 'desc' },
+    limit,
+    comparison: dataConfig.comparison || null,
+    filters,
+  };
+}
+
+/**
+ * Config to store for a widget being added or updated
+ * Widgets sent without a data config get one from their data source's metric;
+ * without either there is nothing to store yet (null).
+ *
+ * @throws {ValidationError} When the config does not fit the widget type
+ */
+function buildWidgetConfig(widgetType, dataConfig, dataSource) {
+  if (dataConfig) return validateWidgetConfig(widgetType, dataConfig);
+  if (!dataSource?.metric) return null;
+  return validateWidgetConfig(widgetType, legacyConfig(dataSource));
+}
+
+/**
+ * Resolved data config of a stored widget (never throws)
+ * Falls back to the data source's fields, so widgets saved without a config
+ * keep working; a breakdown-only type gets its default dimension. metrics is
+ * empty when the widget names none (callers apply their platform default).
+ *
+ * @param {Object} widget - Row of dashboard_widgets
+ * @returns {Object} { metrics, dimension, sort, limit, comparison, filters }
+ */
+function getWidgetConfig(widget) {
+  const dataSource = widget.data_source || {};
+  const type = WIDGET_TYPES[widget.widget_type] || WIDGET_TYPES.kpi_card;
+  const stored = widget.data_config || legacyConfig(dataSource);
+
+  const metrics = Array.isArray(stored.metrics) && stored.metrics.length > 0
+    ? stored.metrics
+    : (dataSource.metric ? [dataSource.metric] : []);
+  const dimension = stored.dimension || (type.shapes.length === 1 && type.defaultDimension) || null;
+
+  return {
+    metrics,
+    dimension,
+    sort: { by: stored.sort?.by || metrics[0] || null, direction: stored.sort?.direction || 'desc' },
+    limit: stored.limit ?? null,
+    comparison: stored.comparison || dataSource.comparison || null,
+    filters: stored.filters || {},
+  };
+}
+
+module.exports = {
+  WIDGET_TYPES,
+  WIDGET_DIMENSIONS,
+  getWidgetShape,
+  validateWidgetConfig,
+  buildWidgetConfig,
+  getWidgetConfig,
+};
@@ -109,6 +109,18 @@ class SyncError extends APIError {
   }
 }
 
+/**
+ * Reauthorization Required Error (409)
+ * A platform token expired or was revoked and could not be refreshed
+ */
+class ReauthRequiredError extends APIError {
+  constructor(platform, message = 'Reconnect the account to continue') {
+    super(`${platform}: ${message}`, 409);
+    this.platform = platform;
+    this.code = 'NEEDS_REAUTH';
+  }
+}
+
 /**
  * Error handler utility
  * Wraps async route handlers to catch errors
@@ -232,6 +244,7 @@ module.exports = {
   DatabaseError,
   FileProcessingError,
   SyncError,
+  ReauthRequiredError,
 
   // Utilities
   asyncHandler,